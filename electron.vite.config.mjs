@@ -20,6 +20,8 @@ export default defineConfig({
           searchDialog: resolve("src/renderer/search.html"),
           settings: resolve("src/renderer/settings.html"),
           replyThread: resolve("src/renderer/replyThread.html"),
+          popout: resolve("src/renderer/popout.html"),
+          overlay: resolve("src/renderer/overlay.html"),
         },
       },
     },
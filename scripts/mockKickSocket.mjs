@@ -0,0 +1,232 @@
+// Local stand-in for Kick's Pusher socket, used to drive predictions without a live channel.
+//
+//   npm run mock:socket
+//   RENDERER_VITE_KICK_PUSHER_URL=ws://localhost:6001 npm run dev
+//
+// Then type commands into this terminal:
+//   start <title> | <outcome> | <outcome>   start a prediction (defaults to Yes / No)
+//   vote <outcome number> <points>          add a wager from another user
+//   lock                                    lock wagers
+//   resolve <outcome number>                pick the winning outcome
+//   cancel                                  cancel and refund
+
+import { createServer } from "http";
+import { createHash, randomUUID } from "crypto";
+import readline from "readline";
+
+const PORT = Number(process.env.PORT) || 6001;
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const PREDICTION_DURATION = 120;
+
+const clients = new Set();
+let prediction = null;
+
+const encodeFrame = (text) => {
+  const payload = Buffer.from(text);
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+};
+
+// Client frames are always masked, the app only sends small unfragmented text frames
+const decodeFrames = (client, chunk) => {
+  client.buffer = Buffer.concat([client.buffer, chunk]);
+  const messages = [];
+
+  while (client.buffer.length >= 2) {
+    const opcode = client.buffer[0] & 0x0f;
+    let length = client.buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (client.buffer.length < 4) break;
+      length = client.buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (client.buffer.length < 10) break;
+      length = Number(client.buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+
+    if (client.buffer.length < offset + 4 + length) break;
+
+    const mask = client.buffer.subarray(offset, offset + 4);
+    const payload = client.buffer.subarray(offset + 4, offset + 4 + length).map((byte, i) => byte ^ mask[i % 4]);
+    client.buffer = client.buffer.subarray(offset + 4 + length);
+
+    if (opcode === 0x8) {
+      client.socket.end();
+      break;
+    }
+
+    if (opcode === 0x1) messages.push(payload.toString());
+  }
+
+  return messages;
+};
+
+const send = (client, message) => client.socket.write(encodeFrame(JSON.stringify(message)));
+
+const handleClientMessage = (client, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return;
+  }
+
+  const channel = message.data?.channel;
+
+  switch (message.event) {
+    case "pusher:subscribe":
+      client.channels.add(channel);
+      send(client, { event: "pusher_internal:subscription_succeeded", channel, data: "{}" });
+
+      // Late subscribers get the running prediction straight away
+      if (prediction && channel.startsWith("predictions-channel-")) {
+        send(client, { event: "PredictionUpdated", channel, data: JSON.stringify({ prediction }) });
+      }
+      break;
+    case "pusher:unsubscribe":
+      client.channels.delete(channel);
+      break;
+    case "pusher:ping":
+      send(client, { event: "pusher:pong", data: "{}" });
+      break;
+  }
+};
+
+const broadcastPrediction = (event) => {
+  prediction.updated_at = new Date().toISOString();
+
+  for (const client of clients) {
+    for (const channel of client.channels) {
+      if (channel.startsWith("predictions-channel-")) {
+        send(client, { event, channel, data: JSON.stringify({ prediction }) });
+      }
+    }
+  }
+
+  console.log(`[Mock Socket]: ${event} ${prediction.state} "${prediction.title}"`);
+};
+
+const getOutcome = (number) => prediction?.outcomes[Number(number) - 1];
+
+const commands = {
+  start: (args) => {
+    const [title = "Mock prediction", ...outcomes] = args
+      .join(" ")
+      .split("|")
+      .map((part) => part.trim())
+      .filter(Boolean);
+
+    prediction = {
+      id: randomUUID(),
+      title,
+      state: "ACTIVE",
+      duration: PREDICTION_DURATION,
+      created_at: new Date().toISOString(),
+      winning_outcome_id: null,
+      outcomes: (outcomes.length >= 2 ? outcomes : ["Yes", "No"]).map((outcome) => ({
+        id: randomUUID(),
+        title: outcome,
+        total_vote_amount: 0,
+        vote_count: 0,
+      })),
+    };
+
+    broadcastPrediction("PredictionCreated");
+  },
+  vote: ([number, amount]) => {
+    const outcome = getOutcome(number);
+    if (!outcome || prediction.state !== "ACTIVE") return console.log("[Mock Socket]: No active prediction or outcome");
+
+    outcome.total_vote_amount += Number(amount) || 100;
+    outcome.vote_count += 1;
+    broadcastPrediction("PredictionUpdated");
+  },
+  lock: () => {
+    if (prediction?.state !== "ACTIVE") return console.log("[Mock Socket]: No active prediction");
+
+    prediction.state = "LOCKED";
+    prediction.locked_at = new Date().toISOString();
+    broadcastPrediction("PredictionUpdated");
+  },
+  resolve: ([number]) => {
+    const outcome = getOutcome(number);
+    if (!outcome) return console.log("[Mock Socket]: Unknown outcome");
+
+    prediction.state = "RESOLVED";
+    prediction.winning_outcome_id = outcome.id;
+    broadcastPrediction("PredictionUpdated");
+  },
+  cancel: () => {
+    if (!prediction) return console.log("[Mock Socket]: No prediction");
+
+    prediction.state = "CANCELLED";
+    broadcastPrediction("PredictionUpdated");
+  },
+};
+
+const server = createServer((req, res) => {
+  res.writeHead(426);
+  res.end("WebSocket connections only");
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (!key) return socket.destroy();
+
+  const accept = createHash("sha1")
+    .update(key + WEBSOCKET_GUID)
+    .digest("base64");
+  socket.write(
+    [
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${accept}`,
+      "",
+      "",
+    ].join("\r\n"),
+  );
+
+  const client = { socket, buffer: Buffer.alloc(0), channels: new Set() };
+  clients.add(client);
+
+  send(client, {
+    event: "pusher:connection_established",
+    data: JSON.stringify({ socket_id: `${Date.now()}.${clients.size}`, activity_timeout: 120 }),
+  });
+
+  socket.on("data", (chunk) => decodeFrames(client, chunk).forEach((message) => handleClientMessage(client, message)));
+  socket.on("close", () => clients.delete(client));
+  socket.on("error", () => clients.delete(client));
+});
+
+server.listen(PORT, () => console.log(`[Mock Socket]: Listening on ws://localhost:${PORT}`));
+
+readline.createInterface({ input: process.stdin }).on("line", (line) => {
+  const [command, ...args] = line.trim().split(/\s+/);
+  if (!command) return;
+
+  if (commands[command]) {
+    commands[command](args);
+  } else {
+    console.log(`[Mock Socket]: Unknown command "${command}", try ${Object.keys(commands).join(", ")}`);
+  }
+});
@@ -1,17 +1,90 @@
-const { app, shell, BrowserWindow, ipcMain, screen, session, Tray, dialog } = require("electron");
+const {
+  app,
+  shell,
+  BrowserWindow,
+  ipcMain,
+  screen,
+  session,
+  Tray,
+  dialog,
+  Notification,
+  globalShortcut,
+  Menu,
+  nativeImage,
+  powerMonitor,
+} = require("electron");
 import { join, basename } from "path";
 import { electronApp, optimizer } from "@electron-toolkit/utils";
 import { update } from "./utils/update";
+import {
+  archiveMessage,
+  markArchivedMessageDeleted,
+  searchArchive,
+  pruneArchive,
+  flushArchiveSync,
+  clearArchive,
+  getArchiveSize,
+} from "./utils/chatArchive";
+import { addModLogEntry, searchModLog, formatModLogCsv, clearModLog, flushModLogSync, pruneModLog } from "./utils/modLog";
+import { startOverlayServer, stopOverlayServer, broadcastOverlayEvent, broadcastOverlaySettings } from "./utils/overlayServer";
+import {
+  startRecording,
+  stopRecording,
+  recordFrame,
+  listRecordings,
+  flushRecordingSync,
+  getRecordingsDir,
+  isRecording,
+} from "./utils/socketRecorder";
+import { startReplayServer, stopReplayServer, getReplayUrls, isReplaying, getReplayResponse } from "./utils/socketReplay";
+import { toSerializableResponse, toSerializableError } from "../../utils/services/serializeResponse";
 import Store from "electron-store";
 import store from "../../utils/config";
+import { encryptToken, decryptToken, isEncryptedToken, isTokenEncryptionAvailable } from "./utils/tokenStorage";
+import {
+  sendMessageToChannel,
+  sendReplyToChannel,
+  getSelfInfo,
+  getSelfChatroomInfo,
+  getSilencedUsers,
+  getInitialPollInfo,
+  getSubmitPollVote,
+  getInitialPredictionInfo,
+  getSubmitPredictionVote,
+  getKickAuthForEvents,
+  getBanUser,
+  getUnbanUser,
+  getTimeoutUser,
+  getDeleteMessage,
+  getSilenceUser,
+  getUnsilenceUser,
+  getPinMessage,
+  getUnpinMessage,
+  getUpdateTitle,
+  getClearChatroom,
+  getUpdateSlowmode,
+  getUpdateChatModes,
+  getCreatePoll,
+  getDeletePoll,
+  getUpdatePrediction,
+  getModerateUser,
+  getUnmoderateUser,
+  getVipUser,
+  getUnvipUser,
+  getOGUser,
+  getUnogUser,
+} from "../../utils/services/kick/kickAPI";
+import { builtInThemes } from "../../utils/themeUtils";
+import { shortcutActions, getShortcutBindings, getShortcutKeys, findShortcutAction, toAccelerator } from "../../utils/shortcuts";
 import fs from "fs";
 import dotenv from "dotenv";
 dotenv.config();
 
 const isDev = process.env.NODE_ENV === "development";
-const iconPath = process.platform === "win32" 
-  ? join(__dirname, "../../resources/icons/win/KickTalk_v1.ico")
-  : join(__dirname, "../../resources/icons/KickTalk_v1.png");
+const iconPath =
+  process.platform === "win32"
+    ? join(__dirname, "../../resources/icons/win/KickTalk_v1.ico")
+    : join(__dirname, "../../resources/icons/KickTalk_v1.png");
 
 const authStore = new Store({
   fileExtension: "env",
@@ -22,6 +95,17 @@ const authStore = new Store({
     KICK_SESSION: {
       type: "string",
     },
+    // Every signed in account, SESSION_TOKEN and KICK_SESSION hold the active one's tokens
+    ACCOUNTS: {
+      type: "array",
+      default: [],
+    },
+    ACTIVE_ACCOUNT_ID: {
+      type: ["number", "string"],
+    },
+    UNENCRYPTED_WARNING_SHOWN: {
+      type: "boolean",
+    },
   },
 });
 
@@ -42,7 +126,7 @@ const storeToken = async (token_name, token) => {
   if (!token || !token_name) return;
 
   try {
-    authStore.set(token_name, token);
+    authStore.set(token_name, encryptToken(token));
   } catch (error) {
     console.error("[Auth Token]: Error storing token:", error);
   }
@@ -51,16 +135,158 @@ const storeToken = async (token_name, token) => {
 const retrieveToken = async (token_name) => {
   try {
     const token = await authStore.get(token_name);
-    return token || null;
+    return decryptToken(token);
   } catch (error) {
     console.error("[Auth Token]: Error retrieving token:", error);
     return null;
   }
 };
 
+// Accounts with their tokens decrypted, only used inside the main process
+const getStoredAccounts = () =>
+  authStore.get("ACCOUNTS").map((account) => ({
+    ...account,
+    token: decryptToken(account.token),
+    session: decryptToken(account.session),
+  }));
+
+const storeAccounts = (accounts) => {
+  authStore.set(
+    "ACCOUNTS",
+    accounts.map((account) => ({ ...account, token: encryptToken(account.token), session: encryptToken(account.session) })),
+  );
+};
+
+// Tokens of the given account, or the active account's when none is given or it was removed
+const getAccountTokens = async (accountId) => {
+  const account = accountId && getStoredAccounts().find(({ id }) => String(id) === String(accountId));
+  if (account?.token && account?.session) return { token: account.token, session: account.session };
+
+  return {
+    token: await retrieveToken("SESSION_TOKEN"),
+    session: await retrieveToken("KICK_SESSION"),
+  };
+};
+
+// Accounts without their tokens, safe to send to the renderer
+const getAccounts = () => {
+  const activeAccountId = authStore.get("ACTIVE_ACCOUNT_ID");
+
+  return authStore.get("ACCOUNTS").map(({ id, username }) => ({
+    id,
+    username,
+    active: String(id) === String(activeAccountId),
+  }));
+};
+
+const broadcastAccounts = () => {
+  const accounts = getAccounts();
+
+  BrowserWindow.getAllWindows().forEach((window) => {
+    window.webContents.send("accounts:updated", accounts);
+  });
+};
+
+const setActiveAccount = async (account) => {
+  authStore.set("ACTIVE_ACCOUNT_ID", account.id);
+  await storeToken("SESSION_TOKEN", account.token);
+  await storeToken("KICK_SESSION", account.session);
+};
+
+// Adds the account the tokens belong to, or refreshes its tokens, and makes it active
+const saveAccount = async (token, kickSession) => {
+  const { data } = await getSelfInfo(token, kickSession);
+  if (!data?.id) throw new Error("No user data received");
+
+  const account = { id: data.id, username: data.username, token, session: kickSession };
+  const accounts = getStoredAccounts();
+  const exists = accounts.some(({ id }) => id === account.id);
+
+  storeAccounts(exists ? accounts.map((item) => (item.id === account.id ? account : item)) : [...accounts, account]);
+  await setActiveAccount(account);
+  broadcastAccounts();
+
+  return account;
+};
+
+// Tokens saved before accounts were kept side by side only live in SESSION_TOKEN and KICK_SESSION
+const migrateSignedInAccount = async () => {
+  const token = await retrieveToken("SESSION_TOKEN");
+  const kickSession = await retrieveToken("KICK_SESSION");
+  if (!token || !kickSession || getStoredAccounts().some((account) => account.token === token)) return;
+
+  try {
+    await saveAccount(token, kickSession);
+  } catch (error) {
+    console.error("[Accounts]: Error saving signed in account:", error);
+  }
+};
+
+// Encrypts tokens written in plaintext, either by older versions or while no keyring was available
+const migrateTokenStorage = async () => {
+  const hasTokens = !!authStore.get("SESSION_TOKEN") || authStore.get("ACCOUNTS").length > 0;
+  if (!hasTokens) return;
+
+  if (!isTokenEncryptionAvailable()) {
+    warnUnencryptedTokens();
+    return;
+  }
+
+  for (const tokenName of ["SESSION_TOKEN", "KICK_SESSION"]) {
+    const token = authStore.get(tokenName);
+    if (token && !isEncryptedToken(token)) await storeToken(tokenName, token);
+  }
+
+  const accounts = authStore.get("ACCOUNTS");
+  if (accounts.some((account) => !isEncryptedToken(account.token) || !isEncryptedToken(account.session))) {
+    storeAccounts(getStoredAccounts());
+  }
+};
+
+// Shown once, tokens keep working in plaintext like they did before encryption was added
+const warnUnencryptedTokens = () => {
+  console.warn("[Auth Token]: OS secure storage is unavailable, session tokens are stored unencrypted");
+  if (authStore.get("UNENCRYPTED_WARNING_SHOWN")) return;
+
+  authStore.set("UNENCRYPTED_WARNING_SHOWN", true);
+  dialog.showMessageBox(mainWindow, {
+    type: "warning",
+    title: "Secure Storage Unavailable",
+    message: "Your Kick session is stored unencrypted.",
+    detail:
+      process.platform === "linux"
+        ? "KickTalk could not find a keyring to encrypt your session with. Install and unlock a keyring such as GNOME Keyring or KWallet, then restart KickTalk to encrypt it."
+        : "KickTalk could not access the system keychain to encrypt your session. Restart KickTalk to try again.",
+    buttons: ["OK"],
+  });
+};
+
+// Falls back to the next account, or signs out completely when it was the last one
+const removeAccount = async (accountId) => {
+  const accounts = getStoredAccounts().filter(({ id }) => String(id) !== String(accountId));
+  const wasActive = String(authStore.get("ACTIVE_ACCOUNT_ID")) === String(accountId);
+
+  storeAccounts(accounts);
+
+  if (wasActive) {
+    if (accounts.length) {
+      await setActiveAccount(accounts[0]);
+    } else {
+      await clearAuthTokens();
+    }
+  }
+
+  broadcastAccounts();
+  return wasActive;
+};
+
 const clearAuthTokens = async () => {
   try {
-    authStore.clear();
+    // Only tokens and accounts, the unencrypted warning should still show once
+    authStore.delete("SESSION_TOKEN");
+    authStore.delete("KICK_SESSION");
+    authStore.delete("ACTIVE_ACCOUNT_ID");
+    authStore.set("ACCOUNTS", []);
     await session.defaultSession.clearStorageData({
       storages: ["cookies"],
     });
@@ -75,10 +301,12 @@ let replyThreadInfo = null;
 let mainWindow = null;
 let userDialog = null;
 let authDialog = null;
+let authDialogAddAccount = false;
 let chattersDialog = null;
 let settingsDialog = null;
 let searchDialog = null;
 let replyThreadDialog = null;
+const popoutWindows = new Map(); // Popped out chatroom windows by chatroom id
 let availableNotificationSounds = [];
 
 // Notification Sounds Handler
@@ -212,6 +440,20 @@ ipcMain.handle("store:set", (e, { key, value }) => {
     window.webContents.send("store:updated", { [key]: value });
   });
 
+  if (key === "shortcuts") {
+    shortcutBindings = getShortcutBindings(value);
+    registerGlobalShortcuts();
+  }
+
+  if (key === "overlay") {
+    syncOverlayServer();
+    broadcastOverlaySettings(value);
+  }
+
+  if (key === "developer") {
+    syncSocketDebugging();
+  }
+
   if (key === "general") {
     if (process.platform === "darwin") {
       mainWindow.setVisibleOnAllWorkspaces(value.alwaysOnTop, { visibleOnFullScreen: true });
@@ -223,7 +465,7 @@ ipcMain.handle("store:set", (e, { key, value }) => {
     }
 
     // Handle auto-update setting changes
-    if (value.hasOwnProperty('autoUpdate') && value.autoUpdate === false) {
+    if (value.hasOwnProperty("autoUpdate") && value.autoUpdate === false) {
       // Dismiss any active update notifications when auto-update is disabled
       mainWindow.webContents.send("autoUpdater:dismiss");
     }
@@ -348,6 +590,7 @@ ipcMain.handle("chatLogs:get", async (e, { data }) => {
 
 ipcMain.handle("chatLogs:add", async (e, { data }) => {
   const { chatroomId, userId, message } = data;
+  archiveMessage(chatroomId, message);
   return addUserLog(chatroomId, userId, message);
 });
 
@@ -374,10 +617,13 @@ ipcMain.handle("replyLogs:get", async (e, { data }) => {
 
 ipcMain.handle("replyLogs:add", async (e, data) => {
   const { message, chatroomId } = data;
+  archiveMessage(chatroomId, message);
   return addReplyLog(chatroomId, message);
 });
 
 ipcMain.handle("logs:updateDeleted", async (e, { chatroomId, messageId }) => {
+  markArchivedMessageDeleted(chatroomId, messageId);
+
   let updated = false;
   userLogsStore.forEach((userLogs, key) => {
     if (key.startsWith(`${chatroomId}-`)) {
@@ -407,6 +653,266 @@ ipcMain.handle("replyLogs:updateDeleted", async (e, { chatroomId, messageId }) =
   return updated;
 });
 
+// [Chat Archive Handlers]
+ipcMain.handle("chatArchive:search", async (e, { filters }) => {
+  try {
+    return await searchArchive(filters);
+  } catch (error) {
+    console.error("[Chat Archive]: Search failed:", error);
+    return { messages: [], hasMore: false, cursor: null };
+  }
+});
+
+ipcMain.handle("chatArchive:getSize", async () => {
+  return await getArchiveSize();
+});
+
+ipcMain.handle("chatArchive:prune", async () => {
+  await pruneArchive();
+  return await getArchiveSize();
+});
+
+ipcMain.handle("chatArchive:clear", async () => {
+  await clearArchive();
+  return 0;
+});
+
+// [Mod Log Handlers]
+ipcMain.handle("modLog:add", async (e, { entry }) => {
+  addModLogEntry(entry);
+
+  BrowserWindow.getAllWindows().forEach((window) => {
+    window.webContents.send("modLog:updated", { chatroomId: entry?.chatroomId });
+  });
+});
+
+ipcMain.handle("modLog:search", async (e, { filters }) => {
+  try {
+    return await searchModLog(filters);
+  } catch (error) {
+    console.error("[Mod Log]: Search failed:", error);
+    return [];
+  }
+});
+
+ipcMain.handle("modLog:export", async (e, { filters, channelName }) => {
+  const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(e.sender) || mainWindow, {
+    title: "Export Mod Log",
+    defaultPath: `${channelName || filters?.chatroomId}-mod-log.csv`,
+    filters: [{ name: "CSV Files", extensions: ["csv"] }],
+  });
+
+  if (result.canceled || !result.filePath) return null;
+
+  try {
+    const entries = await searchModLog({ ...filters, limit: 0 });
+    fs.writeFileSync(result.filePath, formatModLogCsv(entries.reverse()), "utf8");
+    return result.filePath;
+  } catch (error) {
+    console.error("[Mod Log]: Failed to export log:", error);
+    return null;
+  }
+});
+
+ipcMain.handle("modLog:clear", async (e, { chatroomId }) => {
+  await clearModLog(chatroomId);
+
+  BrowserWindow.getAllWindows().forEach((window) => {
+    window.webContents.send("modLog:updated", { chatroomId });
+  });
+});
+
+// Custom Themes
+ipcMain.handle("themes:export", async (e, { theme }) => {
+  const result = await dialog.showSaveDialog(settingsDialog || mainWindow, {
+    title: "Export Theme",
+    defaultPath: `${theme?.name || "theme"}.json`,
+    filters: [{ name: "Theme Files", extensions: ["json"] }],
+  });
+
+  if (result.canceled || !result.filePath) return null;
+
+  try {
+    const { name, base, variables } = theme;
+    fs.writeFileSync(result.filePath, JSON.stringify({ name, base, variables }, null, 2));
+    return result.filePath;
+  } catch (error) {
+    console.error("[Themes]: Failed to export theme:", error);
+    return null;
+  }
+});
+
+ipcMain.handle("themes:import", async () => {
+  const result = await dialog.showOpenDialog(settingsDialog || mainWindow, {
+    title: "Import Theme",
+    filters: [{ name: "Theme Files", extensions: ["json"] }],
+    properties: ["openFile"],
+  });
+
+  if (result.canceled || !result.filePaths.length) return null;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(result.filePaths[0], "utf8"));
+
+    // Only keep CSS variables, a shared file can't inject anything else into the app
+    const variables = Object.fromEntries(
+      Object.entries(data?.variables || {}).filter(
+        ([name, value]) => /^--[\w-]+$/.test(name) && typeof value === "string" && !/[;{}]/.test(value),
+      ),
+    );
+
+    return {
+      name:
+        typeof data?.name === "string" && data.name.trim()
+          ? data.name.trim().slice(0, 32)
+          : basename(result.filePaths[0], ".json"),
+      base: builtInThemes.includes(data?.base) ? data.base : "default",
+      variables,
+    };
+  } catch (error) {
+    console.error("[Themes]: Failed to import theme:", error);
+    return null;
+  }
+});
+
+// Stream Overlay
+const syncOverlayServer = () => {
+  if (!store.get("overlay.enabled")) return stopOverlayServer();
+
+  startOverlayServer({
+    rendererPath: join(__dirname, "../renderer"),
+    rendererUrl: isDev ? process.env["ELECTRON_RENDERER_URL"] : null,
+  });
+};
+
+ipcMain.handle("overlay:broadcast", (e, { event }) => {
+  broadcastOverlayEvent(event);
+});
+
+// Socket Recording & Replay
+let socketDebuggingSync = null;
+
+const syncSocketDebugging = () => {
+  const previousSync = socketDebuggingSync;
+
+  socketDebuggingSync = (async () => {
+    await previousSync;
+    const developer = store.get("developer") || {};
+
+    if (developer.recordSockets) {
+      startRecording();
+    } else {
+      await stopRecording();
+    }
+
+    if (!developer.replayEnabled || !developer.replayFile) return stopReplayServer();
+
+    try {
+      await startReplayServer({
+        filePath: join(getRecordingsDir(), basename(developer.replayFile)),
+        speed: developer.replaySpeed,
+      });
+    } catch (error) {
+      console.error("[Socket Replay]: Failed to start replay server:", error);
+      stopReplayServer();
+    }
+  })();
+
+  return socketDebuggingSync;
+};
+
+ipcMain.on("socketRecorder:record", (e, { frame }) => {
+  recordFrame(frame);
+});
+
+ipcMain.handle("socketRecorder:list", () => listRecordings());
+
+ipcMain.handle("socketRecorder:openFolder", async () => {
+  await fs.promises.mkdir(getRecordingsDir(), { recursive: true });
+  return shell.openPath(getRecordingsDir());
+});
+
+// Null unless a recording is being replayed, wait for a settings change to apply first
+ipcMain.handle("socketReplay:getUrls", async () => {
+  await socketDebuggingSync;
+  return getReplayUrls();
+});
+
+// REST requests made by the renderer: the recorded response while replaying, or whether to record the live one
+ipcMain.handle("socketReplay:getResponse", async (e, { request, args = [] }) => {
+  await socketDebuggingSync;
+  if (isReplaying()) return getReplayResponse(request, args);
+
+  return isRecording() ? { record: true } : null;
+});
+
+// Signed in requests a replay needs to load a chatroom, with the user's own vote taken out before recording.
+// Nothing else sent with the session is recorded, recordings end up attached to bug reports
+const omitFromResponse = (key, fields) => (response) => {
+  const value = response?.data?.data?.[key];
+  if (!value) return response;
+
+  const redacted = Object.fromEntries(Object.entries(value).filter(([field]) => !fields.includes(field)));
+  return { ...response, data: { ...response.data, data: { ...response.data.data, [key]: redacted } } };
+};
+
+const recordedAuthRequests = {
+  getInitialPollInfo: omitFromResponse("poll", ["has_voted", "voted_option_id"]),
+  getInitialPredictionInfo: omitFromResponse("prediction", ["user_vote"]),
+};
+
+// Replays answer from the recording without going online, recordings keep the allowed responses to replay later
+const runRecordedRequest = async (request, args, sendRequest) => {
+  await socketDebuggingSync;
+  if (isReplaying()) return getReplayResponse(request, args);
+
+  const redactResponse = recordedAuthRequests[request];
+
+  try {
+    const response = toSerializableResponse(await sendRequest());
+    if (redactResponse) recordFrame({ source: "rest", type: "response", request, args, data: redactResponse(response) });
+    return { response };
+  } catch (error) {
+    const serializedError = toSerializableError(error);
+    if (redactResponse) recordFrame({ source: "rest", type: "error", request, args, data: serializedError });
+    return { error: serializedError };
+  }
+};
+
+// Desktop Notifications
+const activeNotifications = new Set(); // Keep a reference so click handlers aren't garbage collected
+
+ipcMain.handle("notifications:show", (e, { data }) => {
+  if (!mainWindow || !Notification.isSupported()) return false;
+
+  // The user is already looking at the chat
+  if (mainWindow.isVisible() && mainWindow.isFocused() && !mainWindow.isMinimized()) return false;
+
+  const notification = new Notification({
+    title: data.title,
+    body: data.body,
+    icon: iconPath,
+    silent: true, // Sounds are played by the renderer
+  });
+
+  activeNotifications.add(notification);
+
+  notification.on("click", () => {
+    activeNotifications.delete(notification);
+    if (!mainWindow) return;
+
+    if (mainWindow.isMinimized()) mainWindow.restore();
+    mainWindow.show();
+    mainWindow.focus();
+    mainWindow.webContents.send("notifications:clicked", { chatroomId: data.chatroomId, messageId: data.messageId });
+  });
+
+  notification.on("close", () => activeNotifications.delete(notification));
+  notification.show();
+
+  return true;
+});
+
 // Handle window focus
 ipcMain.handle("bring-to-front", () => {
   if (mainWindow) {
@@ -481,8 +987,25 @@ const createWindow = () => {
     store.set("lastMainWindowState", { ...mainWindow.getNormalBounds() });
   });
 
-  mainWindow.on("close", () => {
+  mainWindow.on("minimize", () => {
+    if (store.get("general.minimizeToTray")) mainWindow.hide();
+  });
+
+  mainWindow.on("show", () => updateTray());
+  mainWindow.on("hide", () => updateTray());
+
+  mainWindow.on("close", (e) => {
     store.set("lastMainWindowState", { ...mainWindow.getNormalBounds() });
+
+    // Keep running in the tray until quit from the tray menu
+    if (store.get("general.closeToTray") && !isQuitting) {
+      e.preventDefault();
+      mainWindow.hide();
+      return;
+    }
+
+    // Pop-outs aren't children of the main window, so close them with it
+    popoutWindows.forEach((popoutWindow) => popoutWindow.close());
   });
 
   mainWindow.webContents.setWindowOpenHandler((details) => {
@@ -501,13 +1024,18 @@ const createWindow = () => {
   }
 };
 
-const loginToKick = async (method) => {
+const loginToKick = async (method, addAccount = false) => {
   const authSession = {
     token: await retrieveToken("SESSION_TOKEN"),
     session: await retrieveToken("KICK_SESSION"),
   };
 
-  if (authSession.token && authSession.session) return true;
+  if (authSession.token && authSession.session && !addAccount) return true;
+
+  // Kick's cookies still belong to the signed in account, which is already saved
+  if (addAccount) {
+    await session.defaultSession.clearStorageData({ storages: ["cookies"] });
+  }
 
   const mainWindowPos = mainWindow.getPosition();
   const mainWindowSize = mainWindow.getSize();
@@ -575,8 +1103,17 @@ const loginToKick = async (method) => {
         const sessionToken = decodeURIComponent(sessionCookie.value);
         const kickSessionValue = decodeURIComponent(kickSession.value);
 
-        await storeToken("SESSION_TOKEN", sessionToken);
-        await storeToken("KICK_SESSION", kickSessionValue);
+        try {
+          await saveAccount(sessionToken, kickSessionValue);
+        } catch (error) {
+          // Keep the tokens anyway, the account is saved on the next launch
+          console.error("[Accounts]: Error saving account:", error);
+          authStore.delete("ACTIVE_ACCOUNT_ID");
+          await storeToken("SESSION_TOKEN", sessionToken);
+          await storeToken("KICK_SESSION", kickSessionValue);
+        }
+
+        if (!isTokenEncryptionAvailable()) warnUnencryptedTokens();
 
         loginDialog.close();
         authDialog.close();
@@ -602,67 +1139,220 @@ const loginToKick = async (method) => {
   });
 };
 
+// Keyboard Shortcuts
+let shortcutBindings = getShortcutBindings(store.get("shortcuts"));
+
+const setZoomFactor = (zoomFactor) => {
+  mainWindow.webContents.setZoomFactor(zoomFactor);
+  store.set("zoomFactor", zoomFactor);
+};
+
+const zoomIn = () => {
+  if (mainWindow.webContents.getZoomFactor() < 1.5) {
+    setZoomFactor(mainWindow.webContents.getZoomFactor() + 0.1);
+  }
+};
+
+const zoomOut = () => {
+  if (mainWindow.webContents.getZoomFactor() > 0.8) {
+    setZoomFactor(mainWindow.webContents.getZoomFactor() - 0.1);
+  }
+};
+
+const toggleMainWindow = () => {
+  if (!mainWindow) return;
+
+  if (mainWindow.isVisible() && mainWindow.isFocused()) {
+    mainWindow.hide();
+    return;
+  }
+
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.show();
+  mainWindow.focus();
+};
+
+// Shortcuts handled here instead of in the renderer
+const mainShortcutHandlers = {
+  zoomIn,
+  zoomOut,
+  zoomReset: () => setZoomFactor(1),
+  toggleWindow: toggleMainWindow,
+};
+
+const registerGlobalShortcuts = () => {
+  globalShortcut.unregisterAll();
+  if (!store.get("shortcuts.globalEnabled")) return;
+
+  Object.entries(shortcutActions)
+    .filter(([, { global }]) => global)
+    .forEach(([action]) => {
+      shortcutBindings[action].forEach((keys) => {
+        const accelerator = toAccelerator(keys);
+
+        try {
+          if (!globalShortcut.register(accelerator, mainShortcutHandlers[action])) {
+            console.warn(`[Shortcuts]: ${accelerator} is already in use by another application`);
+          }
+        } catch (error) {
+          console.error(`[Shortcuts]: Failed to register ${accelerator}:`, error);
+        }
+      });
+    });
+};
+
 const setupLocalShortcuts = () => {
   mainWindow.webContents.on("zoom-changed", (event, zoomDirection) => {
     if (zoomDirection === "in") {
       event.preventDefault();
-      if (mainWindow.webContents.getZoomFactor() < 1.5) {
-        const newZoomFactor = mainWindow.webContents.getZoomFactor() + 0.1;
-        mainWindow.webContents.setZoomFactor(newZoomFactor);
-        store.set("zoomFactor", newZoomFactor);
-      }
+      zoomIn();
     } else if (zoomDirection === "out") {
       event.preventDefault();
-      if (mainWindow.webContents.getZoomFactor() > 0.8) {
-        const newZoomFactor = mainWindow.webContents.getZoomFactor() - 0.1;
-        mainWindow.webContents.setZoomFactor(newZoomFactor);
-        store.set("zoomFactor", newZoomFactor);
-      }
+      zoomOut();
     }
   });
 
   mainWindow.webContents.on("before-input-event", (event, input) => {
-    if (!mainWindow.isFocused()) return;
+    if (!mainWindow.isFocused() || input.type !== "keyDown") return;
 
-    if (input.control || input.meta) {
-      // if mouse scroll up zoom in mouse only
+    const action = findShortcutAction(shortcutBindings, getShortcutKeys(input));
+    if (!action || !mainShortcutHandlers[action] || shortcutActions[action].global) return;
 
-      if (input.key === "=" || input.key === "+") {
-        event.preventDefault();
-        if (mainWindow.webContents.getZoomFactor() < 1.5) {
-          const newZoomFactor = mainWindow.webContents.getZoomFactor() + 0.1;
-          mainWindow.webContents.setZoomFactor(newZoomFactor);
-          store.set("zoomFactor", newZoomFactor);
-        }
-      }
+    event.preventDefault();
+    mainShortcutHandlers[action]();
+  });
+};
 
-      // Zoom out with Ctrl/Cmd + Minus
-      else if (input.key === "-") {
-        event.preventDefault();
-        if (mainWindow.webContents.getZoomFactor() > 0.8) {
-          const newZoomFactor = mainWindow.webContents.getZoomFactor() - 0.1;
-          mainWindow.webContents.setZoomFactor(newZoomFactor);
-          store.set("zoomFactor", newZoomFactor);
-        }
-      }
+// Tray
+let isQuitting = false;
+let trayData = { chatrooms: [], unreadMentions: 0 };
+let unreadTrayIcon = null;
+
+// The app icon with a red dot in the corner, shown while there are unread mentions
+const getUnreadTrayIcon = () => {
+  if (unreadTrayIcon) return unreadTrayIcon;
+
+  const icon = nativeImage.createFromPath(iconPath).resize({ width: 32, height: 32 });
+  const { width, height } = icon.getSize();
+  const bitmap = Buffer.from(icon.toBitmap()); // BGRA pixels
+  const radius = width * 0.22;
+  const centerX = width - radius - 1;
+  const centerY = radius + 1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if ((x - centerX) ** 2 + (y - centerY) ** 2 > radius ** 2) continue;
+
+      const index = (y * width + x) * 4;
+      bitmap[index] = 0x3b;
+      bitmap[index + 1] = 0x3b;
+      bitmap[index + 2] = 0xff;
+      bitmap[index + 3] = 0xff;
+    }
+  }
 
-      // Reset zoom with Ctrl/Cmd + 0
-      else if (input.key === "0") {
-        event.preventDefault();
-        const newZoomFactor = 1;
-        mainWindow.webContents.setZoomFactor(newZoomFactor);
-        store.set("zoomFactor", newZoomFactor);
-      }
+  unreadTrayIcon = nativeImage.createFromBitmap(bitmap, { width, height });
+  return unreadTrayIcon;
+};
+
+const showMainWindow = () => {
+  if (!mainWindow) return;
+
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.show();
+  mainWindow.focus();
+};
+
+const setDoNotDisturb = (doNotDisturb) => {
+  const notifications = { ...store.get("notifications"), doNotDisturb };
+  store.set("notifications", notifications);
+
+  BrowserWindow.getAllWindows().forEach((window) => {
+    window.webContents.send("store:updated", { notifications });
+  });
+
+  updateTray();
+};
+
+const updateTray = () => {
+  if (!tray) return;
+
+  const { chatrooms, unreadMentions } = trayData;
+  const isWindowVisible = mainWindow?.isVisible();
+
+  const chatroomItems = chatrooms.length
+    ? chatrooms.map((chatroom) => ({
+        label: chatroom.isLive ? `${chatroom.name}  ● Live` : chatroom.name,
+        click: () => {
+          showMainWindow();
+          mainWindow?.webContents.send("tray:selectChatroom", { chatroomId: chatroom.id });
+        },
+      }))
+    : [{ label: "No Chatrooms", enabled: false }];
+
+  const menu = Menu.buildFromTemplate([
+    {
+      label: isWindowVisible ? "Hide KickTalk" : "Show KickTalk",
+      click: () => (isWindowVisible ? mainWindow?.hide() : showMainWindow()),
+    },
+    { type: "separator" },
+    ...chatroomItems,
+    { type: "separator" },
+    {
+      label: unreadMentions ? `Mark All Mentions Read (${unreadMentions})` : "Mark All Mentions Read",
+      enabled: unreadMentions > 0,
+      click: () => mainWindow?.webContents.send("tray:markMentionsRead"),
+    },
+    {
+      label: "Do Not Disturb",
+      type: "checkbox",
+      checked: !!store.get("notifications.doNotDisturb"),
+      click: (item) => setDoNotDisturb(item.checked),
+    },
+    { type: "separator" },
+    {
+      label: "Quit KickTalk",
+      click: () => {
+        isQuitting = true;
+        app.quit();
+      },
+    },
+  ]);
+
+  tray.setContextMenu(menu);
+  tray.setImage(unreadMentions ? getUnreadTrayIcon() : iconPath);
+  tray.setToolTip(unreadMentions ? `KickTalk - ${unreadMentions} unread mention${unreadMentions === 1 ? "" : "s"}` : "KickTalk");
+};
+
+const setupTray = () => {
+  tray = new Tray(iconPath);
+  tray.setToolTip("KickTalk");
+
+  tray.on("click", () => {
+    if (mainWindow?.isVisible() && mainWindow.isFocused()) {
+      mainWindow.hide();
+    } else {
+      showMainWindow();
     }
   });
+
+  updateTray();
 };
 
+ipcMain.handle("tray:update", (e, { data }) => {
+  trayData = {
+    chatrooms: data?.chatrooms || [],
+    unreadMentions: data?.unreadMentions || 0,
+  };
+
+  updateTray();
+});
+
 // This method will be called when Electron has finished
 // initialization and is ready to create browser windows.
 // Some APIs can only be used after this event occurs.
 app.whenReady().then(() => {
-  tray = new Tray(iconPath);
-  tray.setToolTip("KickTalk");
+  setupTray();
 
   // Set the icon for the app
   if (process.platform === "win32") {
@@ -683,6 +1373,7 @@ app.whenReady().then(() => {
   ipcMain.on("ping", () => console.log("pong"));
 
   createWindow();
+  migrateTokenStorage().then(migrateSignedInAccount);
 
   // Initialize auto-updater
   update(mainWindow);
@@ -691,33 +1382,178 @@ app.whenReady().then(() => {
     // On macOS it's common to re-create a window in the app when the
     // dock icon is clicked and there are no other windows open.
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
+    else showMainWindow();
   });
 
   // Set up local shortcuts instead of global ones
   setupLocalShortcuts();
+
+  // Chat sockets don't survive sleep, have the main window reconnect them on wake
+  powerMonitor.on("resume", () => {
+    mainWindow?.webContents.send("connection:resume");
+  });
+
+  // Drop archived chat and mod log entries older than their retention settings, then keep checking while running
+  pruneArchive();
+  pruneModLog();
+  setInterval(
+    () => {
+      pruneArchive();
+      pruneModLog();
+    },
+    6 * 60 * 60 * 1000,
+  );
+
+  syncOverlayServer();
+  syncSocketDebugging();
+  registerGlobalShortcuts();
 });
 
-// Logout Handler
+app.on("will-quit", () => {
+  globalShortcut.unregisterAll();
+});
+
+app.on("before-quit", () => {
+  isQuitting = true;
+  flushArchiveSync();
+  flushModLogSync();
+  flushRecordingSync();
+  stopReplayServer();
+  stopOverlayServer();
+});
+
+// Logout Handler, signs out of the active account and keeps the others
 ipcMain.handle("logout", () => {
+  const activeAccount = getAccounts().find((account) => account.active);
+
   dialog
     .showMessageBox(settingsDialog, {
       type: "question",
       title: "Sign Out",
-      message: "Are you sure you want to sign out?",
+      message: activeAccount
+        ? `Are you sure you want to sign out of ${activeAccount.username}?`
+        : "Are you sure you want to sign out?",
       buttons: ["Yes", "Cancel"],
     })
     // Dialog returns a promise so let's handle it correctly
-    .then((result) => {
+    .then(async (result) => {
       if (result.response !== 0) return;
 
       if (result.response === 0) {
-        clearAuthTokens();
+        if (activeAccount) {
+          await removeAccount(activeAccount.id);
+        } else {
+          await clearAuthTokens();
+        }
+
         mainWindow.webContents.reload();
         settingsDialog.close();
       }
     });
 });
 
+// [Account Handlers]
+ipcMain.handle("accounts:list", () => getAccounts());
+
+ipcMain.handle("accounts:switch", async (e, { accountId }) => {
+  const account = getStoredAccounts().find(({ id }) => String(id) === String(accountId));
+  if (!account) return false;
+
+  await setActiveAccount(account);
+  broadcastAccounts();
+  mainWindow.webContents.reload();
+
+  return true;
+});
+
+ipcMain.handle("accounts:remove", async (e, { accountId }) => {
+  if (await removeAccount(accountId)) {
+    mainWindow.webContents.reload();
+  }
+});
+
+// [Kick API Handlers]
+// Requests that need the session run here, so tokens never leave the main process
+const authRequests = {
+  sendMessageToChannel,
+  sendReplyToChannel,
+  getSelfInfo,
+  getSelfChatroomInfo,
+  getSilencedUsers,
+  getInitialPollInfo,
+  getSubmitPollVote,
+  getInitialPredictionInfo,
+  getSubmitPredictionVote,
+  getKickAuthForEvents,
+  getBanUser,
+  getUnbanUser,
+  getTimeoutUser,
+  getDeleteMessage,
+  getSilenceUser,
+  getUnsilenceUser,
+  getPinMessage,
+  getUnpinMessage,
+  getUpdateTitle,
+  getClearChatroom,
+  getUpdateSlowmode,
+  getUpdateChatModes,
+  getCreatePoll,
+  getDeletePoll,
+  getUpdatePrediction,
+  getModerateUser,
+  getUnmoderateUser,
+  getVipUser,
+  getUnvipUser,
+  getOGUser,
+  getUnogUser,
+};
+
+// Axios responses and errors can't be sent over IPC, so only the parts the renderer reads are kept
+ipcMain.handle("kick:authRequest", async (e, { request, args = [], accountId }) => {
+  if (!authRequests[request]) {
+    console.error("[Kick API]: Unknown request:", request);
+    return null;
+  }
+
+  const { token, session: kickSession } = await getAccountTokens(accountId);
+  if (!token || !kickSession) {
+    console.warn("Unauthorized: No token or session found");
+    return null;
+  }
+
+  // Tokens are added after the arguments, so they never end up in a recording
+  return runRecordedRequest(request, args, () => authRequests[request](...args, token, kickSession));
+});
+
+ipcMain.handle("auth:hasToken", async () => !!((await retrieveToken("SESSION_TOKEN")) && (await retrieveToken("KICK_SESSION"))));
+
+// The active account's session expired, the next account takes over if there is one.
+// Every window checks its session on load, so it's checked again here before anything is removed.
+ipcMain.handle("auth:clearExpiredSession", async () => {
+  const { token, session: kickSession } = await getAccountTokens();
+  if (!token || !kickSession) return;
+
+  try {
+    const { data } = await getSelfInfo(token, kickSession);
+    if (data?.id) return;
+  } catch (error) {
+    // Keep the session when Kick can't be reached
+    console.error("[Auth Token]: Error checking session:", error);
+    return;
+  }
+
+  const activeAccountId = authStore.get("ACTIVE_ACCOUNT_ID");
+
+  if (!activeAccountId) {
+    authStore.delete("SESSION_TOKEN");
+    authStore.delete("KICK_SESSION");
+    return;
+  }
+
+  await removeAccount(activeAccountId);
+  if (authStore.get("ACCOUNTS").length) mainWindow.webContents.reload();
+});
+
 // User Dialog Handler
 ipcMain.handle("userDialog:open", (e, { data }) => {
   dialogInfo = {
@@ -804,7 +1640,9 @@ ipcMain.handle("userDialog:pin", async (e, forcePinState) => {
 });
 
 // Auth Dialog Handler
-ipcMain.handle("authDialog:open", (e) => {
+ipcMain.handle("authDialog:open", (e, { data } = {}) => {
+  authDialogAddAccount = !!data?.addAccount;
+
   const mainWindowPos = mainWindow.getPosition();
   const currentDisplay = screen.getDisplayNearestPoint({
     x: mainWindowPos[0],
@@ -855,12 +1693,13 @@ ipcMain.handle("authDialog:open", (e) => {
 
   authDialog.on("closed", () => {
     authDialog = null;
+    authDialogAddAccount = false;
   });
 });
 
 ipcMain.handle("authDialog:auth", async (e, { data }) => {
   if (data.type) {
-    const result = await loginToKick(data.type);
+    const result = await loginToKick(data.type, authDialogAddAccount);
     if (result) {
       authDialog.close();
       authDialog = null;
@@ -1146,6 +1985,13 @@ ipcMain.handle("settingsDialog:close", () => {
 
 // Reply Input Handler
 ipcMain.handle("reply:open", (e, { data }) => {
+  // Replies from a popped out chatroom stay in that window
+  const popoutWindow = BrowserWindow.fromWebContents(e.sender);
+  if (popoutWindow && [...popoutWindows.values()].includes(popoutWindow)) {
+    popoutWindow.webContents.send("reply:data", data);
+    return;
+  }
+
   mainWindow.webContents.send("reply:data", data);
 });
 
@@ -1218,3 +2064,111 @@ ipcMain.handle("replyThreadDialog:close", () => {
     replyThreadDialog = null;
   }
 });
+
+// Pop-out Chatroom Windows
+const getPopoutChatroomId = (webContents) => {
+  for (const [chatroomId, popoutWindow] of popoutWindows) {
+    if (popoutWindow.webContents === webContents) return chatroomId;
+  }
+
+  return null;
+};
+
+const savePopoutWindowState = (slug, popoutWindow) => {
+  store.set("popoutWindowStates", { ...store.get("popoutWindowStates"), [slug]: popoutWindow.getNormalBounds() });
+};
+
+ipcMain.handle("popoutWindow:open", (e, { data }) => {
+  const { chatroomId, slug } = data;
+
+  if (popoutWindows.has(chatroomId)) {
+    popoutWindows.get(chatroomId).focus();
+    return;
+  }
+
+  const mainWindowPos = mainWindow.getPosition();
+  const savedState = store.get("popoutWindowStates")?.[slug];
+
+  const popoutWindow = new BrowserWindow({
+    width: savedState?.width || 400,
+    minWidth: 335,
+    height: savedState?.height || 700,
+    minHeight: 250,
+    x: savedState?.x ?? mainWindowPos[0] + 100,
+    y: savedState?.y ?? mainWindowPos[1] + 100,
+    show: false,
+    resizable: true,
+    frame: false,
+    backgroundColor: "#06190e",
+    roundedCorners: true,
+    icon: iconPath,
+    webPreferences: {
+      devtools: true,
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: join(__dirname, "../preload/index.js"),
+      sandbox: false,
+      backgroundThrottling: false,
+    },
+  });
+
+  popoutWindows.set(chatroomId, popoutWindow);
+
+  if (isDev && process.env["ELECTRON_RENDERER_URL"]) {
+    popoutWindow.loadURL(`${process.env["ELECTRON_RENDERER_URL"]}/popout.html?chatroomId=${chatroomId}`);
+  } else {
+    popoutWindow.loadFile(join(__dirname, "../renderer/popout.html"), { query: { chatroomId: String(chatroomId) } });
+  }
+
+  popoutWindow.webContents.setZoomFactor(store.get("zoomFactor"));
+  popoutWindow.webContents.setWindowOpenHandler((details) => {
+    shell.openExternal(details.url);
+    return { action: "deny" };
+  });
+
+  popoutWindow.once("ready-to-show", () => {
+    popoutWindow.show();
+    popoutWindow.setAlwaysOnTop(true, "screen-saver");
+
+    if (isDev) {
+      popoutWindow.webContents.openDevTools({ mode: "detach" });
+    }
+  });
+
+  popoutWindow.on("resize", () => savePopoutWindowState(slug, popoutWindow));
+  popoutWindow.on("move", () => savePopoutWindowState(slug, popoutWindow));
+  popoutWindow.on("close", () => savePopoutWindowState(slug, popoutWindow));
+
+  popoutWindow.on("closed", () => {
+    popoutWindows.delete(chatroomId);
+
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("popoutWindow:closed", { chatroomId });
+    }
+  });
+});
+
+ipcMain.handle("popoutWindow:close", (e, { chatroomId } = {}) => {
+  try {
+    const popoutWindow = popoutWindows.get(chatroomId ?? getPopoutChatroomId(e.sender));
+    popoutWindow?.close();
+  } catch (error) {
+    console.error("[Popout Window]: Error closing window:", error);
+  }
+});
+
+// The pop-out asks for a full snapshot once it's listening, the main window owns the connection
+ipcMain.handle("popoutWindow:ready", (e) => {
+  const chatroomId = getPopoutChatroomId(e.sender);
+  if (chatroomId !== null) mainWindow?.webContents.send("popoutWindow:ready", { chatroomId });
+});
+
+ipcMain.handle("popoutWindow:sync", (e, { chatroomId, data }) => {
+  popoutWindows.get(chatroomId)?.webContents.send("popoutWindow:data", data);
+});
+
+// Store actions from a pop-out run in the main window so its state stays the source of truth
+ipcMain.handle("popoutWindow:action", (e, { action, args }) => {
+  const chatroomId = getPopoutChatroomId(e.sender);
+  if (chatroomId !== null) mainWindow?.webContents.send("popoutWindow:action", { chatroomId, action, args });
+});
@@ -0,0 +1,387 @@
+import { app } from "electron";
+import { join } from "path";
+import fs from "fs";
+import readline from "readline";
+import store from "../../../utils/config";
+
+// Append-only archive: one JSONL file per chatroom per day, with sidecar indexes of the users in that file
+// and of the messages deleted that day
+// chatArchive/<chatroomId>/<YYYY-MM-DD>.jsonl
+// chatArchive/<chatroomId>/<YYYY-MM-DD>.users.json
+// chatArchive/<chatroomId>/<YYYY-MM-DD>.deleted.json
+
+const FLUSH_INTERVAL = 1000;
+const RECENT_ID_LIMIT = 5000;
+const DAY_FILE_REGEX = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const DELETED_FILE_REGEX = /^(\d{4}-\d{2}-\d{2})\.deleted\.json$/;
+const ARCHIVE_FILE_REGEX = /^(\d{4}-\d{2}-\d{2})\./;
+
+const pendingWrites = new Map(); // filePath -> lines[]
+const dayIndexes = new Map(); // indexPath -> Set of user ids or deleted message ids
+const pendingIndexes = new Set(); // indexPaths changed since the last flush
+const recentIds = new Map(); // chatroomId -> Set of recently archived message ids
+let flushTimer = null;
+let flushPromise = null;
+
+const getArchiveDir = () => join(app.getPath("userData"), "chatArchive");
+const getChatroomDir = (chatroomId) => join(getArchiveDir(), String(chatroomId));
+
+const getDayKey = (date) => {
+  const parsed = new Date(date);
+  return (isNaN(parsed) ? new Date() : parsed).toISOString().slice(0, 10);
+};
+
+const isArchiveEnabled = () => store.get("chatArchive.enabled") !== false;
+
+const loadDayIndex = (indexPath) => {
+  if (dayIndexes.has(indexPath)) return dayIndexes.get(indexPath);
+
+  let userIds = new Set();
+  try {
+    if (fs.existsSync(indexPath)) {
+      userIds = new Set(JSON.parse(fs.readFileSync(indexPath, "utf8")));
+    }
+  } catch (error) {
+    console.error("[Chat Archive]: Failed to read day index:", error);
+  }
+
+  dayIndexes.set(indexPath, userIds);
+  return userIds;
+};
+
+const scheduleFlush = () => {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushArchive();
+  }, FLUSH_INTERVAL);
+};
+
+const queueLine = (chatroomId, dayKey, record) => {
+  const chatroomDir = getChatroomDir(chatroomId);
+  const filePath = join(chatroomDir, `${dayKey}.jsonl`);
+
+  const lines = pendingWrites.get(filePath) || [];
+  lines.push(JSON.stringify(record));
+  pendingWrites.set(filePath, lines);
+
+  if (record.sender?.id) {
+    queueIndexEntry(join(chatroomDir, `${dayKey}.users.json`), String(record.sender.id));
+  }
+
+  scheduleFlush();
+};
+
+const queueIndexEntry = (indexPath, value) => {
+  const values = loadDayIndex(indexPath);
+  if (values.has(value)) return;
+
+  values.add(value);
+  pendingIndexes.add(indexPath);
+  scheduleFlush();
+};
+
+export const flushArchive = async () => {
+  // Chain flushes so two writers never append to the same file at once
+  const previousFlush = flushPromise;
+
+  flushPromise = (async () => {
+    await previousFlush;
+    if (!pendingWrites.size && !pendingIndexes.size) return;
+
+    const writes = [...pendingWrites.entries()];
+    const indexPaths = [...pendingIndexes];
+    pendingWrites.clear();
+    pendingIndexes.clear();
+
+    for (const [filePath, lines] of writes) {
+      try {
+        await fs.promises.mkdir(join(filePath, ".."), { recursive: true });
+        await fs.promises.appendFile(filePath, `${lines.join("\n")}\n`, "utf8");
+      } catch (error) {
+        console.error("[Chat Archive]: Failed to write archive file:", error);
+      }
+    }
+
+    for (const indexPath of indexPaths) {
+      try {
+        await fs.promises.mkdir(join(indexPath, ".."), { recursive: true });
+        await fs.promises.writeFile(indexPath, JSON.stringify([...loadDayIndex(indexPath)]), "utf8");
+      } catch (error) {
+        console.error("[Chat Archive]: Failed to write day index:", error);
+      }
+    }
+  })();
+
+  return flushPromise;
+};
+
+// Used on quit, where async writes may not finish
+export const flushArchiveSync = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  for (const [filePath, lines] of pendingWrites) {
+    try {
+      fs.mkdirSync(join(filePath, ".."), { recursive: true });
+      fs.appendFileSync(filePath, `${lines.join("\n")}\n`, "utf8");
+    } catch (error) {
+      console.error("[Chat Archive]: Failed to write archive file:", error);
+    }
+  }
+
+  for (const indexPath of pendingIndexes) {
+    try {
+      fs.mkdirSync(join(indexPath, ".."), { recursive: true });
+      fs.writeFileSync(indexPath, JSON.stringify([...loadDayIndex(indexPath)]), "utf8");
+    } catch (error) {
+      console.error("[Chat Archive]: Failed to write day index:", error);
+    }
+  }
+
+  pendingWrites.clear();
+  pendingIndexes.clear();
+};
+
+export const archiveMessage = (chatroomId, message) => {
+  if (!isArchiveEnabled() || !chatroomId || !message?.id) return;
+
+  // Initial history and reconnects resend messages we already have
+  let chatroomIds = recentIds.get(chatroomId);
+  if (!chatroomIds) {
+    chatroomIds = new Set();
+    recentIds.set(chatroomId, chatroomIds);
+  }
+
+  if (chatroomIds.has(message.id)) return;
+  chatroomIds.add(message.id);
+
+  if (chatroomIds.size > RECENT_ID_LIMIT) {
+    chatroomIds.delete(chatroomIds.values().next().value);
+  }
+
+  const createdAt = message.created_at || message.timestamp || new Date().toISOString();
+
+  queueLine(chatroomId, getDayKey(createdAt), {
+    id: message.id,
+    chatroom_id: chatroomId,
+    type: message.type || "message",
+    content: message.content,
+    created_at: createdAt,
+    sender: message.sender
+      ? {
+          id: message.sender.id,
+          username: message.sender.username,
+          slug: message.sender.slug,
+          identity: message.sender.identity,
+        }
+      : null,
+    metadata: message.metadata,
+  });
+};
+
+// Deletions go in today's deleted index, which can hold messages from any earlier day
+export const markArchivedMessageDeleted = (chatroomId, messageId) => {
+  if (!isArchiveEnabled() || !chatroomId || !messageId) return;
+
+  queueIndexEntry(join(getChatroomDir(chatroomId), `${getDayKey()}.deleted.json`), String(messageId));
+};
+
+const listChatroomIds = async () => {
+  try {
+    const entries = await fs.promises.readdir(getArchiveDir(), { withFileTypes: true });
+    return entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+  } catch {
+    return [];
+  }
+};
+
+const listDayFiles = async (chatroomId) => {
+  try {
+    const files = await fs.promises.readdir(getChatroomDir(chatroomId));
+    return files
+      .map((file) => file.match(DAY_FILE_REGEX)?.[1])
+      .filter(Boolean)
+      .map((dayKey) => ({ chatroomId, dayKey, filePath: join(getChatroomDir(chatroomId), `${dayKey}.jsonl`) }));
+  } catch {
+    return [];
+  }
+};
+
+// A message can only be deleted on or after the day it was sent, so older deleted indexes are skipped
+const loadDeletedIds = async (chatroomIds, fromDay) => {
+  const deletedIds = new Set();
+
+  for (const chatroomId of chatroomIds) {
+    let files = [];
+    try {
+      files = await fs.promises.readdir(getChatroomDir(chatroomId));
+    } catch {
+      continue;
+    }
+
+    for (const file of files) {
+      const dayKey = file.match(DELETED_FILE_REGEX)?.[1];
+      if (!dayKey || (fromDay && dayKey < fromDay)) continue;
+
+      loadDayIndex(join(getChatroomDir(chatroomId), file)).forEach((id) => deletedIds.add(id));
+    }
+  }
+
+  return deletedIds;
+};
+
+// Newest first, messages sent in the same millisecond are ordered by id so paging never skips one
+const compareNewestFirst = (a, b) => b.time - a.time || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+
+const readDayFile = async (filePath, matches) => {
+  const results = [];
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: "utf8" }),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line) continue;
+
+    try {
+      const record = JSON.parse(line);
+      if (matches(record)) results.push(record);
+    } catch {
+      // Skip partially written lines
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Search the archive, newest first.
+ * Filters: chatroomId, query (content), username, userId, from/to (dates), types, before ({ createdAt, id } cursor).
+ * Returns a page of messages in chronological order and the cursor for the next (older) page.
+ */
+export const searchArchive = async ({ chatroomId, query, username, userId, from, to, types, before, limit = 100 } = {}) => {
+  await flushArchive();
+
+  const transformedQuery = query?.trim().toLowerCase();
+  const transformedUsername = username?.trim().replace(/^@/, "").toLowerCase();
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+  const beforeTime = before?.createdAt ? new Date(before.createdAt).getTime() : null;
+  const beforeCursor = beforeTime ? { time: beforeTime, id: String(before.id ?? "") } : null;
+  const typeFilter = types?.length ? new Set(types) : null;
+
+  const fromDay = fromTime ? getDayKey(fromTime) : null;
+  const toDay = [toTime, beforeTime].filter(Boolean).length ? getDayKey(Math.min(...[toTime, beforeTime].filter(Boolean))) : null;
+
+  const matches = (record) => {
+    const createdAt = new Date(record.created_at).getTime();
+
+    if (beforeCursor && compareNewestFirst(beforeCursor, { time: createdAt, id: String(record.id) }) >= 0) return false;
+    if (fromTime && createdAt < fromTime) return false;
+    if (toTime && createdAt > toTime) return false;
+    if (typeFilter && !typeFilter.has(record.type)) return false;
+    if (userId && String(record.sender?.id) !== String(userId)) return false;
+    if (transformedUsername && record.sender?.username?.toLowerCase() !== transformedUsername) return false;
+    if (transformedQuery && !record.content?.toLowerCase().includes(transformedQuery)) return false;
+
+    return true;
+  };
+
+  const chatroomIds = chatroomId ? [String(chatroomId)] : await listChatroomIds();
+  const dayFiles = (await Promise.all(chatroomIds.map(listDayFiles)))
+    .flat()
+    .filter(({ dayKey }) => (!fromDay || dayKey >= fromDay) && (!toDay || dayKey <= toDay))
+    .sort((a, b) => b.dayKey.localeCompare(a.dayKey));
+
+  const results = [];
+  const deletedIds = await loadDeletedIds(chatroomIds, fromDay);
+
+  for (let i = 0; i < dayFiles.length; i++) {
+    const { chatroomId: dayChatroomId, dayKey, filePath } = dayFiles[i];
+
+    // Use the user index to skip days the user never chatted in
+    if (userId) {
+      const userIds = loadDayIndex(join(getChatroomDir(dayChatroomId), `${dayKey}.users.json`));
+      if (userIds.size && !userIds.has(String(userId))) continue;
+    }
+
+    results.push(...(await readDayFile(filePath, matches)));
+
+    // Finish the whole day across chatrooms before stopping so ordering stays correct
+    if (results.length > limit && dayFiles[i + 1]?.dayKey !== dayKey) break;
+  }
+
+  const sorted = results
+    .map((record) => (deletedIds.has(String(record.id)) ? { ...record, deleted: true } : record))
+    .map((record) => ({ record, time: new Date(record.created_at).getTime(), id: String(record.id) }))
+    .sort(compareNewestFirst)
+    .map(({ record }) => record);
+
+  const messages = sorted.slice(0, limit).reverse();
+
+  return {
+    messages,
+    hasMore: sorted.length > limit,
+    cursor: messages[0] ? { createdAt: messages[0].created_at, id: messages[0].id } : null,
+  };
+};
+
+export const pruneArchive = async (retentionDays = store.get("chatArchive.retentionDays")) => {
+  if (!retentionDays || retentionDays <= 0) return;
+
+  await flushArchive();
+
+  const cutoffDay = getDayKey(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const chatroomIds = await listChatroomIds();
+
+  for (const chatroomId of chatroomIds) {
+    let files = [];
+    try {
+      files = await fs.promises.readdir(getChatroomDir(chatroomId));
+    } catch {
+      continue;
+    }
+
+    // Day files and their indexes
+    for (const file of files) {
+      const dayKey = file.match(ARCHIVE_FILE_REGEX)?.[1];
+      if (!dayKey || dayKey >= cutoffDay) continue;
+
+      const filePath = join(getChatroomDir(chatroomId), file);
+      await fs.promises.rm(filePath, { force: true });
+      dayIndexes.delete(filePath);
+    }
+
+    if (!(await listDayFiles(chatroomId)).length) {
+      await fs.promises.rm(getChatroomDir(chatroomId), { recursive: true, force: true });
+    }
+  }
+
+  console.log(`[Chat Archive]: Pruned messages older than ${cutoffDay}`);
+};
+
+export const clearArchive = async () => {
+  await flushArchive();
+
+  dayIndexes.clear();
+  recentIds.clear();
+  await fs.promises.rm(getArchiveDir(), { recursive: true, force: true });
+};
+
+export const getArchiveSize = async () => {
+  let size = 0;
+
+  for (const chatroomId of await listChatroomIds()) {
+    for (const { filePath } of await listDayFiles(chatroomId)) {
+      try {
+        size += (await fs.promises.stat(filePath)).size;
+      } catch {
+        // File pruned while counting
+      }
+    }
+  }
+
+  return size;
+};
@@ -0,0 +1,210 @@
+import { app } from "electron";
+import { join } from "path";
+import fs from "fs";
+import readline from "readline";
+import store from "../../../utils/config";
+
+// Append-only moderation log: one JSONL file per chatroom, with entries past the retention setting pruned
+// modLog/<chatroomId>.jsonl
+
+const FLUSH_INTERVAL = 1000;
+const CSV_COLUMNS = ["created_at", "channel", "action", "moderator", "target", "duration", "details", "recent_messages"];
+
+const pendingWrites = new Map(); // filePath -> lines[]
+let flushTimer = null;
+let flushPromise = null;
+
+const getModLogDir = () => join(app.getPath("userData"), "modLog");
+const getModLogPath = (chatroomId) => join(getModLogDir(), `${chatroomId}.jsonl`);
+
+const scheduleFlush = () => {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushModLog();
+  }, FLUSH_INTERVAL);
+};
+
+const writePendingEntries = async () => {
+  if (!pendingWrites.size) return;
+
+  const writes = [...pendingWrites.entries()];
+  pendingWrites.clear();
+
+  for (const [filePath, lines] of writes) {
+    try {
+      await fs.promises.mkdir(getModLogDir(), { recursive: true });
+      await fs.promises.appendFile(filePath, `${lines.join("\n")}\n`, "utf8");
+    } catch (error) {
+      console.error("[Mod Log]: Failed to write log file:", error);
+    }
+  }
+};
+
+export const flushModLog = async () => {
+  // Chain flushes so two writers never append to the same file at once
+  const previousFlush = flushPromise;
+
+  flushPromise = (async () => {
+    await previousFlush;
+    await writePendingEntries();
+  })();
+
+  return flushPromise;
+};
+
+// Used on quit, where async writes may not finish
+export const flushModLogSync = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  for (const [filePath, lines] of pendingWrites) {
+    try {
+      fs.mkdirSync(getModLogDir(), { recursive: true });
+      fs.appendFileSync(filePath, `${lines.join("\n")}\n`, "utf8");
+    } catch (error) {
+      console.error("[Mod Log]: Failed to write log file:", error);
+    }
+  }
+
+  pendingWrites.clear();
+};
+
+export const addModLogEntry = (entry) => {
+  if (!entry?.chatroomId || !entry?.action) return;
+
+  const filePath = getModLogPath(entry.chatroomId);
+  const lines = pendingWrites.get(filePath) || [];
+  lines.push(JSON.stringify({ ...entry, created_at: entry.created_at || new Date().toISOString() }));
+  pendingWrites.set(filePath, lines);
+
+  scheduleFlush();
+};
+
+const readEntries = async (filePath) => {
+  const entries = [];
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: "utf8" }),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line) continue;
+
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Skip partially written lines
+    }
+  }
+
+  return entries;
+};
+
+// Rewrites each chatroom's log without entries older than the retention setting
+export const pruneModLog = async (retentionDays = store.get("moderation.modLogRetentionDays")) => {
+  if (!retentionDays || retentionDays <= 0) return;
+
+  // Run in the flush chain so no entries are appended to a file while it's rewritten
+  const previousFlush = flushPromise;
+
+  flushPromise = (async () => {
+    await previousFlush;
+    await writePendingEntries();
+
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    let files = [];
+    try {
+      files = (await fs.promises.readdir(getModLogDir())).filter((file) => file.endsWith(".jsonl"));
+    } catch {
+      return;
+    }
+
+    for (const file of files) {
+      const filePath = join(getModLogDir(), file);
+
+      try {
+        const entries = await readEntries(filePath);
+        const keptEntries = entries.filter((entry) => new Date(entry.created_at).getTime() >= cutoff);
+        if (keptEntries.length === entries.length) continue;
+
+        if (!keptEntries.length) {
+          await fs.promises.rm(filePath, { force: true });
+          continue;
+        }
+
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, `${keptEntries.map((entry) => JSON.stringify(entry)).join("\n")}\n`, "utf8");
+        await fs.promises.rename(tempPath, filePath);
+      } catch (error) {
+        console.error("[Mod Log]: Failed to prune log file:", error);
+      }
+    }
+
+    console.log(`[Mod Log]: Pruned entries older than ${retentionDays} days`);
+  })();
+
+  return flushPromise;
+};
+
+const getSearchText = (entry) =>
+  [entry.moderator, entry.target?.username, entry.details, ...(entry.messages || []).map((message) => message.content)]
+    .filter(Boolean)
+    .join("\n")
+    .toLowerCase();
+
+/**
+ * Search a chatroom's log, newest first.
+ * Filters: chatroomId, query (moderator, target, details or the target's messages), actions, limit.
+ */
+export const searchModLog = async ({ chatroomId, query, actions, limit = 200 } = {}) => {
+  if (!chatroomId) return [];
+
+  await flushModLog();
+
+  const transformedQuery = query?.trim().toLowerCase();
+  const actionFilter = actions?.length ? new Set(actions) : null;
+  const entries = [];
+
+  try {
+    for (const entry of await readEntries(getModLogPath(chatroomId))) {
+      if (actionFilter && !actionFilter.has(entry.action)) continue;
+      if (transformedQuery && !getSearchText(entry).includes(transformedQuery)) continue;
+
+      entries.push(entry);
+    }
+  } catch (error) {
+    if (error.code !== "ENOENT") console.error("[Mod Log]: Failed to read log file:", error);
+    return [];
+  }
+
+  const sorted = entries.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  return limit ? sorted.slice(0, limit) : sorted;
+};
+
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const formatModLogCsv = (entries) => {
+  const rows = entries.map((entry) =>
+    [
+      entry.created_at,
+      entry.channelName,
+      entry.action,
+      entry.moderator,
+      entry.target?.username,
+      entry.duration,
+      entry.details,
+      (entry.messages || []).map((message) => message.content).join(" | "),
+    ].map(escapeCsvValue),
+  );
+
+  return [CSV_COLUMNS, ...rows].map((row) => row.join(",")).join("\r\n");
+};
+
+export const clearModLog = async (chatroomId) => {
+  await flushModLog();
+  await fs.promises.rm(getModLogPath(chatroomId), { force: true });
+};
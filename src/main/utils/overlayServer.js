@@ -0,0 +1,123 @@
+import { createServer } from "http";
+import { join, normalize, extname, sep } from "path";
+import fs from "fs";
+import { WebSocketServer } from "ws";
+import store from "../../../utils/config";
+
+// Local server for the stream overlay: serves the read-only overlay page and pushes chat events to it over a WebSocket
+// http://localhost:<port>/            overlay page for every chosen chatroom
+// http://localhost:<port>/?channels=a,b  overlay page for some of them
+// ws://localhost:<port>/ws            chat events
+
+const OVERLAY_PAGE = "overlay.html";
+
+const contentTypes = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+  ".ttf": "font/ttf",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+};
+
+let server = null;
+let wss = null;
+let serverPort = null;
+const chatroomData = new Map(); // channel slug -> latest emotes and subscriber badges, replayed to new overlay clients
+
+const getOverlaySettings = () => store.get("overlay") || {};
+
+const send = (client, event) => {
+  if (client.readyState === client.OPEN) client.send(JSON.stringify(event));
+};
+
+// Built renderer files in production, the vite dev server serves them in development
+const serveStatic = (req, res, rendererPath) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  const filePath = normalize(join(rendererPath, pathname === "/" ? OVERLAY_PAGE : decodeURIComponent(pathname)));
+
+  if (!filePath.startsWith(rendererPath + sep)) {
+    res.writeHead(403);
+    return res.end();
+  }
+
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      res.writeHead(404);
+      return res.end("Not found");
+    }
+
+    res.writeHead(200, { "Content-Type": contentTypes[extname(filePath)] || "application/octet-stream" });
+    res.end(data);
+  });
+};
+
+export const startOverlayServer = ({ rendererPath, rendererUrl }) => {
+  const port = getOverlaySettings().port || 4690;
+  if (server && serverPort === port) return;
+  if (server) stopOverlayServer();
+
+  server = createServer((req, res) => {
+    // Only the overlay page and its assets are served, nothing else in the renderer
+    if (rendererUrl) {
+      const { search } = new URL(req.url, "http://localhost");
+      const params = new URLSearchParams(search);
+      params.set("server", `localhost:${port}`);
+
+      res.writeHead(302, { Location: `${rendererUrl}/${OVERLAY_PAGE}?${params}` });
+      return res.end();
+    }
+
+    serveStatic(req, res, rendererPath);
+  });
+
+  wss = new WebSocketServer({ server, path: "/ws" });
+
+  wss.on("connection", (client) => {
+    send(client, { type: "settings", settings: getOverlaySettings() });
+    chatroomData.forEach((data) => send(client, { type: "chatroom", ...data }));
+  });
+
+  server.on("error", (error) => {
+    console.error(`[Overlay Server]: Failed to start on port ${port}:`, error);
+    stopOverlayServer();
+  });
+
+  server.listen(port, "127.0.0.1", () => {
+    console.log(`[Overlay Server]: Listening on http://localhost:${port}`);
+  });
+
+  serverPort = port;
+};
+
+export const stopOverlayServer = () => {
+  if (!server) return;
+
+  wss?.clients.forEach((client) => client.terminate());
+  wss?.close();
+  server.close();
+
+  wss = null;
+  server = null;
+  serverPort = null;
+  console.log("[Overlay Server]: Stopped");
+};
+
+export const broadcastOverlayEvent = (event) => {
+  if (!wss || !event?.channel) return;
+
+  if (event.type === "chatroom") {
+    chatroomData.set(event.channel, event);
+  }
+
+  wss.clients.forEach((client) => send(client, event));
+};
+
+export const broadcastOverlaySettings = (settings) => {
+  wss?.clients.forEach((client) => send(client, { type: "settings", settings }));
+};
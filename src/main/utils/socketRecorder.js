@@ -0,0 +1,137 @@
+import { app } from "electron";
+import { join, basename } from "path";
+import fs from "fs";
+import readline from "readline";
+
+// Records raw Kick and 7TV socket frames, and the REST responses a chatroom loads, for replaying later:
+// one JSONL file per recording
+// socketRecordings/<started at>.jsonl
+// { "time": ms since recording started, "source": "kick" | "stv", "type": "open" | "message", "data"?: raw frame }
+// { "time": ms since recording started, "source": "rest", "type": "response" | "error", "request", "args", "data" }
+
+const FLUSH_INTERVAL = 1000;
+
+let recordingPath = null;
+let recordingStartedAt = null;
+let pendingLines = [];
+let flushTimer = null;
+let flushPromise = null;
+
+export const getRecordingsDir = () => join(app.getPath("userData"), "socketRecordings");
+
+const scheduleFlush = () => {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushRecording();
+  }, FLUSH_INTERVAL);
+};
+
+export const flushRecording = async () => {
+  // Chain flushes so two writers never append to the file at once
+  const previousFlush = flushPromise;
+
+  flushPromise = (async () => {
+    await previousFlush;
+    if (!pendingLines.length || !recordingPath) return;
+
+    const lines = pendingLines;
+    pendingLines = [];
+
+    try {
+      await fs.promises.mkdir(getRecordingsDir(), { recursive: true });
+      await fs.promises.appendFile(recordingPath, `${lines.join("\n")}\n`, "utf8");
+    } catch (error) {
+      console.error("[Socket Recorder]: Failed to write recording:", error);
+    }
+  })();
+
+  return flushPromise;
+};
+
+// Used on quit, where async writes may not finish
+export const flushRecordingSync = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!pendingLines.length || !recordingPath) return;
+
+  try {
+    fs.mkdirSync(getRecordingsDir(), { recursive: true });
+    fs.appendFileSync(recordingPath, `${pendingLines.join("\n")}\n`, "utf8");
+  } catch (error) {
+    console.error("[Socket Recorder]: Failed to write recording:", error);
+  }
+
+  pendingLines = [];
+};
+
+export const isRecording = () => !!recordingPath;
+
+export const startRecording = () => {
+  if (recordingPath) return recordingPath;
+
+  recordingStartedAt = Date.now();
+  recordingPath = join(getRecordingsDir(), `${new Date(recordingStartedAt).toISOString().replace(/[:.]/g, "-")}.jsonl`);
+  console.log("[Socket Recorder]: Recording to", recordingPath);
+
+  return recordingPath;
+};
+
+export const stopRecording = async () => {
+  if (!recordingPath) return;
+
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  await flushRecording();
+
+  console.log("[Socket Recorder]: Stopped recording", recordingPath);
+  recordingPath = null;
+  recordingStartedAt = null;
+};
+
+export const recordFrame = ({ source, type, request, args, data }) => {
+  if (!recordingPath || !source || !type) return;
+
+  pendingLines.push(JSON.stringify({ time: Date.now() - recordingStartedAt, source, type, request, args, data }));
+  scheduleFlush();
+};
+
+// Newest first, the one being written included
+export const listRecordings = async () => {
+  try {
+    const files = (await fs.promises.readdir(getRecordingsDir())).filter((file) => file.endsWith(".jsonl"));
+    const recordings = await Promise.all(
+      files.map(async (file) => {
+        const { size, mtimeMs } = await fs.promises.stat(join(getRecordingsDir(), file));
+        return { file, size, modifiedAt: mtimeMs, active: !!recordingPath && basename(recordingPath) === file };
+      }),
+    );
+
+    return recordings.sort((a, b) => b.modifiedAt - a.modifiedAt);
+  } catch (error) {
+    if (error.code !== "ENOENT") console.error("[Socket Recorder]: Failed to list recordings:", error);
+    return [];
+  }
+};
+
+// Frames of a recording in the order they arrived
+export const readRecording = async (filePath) => {
+  const frames = [];
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: "utf8" }),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line) continue;
+
+    try {
+      frames.push(JSON.parse(line));
+    } catch {
+      // Skip partially written lines
+    }
+  }
+
+  return frames;
+};
@@ -0,0 +1,144 @@
+import { createServer } from "http";
+import { WebSocketServer } from "ws";
+import { readRecording } from "./socketRecorder";
+
+// Local stand-in for Kick's Pusher socket and 7TV's event socket, playing back a recording from socketRecorder
+// ws://127.0.0.1:<port>/kick   recorded Kick frames
+// ws://127.0.0.1:<port>/stv    recorded 7TV frames
+// Each connection plays its source's frames from the start, spaced as they were recorded and divided by the speed.
+// REST requests (channel info, emotes, chat history) are answered from the recording too, see getReplayResponse.
+
+const REPLAY_SOURCES = ["kick", "stv"];
+
+let server = null;
+let wss = null;
+let serverPort = null;
+let replayFile = null;
+let replaySpeed = 1;
+let frames = [];
+const responses = new Map(); // request key -> { frames: recorded responses in order, served }
+
+const getRequestKey = (request, args = []) => `${request}:${JSON.stringify(args)}`;
+
+const loadResponses = () => {
+  responses.clear();
+
+  frames
+    .filter((frame) => frame.source === "rest" && frame.request)
+    .forEach((frame) => {
+      const key = getRequestKey(frame.request, frame.args);
+      if (!responses.has(key)) responses.set(key, { frames: [], served: 0 });
+      responses.get(key).frames.push(frame);
+    });
+};
+
+// Frames are timed from the source's first connection, so the client has the same head start it had when recording
+const getSourceFrames = (source) => {
+  const sourceFrames = frames.filter((frame) => frame.source === source);
+  const openedAt = sourceFrames.find((frame) => frame.type === "open")?.time ?? sourceFrames[0]?.time ?? 0;
+
+  return sourceFrames
+    .filter((frame) => frame.type === "message" && frame.time >= openedAt)
+    .map((frame) => ({ ...frame, time: frame.time - openedAt }));
+};
+
+const playFrames = (client, source) => {
+  const sourceFrames = getSourceFrames(source);
+  let index = 0;
+  let timer = null;
+
+  console.log(`[Socket Replay]: Playing ${sourceFrames.length} ${source} frames`);
+
+  const playNext = () => {
+    if (client.readyState !== client.OPEN) return;
+
+    const frame = sourceFrames[index++];
+    client.send(frame.data);
+
+    const nextFrame = sourceFrames[index];
+    if (!nextFrame) {
+      console.log(`[Socket Replay]: Finished playing ${source} frames`);
+      return;
+    }
+
+    timer = setTimeout(playNext, (nextFrame.time - frame.time) / replaySpeed);
+  };
+
+  if (sourceFrames.length) timer = setTimeout(playNext, sourceFrames[0].time / replaySpeed);
+  client.on("close", () => clearTimeout(timer));
+};
+
+export const isReplaying = () => !!server;
+
+// Requests missing from the recording fail as they would offline, a replay never goes online
+export const getReplayResponse = (request, args) => {
+  const recorded = responses.get(getRequestKey(request, args));
+  if (!recorded) {
+    console.warn(`[Socket Replay]: ${request} is not in the recording`);
+    return { error: { code: "ERR_NOT_RECORDED", message: `${request} is not in the recording` } };
+  }
+
+  // Repeated requests get the responses in the order they were recorded, then the last one again
+  const frame = recorded.frames[Math.min(recorded.served++, recorded.frames.length - 1)];
+  return frame.type === "error" ? { error: frame.data } : { response: frame.data ?? null };
+};
+
+export const getReplayUrls = () =>
+  server && serverPort
+    ? Object.fromEntries(REPLAY_SOURCES.map((source) => [source, `ws://127.0.0.1:${serverPort}/${source}`]))
+    : null;
+
+export const setReplaySpeed = (speed) => {
+  replaySpeed = speed > 0 ? speed : 1;
+};
+
+export const startReplayServer = async ({ filePath, speed = 1 }) => {
+  setReplaySpeed(speed);
+  if (server && replayFile === filePath) return getReplayUrls();
+  if (server) stopReplayServer();
+
+  frames = await readRecording(filePath);
+  replayFile = filePath;
+  loadResponses();
+
+  server = createServer((req, res) => {
+    res.writeHead(404);
+    res.end();
+  });
+
+  wss = new WebSocketServer({ server });
+
+  wss.on("connection", (client, req) => {
+    const source = new URL(req.url, "http://localhost").pathname.slice(1);
+    if (!REPLAY_SOURCES.includes(source)) return client.close(1008, "Unknown source");
+
+    // Pings and subscriptions from the client are ignored, the recording already holds the replies
+    playFrames(client, source);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", resolve);
+  });
+
+  serverPort = server.address().port;
+  console.log(`[Socket Replay]: Replaying ${frames.length} frames on ws://127.0.0.1:${serverPort}`);
+
+  return getReplayUrls();
+};
+
+export const stopReplayServer = () => {
+  if (!server) return;
+
+  wss?.clients.forEach((client) => client.terminate());
+  wss?.close();
+  server.close();
+
+  wss = null;
+  server = null;
+  serverPort = null;
+  replayFile = null;
+  frames = [];
+  responses.clear();
+  console.log("[Socket Replay]: Stopped");
+};
@@ -0,0 +1,34 @@
+import { safeStorage } from "electron";
+
+// Session tokens are encrypted with the OS keychain (Keychain, DPAPI, or a Linux keyring) before they are written
+// to the auth store. Encrypted values are prefixed so plaintext values from older versions can still be read.
+
+const ENCRYPTED_PREFIX = "enc:";
+
+// Without a keyring on Linux, safeStorage falls back to a hardcoded key, which is no better than plaintext
+export const isTokenEncryptionAvailable = () => {
+  if (!safeStorage.isEncryptionAvailable()) return false;
+  if (process.platform === "linux" && safeStorage.getSelectedStorageBackend?.() === "basic_text") return false;
+
+  return true;
+};
+
+export const isEncryptedToken = (value) => typeof value === "string" && value.startsWith(ENCRYPTED_PREFIX);
+
+export const encryptToken = (value) => {
+  if (!value || !isTokenEncryptionAvailable()) return value;
+
+  return `${ENCRYPTED_PREFIX}${safeStorage.encryptString(value).toString("base64")}`;
+};
+
+export const decryptToken = (value) => {
+  if (!value) return null;
+  if (!isEncryptedToken(value)) return value;
+
+  try {
+    return safeStorage.decryptString(Buffer.from(value.slice(ENCRYPTED_PREFIX.length), "base64"));
+  } catch (error) {
+    console.error("[Token Storage]: Failed to decrypt token:", error);
+    return null;
+  }
+};
@@ -1,91 +1,100 @@
 import { contextBridge, ipcRenderer, shell, session } from "electron";
 import { electronAPI } from "@electron-toolkit/preload";
 import {
-  sendMessageToChannel,
-  sendReplyToChannel,
   getChannelInfo,
   getChannelChatroomInfo,
   getKickEmotes,
-  getSelfInfo,
   getUserChatroomInfo,
-  getSelfChatroomInfo,
-  getSilencedUsers,
   getLinkThumbnail,
   getInitialChatroomMessages,
-  getInitialPollInfo,
-  getSubmitPollVote,
   getChatroomViewers,
+} from "../../utils/services/kick/kickAPI";
+import { getUserStvProfile, getChannelEmotes } from "../../utils/services/seventv/stvAPI";
+import { toSerializableResponse, toSerializableError } from "../../utils/services/serializeResponse";
 
-  // Mod Actions
-  getBanUser,
-  getUnbanUser,
-  getTimeoutUser,
-  getDeleteMessage,
+// Requests that need the session are made by the main process, which holds the tokens
+const withAuth = async (request, args = [], accountId) => {
+  const result = await ipcRenderer.invoke("kick:authRequest", { request, args, accountId });
+  if (result?.error) throw result.error;
 
-  // User Actions
-  getSilenceUser,
-  getUnsilenceUser,
+  return result ? result.response : null;
+};
 
-  // Pin
-  getPinMessage,
-  getUnpinMessage,
+// Recording and replay settings, kept in sync with the store so requests skip the main process while both are off
+let developerSettings = null;
+const developerSettingsLoaded = ipcRenderer.invoke("store:get", { key: "developer" }).then((settings) => {
+  developerSettings ??= settings || {};
+});
 
-  // Kick Auth for Events
-  getKickAuthForEvents,
-  getUpdateTitle,
-  getClearChatroom,
-} from "../../utils/services/kick/kickAPI";
-import { getUserStvProfile, getChannelEmotes } from "../../utils/services/seventv/stvAPI";
+ipcRenderer.on("store:updated", (e, data) => {
+  if (data.developer) developerSettings = data.developer;
+});
 
-import Store from "electron-store";
+const isSocketDebugging = async () => {
+  await developerSettingsLoaded;
+  return !!(developerSettings.recordSockets || (developerSettings.replayEnabled && developerSettings.replayFile));
+};
 
-const authStore = new Store({
-  fileExtension: "env",
-});
+// Requests made from here are answered from the recording while replaying, and recorded while recording
+const withReplay =
+  (request, sendRequest) =>
+  async (...args) => {
+    const replay = (await isSocketDebugging()) ? await ipcRenderer.invoke("socketReplay:getResponse", { request, args }) : null;
+    if (replay?.error) throw replay.error;
+    if (replay && "response" in replay) return replay.response;
+
+    const recordResponse = (type, data) => {
+      if (replay?.record) ipcRenderer.send("socketRecorder:record", { frame: { source: "rest", type, request, args, data } });
+    };
+
+    try {
+      const response = await sendRequest(...args);
+      recordResponse("response", toSerializableResponse(response));
+      return response;
+    } catch (error) {
+      recordResponse("error", toSerializableError(error));
+      throw error;
+    }
+  };
 
 // Get Silenced users and save the in local storage
-const saveSilencedUsers = async (sessionCookie, kickSession) => {
+const saveSilencedUsers = async () => {
   try {
-    if (!sessionCookie || !kickSession) {
+    const response = await withAuth("getSilencedUsers");
+    if (!response) {
       console.log("[Silenced Users]: No session tokens available, skipping fetch");
       return;
     }
 
-    const response = await getSilencedUsers(sessionCookie, kickSession);
     if (response.status === 200) {
       const silencedUsers = response.data;
       localStorage.setItem("silencedUsers", JSON.stringify(silencedUsers));
+
+      // Storage events only reach other windows, so let this one's chat pick up the list too
+      window.dispatchEvent(new StorageEvent("storage", { key: "silencedUsers" }));
       console.log("[Silenced Users]: Successfully loaded and saved to storage");
     }
   } catch (error) {
     console.error("[Silenced Users]: Error fetching silenced users:", error);
   }
 };
-const retrieveToken = (token_name) => {
-  return authStore.get(token_name);
-};
-
-const authSession = {
-  token: retrieveToken("SESSION_TOKEN"),
-  session: retrieveToken("KICK_SESSION"),
-};
 
 // Validate Session Token by Fetching User Data
 const validateSessionToken = async () => {
-  if (!authSession.token || !authSession.session) {
+  if (!(await tokenManager.hasToken())) {
     console.log("[Session Validation]: No session tokens available");
-    authStore.clear();
     localStorage.clear();
     return false;
   }
 
   try {
     // Get Kick ID and Username
-    const { data } = await getSelfInfo(authSession.token, authSession.session);
+    const { data } = (await withAuth("getSelfInfo")) || {};
 
     if (!data?.id) {
       console.warn("[Session Validation]: No user data received");
-      authStore.clear();
+      // Only the expired account is signed out, the next one takes over
+      await tokenManager.clearTokens();
       localStorage.clear();
 
       return false;
@@ -106,7 +115,7 @@ const validateSessionToken = async () => {
 
     // Get STV ID with error handling
     try {
-      const stvData = await getUserStvProfile(data.id);
+      const stvData = await withReplay("getUserStvProfile", getUserStvProfile)(data.id);
       console.log("[Session Validation]: STV Data:", stvData);
       const personalEmoteSets = stvData?.emoteSets?.filter((set) => set.type === "personal");
       if (stvData) {
@@ -132,29 +141,15 @@ const tokenManager = {
     return await validateSessionToken();
   },
 
-  getToken() {
-    return {
-      token: authStore.get("SESSION_TOKEN"),
-      session: authStore.get("KICK_SESSION"),
-    };
+  hasToken() {
+    return ipcRenderer.invoke("auth:hasToken");
   },
 
   clearTokens() {
-    authStore.delete("SESSION_TOKEN");
-    authStore.delete("KICK_SESSION");
+    return ipcRenderer.invoke("auth:clearExpiredSession");
   },
 };
 
-// Check Auth for API calls that require it
-const withAuth = async (func) => {
-  if (!authSession.token || !authSession.session) {
-    console.warn("Unauthorized: No token or session found");
-    return null;
-  }
-
-  return func(authSession.token, authSession.session);
-};
-
 // Initialize with error handling
 const initializePreload = async () => {
   try {
@@ -164,7 +159,7 @@ const initializePreload = async () => {
     const isValidSession = await validateSessionToken();
 
     if (isValidSession) {
-      await saveSilencedUsers(authSession.token, authSession.session);
+      await saveSilencedUsers();
     } else {
       console.log("[Preload]: Session invalid, skipping user-specific data");
     }
@@ -200,6 +195,18 @@ if (process.contextIsolated) {
         close: () => ipcRenderer.invoke("authDialog:close"),
       },
 
+      accounts: {
+        list: () => ipcRenderer.invoke("accounts:list"),
+        add: () => ipcRenderer.invoke("authDialog:open", { data: { addAccount: true } }),
+        switch: (accountId) => ipcRenderer.invoke("accounts:switch", { accountId }),
+        remove: (accountId) => ipcRenderer.invoke("accounts:remove", { accountId }),
+        onUpdate: (callback) => {
+          const handler = (_, accounts) => callback(accounts);
+          ipcRenderer.on("accounts:updated", handler);
+          return () => ipcRenderer.removeListener("accounts:updated", handler);
+        },
+      },
+
       userDialog: {
         open: (data) => ipcRenderer.invoke("userDialog:open", { data }),
         close: () => ipcRenderer.send("userDialog:close"),
@@ -250,13 +257,10 @@ if (process.contextIsolated) {
       },
 
       modActions: {
-        getBanUser: (channelName, username) => withAuth((token, session) => getBanUser(channelName, username, token, session)),
-        getUnbanUser: (channelName, username) =>
-          withAuth((token, session) => getUnbanUser(channelName, username, token, session)),
-        getTimeoutUser: (channelName, username, banDuration) =>
-          withAuth((token, session) => getTimeoutUser(channelName, username, banDuration, token, session)),
-        getDeleteMessage: (chatroomId, messageId) =>
-          withAuth((token, session) => getDeleteMessage(chatroomId, messageId, token, session)),
+        getBanUser: (channelName, username) => withAuth("getBanUser", [channelName, username]),
+        getUnbanUser: (channelName, username) => withAuth("getUnbanUser", [channelName, username]),
+        getTimeoutUser: (channelName, username, banDuration) => withAuth("getTimeoutUser", [channelName, username, banDuration]),
+        getDeleteMessage: (chatroomId, messageId) => withAuth("getDeleteMessage", [chatroomId, messageId]),
       },
 
       reply: {
@@ -314,6 +318,71 @@ if (process.contextIsolated) {
         },
       },
 
+      notifications: {
+        show: (data) => ipcRenderer.invoke("notifications:show", { data }),
+        onClick: (callback) => {
+          const handler = (_, data) => callback(data);
+
+          ipcRenderer.on("notifications:clicked", handler);
+          return () => ipcRenderer.removeListener("notifications:clicked", handler);
+        },
+      },
+
+      tray: {
+        update: (data) => ipcRenderer.invoke("tray:update", { data }),
+        onSelectChatroom: (callback) => {
+          const handler = (_, data) => callback(data);
+
+          ipcRenderer.on("tray:selectChatroom", handler);
+          return () => ipcRenderer.removeListener("tray:selectChatroom", handler);
+        },
+        onMarkMentionsRead: (callback) => {
+          const handler = () => callback();
+
+          ipcRenderer.on("tray:markMentionsRead", handler);
+          return () => ipcRenderer.removeListener("tray:markMentionsRead", handler);
+        },
+      },
+
+      chatArchive: {
+        search: (filters) => ipcRenderer.invoke("chatArchive:search", { filters }),
+        getSize: () => ipcRenderer.invoke("chatArchive:getSize"),
+        prune: () => ipcRenderer.invoke("chatArchive:prune"),
+        clear: () => ipcRenderer.invoke("chatArchive:clear"),
+      },
+
+      connection: {
+        onResume: (callback) => {
+          const handler = () => callback();
+
+          ipcRenderer.on("connection:resume", handler);
+          return () => ipcRenderer.removeListener("connection:resume", handler);
+        },
+      },
+
+      modLog: {
+        add: (entry) => ipcRenderer.invoke("modLog:add", { entry }),
+        search: (filters) => ipcRenderer.invoke("modLog:search", { filters }),
+        export: (filters, channelName) => ipcRenderer.invoke("modLog:export", { filters, channelName }),
+        clear: (chatroomId) => ipcRenderer.invoke("modLog:clear", { chatroomId }),
+        onUpdate: (callback) => {
+          const handler = (_, data) => callback(data);
+
+          ipcRenderer.on("modLog:updated", handler);
+          return () => ipcRenderer.removeListener("modLog:updated", handler);
+        },
+      },
+
+      socketRecorder: {
+        record: (frame) => ipcRenderer.send("socketRecorder:record", { frame }),
+        list: () => ipcRenderer.invoke("socketRecorder:list"),
+        openFolder: () => ipcRenderer.invoke("socketRecorder:openFolder"),
+      },
+
+      socketReplay: {
+        getUrls: () => ipcRenderer.invoke("socketReplay:getUrls"),
+      },
+
       replyThreadDialog: {
         open: (data) => ipcRenderer.invoke("replyThreadDialog:open", { data }),
         close: () => ipcRenderer.invoke("replyThreadDialog:close"),
@@ -325,53 +394,104 @@ if (process.contextIsolated) {
         },
       },
 
+      themes: {
+        import: () => ipcRenderer.invoke("themes:import"),
+        export: (theme) => ipcRenderer.invoke("themes:export", { theme }),
+      },
+
+      overlay: {
+        broadcast: (event) => ipcRenderer.invoke("overlay:broadcast", { event }),
+      },
+
+      popoutWindow: {
+        open: (data) => ipcRenderer.invoke("popoutWindow:open", { data }),
+        close: (chatroomId) => ipcRenderer.invoke("popoutWindow:close", { chatroomId }),
+        ready: () => ipcRenderer.invoke("popoutWindow:ready"),
+        sync: (chatroomId, data) => ipcRenderer.invoke("popoutWindow:sync", { chatroomId, data }),
+        runAction: (action, args) => ipcRenderer.invoke("popoutWindow:action", { action, args }),
+        onData: (callback) => {
+          const handler = (_, data) => callback(data);
+
+          ipcRenderer.on("popoutWindow:data", handler);
+          return () => ipcRenderer.removeListener("popoutWindow:data", handler);
+        },
+        onReady: (callback) => {
+          const handler = (_, data) => callback(data);
+
+          ipcRenderer.on("popoutWindow:ready", handler);
+          return () => ipcRenderer.removeListener("popoutWindow:ready", handler);
+        },
+        onAction: (callback) => {
+          const handler = (_, data) => callback(data);
+
+          ipcRenderer.on("popoutWindow:action", handler);
+          return () => ipcRenderer.removeListener("popoutWindow:action", handler);
+        },
+        onClosed: (callback) => {
+          const handler = (_, data) => callback(data);
+
+          ipcRenderer.on("popoutWindow:closed", handler);
+          return () => ipcRenderer.removeListener("popoutWindow:closed", handler);
+        },
+      },
+
       // Kick API
       kick: {
-        getChannelInfo,
-        getChannelChatroomInfo,
-        getInitialPollInfo: (channelName) => withAuth((token, session) => getInitialPollInfo(channelName, token, session)),
-        sendMessage: (channelId, message) =>
-          withAuth((token, session) => sendMessageToChannel(channelId, message, token, session)),
-        sendReply: (channelId, message, metadata = {}) =>
-          withAuth((token, session) => sendReplyToChannel(channelId, message, metadata, token, session)),
-        getSilencedUsers: () => withAuth((token, session) => getSilencedUsers(token, session)),
+        getChannelInfo: withReplay("getChannelInfo", getChannelInfo),
+        getChannelChatroomInfo: withReplay("getChannelChatroomInfo", getChannelChatroomInfo),
+        getInitialPollInfo: (channelName) => withAuth("getInitialPollInfo", [channelName]),
+        sendMessage: (channelId, message, accountId) => withAuth("sendMessageToChannel", [channelId, message], accountId),
+        sendReply: (channelId, message, metadata = {}, accountId) =>
+          withAuth("sendReplyToChannel", [channelId, message, metadata], accountId),
+        getSilencedUsers: () => withAuth("getSilencedUsers"),
         getSelfInfo: async () => {
           try {
-            const response = await withAuth(getSelfInfo);
+            const response = await withAuth("getSelfInfo");
             return response?.data || null;
           } catch (error) {
             console.error("Error fetching user data:", error);
             return null;
           }
         },
-        getEmotes: (chatroomName) => getKickEmotes(chatroomName),
-        getSelfChatroomInfo: (chatroomName) => withAuth((token, session) => getSelfChatroomInfo(chatroomName, token, session)),
-        getUserChatroomInfo: (chatroomName, username) => getUserChatroomInfo(chatroomName, username),
-        getInitialChatroomMessages: (channelID) => getInitialChatroomMessages(channelID),
-        getSilenceUser: (userId) => withAuth((token, session) => getSilenceUser(userId, token, session)),
-        getUnsilenceUser: (userId) => withAuth((token, session) => getUnsilenceUser(userId, token, session)),
-        getPinMessage: (data) => withAuth((token, session) => getPinMessage(data, token, session)),
-        getUnpinMessage: (chatroomName) => withAuth((token, session) => getUnpinMessage(chatroomName, token, session)),
-        getSubmitPollVote: (channelName, optionId) =>
-          withAuth((token, session) => getSubmitPollVote(channelName, optionId, token, session)),
-        getKickAuthForEvents: (eventName, socketId) =>
-          withAuth((token, session) => getKickAuthForEvents(eventName, socketId, token, session)),
-        getChatroomViewers: (chatroomId) => getChatroomViewers(chatroomId),
+        getEmotes: withReplay("getKickEmotes", getKickEmotes),
+        getSelfChatroomInfo: (chatroomName) => withAuth("getSelfChatroomInfo", [chatroomName]),
+        getUserChatroomInfo: withReplay("getUserChatroomInfo", getUserChatroomInfo),
+        getInitialChatroomMessages: withReplay("getInitialChatroomMessages", getInitialChatroomMessages),
+        getSilenceUser: (userId) => withAuth("getSilenceUser", [userId]),
+        getUnsilenceUser: (userId) => withAuth("getUnsilenceUser", [userId]),
+        getPinMessage: (data) => withAuth("getPinMessage", [data]),
+        getUnpinMessage: (chatroomName) => withAuth("getUnpinMessage", [chatroomName]),
+        getSubmitPollVote: (channelName, optionId) => withAuth("getSubmitPollVote", [channelName, optionId]),
+        getInitialPredictionInfo: (channelName) => withAuth("getInitialPredictionInfo", [channelName]),
+        getSubmitPredictionVote: (channelName, predictionId, outcomeId, amount) =>
+          withAuth("getSubmitPredictionVote", [channelName, predictionId, outcomeId, amount]),
+        getKickAuthForEvents: (eventName, socketId) => withAuth("getKickAuthForEvents", [eventName, socketId]),
+        getChatroomViewers: withReplay("getChatroomViewers", getChatroomViewers),
       },
 
-      // kickChannelActions: {
-      //   // Broadcaster Actions
-
-      //   // Channel Commands
-      //   getUpdateTitle: (channelName, title) => withAuth((token, session) => getUpdateTitle(channelName, title, token, session)),
-      //   getClearChatroom: (channelName) => withAuth((token, session) => getClearChatroom(channelName, token, session)),
-      //   getUpdateSlowmode: (channelName, slowmodeOptions) =>
-      //     withAuth((token, session) => getUpdateSlowmode(channelName, slowmodeOptions, token, session)),
-      // },
+      kickChannelActions: {
+        // Broadcaster Actions
+        getModerateUser: (channelName, username) => withAuth("getModerateUser", [channelName, username]),
+        getUnmoderateUser: (channelName, username) => withAuth("getUnmoderateUser", [channelName, username]),
+        getVipUser: (channelName, username) => withAuth("getVipUser", [channelName, username]),
+        getUnvipUser: (channelName, username) => withAuth("getUnvipUser", [channelName, username]),
+        getOGUser: (channelName, username) => withAuth("getOGUser", [channelName, username]),
+        getUnogUser: (channelName, username) => withAuth("getUnogUser", [channelName, username]),
+
+        // Channel Commands
+        getUpdateTitle: (channelName, title) => withAuth("getUpdateTitle", [channelName, title]),
+        getClearChatroom: (channelName) => withAuth("getClearChatroom", [channelName]),
+        getUpdateSlowmode: (channelName, slowmodeOptions) => withAuth("getUpdateSlowmode", [channelName, slowmodeOptions]),
+        getUpdateChatModes: (channelName, chatModeOptions) => withAuth("getUpdateChatModes", [channelName, chatModeOptions]),
+        getCreatePoll: (channelName, pollOptions) => withAuth("getCreatePoll", [channelName, pollOptions]),
+        getDeletePoll: (channelName) => withAuth("getDeletePoll", [channelName]),
+        getUpdatePrediction: (channelName, predictionId, predictionOptions) =>
+          withAuth("getUpdatePrediction", [channelName, predictionId, predictionOptions]),
+      },
 
       // 7TV API
       stv: {
-        getChannelEmotes,
+        getChannelEmotes: withReplay("getChannelEmotes", getChannelEmotes),
       },
 
       // Utility functions
@@ -394,7 +514,7 @@ if (process.contextIsolated) {
       auth: {
         isValidToken: () => tokenManager.isValidToken(),
         clearTokens: () => tokenManager.clearTokens(),
-        getToken: () => tokenManager.getToken(),
+        hasToken: () => tokenManager.hasToken(),
       },
     });
   } catch (error) {
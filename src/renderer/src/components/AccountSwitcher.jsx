@@ -0,0 +1,52 @@
+import { useAccounts } from "../utils/hooks";
+import CaretDownIcon from "../assets/icons/caret-down-fill.svg?asset";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "./Shared/Dropdown";
+
+// Saved for the signed in account when the main window loads
+const accountStorageKeys = ["kickId", "kickUsername", "stvId", "stvPersonalEmoteSets"];
+
+const AccountSwitcher = ({ username }) => {
+  const accounts = useAccounts();
+  const activeAccount = accounts.find((account) => account.active);
+
+  const handleSwitchAccount = (accountId) => {
+    if (String(accountId) === String(activeAccount?.id)) return;
+
+    accountStorageKeys.forEach((key) => localStorage.removeItem(key));
+    window.app.accounts.switch(accountId);
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <button className="titleBarSignInBtn titleBarAccountBtn" title="Switch Account">
+          <span className="titleBarUsername">{username || "Loading..."}</span>
+          <img src={CaretDownIcon} width={12} height={12} alt="Switch Account" />
+        </button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent side="bottom" align="end" className="accountSwitcherMenu">
+        <DropdownMenuLabel>Accounts</DropdownMenuLabel>
+        <DropdownMenuRadioGroup value={String(activeAccount?.id ?? "")} onValueChange={handleSwitchAccount}>
+          {accounts.map((account) => (
+            <DropdownMenuRadioItem key={account.id} value={String(account.id)}>
+              {account.username}
+            </DropdownMenuRadioItem>
+          ))}
+        </DropdownMenuRadioGroup>
+        {accounts.length > 0 && <DropdownMenuSeparator />}
+        <DropdownMenuItem onClick={() => window.app.accounts.add()}>Add Account</DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+export default AccountSwitcher;
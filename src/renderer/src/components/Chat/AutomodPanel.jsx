@@ -0,0 +1,119 @@
+import { memo, useMemo, useState } from "react";
+import { useShallow } from "zustand/shallow";
+import clsx from "clsx";
+import dayjs from "dayjs";
+import useChatStore from "../../providers/ChatProvider";
+import XIcon from "../../assets/icons/x-bold.svg?asset";
+
+const EMPTY_QUEUE = [];
+
+const logActionLabels = {
+  delete: "Deleted message",
+  timeout: "Timed out",
+  ban: "Banned",
+};
+
+const AutomodPanel = memo(({ chatroomId, showAutomodPanel, setShowAutomodPanel }) => {
+  const [activeTab, setActiveTab] = useState("review");
+
+  const queue = useChatStore((state) => state.automodQueue[chatroomId] || EMPTY_QUEUE);
+  const automodLog = useChatStore(useShallow((state) => state.automodLog));
+  const resolveAutomodReview = useChatStore((state) => state.resolveAutomodReview);
+  const undoAutomodAction = useChatStore((state) => state.undoAutomodAction);
+  const clearAutomodLog = useChatStore((state) => state.clearAutomodLog);
+
+  const chatroomLog = useMemo(() => automodLog.filter((entry) => entry.chatroomId === chatroomId), [automodLog, chatroomId]);
+
+  if (!showAutomodPanel) return null;
+
+  return (
+    <div className="automodPanel">
+      <div className="modPanelHeader">
+        <div className="automodPanelTabs">
+          <button className={clsx("automodPanelTab", activeTab === "review" && "active")} onClick={() => setActiveTab("review")}>
+            Review ({queue.length})
+          </button>
+          <button className={clsx("automodPanelTab", activeTab === "log" && "active")} onClick={() => setActiveTab("log")}>
+            Log
+          </button>
+        </div>
+        <button className="modPanelCloseBtn" onClick={() => setShowAutomodPanel(false)}>
+          <img src={XIcon} width={14} height={14} alt="Close Automod Panel" />
+        </button>
+      </div>
+
+      <div className="automodPanelItems">
+        {activeTab === "review" &&
+          (queue.length > 0 ? (
+            queue.map((item) => (
+              <div key={item.id} className="automodPanelItem">
+                <div className="automodPanelItemHeader">
+                  <span className="automodPanelUsername" style={{ color: item.message.sender?.identity?.color }}>
+                    {item.message.sender?.username}
+                  </span>
+                  <span className="automodPanelRule">{item.ruleName}</span>
+                </div>
+                <p className="automodPanelContent">{item.message.content}</p>
+                <div className="automodPanelActions">
+                  <button className="modPanelBtn" onClick={() => resolveAutomodReview(chatroomId, item.id, "approve")}>
+                    Approve
+                  </button>
+                  <button className="modPanelBtn" onClick={() => resolveAutomodReview(chatroomId, item.id, "delete")}>
+                    Delete
+                  </button>
+                  <button className="modPanelBtn" onClick={() => resolveAutomodReview(chatroomId, item.id, "timeout")}>
+                    Timeout {item.timeoutMinutes}m
+                  </button>
+                  <button className="modPanelBtn" onClick={() => resolveAutomodReview(chatroomId, item.id, "ban")}>
+                    Ban
+                  </button>
+                </div>
+              </div>
+            ))
+          ) : (
+            <p className="automodPanelEmpty">Nothing to review.</p>
+          ))}
+
+        {activeTab === "log" &&
+          (chatroomLog.length > 0 ? (
+            chatroomLog.map((entry) => (
+              <div key={entry.id} className={clsx("automodPanelItem", entry.status !== "done" && entry.status)}>
+                <div className="automodPanelItemHeader">
+                  <span className="automodPanelUsername">
+                    {logActionLabels[entry.action]} {entry.username}
+                    {entry.action === "timeout" && ` for ${entry.duration}m`}
+                  </span>
+                  <span className="automodPanelRule">{dayjs(entry.created_at).format("HH:mm:ss")}</span>
+                </div>
+                <p className="automodPanelContent">{entry.content}</p>
+                <div className="automodPanelItemFooter">
+                  <span className="automodPanelRule">
+                    {entry.automatic ? `Automatic, ${entry.ruleName}` : `From review, ${entry.ruleName}`}
+                    {entry.status === "undone" && " (undone)"}
+                  </span>
+                  {entry.status === "done" && (entry.action === "timeout" || entry.action === "ban") && (
+                    <button className="modPanelBtn" onClick={() => undoAutomodAction(entry.id)}>
+                      Undo
+                    </button>
+                  )}
+                </div>
+                {entry.error && <span className="modPanelError">{entry.error}</span>}
+              </div>
+            ))
+          ) : (
+            <p className="automodPanelEmpty">No automod actions yet.</p>
+          ))}
+      </div>
+
+      {activeTab === "log" && chatroomLog.length > 0 && (
+        <div className="modPanelFooter">
+          <button className="modPanelBtn" onClick={() => clearAutomodLog(chatroomId)}>
+            Clear Log
+          </button>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default AutomodPanel;
@@ -34,6 +34,8 @@ import EmoteDialogs from "./EmoteDialogs";
 import { useShallow } from "zustand/react/shallow";
 import { $isEmoteNode, EmoteNode } from "./EmoteNode";
 import { kickEmoteInputRegex } from "../../../../../../utils/constants";
+import { runChatCommand, searchChatCommands } from "../../../utils/chatCommands";
+import { useAccounts } from "../../../utils/hooks";
 import XIcon from "../../../assets/icons/x-bold.svg?asset";
 import LockIcon from "../../../assets/icons/lock-simple-fill.svg?asset";
 import InfoBar from "./InfoBar";
@@ -175,6 +177,57 @@ const ChatterSuggestions = memo(
   },
 );
 
+const CommandSuggestions = memo(
+  ({ suggestions, onSelect, selectedIndex }) => {
+    const suggestionsRef = useRef(null);
+    const selectedSuggestionRef = useRef(null);
+
+    useEffect(() => {
+      if (!suggestionsRef.current) return;
+
+      const selectedElement = selectedSuggestionRef.current;
+      if (!selectedElement) return;
+
+      selectedElement.scrollIntoView({ block: "center", behavior: "instant" });
+    }, [selectedIndex]);
+
+    if (!suggestions?.length) return null;
+
+    return (
+      <div className={clsx("inputSuggestionsWrapper", suggestions?.length && "show")} ref={suggestionsRef}>
+        <div className="inputSuggestions">
+          {suggestions.map((command, i) => {
+            return (
+              <div
+                key={command.name}
+                ref={selectedIndex === i ? selectedSuggestionRef : null}
+                className={clsx("inputSuggestion", "commandSuggestion", selectedIndex === i && "selected")}
+                onClick={() => {
+                  onSelect(command);
+                }}>
+                <div className="inputSuggestionInfo">
+                  <div className="commandSuggestionInfo">
+                    <span>{command.usage}</span>
+                    <p>{command.description}</p>
+                  </div>
+                  {command.permission && (
+                    <div className="emoteTags">
+                      <span>{command.permission.toUpperCase()}</span>
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  },
+  (prevProps, nextProps) => {
+    return prevProps.selectedIndex === nextProps.selectedIndex && prevProps.suggestions === nextProps.suggestions;
+  },
+);
+
 const KeyHandler = ({ chatroomId, onSendMessage, replyInputData, setReplyInputData, isReplyThread, allStvEmotes }) => {
   const [editor] = useLexicalComposerContext();
   const [emoteSuggestions, setEmoteSuggestions] = useState([]);
@@ -186,6 +239,8 @@ const KeyHandler = ({ chatroomId, onSendMessage, replyInputData, setReplyInputDa
   // const [showChatters, setShowChatters] = useState(false);
   const [selectedEmoteIndex, setSelectedEmoteIndex] = useState(0);
   const [selectedChatterIndex, setSelectedChatterIndex] = useState(0);
+  const [commandSuggestions, setCommandSuggestions] = useState([]);
+  const [selectedCommandIndex, setSelectedCommandIndex] = useState(0);
   const [position, setPosition] = useState(null);
   const [tabCycleInfo, setTabCycleInfo] = useState({ originalWord: "", emoteNodeKey: null });
 
@@ -319,6 +374,20 @@ const KeyHandler = ({ chatroomId, onSendMessage, replyInputData, setReplyInputDa
     [editor],
   );
 
+  const insertCommand = useCallback(
+    (command) => {
+      editor.update(() => {
+        const root = $getRoot();
+        root.clear();
+        root.selectEnd().insertNodes([$createTextNode(`/${command.name} `)]);
+      });
+
+      setCommandSuggestions([]);
+      setSelectedCommandIndex(null);
+    },
+    [editor],
+  );
+
   useEffect(() => {
     if (!editor) return;
 
@@ -337,6 +406,11 @@ const KeyHandler = ({ chatroomId, onSendMessage, replyInputData, setReplyInputDa
             return true;
           }
 
+          if (commandSuggestions?.length) {
+            setSelectedCommandIndex((prev) => (prev <= 0 ? commandSuggestions.length - 1 : prev - 1));
+            return true;
+          }
+
           const history = messageHistory.get(chatroomId);
           if (!history?.sentMessages?.length) return false;
 
@@ -378,6 +452,11 @@ const KeyHandler = ({ chatroomId, onSendMessage, replyInputData, setReplyInputDa
             return true;
           }
 
+          if (commandSuggestions?.length) {
+            setSelectedCommandIndex((prev) => (prev === null || prev >= commandSuggestions.length - 1 ? 0 : prev + 1));
+            return true;
+          }
+
           const history = messageHistory.get(chatroomId);
           if (!history?.sentMessages?.length) return false;
 
@@ -424,6 +503,13 @@ const KeyHandler = ({ chatroomId, onSendMessage, replyInputData, setReplyInputDa
             return true;
           }
 
+          // Complete the command name first, unless it's already typed out in full
+          const command = commandSuggestions?.[selectedCommandIndex];
+          if (command && $rootTextContent().trim().toLowerCase() !== `/${command.name}`) {
+            insertCommand(command);
+            return true;
+          }
+
           const content = $rootTextContent();
           if (!content.trim()) return true;
 
@@ -471,6 +557,10 @@ const KeyHandler = ({ chatroomId, onSendMessage, replyInputData, setReplyInputDa
             insertChatterMention(chatterSuggestions[selectedChatterIndex]);
             return true;
           }
+          if (commandSuggestions?.length) {
+            insertCommand(commandSuggestions[selectedCommandIndex]);
+            return true;
+          }
           const selection = $getSelection();
           if (!$isRangeSelection(selection)) return false;
           const anchorNode = selection.anchor.getNode();
@@ -583,6 +673,16 @@ const KeyHandler = ({ chatroomId, onSendMessage, replyInputData, setReplyInputDa
           const words = textBeforeCursor.split(/\s+/);
           const currentWord = words[words.length - 1];
 
+          // Only suggest commands while typing the first word of the message
+          const rootText = $rootTextContent();
+          if (rootText.startsWith("/") && !/\s/.test(rootText)) {
+            setCommandSuggestions(searchChatCommands(rootText.slice(1), userChatroomInfo));
+            setSelectedCommandIndex(0);
+          } else {
+            setCommandSuggestions([]);
+            setSelectedCommandIndex(null);
+          }
+
           if (currentWord.startsWith(":")) {
             const query = currentWord.slice(1);
             const results = searchEmotes(query);
@@ -665,11 +765,15 @@ const KeyHandler = ({ chatroomId, onSendMessage, replyInputData, setReplyInputDa
     searchChatters,
     emoteSuggestions,
     chatterSuggestions,
+    commandSuggestions,
     chatters,
     selectedEmoteIndex,
     selectedChatterIndex,
+    selectedCommandIndex,
     insertEmote,
     insertChatterMention,
+    insertCommand,
+    userChatroomInfo,
     isReplyThread,
   ]);
 
@@ -704,6 +808,8 @@ const KeyHandler = ({ chatroomId, onSendMessage, replyInputData, setReplyInputDa
       />
 
       <ChatterSuggestions suggestions={chatterSuggestions} selectedIndex={selectedChatterIndex} onSelect={insertChatterMention} />
+
+      <CommandSuggestions suggestions={commandSuggestions} selectedIndex={selectedCommandIndex} onSelect={insertCommand} />
     </>
   );
 };
@@ -823,9 +929,16 @@ const ChatInput = memo(
   ({ chatroomId, isReplyThread = false, replyMessage = {}, settings }) => {
     const sendMessage = useChatStore((state) => state.sendMessage);
     const sendReply = useChatStore((state) => state.sendReply);
+    const addMessage = useChatStore((state) => state.addMessage);
+    const getPinMessage = useChatStore((state) => state.getPinMessage);
     const chatroom = useChatStore(useShallow((state) => state.chatrooms.find((room) => room.id === chatroomId)));
     const personalEmoteSets = useChatStore(useShallow((state) => state.personalEmoteSets));
     const [replyInputData, setReplyInputData] = useState(null);
+    const inputWrapperRef = useRef(null);
+
+    // Name the account when this chatroom sends as someone other than the active account
+    const accounts = useAccounts();
+    const sendAccount = accounts.find((account) => String(account.id) === String(chatroom?.sendAccountId));
 
     const allStvEmotes = useMemo(() => {
       return [...(personalEmoteSets || []), ...(chatroom?.channel7TVEmotes || [])];
@@ -845,10 +958,13 @@ const ChatInput = memo(
 
     useEffect(() => {
       const cleanup = window.app.reply.onData((data) => {
+        // Split view has an input per chatroom, only the one for the message's chatroom replies
+        if (data?.chatroom_id && data.chatroom_id != chatroomId) return;
+
         setReplyInputData(data);
 
         setTimeout(() => {
-          const editor = document.querySelector(".chatInput");
+          const editor = inputWrapperRef.current?.querySelector(".chatInput");
           if (editor) {
             editor.focus();
           }
@@ -856,43 +972,63 @@ const ChatInput = memo(
       });
 
       return () => cleanup();
-    }, []);
+    }, [chatroomId]);
+
+    const handleOpenUserDialog = useCallback(
+      async (username) => {
+        const user = await window.app.kick.getUserChatroomInfo(chatroom?.username, username);
+        if (!user?.data?.id) return false;
+
+        const sender = {
+          id: user.data.id,
+          username: user.data.username,
+          slug: user.data.slug,
+        };
+
+        window.app.userDialog.open({
+          sender,
+          fetchedUser: user?.data,
+          chatroomId,
+          sevenTVEmotes: allStvEmotes,
+          subscriberBadges: chatroom?.streamerData?.subscriber_badges,
+          userChatroomInfo: chatroom?.userChatroomInfo,
+          cords: [0, 300],
+        });
+
+        return true;
+      },
+      [chatroomId, chatroom, allStvEmotes],
+    );
 
     const handleSendMessage = useCallback(
       async (content) => {
         if (content.startsWith("/")) {
-          const commandParts = content.slice(1).trim().split(" ");
-          const command = commandParts[0];
-          let usernameInput = commandParts[1];
-          if (!usernameInput) return;
-
-          // Strip out the '@' from the username if it exists
-          if (usernameInput.startsWith("@")) {
-            usernameInput = usernameInput.slice(1);
-          }
+          const success = await runChatCommand(content, {
+            chatroomId,
+            channelName: chatroom?.slug,
+            userChatroomInfo: chatroom?.userChatroomInfo,
+            replyInputData,
+            messages: useChatStore.getState().messages[chatroomId],
+            getPinMessage,
+            openUserDialog: handleOpenUserDialog,
+            addSystemMessage: (message) =>
+              addMessage(chatroomId, {
+                id: crypto.randomUUID(),
+                type: "system",
+                content: message,
+                timestamp: new Date().toISOString(),
+              }),
+          });
 
-          if (command) {
-            const user = await window.app.kick.getUserChatroomInfo(chatroom.username, usernameInput);
-            if (!user?.data?.id) return;
-
-            const sender = {
-              id: user.data.id,
-              username: user.data.username,
-              slug: user.data.slug,
-            };
-
-            window.app.userDialog.open({
-              sender,
-              fetchedUser: user?.data,
-              chatroomId,
-              sevenTVEmotes: allStvEmotes,
-              subscriberBadges: chatroom?.streamerData?.subscriber_badges,
-              userChatroomInfo: chatroom?.userChatroomInfo,
-              cords: [0, 300],
+          if (success) {
+            const history = messageHistory.get(chatroomId);
+            messageHistory.set(chatroomId, {
+              sentMessages: [...(history?.sentMessages || []), content],
+              selectedIndex: undefined,
             });
-
-            return;
           }
+
+          return;
         }
 
         let res;
@@ -919,11 +1055,11 @@ const ChatInput = memo(
           });
         }
       },
-      [chatroomId, chatroom, sendMessage, replyInputData, setReplyInputData, replyMessage],
+      [chatroomId, chatroom, sendMessage, addMessage, getPinMessage, handleOpenUserDialog, replyInputData, replyMessage],
     );
 
     return (
-      <div className="chatInputWrapper">
+      <div className="chatInputWrapper" ref={inputWrapperRef}>
         <div className="chatInputInfoBar">
           {settings?.chatrooms?.showInfoBar && (
             <InfoBar chatroomInfo={chatroom?.chatroomInfo} initialChatroomInfo={chatroom?.initialChatroomInfo} />
@@ -940,7 +1076,13 @@ const ChatInput = memo(
                       className="chatInput"
                       enterKeyHint="send"
                       aria-placeholder={"Enter message..."}
-                      placeholder={<div className="chatInputPlaceholder">Send a message...</div>}
+                      placeholder={
+                        <div className="chatInputPlaceholder">
+                          {sendAccount && !sendAccount.active
+                            ? `Send a message as ${sendAccount.username}...`
+                            : "Send a message..."}
+                        </div>
+                      }
                       spellCheck={false}
                     />
                   </div>
@@ -0,0 +1,165 @@
+import { memo, useCallback, useEffect, useState } from "react";
+import clsx from "clsx";
+import dayjs from "dayjs";
+import { convertMinutesToHumanReadable } from "../../utils/ChatUtils";
+import XIcon from "../../assets/icons/x-bold.svg?asset";
+
+const SEARCH_DEBOUNCE = 300;
+
+const modLogActionLabels = {
+  ban: "banned",
+  timeout: "timed out",
+  unban: "unbanned",
+  remove_timeout: "removed timeout on",
+  delete: "deleted a message from",
+  pin: "pinned a message from",
+  unpin: "unpinned a message from",
+  mode: "changed chat mode",
+};
+
+// Kick doesn't say who deleted messages or changed modes, so those read without a moderator
+const formatEntrySummary = (entry) => {
+  const label = modLogActionLabels[entry.action] || entry.action;
+  const summary = [entry.moderator, label, entry.target?.username].filter(Boolean).join(" ");
+  const duration = entry.action === "timeout" && entry.duration ? ` for ${convertMinutesToHumanReadable(entry.duration)}` : "";
+
+  return `${summary.charAt(0).toUpperCase()}${summary.slice(1)}${duration}`;
+};
+
+const modLogFilters = [
+  { label: "All", actions: [] },
+  { label: "Bans", actions: ["ban", "unban"] },
+  { label: "Timeouts", actions: ["timeout", "remove_timeout"] },
+  { label: "Deletions", actions: ["delete"] },
+  { label: "Pins", actions: ["pin", "unpin"] },
+  { label: "Modes", actions: ["mode"] },
+];
+
+const ModLogPanel = memo(({ chatroomId, channelName, showModLogPanel, setShowModLogPanel }) => {
+  const [entries, setEntries] = useState([]);
+  const [query, setQuery] = useState("");
+  const [activeFilter, setActiveFilter] = useState(modLogFilters[0]);
+  const [expandedEntryId, setExpandedEntryId] = useState(null);
+  const [confirmClear, setConfirmClear] = useState(false);
+
+  const loadEntries = useCallback(async () => {
+    setEntries(await window.app.modLog.search({ chatroomId, query, actions: activeFilter.actions }));
+  }, [chatroomId, query, activeFilter]);
+
+  useEffect(() => {
+    if (!showModLogPanel) return;
+
+    const timer = setTimeout(loadEntries, SEARCH_DEBOUNCE);
+    return () => clearTimeout(timer);
+  }, [showModLogPanel, loadEntries]);
+
+  // Reload when this chatroom gets a new entry
+  useEffect(() => {
+    if (!showModLogPanel) return;
+
+    return window.app.modLog.onUpdate((data) => {
+      if (String(data?.chatroomId) === String(chatroomId)) loadEntries();
+    });
+  }, [showModLogPanel, chatroomId, loadEntries]);
+
+  const handleExport = () => {
+    window.app.modLog.export({ chatroomId, query, actions: activeFilter.actions }, channelName);
+  };
+
+  const handleClear = async () => {
+    if (!confirmClear) {
+      setConfirmClear(true);
+      return;
+    }
+
+    setConfirmClear(false);
+    await window.app.modLog.clear(chatroomId);
+  };
+
+  if (!showModLogPanel) return null;
+
+  return (
+    <div className="automodPanel modLogPanel">
+      <div className="modPanelHeader">
+        <span>Mod Log</span>
+        <button className="modPanelCloseBtn" onClick={() => setShowModLogPanel(false)}>
+          <img src={XIcon} width={14} height={14} alt="Close Mod Log" />
+        </button>
+      </div>
+
+      <input
+        className="modLogSearchInput"
+        type="text"
+        placeholder="Search moderators, users or messages..."
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+      />
+
+      <div className="automodPanelTabs">
+        {modLogFilters.map((filter) => (
+          <button
+            key={filter.label}
+            className={clsx("automodPanelTab", activeFilter.label === filter.label && "active")}
+            onClick={() => setActiveFilter(filter)}>
+            {filter.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="automodPanelItems">
+        {entries.length > 0 ? (
+          entries.map((entry) => (
+            <div key={entry.id} className="automodPanelItem">
+              <div className="automodPanelItemHeader">
+                <span className="automodPanelUsername">{formatEntrySummary(entry)}</span>
+                <span className="automodPanelRule">{dayjs(entry.created_at).format("MMM D, HH:mm:ss")}</span>
+              </div>
+
+              {entry.details && <p className="automodPanelContent">{entry.details}</p>}
+
+              {entry.messages?.length > 0 && (
+                <div className="automodPanelItemFooter">
+                  <button
+                    className="modLogMessagesBtn"
+                    onClick={() => setExpandedEntryId(expandedEntryId === entry.id ? null : entry.id)}>
+                    {expandedEntryId === entry.id ? "Hide" : "Show"} last {entry.messages.length} message
+                    {entry.messages.length === 1 ? "" : "s"}
+                  </button>
+                </div>
+              )}
+
+              {expandedEntryId === entry.id && (
+                <div className="modLogMessages">
+                  {entry.messages.map((message) => (
+                    <p key={message.id} className="automodPanelContent">
+                      <span className="automodPanelRule">{dayjs(message.created_at).format("HH:mm:ss")}</span> {message.content}
+                    </p>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))
+        ) : (
+          <p className="automodPanelEmpty">
+            {query || activeFilter.actions.length ? "No matching entries." : "No moderation actions yet."}
+          </p>
+        )}
+      </div>
+
+      <div className="modPanelFooter">
+        <button className="modPanelBtn" onClick={handleExport} disabled={!entries.length}>
+          Export CSV
+        </button>
+        <button
+          className={clsx("modPanelBtn modPanelClearBtn", confirmClear && "confirm")}
+          onClick={handleClear}
+          onMouseLeave={() => setConfirmClear(false)}
+          disabled={!entries.length && !confirmClear}>
+          {confirmClear ? "Click to confirm" : "Clear Log"}
+        </button>
+      </div>
+    </div>
+  );
+});
+
+export default ModLogPanel;
@@ -0,0 +1,314 @@
+import { memo, useCallback, useEffect, useMemo, useState } from "react";
+import { useShallow } from "zustand/shallow";
+import clsx from "clsx";
+import useChatStore from "../../providers/ChatProvider";
+import { Switch } from "../Shared/Switch";
+import { chatroomErrorHandler } from "../../utils/chatErrors";
+import { chatModeOptions, getChatModeState } from "../../utils/chatModes";
+import XIcon from "../../assets/icons/x-bold.svg?asset";
+
+// Kick only accepts these poll durations, in seconds
+const pollDurations = [
+  { value: 30, label: "30 seconds" },
+  { value: 120, label: "2 minutes" },
+  { value: 180, label: "3 minutes" },
+  { value: 300, label: "5 minutes" },
+];
+
+const pollResultDurations = [
+  { value: 15, label: "15 seconds" },
+  { value: 30, label: "30 seconds" },
+  { value: 120, label: "2 minutes" },
+];
+
+const MAX_POLL_OPTIONS = 6;
+
+const initialPollForm = {
+  title: "",
+  options: ["", ""],
+  duration: pollDurations[0].value,
+  resultDisplayDuration: pollResultDurations[0].value,
+};
+
+const getChatModes = (chatroomInfo, initialChatroomInfo) =>
+  Object.fromEntries(chatModeOptions.map((mode) => [mode.key, getChatModeState(mode, chatroomInfo, initialChatroomInfo)]));
+
+const ModPanel = memo(
+  ({ chatroomId, channelName, streamTitle, isBroadcaster, showModPanel, setShowModPanel }) => {
+    const chatroomInfo = useChatStore(
+      useShallow((state) => state.chatrooms.find((room) => room.id === chatroomId)?.chatroomInfo),
+    );
+    const initialChatroomInfo = useChatStore(
+      useShallow((state) => state.chatrooms.find((room) => room.id === chatroomId)?.initialChatroomInfo),
+    );
+    const hasActivePoll = useChatStore((state) => !!state.chatrooms.find((room) => room.id === chatroomId)?.pollDetails);
+
+    const [durations, setDurations] = useState({});
+    const [title, setTitle] = useState(streamTitle || "");
+    const [pendingAction, setPendingAction] = useState(null);
+    const [confirmClear, setConfirmClear] = useState(false);
+    const [pollForm, setPollForm] = useState(initialPollForm);
+    const [error, setError] = useState(null);
+
+    const chatModes = useMemo(() => getChatModes(chatroomInfo, initialChatroomInfo), [chatroomInfo, initialChatroomInfo]);
+
+    // Keep the inputs in sync with changes made by other moderators
+    useEffect(() => {
+      setDurations(
+        Object.fromEntries(
+          chatModeOptions
+            .filter((mode) => mode.durationKey)
+            .map((mode) => [mode.key, chatModes[mode.key]?.duration ?? mode.defaultDuration]),
+        ),
+      );
+    }, [chatModes]);
+
+    useEffect(() => {
+      setTitle(streamTitle || "");
+    }, [streamTitle]);
+
+    const runAction = useCallback(async (action, request, fallback) => {
+      setPendingAction(action);
+      setError(null);
+
+      try {
+        await request();
+        return true;
+      } catch (err) {
+        console.error(`[Mod Panel]: Failed to ${action}:`, err);
+        setError(chatroomErrorHandler(err, fallback));
+        return false;
+      } finally {
+        setPendingAction(null);
+      }
+    }, []);
+
+    const updateChatMode = useCallback(
+      (mode, enabled) => {
+        const options = { [mode.key]: enabled };
+
+        if (mode.durationKey && enabled) {
+          const duration = Number(durations[mode.key]);
+          if (!Number.isInteger(duration) || duration < mode.min || duration > mode.max) {
+            setError(`${mode.label} must be between ${mode.min} and ${mode.max} ${mode.unit}.`);
+            return;
+          }
+
+          options[mode.durationKey] = duration;
+        }
+
+        runAction(
+          mode.key,
+          () => window.app.kickChannelActions.getUpdateChatModes(channelName, options),
+          `Failed to update ${mode.label}.`,
+        );
+      },
+      [channelName, durations, runAction],
+    );
+
+    const handleUpdateTitle = useCallback(async () => {
+      const newTitle = title.trim();
+      if (!newTitle || newTitle === streamTitle) return;
+
+      await runAction(
+        "title",
+        () => window.app.kickChannelActions.getUpdateTitle(channelName, newTitle),
+        "Failed to update stream title.",
+      );
+    }, [channelName, title, streamTitle, runAction]);
+
+    const handleClearChat = useCallback(async () => {
+      if (!confirmClear) {
+        setConfirmClear(true);
+        return;
+      }
+
+      setConfirmClear(false);
+      await runAction("clear", () => window.app.kickChannelActions.getClearChatroom(channelName), "Failed to clear chat.");
+    }, [channelName, confirmClear, runAction]);
+
+    const updatePollOption = (index, value) => {
+      setPollForm((prev) => ({ ...prev, options: prev.options.map((option, i) => (i === index ? value : option)) }));
+    };
+
+    const handleCreatePoll = useCallback(async () => {
+      const title = pollForm.title.trim();
+      const options = pollForm.options.map((option) => option.trim()).filter(Boolean);
+
+      if (!title || options.length < 2) {
+        setError("A poll needs a question and at least two options.");
+        return;
+      }
+
+      const created = await runAction(
+        "poll",
+        () =>
+          window.app.kickChannelActions.getCreatePoll(channelName, {
+            title,
+            options,
+            duration: pollForm.duration,
+            result_display_duration: pollForm.resultDisplayDuration,
+          }),
+        "Failed to create poll.",
+      );
+
+      if (created) setPollForm(initialPollForm);
+    }, [channelName, pollForm, runAction]);
+
+    const handleEndPoll = useCallback(async () => {
+      await runAction("poll", () => window.app.kickChannelActions.getDeletePoll(channelName), "Failed to end poll.");
+    }, [channelName, runAction]);
+
+    if (!showModPanel) return null;
+
+    return (
+      <div className="modPanel">
+        <div className="modPanelHeader">
+          <span>Mod Panel</span>
+          <button className="modPanelCloseBtn" onClick={() => setShowModPanel(false)}>
+            <img src={XIcon} width={14} height={14} alt="Close Mod Panel" />
+          </button>
+        </div>
+
+        <div className="modPanelModes">
+          {chatModeOptions.map((mode) => (
+            <div key={mode.key} className={clsx("modPanelMode", chatModes[mode.key]?.enabled && "active")}>
+              <span className="modPanelModeLabel">{mode.label}</span>
+
+              {mode.durationKey && (
+                <div className="modPanelDuration">
+                  <input
+                    type="number"
+                    min={mode.min}
+                    max={mode.max}
+                    value={durations[mode.key] ?? ""}
+                    onChange={(e) => setDurations((prev) => ({ ...prev, [mode.key]: e.target.value }))}
+                    onKeyDown={(e) => e.key === "Enter" && updateChatMode(mode, true)}
+                  />
+                  <span>{mode.unit}</span>
+                </div>
+              )}
+
+              <Switch
+                checked={chatModes[mode.key]?.enabled || false}
+                disabled={pendingAction === mode.key}
+                onCheckedChange={(checked) => updateChatMode(mode, checked)}
+              />
+            </div>
+          ))}
+        </div>
+
+        {isBroadcaster && (
+          <div className="modPanelTitle">
+            <input
+              type="text"
+              placeholder="Stream title"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && handleUpdateTitle()}
+            />
+            <button
+              className="modPanelBtn"
+              disabled={pendingAction === "title" || !title.trim() || title.trim() === streamTitle}
+              onClick={handleUpdateTitle}>
+              Save Title
+            </button>
+          </div>
+        )}
+
+        <div className="modPanelPoll">
+          {hasActivePoll ? (
+            <div className="modPanelPollActive">
+              <span>A poll is running in this chatroom</span>
+              <button className="modPanelBtn" disabled={pendingAction === "poll"} onClick={handleEndPoll}>
+                End Poll
+              </button>
+            </div>
+          ) : (
+            <>
+              <input
+                type="text"
+                placeholder="Poll question"
+                value={pollForm.title}
+                onChange={(e) => setPollForm((prev) => ({ ...prev, title: e.target.value }))}
+              />
+
+              {pollForm.options.map((option, index) => (
+                <div key={index} className="modPanelPollOption">
+                  <input
+                    type="text"
+                    placeholder={`Option ${index + 1}`}
+                    value={option}
+                    onChange={(e) => updatePollOption(index, e.target.value)}
+                  />
+                  {pollForm.options.length > 2 && (
+                    <button
+                      className="modPanelCloseBtn"
+                      onClick={() => setPollForm((prev) => ({ ...prev, options: prev.options.filter((_, i) => i !== index) }))}>
+                      <img src={XIcon} width={12} height={12} alt="Remove Option" />
+                    </button>
+                  )}
+                </div>
+              ))}
+
+              <div className="modPanelPollSettings">
+                <select
+                  value={pollForm.duration}
+                  onChange={(e) => setPollForm((prev) => ({ ...prev, duration: Number(e.target.value) }))}>
+                  {pollDurations.map((duration) => (
+                    <option key={duration.value} value={duration.value}>
+                      Lasts {duration.label}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={pollForm.resultDisplayDuration}
+                  onChange={(e) => setPollForm((prev) => ({ ...prev, resultDisplayDuration: Number(e.target.value) }))}>
+                  {pollResultDurations.map((duration) => (
+                    <option key={duration.value} value={duration.value}>
+                      Results for {duration.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="modPanelPollActions">
+                <button
+                  className="modPanelBtn"
+                  disabled={pollForm.options.length >= MAX_POLL_OPTIONS}
+                  onClick={() => setPollForm((prev) => ({ ...prev, options: [...prev.options, ""] }))}>
+                  Add Option
+                </button>
+                <button className="modPanelBtn" disabled={pendingAction === "poll"} onClick={handleCreatePoll}>
+                  Start Poll
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="modPanelFooter">
+          {error && <span className="modPanelError">{error}</span>}
+          <button
+            className={clsx("modPanelBtn", "modPanelClearBtn", confirmClear && "confirm")}
+            disabled={pendingAction === "clear"}
+            onClick={handleClearChat}
+            onMouseLeave={() => setConfirmClear(false)}>
+            {confirmClear ? "Click to confirm" : "Clear Chat"}
+          </button>
+        </div>
+      </div>
+    );
+  },
+  (prevProps, nextProps) => {
+    return (
+      prevProps.chatroomId === nextProps.chatroomId &&
+      prevProps.channelName === nextProps.channelName &&
+      prevProps.streamTitle === nextProps.streamTitle &&
+      prevProps.isBroadcaster === nextProps.isBroadcaster &&
+      prevProps.showModPanel === nextProps.showModPanel
+    );
+  },
+);
+
+export default ModPanel;
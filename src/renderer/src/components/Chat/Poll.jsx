@@ -1,174 +1,117 @@
 import { clsx } from "clsx";
-import { memo, useEffect, useRef, useState } from "react";
-import dayjs from "dayjs";
+import { memo, useCallback, useEffect, useMemo, useState } from "react";
+import useChatStore from "../../providers/ChatProvider";
+import { chatroomErrorHandler } from "../../utils/chatErrors";
 import CaretDown from "../../assets/icons/caret-down-bold.svg?asset";
 import CloseIcon from "../../assets/icons/x-bold.svg?asset";
 import TrashIcon from "../../assets/icons/trash-fill.svg?asset";
 import TrophyIcon from "../../assets/icons/trophy.svg?asset";
-import duration from "dayjs/plugin/duration";
 
-dayjs.extend(duration);
+const getSecondsRemaining = (endsAt) => (endsAt ? Math.max(0, Math.ceil((endsAt - Date.now()) / 1000)) : 0);
 
-const Poll = memo(
-  ({ pollDetails, showChatters, showPollMessage, setShowPollMessage, canModerate, chatroomId }) => {
-    // const [pollDetails, setPollDetails] = useState({
-    //   title: "test",
-    //   duration: 300,
-    //   result_display_duration: 300,
-    //   created_at: "2025-05-21T11:05:26.303172Z",
-    //   options: [
-    //     {
-    //       id: 0,
-    //       label: "13",
-    //       votes: 3,
-    //     },
-    //     {
-    //       id: 1,
-    //       label: "14",
-    //       votes: 2,
-    //     },
-    //   ],
-    //   remaining: 68,
-    //   has_voted: false,
-    //   voted_option_id: null,
-    // });
-
-    if (!pollDetails?.title) return null;
+const formatCountdown = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
 
-    const [poll, setPoll] = useState(pollDetails);
-    const [percentRemaining, setPercentRemaining] = useState(0);
+const Poll = memo(
+  ({ pollDetails, chatroomId, channelName, showPollMessage, setShowPollMessage, canModerate }) => {
+    const handlePollUpdate = useChatStore((state) => state.handlePollUpdate);
+    const handlePollDelete = useChatStore((state) => state.handlePollDelete);
 
-    const [selectedOption, setSelectedOption] = useState(pollDetails?.voted_option_id || null);
-    const [hasVoted, setHasVoted] = useState(pollDetails?.has_voted || false);
-    const [pollWinner, setPollWinner] = useState(null);
+    const [selectedOption, setSelectedOption] = useState(null);
     const [isPollExpanded, setIsPollExpanded] = useState(false);
+    const [secondsRemaining, setSecondsRemaining] = useState(() => getSecondsRemaining(pollDetails?.endsAt));
+    const [pendingAction, setPendingAction] = useState(null);
+    const [error, setError] = useState(null);
 
-    const isPollEnded = pollDetails?.remaining <= 0;
-
-    const currentTime = Date.now();
-    let startTime = pollDetails?.start_time || currentTime;
-    let endTime = null;
+    const hasVoted = pollDetails?.has_voted || false;
+    const isPollEnded = secondsRemaining <= 0;
 
-    const intervalTimerRef = useRef(null);
-
-    const totalVotes = pollDetails?.options.reduce((sum, option) => sum + option.votes, 0);
+    const totalVotes = useMemo(
+      () => pollDetails?.options?.reduce((sum, option) => sum + option.votes, 0) || 0,
+      [pollDetails?.options],
+    );
     const calculatePercentage = (votes) => (totalVotes === 0 ? 0 : (votes / totalVotes) * 100);
 
-    // const handleVote = async (optionId) => {
-    //   if (hasVoted || pollWinner) return;
-
-    //   const response = await window.app.kick.getSubmitPollVote(chatroomName, optionId);
+    // Every option tied for the most votes wins
+    const winningOptionIds = useMemo(() => {
+      if (!isPollEnded || !totalVotes) return [];
 
-    //   if (response?.status?.code === 200) {
-    //     const updatedOptions = pollDetails?.options.map((option) =>
-    //       option.id === optionId ? { ...option, votes: option.votes + 1 } : option,
-    //     );
+      const maxVotes = Math.max(...pollDetails.options.map((option) => option.votes));
+      return pollDetails.options.filter((option) => option.votes === maxVotes).map((option) => option.id);
+    }, [isPollEnded, totalVotes, pollDetails?.options]);
 
-    //     const updatedPoll = {
-    //       ...pollDetails,
-    //       options: updatedOptions,
-    //       has_voted: true,
-    //       voted_option_id: optionId,
-    //     };
+    // Reset the selection when a new poll replaces this one
+    useEffect(() => {
+      setSelectedOption(null);
+      setError(null);
+    }, [pollDetails?.title]);
 
-    //     await handlePollUpdate(chatroomId, updatedPoll);
-    //     setPoll(updatedPoll);
-    //     setSelectedOption(optionId);
-    //     setHasVoted(true);
+    // Count down to the end of the poll, then keep the results up for the display duration
+    useEffect(() => {
+      if (!pollDetails?.endsAt) return;
 
-    //     return true;
-    //   }
+      const resultsEndAt = pollDetails.endsAt + (pollDetails.result_display_duration || 15) * 1000;
 
-    //   return false;
-    // };
+      const tick = () => {
+        setSecondsRemaining(getSecondsRemaining(pollDetails.endsAt));
 
-    // const modDeletePoll = () => {
-    //   if (!canModerate) return;
-    //   handlePollDelete(chatroomId);
-    //   setShowPollMessage(false);
-    // };
+        if (Date.now() >= resultsEndAt) {
+          console.log(`[Poll Event - ${chatroomId}]: Results display ended, removing poll`);
+          handlePollDelete(chatroomId);
+        }
+      };
 
-    // const deletePoll = () => {
-    //   handlePollDelete(chatroomId);
-    //   setShowPollMessage(false);
-    // };
+      tick();
+      const interval = setInterval(tick, 1000);
 
-    useEffect(() => {
-      if (intervalTimerRef.current) clearInterval(intervalTimerRef.current);
-      if (!pollDetails?.duration) return;
-
-      // if (pollDetails.remaining === 0) {
-      //   setPercentRemaining(0);
-      //   setTimeout(deletePoll, pollDetails?.result_display_duration * 1000 || 15000);
-      //   return;
-      // }
-
-      if (pollDetails.remaining > 0) {
-        endTime = currentTime + pollDetails.remaining * 1000;
-        console.log(`[Poll Event - ${chatroomId}]: Poll will end at ${new Date(endTime).toLocaleTimeString()}`);
-      } else {
-        endTime = dayjs(pollDetails?.end_time || null);
-        console.log(`[Poll Event - ${chatroomId}]: Poll has already ended.`);
-      }
+      return () => clearInterval(interval);
+    }, [pollDetails?.endsAt, pollDetails?.result_display_duration, chatroomId, handlePollDelete]);
 
-      if (isPollEnded) {
-        setPercentRemaining(0);
-        console.log(
-          `[Poll Event - ${chatroomId}]: Poll has ended. Displaying results for ${pollDetails?.result_display_duration} seconds.`,
-        );
-
-        try {
-          // Log Votes for Each Option
-          pollDetails.options.forEach((option) => {
-            console.log(`[Poll Event - ${chatroomId}]: Option ${option.id}-${option.label} has ${option.votes} votes.`);
-          });
-
-          // Find Max Number of Possible Votes
-          const maxVotes = Math.max(...pollDetails.options.map((opt) => opt.votes));
-          console.log(`[Poll Event - ${chatroomId}]: Max Number of Votes: ${maxVotes}`);
-
-          if (maxVotes > 0) {
-            const optionsWithMaxVotes = pollDetails.options.filter((opt) => opt.votes === maxVotes);
-
-            if (optionsWithMaxVotes.length > 0) {
-              setPollWinner(optionsWithMaxVotes[0].id);
-              console.log(
-                `[Poll Event - ${chatroomId}]: Winner Option: ${optionsWithMaxVotes[0].id}-${optionsWithMaxVotes[0].label}`,
-              );
-            }
-          }
-        } catch (error) {}
-
-        return;
-      }
+    const handleVote = useCallback(async () => {
+      if (selectedOption === null || hasVoted || isPollEnded) return;
 
-      // const startTime = dayjs(pollDetails?.created_at);
-      // const endTime = dayjs(startTime).add(pollDetails.duration, "seconds");
+      setPendingAction("vote");
+      setError(null);
 
-      // intervalTimerRef.current = setInterval(() => {
-      //   const now = dayjs();
-      //   const secondsRemaining = endTime.diff(now, "seconds");
+      try {
+        await window.app.kick.getSubmitPollVote(channelName, selectedOption);
 
-      //   if (secondsRemaining <= 0) {
-      //     clearInterval(intervalTimerRef.current);
-      //     setPercentRemaining(0);
-      //     setTimeout(deletePoll, pollDetails?.result_display_duration * 1000 || 15000);
-      //     return;
-      //   }
+        // Vote counts arrive with the next PollUpdateEvent
+        handlePollUpdate(chatroomId, { title: pollDetails.title, has_voted: true, voted_option_id: selectedOption });
+      } catch (err) {
+        console.error("[Poll]: Failed to submit vote:", err);
+        setError(chatroomErrorHandler(err, "Failed to submit vote."));
+      } finally {
+        setPendingAction(null);
+      }
+    }, [selectedOption, hasVoted, isPollEnded, channelName, chatroomId, pollDetails?.title, handlePollUpdate]);
+
+    const handleEndPoll = useCallback(async () => {
+      if (!canModerate) return;
+
+      setPendingAction("end");
+      setError(null);
+
+      try {
+        await window.app.kickChannelActions.getDeletePoll(channelName);
+        handlePollDelete(chatroomId);
+        setShowPollMessage(false);
+      } catch (err) {
+        console.error("[Poll]: Failed to end poll:", err);
+        setError(chatroomErrorHandler(err, "Failed to end poll."));
+      } finally {
+        setPendingAction(null);
+      }
+    }, [canModerate, channelName, chatroomId, handlePollDelete, setShowPollMessage]);
 
-      //   setPercentRemaining((secondsRemaining / pollDetails.duration) * 100);
-      // }, 1000);
+    if (!pollDetails?.title) return null;
 
-      // return () => {
-      //   if (intervalTimerRef.current) clearInterval(intervalTimerRef.current);
-      // };
-    }, [pollDetails]);
+    const percentRemaining = pollDetails?.duration ? (secondsRemaining / pollDetails.duration) * 100 : 0;
 
     return (
-      <div className={clsx("poll", showPollMessage && !showChatters && "open", isPollExpanded && "expanded")}>
+      <div className={clsx("poll", showPollMessage && "open", isPollExpanded && "expanded")}>
         <div className="pollHeader">
           <div className="pollHeaderInfo">
-            <h4>Current Poll:</h4>
+            <h4>{isPollEnded ? "Poll Results:" : "Current Poll:"}</h4>
             <span>{pollDetails?.title}</span>
           </div>
           <div className="pollActions">
@@ -185,37 +128,42 @@ const Poll = memo(
               <img src={CloseIcon} width={14} height={14} alt="Close Poll" />
             </button>
             {canModerate && (
-              <button onClick={modDeletePoll}>
-                <img src={TrashIcon} width={14} height={14} alt="Delete Poll" />
+              <button onClick={handleEndPoll} disabled={pendingAction === "end"}>
+                <img src={TrashIcon} width={14} height={14} alt="End Poll" />
               </button>
             )}
           </div>
         </div>
-        <div className={clsx("pollOptions", hasVoted && "pollOptionsVoted", pollWinner && "pollOptionsWinner")}>
+        <div className={clsx("pollOptions", (hasVoted || isPollEnded) && "pollOptionsVoted")}>
           {pollDetails?.options?.map((option) => {
             // Percentage of Votes for this Option
             const percentage = calculatePercentage(option.votes);
 
             // Has Voted For this Option
-            const hasVoted = pollDetails?.voted_option_id === option.id;
+            const isVotedOption = hasVoted && pollDetails?.voted_option_id === option.id;
 
             // Option has Won
-            const isSelected = selectedOption === option.id;
-            const isWinner = pollWinner === option.id && isPollEnded;
+            const isSelected = !hasVoted && !isPollEnded && selectedOption === option.id;
+            const isWinner = winningOptionIds.includes(option.id);
 
             return (
               <button
                 key={option.id}
                 onClick={() => {
-                  if (pollWinner || hasVoted) return;
+                  if (isPollEnded || hasVoted) return;
                   setSelectedOption(option.id);
                 }}
-                className={clsx("pollOption", isWinner && "pollOptionWon")}>
+                className={clsx(
+                  "pollOption",
+                  isSelected && "pollOptionSelected",
+                  isVotedOption && !isWinner && "pollOptionVoted",
+                  isWinner && "pollOptionWon",
+                )}>
                 <div className="pollOptionLabel">
                   <div className="pollOptionLabelContent">
                     <p>{option.label}</p>
                     <div className="pollOptionLabelStatus">
-                      {hasVoted && <span id="pollOptionVotedLabel">VOTED</span>}
+                      {isVotedOption && <span id="pollOptionVotedLabel">VOTED</span>}
                       {isWinner && (
                         <span id="pollOptionWonLabel">
                           WON <img src={TrophyIcon} width={14} height={14} alt="Trophy" />
@@ -240,25 +188,36 @@ const Poll = memo(
           })}
         </div>
         <div className={"pollFooter"}>
-          {!hasVoted && percentRemaining > 0 && (
-            <button className="pollVoteButton" onClick={() => handleVote(selectedOption)}>
-              Submit
+          {!hasVoted && !isPollEnded && (
+            <button
+              className="pollVoteButton"
+              disabled={selectedOption === null || pendingAction === "vote"}
+              onClick={handleVote}>
+              {pendingAction === "vote" ? "Voting..." : "Submit"}
             </button>
           )}
 
+          {error && <span className="pollError">{error}</span>}
+
           <div className="pollTimer">
             <span style={{ width: `${percentRemaining}%` }} />
           </div>
 
-          {/* <div className="pollMessageFooterContent">
-            <span>Poll ends {pollDetails?.remaining && `${dayjs().add(pollDetails?.remaining, "second").fromNow()}`}</span>
-          </div> */}
+          <div className="pollFooterInfo">
+            <span>{isPollEnded ? "Poll ended" : `Ends in ${formatCountdown(secondsRemaining)}`}</span>
+            <span>{totalVotes === 1 ? "1 Vote" : `${totalVotes} Votes`}</span>
+          </div>
         </div>
       </div>
     );
   },
   (prevProps, nextProps) => {
-    return prevProps.pollDetails === nextProps.pollDetails && prevProps.showPollMessage === nextProps.showPollMessage;
+    return (
+      prevProps.pollDetails === nextProps.pollDetails &&
+      prevProps.showPollMessage === nextProps.showPollMessage &&
+      prevProps.channelName === nextProps.channelName &&
+      prevProps.canModerate === nextProps.canModerate
+    );
   },
 );
 
@@ -1,9 +1,286 @@
-import { memo } from "react";
+import { clsx } from "clsx";
+import { memo, useCallback, useEffect, useMemo, useState } from "react";
+import useChatStore from "../../providers/ChatProvider";
+import { chatroomErrorHandler } from "../../utils/chatErrors";
+import CaretDown from "../../assets/icons/caret-down-bold.svg?asset";
+import CloseIcon from "../../assets/icons/x-bold.svg?asset";
+import TrophyIcon from "../../assets/icons/trophy.svg?asset";
+
+// How long resolved and cancelled predictions stay up, in seconds
+const PREDICTION_RESULT_DURATION = 30;
+
+const predictionStateLabels = {
+  ACTIVE: "Prediction:",
+  LOCKED: "Prediction Locked:",
+  RESOLVED: "Prediction Resolved:",
+  CANCELLED: "Prediction Cancelled:",
+};
+
+const formatCountdown = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
 
 const Predictions = memo(
-  ({ showChatters, showPollMessage, setShowPollMessage, pollData }) => {},
+  ({ predictionDetails, chatroomId, channelName, showPredictionMessage, setShowPredictionMessage, canModerate }) => {
+    const handlePredictionUpdate = useChatStore((state) => state.handlePredictionUpdate);
+    const handlePredictionDelete = useChatStore((state) => state.handlePredictionDelete);
+
+    const [selectedOutcome, setSelectedOutcome] = useState(null);
+    const [wagerAmount, setWagerAmount] = useState("");
+    const [isExpanded, setIsExpanded] = useState(false);
+    const [secondsRemaining, setSecondsRemaining] = useState(0);
+    const [pendingAction, setPendingAction] = useState(null);
+    const [error, setError] = useState(null);
+
+    const predictionState = predictionDetails?.state;
+    const isActive = predictionState === "ACTIVE";
+    const isLocked = predictionState === "LOCKED";
+    const isFinished = predictionState === "RESOLVED" || predictionState === "CANCELLED";
+    const userVote = predictionDetails?.user_vote;
+
+    const totalPoints = useMemo(
+      () => predictionDetails?.outcomes?.reduce((sum, outcome) => sum + (outcome.total_vote_amount || 0), 0) || 0,
+      [predictionDetails?.outcomes],
+    );
+
+    // Reset the wager form when a new prediction starts
+    useEffect(() => {
+      setSelectedOutcome(null);
+      setWagerAmount("");
+      setError(null);
+    }, [predictionDetails?.id]);
+
+    // Count down until wagers lock
+    useEffect(() => {
+      if (!isActive || !predictionDetails?.created_at || !predictionDetails?.duration) {
+        setSecondsRemaining(0);
+        return;
+      }
+
+      const locksAt = new Date(predictionDetails.created_at).getTime() + predictionDetails.duration * 1000;
+      const tick = () => setSecondsRemaining(Math.max(0, Math.ceil((locksAt - Date.now()) / 1000)));
+
+      tick();
+      const interval = setInterval(tick, 1000);
+
+      return () => clearInterval(interval);
+    }, [isActive, predictionDetails?.created_at, predictionDetails?.duration]);
+
+    // Show the outcome for a while, then remove it. Old predictions from the initial fetch are removed right away
+    useEffect(() => {
+      if (!isFinished) return;
+
+      const finishedAt = new Date(predictionDetails?.updated_at || Date.now()).getTime();
+      const timeout = setTimeout(
+        () => handlePredictionDelete(chatroomId),
+        Math.max(0, finishedAt + PREDICTION_RESULT_DURATION * 1000 - Date.now()),
+      );
+
+      return () => clearTimeout(timeout);
+    }, [isFinished, predictionDetails?.updated_at, chatroomId, handlePredictionDelete]);
+
+    const runAction = useCallback(async (action, request, fallback) => {
+      setPendingAction(action);
+      setError(null);
+
+      try {
+        await request();
+        return true;
+      } catch (err) {
+        console.error(`[Predictions]: Failed to ${action}:`, err);
+        setError(chatroomErrorHandler(err, fallback));
+        return false;
+      } finally {
+        setPendingAction(null);
+      }
+    }, []);
+
+    const handleWager = useCallback(async () => {
+      const amount = Number(wagerAmount);
+
+      if (selectedOutcome === null || !Number.isInteger(amount) || amount <= 0) {
+        setError("Pick an outcome and enter a whole number of points.");
+        return;
+      }
+
+      const placed = await runAction(
+        "wager",
+        () => window.app.kick.getSubmitPredictionVote(channelName, predictionDetails.id, selectedOutcome, amount),
+        "Failed to place wager.",
+      );
+
+      // Outcome totals arrive with the next PredictionUpdated event
+      if (placed) {
+        handlePredictionUpdate(chatroomId, { id: predictionDetails.id, user_vote: { outcome_id: selectedOutcome, amount } });
+      }
+    }, [wagerAmount, selectedOutcome, channelName, predictionDetails?.id, chatroomId, runAction, handlePredictionUpdate]);
+
+    const updatePrediction = useCallback(
+      (action, predictionOptions, fallback) =>
+        runAction(
+          action,
+          () => window.app.kickChannelActions.getUpdatePrediction(channelName, predictionDetails.id, predictionOptions),
+          fallback,
+        ),
+      [channelName, predictionDetails?.id, runAction],
+    );
+
+    if (!predictionDetails?.id) return null;
+
+    return (
+      <div className={clsx("prediction", showPredictionMessage && "open", isExpanded && "expanded")}>
+        <div className="predictionHeader">
+          <div className="predictionHeaderInfo">
+            <h4>{predictionStateLabels[predictionState] || "Prediction:"}</h4>
+            <span>{predictionDetails.title}</span>
+          </div>
+          <div className="predictionActions">
+            <button onClick={() => setIsExpanded(!isExpanded)}>
+              <img
+                src={CaretDown}
+                width={16}
+                height={16}
+                alt="Expand Prediction"
+                style={{ transform: isExpanded ? "rotate(180deg)" : "none" }}
+              />
+            </button>
+            <button onClick={() => setShowPredictionMessage(false)}>
+              <img src={CloseIcon} width={14} height={14} alt="Close Prediction" />
+            </button>
+          </div>
+        </div>
+
+        <div className="predictionOutcomes">
+          {predictionDetails.outcomes?.map((outcome) => {
+            const points = outcome.total_vote_amount || 0;
+            const percentage = totalPoints === 0 ? 0 : (points / totalPoints) * 100;
+            const ratio = points > 0 ? (totalPoints / points).toFixed(2) : null;
+
+            const isWinner = predictionState === "RESOLVED" && predictionDetails.winning_outcome_id === outcome.id;
+            const isUserOutcome = userVote?.outcome_id === outcome.id;
+            const isSelected = isActive && !userVote && selectedOutcome === outcome.id;
+
+            return (
+              <button
+                key={outcome.id}
+                className={clsx(
+                  "predictionOutcome",
+                  isSelected && "selected",
+                  isUserOutcome && "voted",
+                  isWinner && "won",
+                  (!isActive || userVote) && "disabled",
+                )}
+                onClick={() => {
+                  if (!isActive || userVote) return;
+                  setSelectedOutcome(outcome.id);
+                }}>
+                <div className="predictionOutcomeLabel">
+                  <p>{outcome.title}</p>
+                  {isUserOutcome && <span className="predictionOutcomeTag">{userVote.amount.toLocaleString()} WAGERED</span>}
+                  {isWinner && (
+                    <span className="predictionOutcomeTag won">
+                      WON <img src={TrophyIcon} width={14} height={14} alt="Trophy" />
+                    </span>
+                  )}
+                </div>
+
+                <div className="predictionOutcomeStats">
+                  <span>{points.toLocaleString()} points</span>
+                  <span>{outcome.vote_count || 0} users</span>
+                  {ratio && <span>1:{ratio}</span>}
+                  <span>{percentage.toFixed(1)}%</span>
+                </div>
+
+                <div className="predictionOutcomeBar">
+                  <div className="predictionOutcomeBarFill" style={{ width: `${percentage}%` }} />
+                </div>
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="predictionFooter">
+          {isActive && !userVote && (
+            <div className="predictionWager">
+              <input
+                type="number"
+                min={1}
+                placeholder="Points to wager"
+                value={wagerAmount}
+                onChange={(e) => setWagerAmount(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && handleWager()}
+              />
+              <button
+                className="predictionBtn primary"
+                disabled={selectedOutcome === null || !wagerAmount || pendingAction === "wager"}
+                onClick={handleWager}>
+                {pendingAction === "wager" ? "Placing..." : "Predict"}
+              </button>
+            </div>
+          )}
+
+          {canModerate && (isActive || isLocked) && (
+            <div className="predictionModActions">
+              {isActive && (
+                <button
+                  className="predictionBtn"
+                  disabled={!!pendingAction}
+                  onClick={() => updatePrediction("lock", { state: "LOCKED" }, "Failed to lock prediction.")}>
+                  Lock
+                </button>
+              )}
+
+              {isLocked &&
+                predictionDetails.outcomes?.map((outcome) => (
+                  <button
+                    key={outcome.id}
+                    className="predictionBtn"
+                    disabled={!!pendingAction}
+                    onClick={() =>
+                      updatePrediction(
+                        "resolve",
+                        { state: "RESOLVED", winning_outcome_id: outcome.id },
+                        "Failed to resolve prediction.",
+                      )
+                    }>
+                    Resolve: {outcome.title}
+                  </button>
+                ))}
+
+              <button
+                className="predictionBtn danger"
+                disabled={!!pendingAction}
+                onClick={() => updatePrediction("cancel", { state: "CANCELLED" }, "Failed to cancel prediction.")}>
+                Cancel
+              </button>
+            </div>
+          )}
+
+          {error && <span className="predictionError">{error}</span>}
+
+          <div className="predictionFooterInfo">
+            <span>
+              {isActive
+                ? secondsRemaining > 0
+                  ? `Locks in ${formatCountdown(secondsRemaining)}`
+                  : "Locking..."
+                : isLocked
+                  ? "Waiting for result"
+                  : predictionState === "CANCELLED"
+                    ? "Points refunded"
+                    : "Prediction over"}
+            </span>
+            <span>{totalPoints.toLocaleString()} points</span>
+          </div>
+        </div>
+      </div>
+    );
+  },
   (prevProps, nextProps) => {
-    return prevProps.pollData === nextProps.pollData && prevProps.showPollMessage === nextProps.showPollMessage;
+    return (
+      prevProps.predictionDetails === nextProps.predictionDetails &&
+      prevProps.showPredictionMessage === nextProps.showPredictionMessage &&
+      prevProps.channelName === nextProps.channelName &&
+      prevProps.canModerate === nextProps.canModerate
+    );
   },
 );
 
@@ -0,0 +1,91 @@
+import { Fragment, useEffect, useRef, useState } from "react";
+import clsx from "clsx";
+import useChatStore from "../../providers/ChatProvider";
+import Chat from ".";
+
+// Narrowest a pane can be dragged, in percent of the split view
+const MIN_PANE_SIZE = 15;
+
+const SplitView = ({ chatroomIds, activeChatroomId, onFocusChatroom, kickUsername, kickId, settings, updateSettings }) => {
+  const savedPaneSizes = useChatStore((state) => state.splitPaneSizes);
+  const setSplitPaneSizes = useChatStore((state) => state.setSplitPaneSizes);
+  const removeSplitChatroom = useChatStore((state) => state.removeSplitChatroom);
+
+  const [paneSizes, setPaneSizes] = useState(savedPaneSizes);
+  const [resizingIndex, setResizingIndex] = useState(null);
+
+  const splitViewRef = useRef(null);
+
+  useEffect(() => {
+    setPaneSizes(savedPaneSizes);
+  }, [savedPaneSizes]);
+
+  // Resize the two panes either side of the handle, saving the layout once the drag ends
+  useEffect(() => {
+    if (resizingIndex === null) return;
+
+    let latestSizes = paneSizes;
+
+    const handleMouseMove = (e) => {
+      const bounds = splitViewRef.current?.getBoundingClientRect();
+      if (!bounds?.width) return;
+
+      const pairStart = latestSizes.slice(0, resizingIndex).reduce((sum, size) => sum + size, 0);
+      const pairSize = latestSizes[resizingIndex] + latestSizes[resizingIndex + 1];
+      const pointer = ((e.clientX - bounds.left) / bounds.width) * 100;
+      const leftSize = Math.min(Math.max(pointer - pairStart, MIN_PANE_SIZE), pairSize - MIN_PANE_SIZE);
+
+      latestSizes = latestSizes.map((size, index) =>
+        index === resizingIndex ? leftSize : index === resizingIndex + 1 ? pairSize - leftSize : size,
+      );
+      setPaneSizes(latestSizes);
+    };
+
+    const handleMouseUp = () => {
+      setResizingIndex(null);
+      setSplitPaneSizes(latestSizes);
+    };
+
+    window.addEventListener("mousemove", handleMouseMove);
+    window.addEventListener("mouseup", handleMouseUp);
+
+    return () => {
+      window.removeEventListener("mousemove", handleMouseMove);
+      window.removeEventListener("mouseup", handleMouseUp);
+    };
+  }, [resizingIndex]);
+
+  return (
+    <div className={clsx("chatSplitView", resizingIndex !== null && "resizing")} ref={splitViewRef}>
+      {chatroomIds.map((chatroomId, index) => (
+        <Fragment key={chatroomId}>
+          {index > 0 && (
+            <div
+              className={clsx("chatSplitHandle", resizingIndex === index - 1 && "active")}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                setResizingIndex(index - 1);
+              }}
+            />
+          )}
+          <div
+            className={clsx("chatSplitPane", chatroomId === activeChatroomId && "focused")}
+            style={{ flexBasis: `${paneSizes[index] ?? 100 / chatroomIds.length}%` }}
+            onMouseDownCapture={() => chatroomId !== activeChatroomId && onFocusChatroom(chatroomId)}>
+            <Chat
+              chatroomId={chatroomId}
+              kickUsername={kickUsername}
+              kickId={kickId}
+              settings={settings}
+              updateSettings={updateSettings}
+              isFocused={chatroomId === activeChatroomId}
+              onClosePane={removeSplitChatroom}
+            />
+          </div>
+        </Fragment>
+      ))}
+    </div>
+  );
+};
+
+export default SplitView;
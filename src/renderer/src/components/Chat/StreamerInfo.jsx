@@ -3,46 +3,91 @@ import { useShallow } from "zustand/shallow";
 import clsx from "clsx";
 import useChatStore from "../../providers/ChatProvider";
 import PushPin from "../../assets/icons/push-pin-fill.svg?asset";
-// import PollIcon from "../../assets/icons/poll-fill.svg?asset";
+import PollIcon from "../../assets/icons/poll-fill.svg?asset";
+import TrophyIcon from "../../assets/icons/trophy.svg?asset";
 import UserIcon from "../../assets/icons/user-fill.svg?asset";
 import ModSwordFillIcon from "../../assets/icons/sword-fill.svg?asset";
+import CloseIcon from "../../assets/icons/x-bold.svg?asset";
+import GavelIcon from "../../assets/icons/gavel-fill.svg?asset";
 import Pin from "./Pin";
-// import Poll from "./Poll";
+import ModPanel from "./ModPanel";
+import AutomodPanel from "./AutomodPanel";
+import ModLogPanel from "./ModLogPanel";
+import Poll from "./Poll";
+import Predictions from "./Predictions";
 import { convertDateToHumanReadable } from "../../utils/ChatUtils";
+import useShortcuts from "../../utils/useShortcuts";
+import { useAccounts } from "../../utils/hooks";
 import {
   ContextMenu,
   ContextMenuContent,
   ContextMenuItem,
+  ContextMenuRadioGroup,
+  ContextMenuRadioItem,
   ContextMenuSeparator,
+  ContextMenuSub,
+  ContextMenuSubContent,
+  ContextMenuSubTrigger,
   ContextMenuTrigger,
 } from "../Shared/ContextMenu";
 
 const StreamerInfo = memo(
-  ({ streamerData, isStreamerLive, chatroomId, userChatroomInfo, settings, updateSettings, handleSearch }) => {
+  ({
+    streamerData,
+    isStreamerLive,
+    chatroomId,
+    userChatroomInfo,
+    settings,
+    updateSettings,
+    handleSearch,
+    onClosePane,
+    isFocused = true,
+  }) => {
     const [showPinnedMessage, setShowPinnedMessage] = useState(true);
-    // const [showPollMessage, setShowPollMessage] = useState(false);
+    const [showPollMessage, setShowPollMessage] = useState(false);
+    const [showPredictionMessage, setShowPredictionMessage] = useState(false);
     const [showStreamerCard, setShowStreamerCard] = useState(false);
+    const [showModPanel, setShowModPanel] = useState(false);
+    const [showAutomodPanel, setShowAutomodPanel] = useState(false);
+    const [showModLogPanel, setShowModLogPanel] = useState(false);
 
     const refresh7TVEmotes = useChatStore((state) => state.refresh7TVEmotes);
     const refreshKickEmotes = useChatStore((state) => state.refreshKickEmotes);
 
     const pinDetails = useChatStore(useShallow((state) => state.chatrooms.find((room) => room.id === chatroomId)?.pinDetails));
-    // const predictions = useChatStore(useShallow((state) => state.chatrooms.find((room) => room.id === chatroomId)?.predictions));
+    const predictionDetails = useChatStore(
+      useShallow((state) => state.chatrooms.find((room) => room.id === chatroomId)?.predictionDetails),
+    );
+
+    const automodQueueCount = useChatStore((state) => state.automodQueue[chatroomId]?.length || 0);
+
+    const accounts = useAccounts();
+    const sendAccountId = useChatStore((state) => state.chatrooms.find((room) => room.id === chatroomId)?.sendAccountId);
+    const setChatroomSendAccount = useChatStore((state) => state.setChatroomSendAccount);
 
-    // const pollDetails = useChatStore(useShallow((state) => state.chatrooms.find((room) => room.id === chatroomId)?.pollDetails));
-    // const handlePollDelete = useChatStore(useShallow((state) => state.handlePollDelete));
-    // const handlePollUpdate = useChatStore(useShallow((state) => state.handlePollUpdate));
+    const pollDetails = useChatStore(useShallow((state) => state.chatrooms.find((room) => room.id === chatroomId)?.pollDetails));
 
     useEffect(() => {
       if (pinDetails) {
         setShowPinnedMessage(true);
       }
-
-      // if (pollDetails) {
-      //   setShowPollMessage(true);
-      // }
     }, [pinDetails]);
 
+    // Open the poll whenever a new one starts
+    useEffect(() => {
+      setShowPollMessage(!!pollDetails?.title);
+      if (pollDetails?.title) setShowPinnedMessage(false);
+    }, [pollDetails?.title]);
+
+    // Open the prediction whenever a new one starts
+    useEffect(() => {
+      setShowPredictionMessage(!!predictionDetails?.id);
+      if (predictionDetails?.id) {
+        setShowPinnedMessage(false);
+        setShowPollMessage(false);
+      }
+    }, [predictionDetails?.id]);
+
     const handleRefresh7TV = () => {
       refresh7TVEmotes(chatroomId);
     };
@@ -53,21 +98,28 @@ const StreamerInfo = memo(
 
     const canModerate = userChatroomInfo?.is_broadcaster || userChatroomInfo?.is_moderator || userChatroomInfo?.is_super_admin;
 
-    // F5 to refresh streamer info
-    useEffect(() => {
-      const handleKeyPress = (event) => {
-        if (event.key === "F5") {
+    // Refresh emotes shortcut, F5 by default, only for the focused pane when chats are split
+    useShortcuts(
+      settings?.shortcuts,
+      {
+        refreshEmotes: () => {
           handleRefresh7TV();
           handleRefreshKickEmotes();
-        }
-      };
+        },
+      },
+      isFocused,
+    );
 
-      window.addEventListener("keydown", handleKeyPress);
+    // The automod queue and mod log share the same spot, only one is open at a time
+    const handleToggleAutomodPanel = (show) => {
+      setShowAutomodPanel(show);
+      if (show) setShowModLogPanel(false);
+    };
 
-      return () => {
-        window.removeEventListener("keydown", handleKeyPress);
-      };
-    }, [chatroomId, handleRefresh7TV, handleRefreshKickEmotes]);
+    const handleToggleModLogPanel = (show) => {
+      setShowModLogPanel(show);
+      if (show) setShowAutomodPanel(false);
+    };
 
     const handleToggleModMode = () => {
       updateSettings("moderation", {
@@ -128,6 +180,15 @@ const StreamerInfo = memo(
                 </button>
               )}
 
+              {canModerate && (automodQueueCount > 0 || showAutomodPanel) && (
+                <button
+                  className={clsx("automodBtn", showAutomodPanel && "open")}
+                  onClick={() => handleToggleAutomodPanel(!showAutomodPanel)}>
+                  <img src={GavelIcon} width={18} height={18} alt="Automod" />
+                  {automodQueueCount > 0 && <span className="automodBtnCount">{automodQueueCount}</span>}
+                </button>
+              )}
+
               <ChattersBtn chatroomId={chatroomId} streamerData={streamerData} />
 
               {pinDetails && (
@@ -138,13 +199,27 @@ const StreamerInfo = memo(
                 </button>
               )}
 
-              {/* {showPollMessage && (
+              {pollDetails && (
                 <button
                   className={clsx("pollMessageBtn", showPollMessage && "open")}
                   onClick={() => setShowPollMessage(!showPollMessage)}>
-                  <img src={PollIcon} width={24} height={24} alt="Active Poll" />
+                  <img src={PollIcon} width={20} height={20} alt="Active Poll" />
+                </button>
+              )}
+
+              {predictionDetails && (
+                <button
+                  className={clsx("predictionMessageBtn", showPredictionMessage && "open")}
+                  onClick={() => setShowPredictionMessage(!showPredictionMessage)}>
+                  <img src={TrophyIcon} width={20} height={20} alt="Active Prediction" />
+                </button>
+              )}
+
+              {onClosePane && (
+                <button className="splitPaneCloseBtn" onClick={() => onClosePane(chatroomId)}>
+                  <img src={CloseIcon} width={14} height={14} alt="Close Split Pane" />
                 </button>
-              )} */}
+              )}
             </div>
           </div>
         </ContextMenuTrigger>
@@ -153,6 +228,23 @@ const StreamerInfo = memo(
           <ContextMenuItem onSelect={handleRefresh7TV}>Refresh 7TV Emotes</ContextMenuItem>
           <ContextMenuItem onSelect={handleRefreshKickEmotes}>Refresh Kick Emotes</ContextMenuItem>
           <ContextMenuItem onSelect={handleSearch}>Search</ContextMenuItem>
+          {accounts.length > 1 && (
+            <ContextMenuSub>
+              <ContextMenuSubTrigger>Send Messages As</ContextMenuSubTrigger>
+              <ContextMenuSubContent>
+                <ContextMenuRadioGroup
+                  value={String(accounts.some(({ id }) => String(id) === String(sendAccountId)) ? sendAccountId : "")}
+                  onValueChange={(value) => setChatroomSendAccount(chatroomId, value || null)}>
+                  <ContextMenuRadioItem value="">Active Account</ContextMenuRadioItem>
+                  {accounts.map((account) => (
+                    <ContextMenuRadioItem key={account.id} value={String(account.id)}>
+                      {account.username}
+                    </ContextMenuRadioItem>
+                  ))}
+                </ContextMenuRadioGroup>
+              </ContextMenuSubContent>
+            </ContextMenuSub>
+          )}
           <ContextMenuSeparator />
           <ContextMenuItem onSelect={() => window.open(`https://kick.com/${streamerData?.slug}`, "_blank")}>
             Open Stream in Browser
@@ -165,8 +257,52 @@ const StreamerInfo = memo(
               Open Mod View in Browser
             </ContextMenuItem>
           )}
+          {canModerate && (
+            <>
+              <ContextMenuSeparator />
+              <ContextMenuItem onSelect={() => setShowModPanel(!showModPanel)}>
+                {showModPanel ? "Close Mod Panel" : "Open Mod Panel"}
+              </ContextMenuItem>
+              <ContextMenuItem onSelect={() => handleToggleAutomodPanel(!showAutomodPanel)}>
+                {showAutomodPanel ? "Close Automod Queue" : "Open Automod Queue"}
+              </ContextMenuItem>
+              <ContextMenuItem onSelect={() => handleToggleModLogPanel(!showModLogPanel)}>
+                {showModLogPanel ? "Close Mod Log" : "Open Mod Log"}
+              </ContextMenuItem>
+            </>
+          )}
+          {onClosePane && (
+            <>
+              <ContextMenuSeparator />
+              <ContextMenuItem onSelect={() => onClosePane(chatroomId)}>Close Split Pane</ContextMenuItem>
+            </>
+          )}
         </ContextMenuContent>
 
+        {canModerate && (
+          <ModPanel
+            chatroomId={chatroomId}
+            channelName={streamerData?.slug}
+            streamTitle={streamerData?.livestream?.session_title}
+            isBroadcaster={userChatroomInfo?.is_broadcaster || userChatroomInfo?.is_super_admin}
+            showModPanel={showModPanel}
+            setShowModPanel={setShowModPanel}
+          />
+        )}
+
+        {canModerate && (
+          <AutomodPanel chatroomId={chatroomId} showAutomodPanel={showAutomodPanel} setShowAutomodPanel={setShowAutomodPanel} />
+        )}
+
+        {canModerate && (
+          <ModLogPanel
+            chatroomId={chatroomId}
+            channelName={streamerData?.slug}
+            showModLogPanel={showModLogPanel}
+            setShowModLogPanel={setShowModLogPanel}
+          />
+        )}
+
         {pinDetails && (
           <Pin
             pinDetails={pinDetails}
@@ -180,18 +316,27 @@ const StreamerInfo = memo(
           />
         )}
 
-        {/* {pollDetails && (
+        {pollDetails && (
           <Poll
             pollDetails={pollDetails}
             chatroomId={chatroomId}
+            channelName={streamerData?.slug}
             showPollMessage={showPollMessage}
             setShowPollMessage={setShowPollMessage}
-            handlePollDelete={handlePollDelete}
-            handlePollUpdate={handlePollUpdate}
             canModerate={canModerate}
-            chatroomName={streamerData?.user?.username}
           />
-        )} */}
+        )}
+
+        {predictionDetails && (
+          <Predictions
+            predictionDetails={predictionDetails}
+            chatroomId={chatroomId}
+            channelName={streamerData?.slug}
+            showPredictionMessage={showPredictionMessage}
+            setShowPredictionMessage={setShowPredictionMessage}
+            canModerate={canModerate}
+          />
+        )}
       </ContextMenu>
     );
   },
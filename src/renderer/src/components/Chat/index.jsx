@@ -1,22 +1,24 @@
-import { useCallback, useEffect, useMemo, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { userKickTalkBadges } from "../../../../../utils/kickTalkBadges";
 import ChatInput from "./Input";
 import useChatStore from "../../providers/ChatProvider";
 import { useShallow } from "zustand/shallow";
 import MessagesHandler from "../Messages/MessagesHandler";
+import useShortcuts from "../../utils/useShortcuts";
 
 import dayjs from "dayjs";
 import relativeTime from "dayjs/plugin/relativeTime";
 import StreamerInfo from "./StreamerInfo";
 dayjs.extend(relativeTime);
 
-const Chat = ({ chatroomId, kickUsername, kickId, settings, updateSettings }) => {
+const Chat = ({ chatroomId, kickUsername, kickId, settings, updateSettings, isFocused = true, onClosePane }) => {
   const [isSearchOpen, setIsSearchOpen] = useState(false);
+  const chatContainerRef = useRef(null);
 
   const chatroom = useChatStore((state) => state.chatrooms.filter((chatroom) => chatroom.id === chatroomId)[0]);
   const personalEmoteSets = useChatStore((state) => state.personalEmoteSets);
   const messages = useChatStore(useShallow((state) => state.messages[chatroomId] || []));
-  
+
   const markChatroomMessagesAsRead = useChatStore((state) => state.markChatroomMessagesAsRead);
   const donators = useChatStore(useShallow((state) => state.donators));
 
@@ -33,11 +35,12 @@ const Chat = ({ chatroomId, kickUsername, kickId, settings, updateSettings }) =>
     return [...(personalEmoteSets || []), ...(chatroom?.channel7TVEmotes || [])];
   }, [personalEmoteSets, chatroom?.channel7TVEmotes]);
 
-  // Ctrl + F to open search dialog
+  // Open the search dialog for this chatroom
   const handleSearch = useCallback(() => {
     setIsSearchOpen(true);
 
-    if (messages?.length > 0) {
+    // The archive can still have results when the live chat is empty
+    if (messages?.length > 0 || settings?.chatArchive?.enabled !== false) {
       window.app.searchDialog.open({
         messages: messages || [],
         chatroomId,
@@ -51,22 +54,18 @@ const Chat = ({ chatroomId, kickUsername, kickId, settings, updateSettings }) =>
     }
   }, [messages, isSearchOpen]);
 
-  useEffect(() => {
-    const handleKeyDown = (e) => {
-      if ((e.ctrlKey || e.metaKey) && e.key === "f") {
-        handleSearch();
-      }
-    };
-
-    window.addEventListener("keydown", handleKeyDown);
-
-    return () => {
-      window.removeEventListener("keydown", handleKeyDown);
-    };
-  }, [handleSearch]);
+  // Only the focused pane reacts to chat shortcuts when chats are split
+  useShortcuts(
+    settings?.shortcuts,
+    {
+      search: handleSearch,
+      focusInput: () => chatContainerRef.current?.querySelector(".chatInput")?.focus(),
+    },
+    isFocused,
+  );
 
   return (
-    <div className="chatContainer">
+    <div className="chatContainer" ref={chatContainerRef}>
       <StreamerInfo
         streamerData={chatroom?.streamerData}
         streamStatus={chatroom?.streamStatus}
@@ -76,6 +75,8 @@ const Chat = ({ chatroomId, kickUsername, kickId, settings, updateSettings }) =>
         settings={settings}
         handleSearch={handleSearch}
         updateSettings={updateSettings}
+        onClosePane={onClosePane}
+        isFocused={isFocused}
       />
 
       <div className="chatBody">
@@ -91,6 +92,7 @@ const Chat = ({ chatroomId, kickUsername, kickId, settings, updateSettings }) =>
           userId={kickId}
           settings={settings}
           donators={donators}
+          isFocused={isFocused}
         />
       </div>
       <div className="chatBoxContainer">
@@ -0,0 +1,106 @@
+import { useEffect, useState } from "react";
+import { useShallow } from "zustand/shallow";
+import clsx from "clsx";
+import useChatStore from "../providers/ChatProvider";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "./Shared/Dropdown";
+
+const stateLabels = {
+  connected: "Connected",
+  connecting: "Connecting",
+  reconnecting: "Reconnecting",
+  disconnected: "Disconnected",
+  failed: "Failed",
+};
+
+// Worst state wins, so one bad socket shows in the title bar
+const getOverallState = (kick, stv) => {
+  const states = [kick?.state, stv?.state];
+  if (states.includes("failed")) return "failed";
+  if (states.includes("disconnected")) return "disconnected";
+  if (states.includes("reconnecting")) return "reconnecting";
+  if (states.includes("connecting") || states.includes(undefined)) return "connecting";
+
+  return Object.values(kick?.chatrooms || {}).includes("pending") ? "connecting" : "connected";
+};
+
+const getSocketDetails = (status, now) => {
+  if (!status) return "Not started";
+  if (status.state === "failed") return `Gave up after ${status.maxAttempts} attempts`;
+
+  if (status.state === "reconnecting" && status.nextReconnectAt) {
+    const seconds = Math.max(0, Math.ceil((status.nextReconnectAt - now) / 1000));
+    return `Attempt ${status.attempt}${status.maxAttempts ? `/${status.maxAttempts}` : ""} in ${seconds}s`;
+  }
+
+  return stateLabels[status.state] || status.state;
+};
+
+const ConnectionStatus = () => {
+  const { kick, stv } = useChatStore(useShallow((state) => state.connectionHealth));
+  const chatrooms = useChatStore(useShallow((state) => state.chatrooms));
+  const reconnectNow = useChatStore((state) => state.reconnectNow);
+  const [now, setNow] = useState(Date.now());
+
+  const overallState = getOverallState(kick, stv);
+  const isReconnecting = kick?.state === "reconnecting" || stv?.state === "reconnecting";
+
+  // Tick the backoff countdown while waiting to reconnect
+  useEffect(() => {
+    if (!isReconnecting) return;
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isReconnecting]);
+
+  if (!chatrooms?.length) return null;
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <button className={clsx("connectionStatusBtn", overallState)} title="Connection Status">
+          <span className="connectionStatusDot" />
+          {overallState !== "connected" && <span className="connectionStatusLabel">{stateLabels[overallState]}</span>}
+        </button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent side="bottom" align="start" className="connectionStatusMenu">
+        <DropdownMenuLabel>Connections</DropdownMenuLabel>
+        <div className="connectionStatusRow">
+          <span className={clsx("connectionStatusDot", kick?.state)} />
+          <span>Kick</span>
+          <span className="connectionStatusDetails">{getSocketDetails(kick, now)}</span>
+        </div>
+        <div className="connectionStatusRow">
+          <span className={clsx("connectionStatusDot", stv?.state)} />
+          <span>7TV</span>
+          <span className="connectionStatusDetails">{getSocketDetails(stv, now)}</span>
+        </div>
+
+        <DropdownMenuSeparator />
+        <DropdownMenuLabel>Chatrooms</DropdownMenuLabel>
+        {chatrooms.map((chatroom) => {
+          const subscription = kick?.chatrooms?.[chatroom.id] || "pending";
+
+          return (
+            <div key={chatroom.id} className="connectionStatusRow">
+              <span className={clsx("connectionStatusDot", subscription === "subscribed" ? "connected" : "connecting")} />
+              <span>{chatroom.displayName || chatroom.username}</span>
+              <span className="connectionStatusDetails">{subscription === "subscribed" ? "Subscribed" : "Waiting"}</span>
+            </div>
+          );
+        })}
+
+        <DropdownMenuSeparator />
+        <DropdownMenuItem onClick={reconnectNow}>Reconnect now</DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+export default ConnectionStatus;
@@ -133,7 +133,7 @@ const Mentions = ({ setActiveChatroom, chatroomId }) => {
                 <div key={mention.id} className={clsx("mentionItem", !mention.isRead && "unread")}>
                   <div className="mentionHeader">
                     <div className="mentionMeta">
-                      <span className={clsx("mentionType")}>{mention.type}</span>
+                      <span className={clsx("mentionType", mention.type)}>{mention.type}</span>
                       <span className="mentionChatroom">
                         #{mention.chatroomInfo?.displayName || mention.chatroomInfo?.streamerUsername}
                       </span>
@@ -5,14 +5,81 @@ import { useDebounceValue } from "../../utils/hooks";
 import X from "../../assets/icons/x-bold.svg";
 import RegularMessage from "../Messages/RegularMessage";
 
+const messageTypes = [
+  { value: "", label: "All Types" },
+  { value: "message", label: "Messages" },
+  { value: "reply", label: "Replies" },
+];
+
+const initialFilters = {
+  username: "",
+  from: "",
+  to: "",
+  type: "",
+  allChatrooms: false,
+};
+
+// Date inputs give local calendar days, the archive compares full timestamps
+const toArchiveFilters = ({ username, from, to, type, allChatrooms }, query, chatroomId) => ({
+  chatroomId: allChatrooms ? null : chatroomId,
+  query,
+  username,
+  from: from ? new Date(`${from}T00:00:00`).toISOString() : null,
+  to: to ? new Date(`${to}T23:59:59.999`).toISOString() : null,
+  types: type ? [type] : null,
+});
+
 const Search = () => {
   const [searchData, setSearchData] = useState(null);
   const [messages, setMessages] = useState([]);
   const [debouncedValue, setDebouncedValue] = useDebounceValue("", 200);
+  const [filters, setFilters] = useState(initialFilters);
+  const [debouncedFilters, setDebouncedFilters] = useDebounceValue(initialFilters, 300);
+  const [archiveResults, setArchiveResults] = useState({ messages: [], hasMore: false, cursor: null });
+  const [isSearching, setIsSearching] = useState(false);
+  const searchRequestRef = useRef(0);
   const virtuosoRef = useRef(null);
   const inputRef = useRef(null);
 
+  const isArchiveEnabled = searchData?.settings?.chatArchive?.enabled !== false;
+
+  const updateFilter = (key, value) => {
+    const updatedFilters = { ...filters, [key]: value };
+    setFilters(updatedFilters);
+    setDebouncedFilters(updatedFilters);
+  };
+
+  const runArchiveSearch = useCallback(
+    async (before = null) => {
+      if (!searchData?.chatroomId) return;
+
+      const requestId = ++searchRequestRef.current;
+      setIsSearching(true);
+
+      const result = await window.app.chatArchive.search({
+        ...toArchiveFilters(debouncedFilters, debouncedValue, searchData.chatroomId),
+        before,
+      });
+
+      // Ignore responses for filters that have since changed
+      if (requestId !== searchRequestRef.current) return;
+
+      setArchiveResults((prev) => ({
+        messages: before ? [...result.messages, ...prev.messages] : result.messages,
+        hasMore: result.hasMore,
+        cursor: result.cursor,
+      }));
+      setIsSearching(false);
+    },
+    [searchData?.chatroomId, debouncedFilters, debouncedValue],
+  );
+
+  useEffect(() => {
+    if (isArchiveEnabled) runArchiveSearch();
+  }, [isArchiveEnabled, runArchiveSearch]);
+
   const filteredMessages = useMemo(() => {
+    if (isArchiveEnabled) return archiveResults.messages;
     if (!messages?.length) return [];
 
     // Filter to only message types first
@@ -26,7 +93,7 @@ const Search = () => {
       if (!message.content) return false;
       return message.content.toLowerCase().includes(debouncedValue.toLowerCase());
     });
-  }, [messages, debouncedValue]);
+  }, [messages, debouncedValue, isArchiveEnabled, archiveResults.messages]);
 
   useEffect(() => {
     const handleData = ({
@@ -66,17 +133,19 @@ const Search = () => {
     };
   }, []);
 
+  // Jump to the newest result whenever a fresh search comes in, loading older pages keeps position
+  const resultsKey = isArchiveEnabled ? archiveResults.messages[archiveResults.messages.length - 1]?.id : messages.length;
   useEffect(() => {
-    if (messages.length > 0 && virtuosoRef.current) {
+    if (filteredMessages.length > 0 && virtuosoRef.current) {
       setTimeout(() => {
         virtuosoRef.current?.scrollToIndex({
-          index: messages.length - 1,
+          index: filteredMessages.length - 1,
           align: "end",
           behavior: "auto",
         });
       }, 100);
     }
-  }, [messages]);
+  }, [resultsKey]);
 
   const handleOpenUserDialog = useCallback(
     async (e, username) => {
@@ -133,10 +202,32 @@ const Search = () => {
     [filteredMessages, handleOpenUserDialog, searchData],
   );
 
+  const ResultsHeader = useCallback(() => {
+    if (!isArchiveEnabled || !archiveResults.hasMore) return null;
+
+    return (
+      <div className="searchLoadMore">
+        <button disabled={isSearching} onClick={() => runArchiveSearch(archiveResults.cursor)}>
+          {isSearching ? "Loading..." : "Load older results"}
+        </button>
+      </div>
+    );
+  }, [isArchiveEnabled, archiveResults.hasMore, archiveResults.cursor, isSearching, runArchiveSearch]);
+
   return (
     <div className="searchDialogContainer">
       <div className="searchDialogHead">
-        {debouncedValue ? (
+        {isArchiveEnabled ? (
+          <h2>
+            <p>
+              Searching Archive in <span>{filters.allChatrooms ? "All Chatrooms" : searchData?.chatroomName}</span>
+            </p>
+            <p>
+              Results: <span>{filteredMessages.length}</span>
+              {archiveResults.hasMore && " and more"}
+            </p>
+          </h2>
+        ) : debouncedValue ? (
           <h2>
             <p>
               Searching History in <span>{searchData?.chatroomName}</span>
@@ -168,12 +259,52 @@ const Search = () => {
           onChange={(e) => setDebouncedValue(e.target.value.trim())}
           ref={inputRef}
         />
+
+        {isArchiveEnabled && (
+          <div className="searchFilters">
+            <input
+              type="text"
+              placeholder="From user..."
+              value={filters.username}
+              onChange={(e) => updateFilter("username", e.target.value)}
+            />
+            <input
+              type="date"
+              title="From date"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={(e) => updateFilter("from", e.target.value)}
+            />
+            <input
+              type="date"
+              title="To date"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={(e) => updateFilter("to", e.target.value)}
+            />
+            <select value={filters.type} onChange={(e) => updateFilter("type", e.target.value)}>
+              {messageTypes.map((type) => (
+                <option key={type.value} value={type.value}>
+                  {type.label}
+                </option>
+              ))}
+            </select>
+            <label className="searchFiltersCheckbox">
+              <input
+                type="checkbox"
+                checked={filters.allChatrooms}
+                onChange={(e) => updateFilter("allChatrooms", e.target.checked)}
+              />
+              All chatrooms
+            </label>
+          </div>
+        )}
       </div>
 
       <div className="searchResults">
-        {!filteredMessages?.length && debouncedValue ? (
+        {!filteredMessages?.length && (debouncedValue || isArchiveEnabled) ? (
           <div className="searchResultItem">
-            <span>No messages found</span>
+            <span>{isSearching ? "Searching..." : "No messages found"}</span>
           </div>
         ) : (
           <Virtuoso
@@ -181,6 +312,7 @@ const Search = () => {
             style={{ height: "100%" }}
             totalCount={filteredMessages.length}
             itemContent={MessageItem}
+            components={{ Header: ResultsHeader }}
             overscan={5}
             className="virtualSearchResults"
           />
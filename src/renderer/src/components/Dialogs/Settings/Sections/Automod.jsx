@@ -0,0 +1,317 @@
+import { useMemo, useState } from "react";
+import { Tooltip, TooltipContent, TooltipTrigger } from "../../../Shared/Tooltip";
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "../../../Shared/Dropdown";
+import InfoIcon from "../../../../assets/icons/info-fill.svg?asset";
+import CaretDownIcon from "../../../../assets/icons/caret-down-fill.svg?asset";
+import clsx from "clsx";
+import { Switch } from "../../../Shared/Switch";
+import {
+  automodTriggers,
+  automodActions,
+  defaultTriggerOptions,
+  formatAutomodRule,
+  getAutomodRuleError,
+} from "../../../../utils/automod";
+
+// Inputs shown for each trigger's options
+const triggerOptionFields = {
+  regex: [{ key: "pattern", label: "Pattern", type: "text", placeholder: "e.g. free\\s+followers" }],
+  caps: [
+    { key: "percent", label: "Caps %", type: "number", min: 1, max: 100 },
+    { key: "minLength", label: "Min Letters", type: "number", min: 1, max: 500 },
+  ],
+  emoteSpam: [{ key: "maxEmotes", label: "Max Emotes", type: "number", min: 1, max: 100 }],
+  repeated: [
+    { key: "count", label: "Times", type: "number", min: 2, max: 20 },
+    { key: "windowSeconds", label: "Within (s)", type: "number", min: 5, max: 600 },
+  ],
+  links: [{ key: "domains", label: "Domains", type: "list", placeholder: "Any link, or e.g. bit.ly, discord.gg" }],
+  newAccount: [{ key: "maxAgeDays", label: "Younger Than (days)", type: "number", min: 1, max: 365 }],
+};
+
+const defaultDraft = {
+  name: "",
+  trigger: "caps",
+  options: defaultTriggerOptions.caps,
+  action: "review",
+  timeoutMinutes: 5,
+  chatroomId: null,
+};
+
+const AutomodDropdown = ({ label, options, onSelect }) => (
+  <DropdownMenu>
+    <DropdownMenuTrigger asChild>
+      <button className="timestampFormat filterDropdown">
+        {label}
+        <img src={CaretDownIcon} width={14} height={14} alt="Chevron" />
+      </button>
+    </DropdownMenuTrigger>
+    <DropdownMenuContent side="bottom">
+      {options.map(({ value, label }) => (
+        <DropdownMenuItem key={value ?? "global"} onClick={() => onSelect(value)}>
+          {label}
+        </DropdownMenuItem>
+      ))}
+    </DropdownMenuContent>
+  </DropdownMenu>
+);
+
+const AutomodSection = ({ settingsData, onChange }) => {
+  const [draft, setDraft] = useState(defaultDraft);
+  const [confirmAdd, setConfirmAdd] = useState(false);
+
+  const automod = settingsData?.automod;
+  const rules = automod?.rules || [];
+
+  // Chatrooms live in the main window's storage, which every window of the app shares
+  const chatrooms = useMemo(() => JSON.parse(localStorage.getItem("chatrooms")) || [], []);
+  const scopeOptions = [
+    { value: null, label: "All Chatrooms" },
+    ...chatrooms.map((chatroom) => ({ value: chatroom.id, label: chatroom.displayName || chatroom.username })),
+  ];
+
+  const getScopeLabel = (chatroomId) =>
+    scopeOptions.find((option) => String(option.value) === String(chatroomId))?.label || "Removed Chatroom";
+
+  const draftError = getAutomodRuleError(draft);
+  const isAutomaticAction = automodActions[draft.action]?.automatic;
+
+  const updateAutomod = (changes) => {
+    onChange("automod", { ...automod, ...changes });
+  };
+
+  const updateRule = (id, changes) => {
+    updateAutomod({ rules: rules.map((rule) => (rule.id === id ? { ...rule, ...changes } : rule)) });
+  };
+
+  // List options are typed as comma separated text and split when the rule is added
+  const updateDraftOption = (field, value) => {
+    const parsedValue = field.type === "number" && value !== "" ? Number(value) : value;
+    setDraft((prev) => ({ ...prev, options: { ...prev.options, [field.key]: parsedValue } }));
+  };
+
+  const getDraftOptions = () =>
+    triggerOptionFields[draft.trigger].reduce(
+      (options, field) => {
+        const value = draft.options[field.key];
+        if (field.type === "list" && typeof value === "string") {
+          options[field.key] = value
+            .split(",")
+            .map((item) => item.trim().toLowerCase())
+            .filter(Boolean);
+        }
+
+        return options;
+      },
+      { ...draft.options },
+    );
+
+  const handleAddRule = () => {
+    if (draftError) return;
+
+    // Deleting or timing out without review has to be confirmed when the rule is added
+    if (isAutomaticAction && !confirmAdd) {
+      setConfirmAdd(true);
+      return;
+    }
+
+    const rule = {
+      ...draft,
+      options: getDraftOptions(),
+      id: `automod-${Date.now()}`,
+      name: draft.name.trim() || automodTriggers[draft.trigger].label,
+      enabled: true,
+      confirmed: !!isAutomaticAction,
+    };
+
+    if (draft.action !== "timeout") delete rule.timeoutMinutes;
+
+    updateAutomod({ rules: [...rules, rule] });
+    setConfirmAdd(false);
+    setDraft((prev) => ({ ...prev, name: "", options: defaultTriggerOptions[prev.trigger] }));
+  };
+
+  return (
+    <div className="settingsContentSection">
+      <div className="settingsSectionHeader">
+        <h4>Automod</h4>
+        <p>
+          Flag, review or act on messages in chatrooms you moderate. Actions taken by automod are listed in the chat's Automod
+          Queue, where timeouts and bans can be undone.
+        </p>
+      </div>
+
+      <div className="settingsItems">
+        <div className="settingsItem extended">
+          <div
+            className={clsx("settingSwitchItem", {
+              active: automod?.enabled,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">Enable Automod</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Rules only run in chatrooms where you are a moderator or the broadcaster</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <Switch checked={automod?.enabled || false} onCheckedChange={(checked) => updateAutomod({ enabled: checked })} />
+          </div>
+
+          <div className="settingInputItem filterInputItem settingsExtendedItem active">
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">New Rule</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Messages from moderators and the broadcaster are never checked</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <div className="filterForm">
+              <input
+                className="filterPatternInput"
+                type="text"
+                placeholder="Rule name (optional)"
+                value={draft.name}
+                onChange={(e) => setDraft((prev) => ({ ...prev, name: e.target.value }))}
+              />
+              <AutomodDropdown
+                label={automodTriggers[draft.trigger].label}
+                options={Object.entries(automodTriggers).map(([value, { label }]) => ({ value, label }))}
+                onSelect={(trigger) => setDraft((prev) => ({ ...prev, trigger, options: defaultTriggerOptions[trigger] }))}
+              />
+            </div>
+
+            <div className="filterForm">
+              {triggerOptionFields[draft.trigger].map((field) => (
+                <label key={field.key} className="automodOptionField">
+                  <span>{field.label}</span>
+                  <input
+                    className={clsx("filterPatternInput", field.type === "number" && "automodNumberInput")}
+                    type={field.type === "number" ? "number" : "text"}
+                    min={field.min}
+                    max={field.max}
+                    placeholder={field.placeholder}
+                    value={
+                      Array.isArray(draft.options[field.key]) ? draft.options[field.key].join(", ") : draft.options[field.key]
+                    }
+                    onChange={(e) => updateDraftOption(field, e.target.value)}
+                  />
+                </label>
+              ))}
+            </div>
+
+            <div className="filterForm">
+              <AutomodDropdown
+                label={automodActions[draft.action].label}
+                options={Object.entries(automodActions).map(([value, { label }]) => ({ value, label }))}
+                onSelect={(action) => {
+                  setConfirmAdd(false);
+                  setDraft((prev) => ({ ...prev, action }));
+                }}
+              />
+              {draft.action === "timeout" && (
+                <label className="automodOptionField">
+                  <span>Minutes</span>
+                  <input
+                    className="filterPatternInput automodNumberInput"
+                    type="number"
+                    min={1}
+                    max={10080}
+                    value={draft.timeoutMinutes}
+                    onChange={(e) =>
+                      setDraft((prev) => ({ ...prev, timeoutMinutes: e.target.value === "" ? "" : Number(e.target.value) }))
+                    }
+                  />
+                </label>
+              )}
+              <AutomodDropdown
+                label={getScopeLabel(draft.chatroomId)}
+                options={scopeOptions}
+                onSelect={(chatroomId) => setDraft((prev) => ({ ...prev, chatroomId }))}
+              />
+              <button
+                className={clsx("settingsActionBtn", confirmAdd && "confirm")}
+                onClick={handleAddRule}
+                onMouseLeave={() => setConfirmAdd(false)}
+                disabled={!!draftError}>
+                {confirmAdd ? "Click to confirm" : "Add"}
+              </button>
+            </div>
+            {draftError && <span className="filterError">{draftError}</span>}
+            {isAutomaticAction && !draftError && (
+              <span className="filterRuleInfo">
+                This rule will {draft.action === "delete" ? "delete messages" : "time out users"} without asking first.
+              </span>
+            )}
+          </div>
+        </div>
+
+        <div className="settingsItem extended">
+          <div className="settingSwitchItem">
+            <span className="settingsItemTitle">Saved Rules ({rules.length})</span>
+          </div>
+
+          {rules.length > 0 ? (
+            rules.map((rule) => {
+              const error = getAutomodRuleError(rule);
+              const actionLabel =
+                rule.action === "timeout"
+                  ? `Timeout ${rule.timeoutMinutes}m`
+                  : automodActions[rule.action]?.automatic && !rule.confirmed
+                    ? `${automodActions[rule.action]?.label} (after review)`
+                    : automodActions[rule.action]?.label;
+
+              return (
+                <div
+                  key={rule.id}
+                  className={clsx("settingSwitchItem settingsExtendedItem", {
+                    active: automod?.enabled && rule.enabled !== false,
+                  })}>
+                  <div className="filterRule">
+                    <span className="settingsItemTitle" title={formatAutomodRule(rule)}>
+                      {rule.name}: {formatAutomodRule(rule)}
+                    </span>
+                    <span className={clsx("filterRuleInfo", error && "filterError")}>
+                      {error || `${actionLabel} in ${getScopeLabel(rule.chatroomId)}`}
+                    </span>
+                  </div>
+
+                  <div className="settingsActionBtns">
+                    <Switch
+                      checked={rule.enabled !== false}
+                      onCheckedChange={(checked) => updateRule(rule.id, { enabled: checked })}
+                    />
+                    <button
+                      className="settingsActionBtn filterRemoveBtn"
+                      onClick={() => updateAutomod({ rules: rules.filter(({ id }) => id !== rule.id) })}>
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              );
+            })
+          ) : (
+            <div className="settingSwitchItem settingsExtendedItem">
+              <span className="settingsItemTitle">No rules added.</span>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export { AutomodSection };
@@ -0,0 +1,146 @@
+import { useEffect, useState } from "react";
+import { Tooltip, TooltipContent, TooltipTrigger } from "../../../Shared/Tooltip";
+import InfoIcon from "../../../../assets/icons/info-fill.svg?asset";
+import clsx from "clsx";
+import { Switch } from "../../../Shared/Switch";
+import { Slider } from "../../../Shared/Slider";
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const ChatHistorySection = ({ settingsData, onChange }) => {
+  const [archiveSize, setArchiveSize] = useState(null);
+  const [confirmClear, setConfirmClear] = useState(false);
+
+  useEffect(() => {
+    window.app.chatArchive.getSize().then(setArchiveSize);
+  }, []);
+
+  const handleClearArchive = async () => {
+    if (!confirmClear) {
+      setConfirmClear(true);
+      return;
+    }
+
+    setConfirmClear(false);
+    setArchiveSize(await window.app.chatArchive.clear());
+  };
+
+  const handlePruneArchive = async () => {
+    setArchiveSize(await window.app.chatArchive.prune());
+  };
+
+  return (
+    <div className="settingsContentSection">
+      <div className="settingsSectionHeader">
+        <h4>Chat History</h4>
+        <p>Keep a searchable archive of every chatroom you join.</p>
+      </div>
+
+      <div className="settingsItems">
+        <div className="settingsItem extended">
+          <div
+            className={clsx("settingSwitchItem", {
+              active: settingsData?.chatArchive?.enabled,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">Archive Chat History</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Save messages to disk so search and user cards can reach past the current session</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <Switch
+              checked={settingsData?.chatArchive?.enabled || false}
+              onCheckedChange={(checked) =>
+                onChange("chatArchive", {
+                  ...settingsData?.chatArchive,
+                  enabled: checked,
+                })
+              }
+            />
+          </div>
+
+          <div
+            className={clsx("settingSliderItem settingsExtendedItem", {
+              active: settingsData?.chatArchive?.enabled,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">Keep History For ({settingsData?.chatArchive?.retentionDays || 30} days)</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Messages older than this are deleted from the archive</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <Slider
+              className="settingsSlider"
+              defaultValue={[settingsData?.chatArchive?.retentionDays || 30]}
+              max={365}
+              min={1}
+              step={1}
+              disabled={!settingsData?.chatArchive?.enabled}
+              showTooltip={true}
+              onValueChange={(value) => {
+                if (!value.length) return;
+                onChange("chatArchive", {
+                  ...settingsData?.chatArchive,
+                  retentionDays: value[0],
+                });
+              }}
+            />
+          </div>
+
+          <div
+            className={clsx("settingSliderItem settingsExtendedItem", {
+              active: settingsData?.chatArchive?.enabled,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">Archive Size ({archiveSize === null ? "..." : formatSize(archiveSize)})</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Remove expired messages now, or delete the whole archive</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <div className="settingsActionBtns">
+              <button className="settingsActionBtn" onClick={handlePruneArchive}>
+                Remove Expired
+              </button>
+              <button
+                className={clsx("settingsActionBtn", confirmClear && "confirm")}
+                onClick={handleClearArchive}
+                onMouseLeave={() => setConfirmClear(false)}>
+                {confirmClear ? "Click to confirm" : "Clear Archive"}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export { ChatHistorySection };
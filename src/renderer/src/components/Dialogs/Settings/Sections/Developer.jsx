@@ -0,0 +1,170 @@
+import { useEffect, useState } from "react";
+import dayjs from "dayjs";
+import { Tooltip, TooltipContent, TooltipTrigger } from "../../../Shared/Tooltip";
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "../../../Shared/Dropdown";
+import InfoIcon from "../../../../assets/icons/info-fill.svg?asset";
+import CaretDownIcon from "../../../../assets/icons/caret-down-fill.svg?asset";
+import clsx from "clsx";
+import { Switch } from "../../../Shared/Switch";
+import { Slider } from "../../../Shared/Slider";
+
+const formatRecording = (recording) =>
+  `${dayjs(recording.modifiedAt).format("MMM D, HH:mm")} (${(recording.size / 1024).toFixed(0)} KB)${recording.active ? ", recording" : ""}`;
+
+const DeveloperSection = ({ settingsData, onChange }) => {
+  const [recordings, setRecordings] = useState([]);
+
+  const developer = settingsData?.developer;
+  const selectedRecording = recordings.find((recording) => recording.file === developer?.replayFile);
+
+  const updateDeveloper = (changes) => {
+    onChange("developer", { ...developer, ...changes });
+  };
+
+  // A recording started by the switch shows up once its first frames are written
+  useEffect(() => {
+    window.app.socketRecorder.list().then(setRecordings);
+  }, [developer?.recordSockets]);
+
+  return (
+    <div className="settingsContentSection">
+      <div className="settingsSectionHeader">
+        <h4>Developer</h4>
+        <p>Record Kick and 7TV traffic and replay it offline later, to reproduce chat bugs without a live stream.</p>
+      </div>
+
+      <div className="settingsItems">
+        <div className="settingsItem extended">
+          <div
+            className={clsx("settingSwitchItem", {
+              active: developer?.recordSockets,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">Record Socket Traffic</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Writes every raw socket frame with its timing to a new file each time recording starts</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <Switch
+              checked={developer?.recordSockets || false}
+              onCheckedChange={(checked) => updateDeveloper({ recordSockets: checked })}
+            />
+          </div>
+
+          <div className="settingSwitchItem settingsExtendedItem active">
+            <span className="settingsItemTitle">Recordings ({recordings.length})</span>
+
+            <div className="settingsActionBtns">
+              <button className="settingsActionBtn" onClick={() => window.app.socketRecorder.list().then(setRecordings)}>
+                Refresh
+              </button>
+              <button className="settingsActionBtn" onClick={() => window.app.socketRecorder.openFolder()}>
+                Open Folder
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <div className="settingsItem extended">
+          <div
+            className={clsx("settingSwitchItem", {
+              active: developer?.replayEnabled && developer?.replayFile,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">Replay Recording</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>
+                    Chatrooms reconnect to a local server that plays the recording instead of Kick and 7TV. Open the same
+                    chatrooms that were open while recording. Channel info, emotes and chat history come from the recording, and
+                    anything it doesn't hold fails as if offline.
+                  </p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <Switch
+              checked={developer?.replayEnabled || false}
+              disabled={!developer?.replayFile}
+              onCheckedChange={(checked) => updateDeveloper({ replayEnabled: checked })}
+            />
+          </div>
+
+          <div
+            className={clsx("settingSwitchItem settingsExtendedItem", {
+              active: developer?.replayEnabled,
+            })}>
+            <span className="settingsItemTitle">Recording</span>
+
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <button className="timestampFormat filterDropdown" disabled={!recordings.length}>
+                  {selectedRecording
+                    ? formatRecording(selectedRecording)
+                    : developer?.replayFile
+                      ? "Missing Recording"
+                      : "Choose Recording"}
+                  <img src={CaretDownIcon} width={14} height={14} alt="Chevron" />
+                </button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent side="bottom">
+                {recordings.map((recording) => (
+                  <DropdownMenuItem key={recording.file} onClick={() => updateDeveloper({ replayFile: recording.file })}>
+                    {formatRecording(recording)}
+                  </DropdownMenuItem>
+                ))}
+              </DropdownMenuContent>
+            </DropdownMenu>
+          </div>
+
+          <div
+            className={clsx("settingSliderItem settingsExtendedItem", {
+              active: developer?.replayEnabled,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">Replay Speed ({developer?.replaySpeed || 1}x)</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Applies to the next frame, without restarting the replay</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <Slider
+              className="settingsSlider"
+              defaultValue={[developer?.replaySpeed || 1]}
+              max={20}
+              min={0.25}
+              step={0.25}
+              showTooltip={true}
+              onValueChange={(value) => {
+                if (!value.length) return;
+                updateDeveloper({ replaySpeed: value[0] });
+              }}
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export { DeveloperSection };
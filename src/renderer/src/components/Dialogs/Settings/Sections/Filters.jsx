@@ -0,0 +1,263 @@
+import { useEffect, useMemo, useState } from "react";
+import { Tooltip, TooltipContent, TooltipTrigger } from "../../../Shared/Tooltip";
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "../../../Shared/Dropdown";
+import InfoIcon from "../../../../assets/icons/info-fill.svg?asset";
+import CaretDownIcon from "../../../../assets/icons/caret-down-fill.svg?asset";
+import clsx from "clsx";
+import { Switch } from "../../../Shared/Switch";
+import { filterTypes, filterActions, compileFilters, findMatchingFilter, getFilterError } from "../../../../utils/messageFilters";
+
+const PREVIEW_MESSAGE_LIMIT = 200;
+// Only the newest days are read, so opening Settings never scans the whole archive
+const PREVIEW_DAYS = 2;
+
+const FilterDropdown = ({ label, options, onSelect }) => (
+  <DropdownMenu>
+    <DropdownMenuTrigger asChild>
+      <button className="timestampFormat filterDropdown">
+        {label}
+        <img src={CaretDownIcon} width={14} height={14} alt="Chevron" />
+      </button>
+    </DropdownMenuTrigger>
+    <DropdownMenuContent side="bottom">
+      {options.map(({ value, label }) => (
+        <DropdownMenuItem key={value ?? "global"} onClick={() => onSelect(value)}>
+          {label}
+        </DropdownMenuItem>
+      ))}
+    </DropdownMenuContent>
+  </DropdownMenu>
+);
+
+const FiltersSection = ({ settingsData, onChange }) => {
+  const [draft, setDraft] = useState({ type: "word", pattern: "", action: "hide", chatroomId: null });
+  const [recentMessages, setRecentMessages] = useState([]);
+  const [previewError, setPreviewError] = useState(false);
+
+  const filters = settingsData?.filters;
+  const rules = filters?.rules || [];
+
+  // Chatrooms live in the main window's storage, which every window of the app shares
+  const chatrooms = useMemo(() => JSON.parse(localStorage.getItem("chatrooms")) || [], []);
+  const scopeOptions = [
+    { value: null, label: "All Chatrooms" },
+    ...chatrooms.map((chatroom) => ({ value: chatroom.id, label: chatroom.displayName || chatroom.username })),
+  ];
+
+  const getScopeLabel = (chatroomId) =>
+    scopeOptions.find((option) => String(option.value) === String(chatroomId))?.label || "Removed Chatroom";
+
+  useEffect(() => {
+    window.app.chatArchive
+      .search({
+        types: ["message", "reply"],
+        from: new Date(Date.now() - PREVIEW_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        limit: PREVIEW_MESSAGE_LIMIT,
+      })
+      .then(({ messages }) => setRecentMessages(messages.reverse()))
+      .catch((error) => {
+        console.error("[Filters]: Failed to load recent messages for the preview:", error);
+        setPreviewError(true);
+      });
+  }, []);
+
+  const draftError = draft.pattern.trim() ? getFilterError(draft) : null;
+
+  // Preview what the filter being typed would catch, or what the saved filters catch when it's empty
+  const previewMatches = useMemo(() => {
+    const compiledFilters = draft.pattern.trim()
+      ? compileFilters({ enabled: true, rules: [draft] })
+      : compileFilters({ enabled: true, rules });
+
+    return recentMessages
+      .map((message) => ({ message, rule: findMatchingFilter(compiledFilters, message) }))
+      .filter(({ rule }) => rule);
+  }, [draft, rules, recentMessages]);
+
+  const updateFilters = (changes) => {
+    onChange("filters", { ...filters, ...changes });
+  };
+
+  const updateRule = (id, changes) => {
+    updateFilters({ rules: rules.map((rule) => (rule.id === id ? { ...rule, ...changes } : rule)) });
+  };
+
+  const handleAddFilter = () => {
+    if (!draft.pattern.trim() || draftError) return;
+
+    updateFilters({
+      rules: [...rules, { ...draft, id: `filter-${Date.now()}`, pattern: draft.pattern.trim(), enabled: true }],
+    });
+    setDraft((prev) => ({ ...prev, pattern: "" }));
+  };
+
+  return (
+    <div className="settingsContentSection">
+      <div className="settingsSectionHeader">
+        <h4>Filters</h4>
+        <p>Hide, collapse or dim messages by user, word or pattern. Filters only apply to this app.</p>
+      </div>
+
+      <div className="settingsItems">
+        <div className="settingsItem extended">
+          <div
+            className={clsx("settingSwitchItem", {
+              active: filters?.enabled,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">Enable Filters</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Apply the filters below to every chat window</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <Switch checked={filters?.enabled || false} onCheckedChange={(checked) => updateFilters({ enabled: checked })} />
+          </div>
+
+          <div className="settingInputItem filterInputItem settingsExtendedItem active">
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">New Filter</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Wildcards use * for any text and ? for one character. Words, wildcards and regex ignore case</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <div className="filterForm">
+              <FilterDropdown
+                label={filterTypes[draft.type].label}
+                options={Object.entries(filterTypes).map(([value, { label }]) => ({ value, label }))}
+                onSelect={(type) => setDraft((prev) => ({ ...prev, type }))}
+              />
+              <input
+                className="filterPatternInput"
+                type="text"
+                placeholder={filterTypes[draft.type].placeholder}
+                value={draft.pattern}
+                onChange={(e) => setDraft((prev) => ({ ...prev, pattern: e.target.value }))}
+                onKeyDown={(e) => e.key === "Enter" && handleAddFilter()}
+              />
+              <FilterDropdown
+                label={filterActions[draft.action].label}
+                options={Object.entries(filterActions).map(([value, { label }]) => ({ value, label }))}
+                onSelect={(action) => setDraft((prev) => ({ ...prev, action }))}
+              />
+              <FilterDropdown
+                label={getScopeLabel(draft.chatroomId)}
+                options={scopeOptions}
+                onSelect={(chatroomId) => setDraft((prev) => ({ ...prev, chatroomId }))}
+              />
+              <button className="settingsActionBtn" onClick={handleAddFilter} disabled={!draft.pattern.trim() || !!draftError}>
+                Add
+              </button>
+            </div>
+            {draftError && <span className="filterError">{draftError}</span>}
+          </div>
+        </div>
+
+        <div className="settingsItem extended">
+          <div className="settingSwitchItem">
+            <span className="settingsItemTitle">Saved Filters ({rules.length})</span>
+          </div>
+
+          {rules.length > 0 ? (
+            rules.map((rule) => {
+              const error = getFilterError(rule);
+
+              return (
+                <div
+                  key={rule.id}
+                  className={clsx("settingSwitchItem settingsExtendedItem", {
+                    active: filters?.enabled && rule.enabled !== false,
+                  })}>
+                  <div className="filterRule">
+                    <span className="settingsItemTitle" title={rule.pattern}>
+                      {filterTypes[rule.type]?.label}: {rule.pattern}
+                    </span>
+                    <span className={clsx("filterRuleInfo", error && "filterError")}>
+                      {error || `${filterActions[rule.action]?.label} in ${getScopeLabel(rule.chatroomId)}`}
+                    </span>
+                  </div>
+
+                  <div className="settingsActionBtns">
+                    <Switch
+                      checked={rule.enabled !== false}
+                      onCheckedChange={(checked) => updateRule(rule.id, { enabled: checked })}
+                    />
+                    <button
+                      className="settingsActionBtn filterRemoveBtn"
+                      onClick={() => updateFilters({ rules: rules.filter(({ id }) => id !== rule.id) })}>
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              );
+            })
+          ) : (
+            <div className="settingSwitchItem settingsExtendedItem">
+              <span className="settingsItemTitle">No filters added.</span>
+            </div>
+          )}
+        </div>
+
+        <div className="settingsItem">
+          <div className="settingInputItem filterInputItem active">
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">
+                {draft.pattern.trim() ? "Messages the new filter would match" : "Messages your filters match"} (
+                {previewMatches.length})
+              </span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Tested against your most recent messages in Chat History</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <div className="filterPreview">
+              {previewMatches.length > 0 ? (
+                previewMatches.map(({ message, rule }) => (
+                  <div key={message.id} className="filterPreviewMessage">
+                    <span className="filterPreviewAction">{filterActions[rule.action]?.label}</span>
+                    <span className="filterPreviewUsername" style={{ color: message.sender?.identity?.color }}>
+                      {message.sender?.username}:
+                    </span>
+                    <span className="filterPreviewContent">{message.content}</span>
+                  </div>
+                ))
+              ) : (
+                <p>
+                  {previewError
+                    ? "Couldn't load recent messages from Chat History."
+                    : recentMessages.length
+                      ? "No recent messages match."
+                      : "No recent messages in Chat History."}
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export { FiltersSection };
@@ -10,6 +10,12 @@ import folderOpenIcon from "../../../../assets/icons/folder-open-fill.svg?asset"
 import playIcon from "../../../../assets/icons/play-fill.svg?asset";
 import NotificationFilePicker from "../../../Shared/NotificationFilePicker";
 import clsx from "clsx";
+import { builtInThemes, getCustomTheme } from "../../../../../../../utils/themeUtils";
+
+const getThemeName = (customTheme) => {
+  const current = customTheme?.current || "default";
+  return getCustomTheme(customTheme)?.name || current.charAt(0).toUpperCase() + current.slice(1);
+};
 
 const GeneralSection = ({ settingsData, onChange }) => {
   return (
@@ -51,6 +57,66 @@ const GeneralSection = ({ settingsData, onChange }) => {
               />
             </div>
           </div>
+          <div className="settingsItem">
+            <div
+              className={clsx("settingSwitchItem", {
+                active: settingsData?.general?.minimizeToTray,
+              })}>
+              <div className="settingsItemTitleWithInfo">
+                <span className="settingsItemTitle">Minimize to Tray</span>
+                <Tooltip delayDuration={100}>
+                  <TooltipTrigger asChild>
+                    <button className="settingsInfoIcon">
+                      <img src={InfoIcon} width={14} height={14} alt="Info" />
+                    </button>
+                  </TooltipTrigger>
+                  <TooltipContent>
+                    <p>Hide KickTalk in the system tray instead of the taskbar when minimized</p>
+                  </TooltipContent>
+                </Tooltip>
+              </div>
+
+              <Switch
+                checked={settingsData?.general?.minimizeToTray || false}
+                onCheckedChange={(checked) =>
+                  onChange("general", {
+                    ...settingsData?.general,
+                    minimizeToTray: checked,
+                  })
+                }
+              />
+            </div>
+          </div>
+          <div className="settingsItem">
+            <div
+              className={clsx("settingSwitchItem", {
+                active: settingsData?.general?.closeToTray,
+              })}>
+              <div className="settingsItemTitleWithInfo">
+                <span className="settingsItemTitle">Close to Tray</span>
+                <Tooltip delayDuration={100}>
+                  <TooltipTrigger asChild>
+                    <button className="settingsInfoIcon">
+                      <img src={InfoIcon} width={14} height={14} alt="Info" />
+                    </button>
+                  </TooltipTrigger>
+                  <TooltipContent>
+                    <p>Keep KickTalk running in the system tray when the window is closed, quit from the tray menu</p>
+                  </TooltipContent>
+                </Tooltip>
+              </div>
+
+              <Switch
+                checked={settingsData?.general?.closeToTray || false}
+                onCheckedChange={(checked) =>
+                  onChange("general", {
+                    ...settingsData?.general,
+                    closeToTray: checked,
+                  })
+                }
+              />
+            </div>
+          </div>
           <div className="settingsItem">
             <div
               className={clsx("settingSwitchItem", {
@@ -239,38 +305,27 @@ const GeneralSection = ({ settingsData, onChange }) => {
               <DropdownMenu value={settingsData?.customTheme?.current || "default"}>
                 <DropdownMenuTrigger asChild>
                   <button className="timestampFormat">
-                    {settingsData?.customTheme?.current === "default"
-                      ? "Default"
-                      : settingsData?.customTheme?.current.charAt(0).toUpperCase() + settingsData?.customTheme?.current.slice(1)}
+                    {getThemeName(settingsData?.customTheme)}
                     <img src={CaretDownIcon} width={14} height={14} alt="Chevron" />
                   </button>
                 </DropdownMenuTrigger>
                 <DropdownMenuContent side="bottom">
-                  <DropdownMenuItem
-                    onClick={() => onChange("customTheme", { ...settingsData?.customTheme, current: "default" })}
-                    value="default">
-                    Default
-                  </DropdownMenuItem>
-                  <DropdownMenuItem
-                    onClick={() => onChange("customTheme", { ...settingsData?.customTheme, current: "dark" })}
-                    value="dark">
-                    Dark
-                  </DropdownMenuItem>
-                  <DropdownMenuItem
-                    onClick={() => onChange("customTheme", { ...settingsData?.customTheme, current: "blue" })}
-                    value="blue">
-                    Blue
-                  </DropdownMenuItem>
-                  <DropdownMenuItem
-                    onClick={() => onChange("customTheme", { ...settingsData?.customTheme, current: "purple" })}
-                    value="purple">
-                    Purple
-                  </DropdownMenuItem>
-                  <DropdownMenuItem
-                    onClick={() => onChange("customTheme", { ...settingsData?.customTheme, current: "red" })}
-                    value="red">
-                    Red
-                  </DropdownMenuItem>
+                  {builtInThemes.map((theme) => (
+                    <DropdownMenuItem
+                      key={theme}
+                      onClick={() => onChange("customTheme", { ...settingsData?.customTheme, current: theme })}
+                      value={theme}>
+                      {theme.charAt(0).toUpperCase() + theme.slice(1)}
+                    </DropdownMenuItem>
+                  ))}
+                  {settingsData?.customTheme?.themes?.map((theme) => (
+                    <DropdownMenuItem
+                      key={theme.id}
+                      onClick={() => onChange("customTheme", { ...settingsData?.customTheme, current: theme.id })}
+                      value={theme.id}>
+                      {theme.name}
+                    </DropdownMenuItem>
+                  ))}
                 </DropdownMenuContent>
               </DropdownMenu>
             </div>
@@ -281,6 +336,13 @@ const GeneralSection = ({ settingsData, onChange }) => {
   );
 };
 
+const chatEventSettings = [
+  { key: "showSubscriptions", label: "Show Subscriptions", info: "Display new subscriptions and resubscriptions in chat" },
+  { key: "showGiftedSubscriptions", label: "Show Gifted Subs", info: "Display gifted subscriptions in chat" },
+  { key: "showHosts", label: "Show Raids", info: "Display incoming raids and hosts in chat" },
+  { key: "showKicksGifts", label: "Show Kicks", info: "Display Kicks gifts in chat" },
+];
+
 const ChatroomSection = ({ settingsData, onChange }) => {
   return (
     <div className="settingsContentSection">
@@ -387,6 +449,38 @@ const ChatroomSection = ({ settingsData, onChange }) => {
             />
           </div>
         </div>
+        {chatEventSettings.map((event) => (
+          <div key={event.key} className="settingsItem">
+            <div
+              className={clsx("settingSwitchItem", {
+                active: settingsData?.chatrooms?.[event.key] !== false,
+              })}>
+              <div className="settingsItemTitleWithInfo">
+                <span className="settingsItemTitle">{event.label}</span>
+                <Tooltip delayDuration={100}>
+                  <TooltipTrigger asChild>
+                    <button className="settingsInfoIcon">
+                      <img src={InfoIcon} width={14} height={14} alt="Info" />
+                    </button>
+                  </TooltipTrigger>
+                  <TooltipContent>
+                    <p>{event.info}</p>
+                  </TooltipContent>
+                </Tooltip>
+              </div>
+
+              <Switch
+                checked={settingsData?.chatrooms?.[event.key] !== false}
+                onCheckedChange={(checked) =>
+                  onChange("chatrooms", {
+                    ...settingsData?.chatrooms,
+                    [event.key]: checked,
+                  })
+                }
+              />
+            </div>
+          </div>
+        ))}
         <div className="settingsItem">
           <div
             className={clsx("settingSwitchItem", {
@@ -502,9 +596,17 @@ const CosmeticsSection = ({ settingsData, onChange }) => {
   );
 };
 
+const desktopNotificationEvents = [
+  { key: "desktopReplies", label: "Replies", info: "Notify when someone replies to one of your messages" },
+  { key: "desktopMentions", label: "Mentions", info: "Notify when someone @mentions your username" },
+  { key: "desktopHighlights", label: "Highlight Phrases", info: "Notify when a message contains one of your highlight phrases" },
+  { key: "desktopStreamerLive", label: "Streamer Live", info: "Notify when a streamer in one of your chatrooms goes live" },
+];
+
 const NotificationsSection = ({ settingsData, onChange }) => {
   const [notificationFiles, setNotificationFiles] = useState([]);
   const [openColorPicker, setOpenColorPicker] = useState(false);
+  const [openMentionColorPicker, setOpenMentionColorPicker] = useState(false);
 
   const handleColorChange = useCallback(
     (color) => {
@@ -516,6 +618,16 @@ const NotificationsSection = ({ settingsData, onChange }) => {
     [settingsData, onChange],
   );
 
+  const handleMentionColorChange = useCallback(
+    (color) => {
+      onChange("notifications", {
+        ...settingsData?.notifications,
+        mentionBackgroundRgba: color,
+      });
+    },
+    [settingsData, onChange],
+  );
+
   const handleAddPhrase = useCallback(
     (e) => {
       const value = e.target.value.trim();
@@ -580,6 +692,39 @@ const NotificationsSection = ({ settingsData, onChange }) => {
           </div>
         </div>
 
+        <div className="settingsItem">
+          <div
+            className={clsx("settingSwitchItem", {
+              active: settingsData?.notifications?.doNotDisturb,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">Do Not Disturb</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>
+                    Silence sounds and desktop notifications while still collecting mentions, also available from the tray menu
+                  </p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <Switch
+              checked={settingsData?.notifications?.doNotDisturb || false}
+              onCheckedChange={(checked) =>
+                onChange("notifications", {
+                  ...settingsData?.notifications,
+                  doNotDisturb: checked,
+                })
+              }
+            />
+          </div>
+        </div>
+
         <div className="settingsItem extended">
           <div
             className={clsx("settingSwitchItem", {
@@ -695,6 +840,97 @@ const NotificationsSection = ({ settingsData, onChange }) => {
               settingsData={settingsData}
             />
           </div>
+          <div
+            className={clsx("settingSliderItem settingsExtendedItem", {
+              active: settingsData?.notifications?.sound,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">Mention Sound File</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Select the sound file to play when someone @mentions your username</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <NotificationFilePicker
+              disabled={!settingsData?.notifications?.sound}
+              getOptions={getNotificationFiles}
+              onChange={onChange}
+              settingsData={settingsData}
+              fileKey="mentionSoundFile"
+              nameKey="mentionSoundFileName"
+            />
+          </div>
+        </div>
+
+        <div className="settingsItem extended">
+          <div
+            className={clsx("settingSwitchItem", {
+              active: settingsData?.notifications?.desktop,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">Desktop Notifications</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Show system notifications while KickTalk is unfocused or minimized</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <Switch
+              checked={settingsData?.notifications?.desktop || false}
+              onCheckedChange={(checked) =>
+                onChange("notifications", {
+                  ...settingsData?.notifications,
+                  desktop: checked,
+                })
+              }
+            />
+          </div>
+
+          {desktopNotificationEvents.map((event) => (
+            <div
+              key={event.key}
+              className={clsx("settingSwitchItem settingsExtendedItem", {
+                active: settingsData?.notifications?.desktop && settingsData?.notifications?.[event.key],
+              })}>
+              <div className="settingsItemTitleWithInfo">
+                <span className="settingsItemTitle">{event.label}</span>
+                <Tooltip delayDuration={100}>
+                  <TooltipTrigger asChild>
+                    <button className="settingsInfoIcon">
+                      <img src={InfoIcon} width={14} height={14} alt="Info" />
+                    </button>
+                  </TooltipTrigger>
+                  <TooltipContent>
+                    <p>{event.info}</p>
+                  </TooltipContent>
+                </Tooltip>
+              </div>
+
+              <Switch
+                checked={settingsData?.notifications?.[event.key] || false}
+                disabled={!settingsData?.notifications?.desktop}
+                onCheckedChange={(checked) =>
+                  onChange("notifications", {
+                    ...settingsData?.notifications,
+                    [event.key]: checked,
+                  })
+                }
+              />
+            </div>
+          ))}
         </div>
 
         <div className="settingsItem extended">
@@ -754,6 +990,33 @@ const NotificationsSection = ({ settingsData, onChange }) => {
             />
           </div>
 
+          <div
+            className={clsx("settingSwitchItem settingsExtendedItem", {
+              active: settingsData?.notifications?.background,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">Mention Color</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Choose the background color for messages that @mention your username</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <ColorPicker
+              initialColor={settingsData?.notifications?.mentionBackgroundRgba || { r: 0, g: 92, b: 160, a: 1 }}
+              isColorPickerOpen={openMentionColorPicker}
+              setIsColorPickerOpen={setOpenMentionColorPicker}
+              handleColorChange={handleMentionColorChange}
+              disabled={!settingsData?.notifications?.background}
+            />
+          </div>
+
           <div
             className={clsx("settingInputItem settingsExtendedItem", {
               active: settingsData?.notifications?.background,
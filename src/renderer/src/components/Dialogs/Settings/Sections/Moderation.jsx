@@ -2,6 +2,7 @@ import { Tooltip, TooltipContent, TooltipTrigger } from "../../../Shared/Tooltip
 import InfoIcon from "../../../../assets/icons/info-fill.svg?asset";
 import clsx from "clsx";
 import { Switch } from "../../../Shared/Switch";
+import { Slider } from "../../../Shared/Slider";
 
 const ModerationSection = ({ settingsData, onChange }) => {
   return (
@@ -43,6 +44,42 @@ const ModerationSection = ({ settingsData, onChange }) => {
             />
           </div>
         </div>
+
+        <div className="settingsItem">
+          <div className="settingSliderItem active">
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">
+                Keep Mod Log For ({settingsData?.moderation?.modLogRetentionDays || 90} days)
+              </span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Mod log entries older than this are deleted, only rooms you moderate are logged</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <Slider
+              className="settingsSlider"
+              defaultValue={[settingsData?.moderation?.modLogRetentionDays || 90]}
+              max={365}
+              min={1}
+              step={1}
+              showTooltip={true}
+              onValueChange={(value) => {
+                if (!value.length) return;
+                onChange("moderation", {
+                  ...settingsData?.moderation,
+                  modLogRetentionDays: value[0],
+                });
+              }}
+            />
+          </div>
+        </div>
       </div>
     </div>
   );
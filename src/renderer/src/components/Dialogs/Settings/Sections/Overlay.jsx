@@ -0,0 +1,275 @@
+import { useMemo, useState } from "react";
+import { Tooltip, TooltipContent, TooltipTrigger } from "../../../Shared/Tooltip";
+import InfoIcon from "../../../../assets/icons/info-fill.svg?asset";
+import clsx from "clsx";
+import { Switch } from "../../../Shared/Switch";
+import { Slider } from "../../../Shared/Slider";
+
+const OverlaySwitchItem = ({ title, info, checked, disabled, onCheckedChange, extended = true }) => (
+  <div className={clsx("settingSwitchItem", { settingsExtendedItem: extended, active: !disabled })}>
+    <div className="settingsItemTitleWithInfo">
+      <span className="settingsItemTitle">{title}</span>
+      <Tooltip delayDuration={100}>
+        <TooltipTrigger asChild>
+          <button className="settingsInfoIcon">
+            <img src={InfoIcon} width={14} height={14} alt="Info" />
+          </button>
+        </TooltipTrigger>
+        <TooltipContent>
+          <p>{info}</p>
+        </TooltipContent>
+      </Tooltip>
+    </div>
+
+    <Switch checked={checked || false} disabled={disabled} onCheckedChange={onCheckedChange} />
+  </div>
+);
+
+const OverlaySection = ({ settingsData, onChange }) => {
+  const [copied, setCopied] = useState(false);
+  const overlay = settingsData?.overlay;
+
+  // Chatrooms live in the main window's storage, which every window of the app shares
+  const chatrooms = useMemo(() => JSON.parse(localStorage.getItem("chatrooms")) || [], []);
+  const overlayUrl = `http://localhost:${overlay?.port || 4690}/`;
+
+  const updateOverlay = (key, value) => {
+    onChange("overlay", {
+      ...overlay,
+      [key]: value,
+    });
+  };
+
+  const handlePortChange = (e) => {
+    const port = parseInt(e.target.value, 10);
+    if (port >= 1024 && port <= 65535 && port !== overlay?.port) {
+      updateOverlay("port", port);
+    } else {
+      e.target.value = overlay?.port || 4690;
+    }
+  };
+
+  const handleToggleChatroom = (slug, checked) => {
+    const selected = overlay?.chatrooms || [];
+    updateOverlay("chatrooms", checked ? [...selected, slug] : selected.filter((channel) => channel !== slug));
+  };
+
+  const handleCopyUrl = () => {
+    navigator.clipboard.writeText(overlayUrl);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 1500);
+  };
+
+  return (
+    <div className="settingsContentSection">
+      <div className="settingsSectionHeader">
+        <h4>Stream Overlay</h4>
+        <p>Show chat on stream by adding the overlay as a browser source in OBS.</p>
+      </div>
+
+      <div className="settingsItems">
+        <div className="settingsItem extended">
+          <div
+            className={clsx("settingSwitchItem", {
+              active: overlay?.enabled,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">Enable Overlay Server</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Serve a transparent, read-only chat page on this computer while KickTalk is running</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <Switch checked={overlay?.enabled || false} onCheckedChange={(checked) => updateOverlay("enabled", checked)} />
+          </div>
+
+          <div
+            className={clsx("settingSwitchItem settingsExtendedItem", {
+              active: overlay?.enabled,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">Overlay URL</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Add ?channels=name to the URL to show only some of the chosen chatrooms</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <div className="settingsActionBtns">
+              <input
+                key={overlay?.port}
+                className="overlayPortInput"
+                type="number"
+                min={1024}
+                max={65535}
+                defaultValue={overlay?.port || 4690}
+                disabled={!overlay?.enabled}
+                onBlur={handlePortChange}
+                onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+              />
+              <button className="settingsActionBtn" onClick={handleCopyUrl} disabled={!overlay?.enabled}>
+                {copied ? "Copied!" : "Copy URL"}
+              </button>
+            </div>
+          </div>
+
+          {chatrooms.length > 0 ? (
+            chatrooms.map((chatroom) => (
+              <OverlaySwitchItem
+                key={chatroom.id}
+                title={chatroom.displayName || chatroom.username}
+                info={`Show messages from ${chatroom.displayName || chatroom.username} on the overlay`}
+                checked={overlay?.chatrooms?.includes(chatroom.slug)}
+                disabled={!overlay?.enabled}
+                onCheckedChange={(checked) => handleToggleChatroom(chatroom.slug, checked)}
+              />
+            ))
+          ) : (
+            <div className="settingSwitchItem settingsExtendedItem">
+              <span className="settingsItemTitle">Add a chatroom to show it on the overlay</span>
+            </div>
+          )}
+        </div>
+
+        <div className="settingsItem extended">
+          <div
+            className={clsx("settingSliderItem", {
+              active: overlay?.enabled,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">
+                Fade Out Messages ({overlay?.fadeOutSeconds ? `${overlay.fadeOutSeconds}s` : "never"})
+              </span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>How long a message stays on the overlay, set to 0 to keep messages until newer ones push them out</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <Slider
+              className="settingsSlider"
+              defaultValue={[overlay?.fadeOutSeconds ?? 30]}
+              max={300}
+              min={0}
+              step={5}
+              disabled={!overlay?.enabled}
+              showTooltip={true}
+              onValueChange={(value) => {
+                if (!value.length) return;
+                updateOverlay("fadeOutSeconds", value[0]);
+              }}
+            />
+          </div>
+
+          <div
+            className={clsx("settingSliderItem settingsExtendedItem", {
+              active: overlay?.enabled,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">Font Size ({overlay?.fontSize || 20}px)</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Text size of messages on the overlay</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <Slider
+              className="settingsSlider"
+              defaultValue={[overlay?.fontSize || 20]}
+              max={48}
+              min={12}
+              step={1}
+              disabled={!overlay?.enabled}
+              showTooltip={true}
+              onValueChange={(value) => {
+                if (!value.length) return;
+                updateOverlay("fontSize", value[0]);
+              }}
+            />
+          </div>
+
+          <OverlaySwitchItem
+            title="Hide Bots"
+            info="Hide messages from chat bots such as BotRix"
+            checked={overlay?.hideBots}
+            disabled={!overlay?.enabled}
+            onCheckedChange={(checked) => updateOverlay("hideBots", checked)}
+          />
+          <OverlaySwitchItem
+            title="Hide Commands"
+            info="Hide messages starting with !"
+            checked={overlay?.hideCommands}
+            disabled={!overlay?.enabled}
+            onCheckedChange={(checked) => updateOverlay("hideCommands", checked)}
+          />
+        </div>
+
+        <div className="settingsItem extended">
+          <OverlaySwitchItem
+            extended={false}
+            title="7TV Emotes"
+            info="Show 7TV emotes on the overlay"
+            checked={overlay?.showStvEmotes}
+            disabled={!overlay?.enabled}
+            onCheckedChange={(checked) => updateOverlay("showStvEmotes", checked)}
+          />
+          <OverlaySwitchItem
+            title="7TV Paints"
+            info="Show 7TV username paints on the overlay"
+            checked={overlay?.showPaints}
+            disabled={!overlay?.enabled}
+            onCheckedChange={(checked) => updateOverlay("showPaints", checked)}
+          />
+          <OverlaySwitchItem
+            title="Kick Badges"
+            info="Show Kick badges such as moderator and subscriber on the overlay"
+            checked={overlay?.showKickBadges}
+            disabled={!overlay?.enabled}
+            onCheckedChange={(checked) => updateOverlay("showKickBadges", checked)}
+          />
+          <OverlaySwitchItem
+            title="7TV Badges"
+            info="Show 7TV badges on the overlay"
+            checked={overlay?.showStvBadges}
+            disabled={!overlay?.enabled}
+            onCheckedChange={(checked) => updateOverlay("showStvBadges", checked)}
+          />
+          <OverlaySwitchItem
+            title="KickTalk Badges"
+            info="Show KickTalk and donator badges on the overlay"
+            checked={overlay?.showKickTalkBadges}
+            disabled={!overlay?.enabled}
+            onCheckedChange={(checked) => updateOverlay("showKickTalkBadges", checked)}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export { OverlaySection };
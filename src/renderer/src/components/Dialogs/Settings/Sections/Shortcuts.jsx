@@ -0,0 +1,164 @@
+import { useEffect, useMemo, useState } from "react";
+import { Tooltip, TooltipContent, TooltipTrigger } from "../../../Shared/Tooltip";
+import InfoIcon from "../../../../assets/icons/info-fill.svg?asset";
+import clsx from "clsx";
+import { Switch } from "../../../Shared/Switch";
+import { shortcutActions, getShortcutBindings, getShortcutKeys, findShortcutAction } from "../../../../../../../utils/shortcuts";
+
+const shortcutGroups = Object.entries(shortcutActions).reduce((groups, [action, { group }]) => {
+  groups[group] = [...(groups[group] || []), action];
+  return groups;
+}, {});
+
+const ShortcutsSection = ({ settingsData, onChange }) => {
+  const [recordingAction, setRecordingAction] = useState(null);
+  const [conflict, setConflict] = useState(null);
+
+  const shortcuts = settingsData?.shortcuts;
+  const bindings = useMemo(() => getShortcutBindings(shortcuts), [shortcuts]);
+
+  const saveBinding = (action, keys) => {
+    const updatedBindings = { ...shortcuts?.bindings };
+
+    const defaultKeys = shortcutActions[action].keys;
+    if (defaultKeys.length === 1 && keys === defaultKeys[0]) {
+      delete updatedBindings[action];
+    } else {
+      updatedBindings[action] = keys;
+    }
+
+    onChange("shortcuts", { ...shortcuts, bindings: updatedBindings });
+  };
+
+  // Record the next key combination pressed for the selected shortcut
+  useEffect(() => {
+    if (!recordingAction) return;
+
+    const handleKeyDown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+
+      if (e.key === "Escape") {
+        setRecordingAction(null);
+        return;
+      }
+
+      if (e.key === "Backspace" || e.key === "Delete") {
+        saveBinding(recordingAction, "");
+        setRecordingAction(null);
+        return;
+      }
+
+      const keys = getShortcutKeys(e);
+      if (!keys) return;
+
+      const conflictingAction = findShortcutAction(bindings, keys);
+      if (conflictingAction && conflictingAction !== recordingAction) {
+        setConflict({ action: recordingAction, keys, conflictingAction });
+        return;
+      }
+
+      setConflict(null);
+      setRecordingAction(null);
+      saveBinding(recordingAction, keys);
+    };
+
+    window.addEventListener("keydown", handleKeyDown, true);
+
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown, true);
+    };
+  }, [recordingAction, bindings]);
+
+  const handleRecord = (action) => {
+    setConflict(null);
+    setRecordingAction(recordingAction === action ? null : action);
+  };
+
+  const handleResetAll = () => {
+    setConflict(null);
+    setRecordingAction(null);
+    onChange("shortcuts", { ...shortcuts, bindings: {} });
+  };
+
+  return (
+    <div className="settingsContentSection">
+      <div className="settingsSectionHeader">
+        <h4>Keyboard Shortcuts</h4>
+        <p>Click a shortcut and press the new keys. Backspace removes it, Escape cancels.</p>
+      </div>
+
+      <div className="settingsItems">
+        <div className="settingsItem extended">
+          <div
+            className={clsx("settingSwitchItem", {
+              active: shortcuts?.globalEnabled,
+            })}>
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">Global Hotkeys</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Let shortcuts marked as global work while KickTalk is in the background</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <Switch
+              checked={shortcuts?.globalEnabled || false}
+              onCheckedChange={(checked) => onChange("shortcuts", { ...shortcuts, globalEnabled: checked })}
+            />
+          </div>
+
+          <div className="settingSwitchItem settingsExtendedItem active">
+            <span className="settingsItemTitle">Restore every shortcut to its default keys</span>
+
+            <button className="settingsActionBtn" onClick={handleResetAll}>
+              Reset Shortcuts
+            </button>
+          </div>
+        </div>
+
+        {Object.entries(shortcutGroups).map(([group, actions]) => (
+          <div className="settingsItem extended" key={group}>
+            <div className="settingSwitchItem">
+              <span className="settingsItemTitle">{group}</span>
+            </div>
+
+            {actions.map((action) => (
+              <div
+                key={action}
+                className={clsx("settingSwitchItem settingsExtendedItem", {
+                  active: recordingAction === action,
+                })}>
+                <div className="settingsItemTitleWithInfo">
+                  <span className="settingsItemTitle">
+                    {shortcutActions[action].label}
+                    {shortcutActions[action].global && " (Global)"}
+                  </span>
+                  {conflict?.action === action && (
+                    <span className="shortcutConflict">
+                      {conflict.keys} is used by {shortcutActions[conflict.conflictingAction].label}
+                    </span>
+                  )}
+                </div>
+
+                <button
+                  className={clsx("settingsActionBtn", "shortcutKeysBtn", recordingAction === action && "recording")}
+                  onClick={() => handleRecord(action)}>
+                  {recordingAction === action ? "Press keys..." : bindings[action].join(" / ") || "Not set"}
+                </button>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export { ShortcutsSection };
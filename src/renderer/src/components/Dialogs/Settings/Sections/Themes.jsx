@@ -0,0 +1,282 @@
+import { useMemo, useState } from "react";
+import { Tooltip, TooltipContent, TooltipTrigger } from "../../../Shared/Tooltip";
+import InfoIcon from "../../../../assets/icons/info-fill.svg?asset";
+import clsx from "clsx";
+import ColorPicker from "../../../Shared/ColorPicker";
+import { rgbaToString } from "../../../../utils/ChatUtils";
+import { getCustomTheme } from "../../../../../../../utils/themeUtils";
+import themesCss from "../../../../assets/styles/themes.css?raw";
+
+const themeVariableGroups = [
+  { title: "Backgrounds", match: (name) => /^--(bg|navbar|loader|emote-dialog|dropdown|input)-/.test(name) },
+  { title: "Text", match: (name) => /-text$|^--text-/.test(name) },
+  { title: "Messages & Highlights", match: (name) => /^--(message|highlight|pin-poll)-/.test(name) },
+  { title: "Borders", match: (name) => /^--border-/.test(name) },
+  { title: "Accents", match: () => true },
+];
+
+const colorValueRegex = /^(#[0-9a-f]{3,8}|rgba?\([^)]*\)|transparent|linear-gradient\(.*\)|var\(.*\))$/i;
+
+const parseThemeBlock = (selector) => {
+  const block = themesCss.match(new RegExp(`${selector}\\s*{([^}]*)}`))?.[1] || "";
+  return Object.fromEntries([...block.matchAll(/(--[\w-]+):\s*([^;]+);/g)].map(([, name, value]) => [name, value.trim()]));
+};
+
+// Variables of the default theme, read from themes.css so new variables show up in the editor
+const defaultThemeValues = parseThemeBlock(":root");
+
+const getBaseThemeValues = (base) =>
+  base && base !== "default" ? { ...defaultThemeValues, ...parseThemeBlock(`\\[data-theme="${base}"\\]`) } : defaultThemeValues;
+
+const themeVariables = (() => {
+  const remaining = Object.keys(defaultThemeValues).filter((name) => colorValueRegex.test(defaultThemeValues[name]));
+
+  return themeVariableGroups.map(({ title, match }) => {
+    const names = remaining.filter(match);
+    names.forEach((name) => remaining.splice(remaining.indexOf(name), 1));
+    return { title, names };
+  });
+})();
+
+const formatVariableName = (name) =>
+  name
+    .replace(/^--/, "")
+    .split("-")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+
+// Gradients and fallbacks are edited through their first colour
+const parseColor = (value) => {
+  const color = value?.match(/#[0-9a-f]{3,8}\b|rgba?\([^)]*\)|transparent/i)?.[0];
+  if (!color || color === "transparent") return { r: 0, g: 0, b: 0, a: 0 };
+
+  if (color.startsWith("#")) {
+    const hex = color.length <= 5 ? [...color.slice(1)].map((char) => char + char).join("") : color.slice(1);
+    const [r, g, b, a = 255] = hex.match(/.{2}/g).map((part) => parseInt(part, 16));
+    return { r, g, b, a: Math.round((a / 255) * 100) / 100 };
+  }
+
+  const [r, g, b, a = 1] = color
+    .replace(/rgba?\(|\)/g, "")
+    .split(",")
+    .map((part) => parseFloat(part));
+  return { r, g, b, a };
+};
+
+const ThemeVariableItem = ({ name, value, isOpen, setOpenVariable, onColorChange }) => {
+  const initialColor = useMemo(() => parseColor(value), [value]);
+
+  return (
+    <div className="settingSwitchItem settingsExtendedItem active">
+      <span className="settingsItemTitle">{formatVariableName(name)}</span>
+
+      <ColorPicker
+        initialColor={initialColor}
+        isColorPickerOpen={isOpen}
+        setIsColorPickerOpen={(open) => setOpenVariable(open ? name : null)}
+        handleColorChange={(color) => onColorChange(name, rgbaToString(color))}
+      />
+    </div>
+  );
+};
+
+const ThemesSection = ({ settingsData, onChange }) => {
+  const [newThemeName, setNewThemeName] = useState("");
+  const [openVariable, setOpenVariable] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  const customTheme = settingsData?.customTheme;
+  const themes = customTheme?.themes || [];
+  const currentTheme = getCustomTheme(customTheme);
+
+  const baseValues = useMemo(() => getBaseThemeValues(currentTheme?.base), [currentTheme?.base]);
+
+  const updateThemes = (updatedThemes, current = customTheme?.current) => {
+    onChange("customTheme", {
+      ...customTheme,
+      current,
+      themes: updatedThemes,
+    });
+  };
+
+  const updateCurrentTheme = (changes) => {
+    updateThemes(themes.map((theme) => (theme.id === currentTheme.id ? { ...theme, ...changes } : theme)));
+  };
+
+  const handleCreateTheme = () => {
+    const name = newThemeName.trim();
+    if (!name) return;
+
+    const theme = {
+      id: `custom-${Date.now()}`,
+      name,
+      base: currentTheme?.base || customTheme?.current || "default",
+      variables: { ...currentTheme?.variables },
+    };
+
+    setNewThemeName("");
+    updateThemes([...themes, theme], theme.id);
+  };
+
+  const handleImportTheme = async () => {
+    const imported = await window.app.themes.import();
+    if (!imported) return;
+
+    const theme = { ...imported, id: `custom-${Date.now()}` };
+    updateThemes([...themes, theme], theme.id);
+  };
+
+  const handleDeleteTheme = () => {
+    if (!confirmDelete) {
+      setConfirmDelete(true);
+      return;
+    }
+
+    setConfirmDelete(false);
+    updateThemes(
+      themes.filter((theme) => theme.id !== currentTheme.id),
+      currentTheme.base,
+    );
+  };
+
+  const handleColorChange = (name, value) => {
+    updateCurrentTheme({ variables: { ...currentTheme.variables, [name]: value } });
+  };
+
+  return (
+    <div className="settingsContentSection">
+      <div className="settingsSectionHeader">
+        <h4>Theme Editor</h4>
+        <p>Create your own themes from any built-in theme, and share them as JSON files.</p>
+      </div>
+
+      <div className="settingsItems">
+        <div className="settingsItem extended">
+          <div className="settingSwitchItem active">
+            <div className="settingsItemTitleWithInfo">
+              <span className="settingsItemTitle">New Theme</span>
+              <Tooltip delayDuration={100}>
+                <TooltipTrigger asChild>
+                  <button className="settingsInfoIcon">
+                    <img src={InfoIcon} width={14} height={14} alt="Info" />
+                  </button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Start a new theme from the one currently in use</p>
+                </TooltipContent>
+              </Tooltip>
+            </div>
+
+            <div className="settingsActionBtns">
+              <input
+                className="themeNameInput"
+                type="text"
+                placeholder="Theme name..."
+                maxLength={32}
+                value={newThemeName}
+                onChange={(e) => setNewThemeName(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && handleCreateTheme()}
+              />
+              <button className="settingsActionBtn" onClick={handleCreateTheme} disabled={!newThemeName.trim()}>
+                Create
+              </button>
+            </div>
+          </div>
+
+          <div className="settingSwitchItem settingsExtendedItem active">
+            <span className="settingsItemTitle">Import a theme shared as a JSON file</span>
+
+            <button className="settingsActionBtn" onClick={handleImportTheme}>
+              Import Theme
+            </button>
+          </div>
+        </div>
+
+        {currentTheme ? (
+          <>
+            <div className="settingsItem extended">
+              <div className="settingSwitchItem active">
+                <div className="settingsItemTitleWithInfo">
+                  <span className="settingsItemTitle">Editing</span>
+                  <Tooltip delayDuration={100}>
+                    <TooltipTrigger asChild>
+                      <button className="settingsInfoIcon">
+                        <img src={InfoIcon} width={14} height={14} alt="Info" />
+                      </button>
+                    </TooltipTrigger>
+                    <TooltipContent>
+                      <p>Changes apply to every window straight away and are saved to this theme</p>
+                    </TooltipContent>
+                  </Tooltip>
+                </div>
+
+                <input
+                  key={currentTheme.id}
+                  className="themeNameInput"
+                  type="text"
+                  maxLength={32}
+                  defaultValue={currentTheme.name}
+                  onBlur={(e) => {
+                    const name = e.target.value.trim();
+                    if (name && name !== currentTheme.name) updateCurrentTheme({ name });
+                    else e.target.value = currentTheme.name;
+                  }}
+                  onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                />
+              </div>
+
+              <div className="settingSwitchItem settingsExtendedItem active">
+                <span className="settingsItemTitle">Based on {formatVariableName(currentTheme.base)}</span>
+
+                <div className="settingsActionBtns">
+                  <button className="settingsActionBtn" onClick={() => window.app.themes.export(currentTheme)}>
+                    Export Theme
+                  </button>
+                  <button className="settingsActionBtn" onClick={() => updateCurrentTheme({ variables: {} })}>
+                    Reset Colors
+                  </button>
+                  <button
+                    className={clsx("settingsActionBtn", confirmDelete && "confirm")}
+                    onClick={handleDeleteTheme}
+                    onMouseLeave={() => setConfirmDelete(false)}>
+                    {confirmDelete ? "Click to confirm" : "Delete Theme"}
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            {themeVariables.map(
+              ({ title, names }) =>
+                names.length > 0 && (
+                  <div className="settingsItem extended" key={title}>
+                    <div className="settingSwitchItem">
+                      <span className="settingsItemTitle">{title}</span>
+                    </div>
+
+                    {names.map((name) => (
+                      <ThemeVariableItem
+                        key={name}
+                        name={name}
+                        value={currentTheme.variables?.[name] || baseValues[name]}
+                        isOpen={openVariable === name}
+                        setOpenVariable={setOpenVariable}
+                        onColorChange={handleColorChange}
+                      />
+                    ))}
+                  </div>
+                ),
+            )}
+          </>
+        ) : (
+          <div className="settingsItem">
+            <div className="settingSwitchItem">
+              <span className="settingsItemTitle">Create or import a theme to start editing its colors</span>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export { ThemesSection };
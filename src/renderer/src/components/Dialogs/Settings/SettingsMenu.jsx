@@ -2,7 +2,7 @@ import KickTalkLogo from "../../../assets/logos/KickTalkLogo.svg?asset";
 import SignOut from "../../../assets/icons/sign-out-bold.svg?asset";
 import clsx from "clsx";
 
-const SettingsMenu = ({ activeSection, setActiveSection, onLogout }) => (
+const SettingsMenu = ({ activeSection, setActiveSection, onLogout, showDeveloper }) => (
   <div className="settingsMenu">
     <div className="settingsMenuItems">
       <div className="settingsMenuSection">
@@ -28,6 +28,16 @@ const SettingsMenu = ({ activeSection, setActiveSection, onLogout }) => (
             onClick={() => setActiveSection("general")}>
             General
           </button>
+          <button
+            className={clsx("settingsMenuSectionItemBtn", { active: activeSection === "themes" })}
+            onClick={() => setActiveSection("themes")}>
+            Theme Editor
+          </button>
+          <button
+            className={clsx("settingsMenuSectionItemBtn", { active: activeSection === "shortcuts" })}
+            onClick={() => setActiveSection("shortcuts")}>
+            Shortcuts
+          </button>
         </div>
       </div>
       <div className="settingsMenuSection">
@@ -41,17 +51,38 @@ const SettingsMenu = ({ activeSection, setActiveSection, onLogout }) => (
             onClick={() => setActiveSection("moderation")}>
             Moderation
           </button>
-          {/* <button
-            disabled
-            className={clsx("settingsMenuSectionItemBtn", { active: activeSection === "chat" })}
-            onClick={() => setActiveSection("chat")}>
-            Highlights
+          <button
+            className={clsx("settingsMenuSectionItemBtn", { active: activeSection === "automod" })}
+            onClick={() => setActiveSection("automod")}>
+            Automod
           </button>
           <button
+            className={clsx("settingsMenuSectionItemBtn", { active: activeSection === "chatHistory" })}
+            onClick={() => setActiveSection("chatHistory")}>
+            Chat History
+          </button>
+          <button
+            className={clsx("settingsMenuSectionItemBtn", { active: activeSection === "filters" })}
+            onClick={() => setActiveSection("filters")}>
+            Filters
+          </button>
+          <button
+            className={clsx("settingsMenuSectionItemBtn", { active: activeSection === "overlay" })}
+            onClick={() => setActiveSection("overlay")}>
+            Stream Overlay
+          </button>
+          {showDeveloper && (
+            <button
+              className={clsx("settingsMenuSectionItemBtn", { active: activeSection === "developer" })}
+              onClick={() => setActiveSection("developer")}>
+              Developer
+            </button>
+          )}
+          {/* <button
             disabled
             className={clsx("settingsMenuSectionItemBtn", { active: activeSection === "chat" })}
             onClick={() => setActiveSection("chat")}>
-            Filters
+            Highlights
           </button> */}
         </div>
       </div>
@@ -8,6 +8,13 @@ import SettingsHeader from "./SettingsHeader";
 import SettingsMenu from "./SettingsMenu";
 import AboutSection from "./Sections/About";
 import { ModerationSection } from "./Sections/Moderation";
+import { ChatHistorySection } from "./Sections/ChatHistory";
+import { OverlaySection } from "./Sections/Overlay";
+import { DeveloperSection } from "./Sections/Developer";
+import { ThemesSection } from "./Sections/Themes";
+import { ShortcutsSection } from "./Sections/Shortcuts";
+import { FiltersSection } from "./Sections/Filters";
+import { AutomodSection } from "./Sections/Automod";
 
 const Settings = () => {
   const { updateSettings, settings } = useSettings();
@@ -50,6 +57,9 @@ const Settings = () => {
     }
   };
 
+  // Recording and replay are for reproducing bugs, not something to show every user
+  const showDeveloper = import.meta.env.DEV || !!settingsData?.developer?.showSettings;
+
   const handleLogout = () => {
     window.app.logout();
   };
@@ -60,7 +70,12 @@ const Settings = () => {
         <SettingsHeader onClose={() => window.app.settingsDialog.close()} appInfo={appInfo} />
 
         <div className="settingsDialogContainer">
-          <SettingsMenu activeSection={activeSection} setActiveSection={setActiveSection} onLogout={handleLogout} />
+          <SettingsMenu
+            activeSection={activeSection}
+            setActiveSection={setActiveSection}
+            onLogout={handleLogout}
+            showDeveloper={showDeveloper}
+          />
 
           <div className="settingsContent">
             {activeSection === "info" && <AboutSection appInfo={appInfo} />}
@@ -72,11 +87,18 @@ const Settings = () => {
                 <NotificationsSection settingsData={settingsData} onChange={changeSetting} />
               </>
             )}
+            {activeSection === "themes" && <ThemesSection settingsData={settingsData} onChange={changeSetting} />}
+            {activeSection === "shortcuts" && <ShortcutsSection settingsData={settingsData} onChange={changeSetting} />}
             {activeSection === "moderation" && (
               <>
                 <ModerationSection settingsData={settingsData} onChange={changeSetting} />
               </>
             )}
+            {activeSection === "automod" && <AutomodSection settingsData={settingsData} onChange={changeSetting} />}
+            {activeSection === "chatHistory" && <ChatHistorySection settingsData={settingsData} onChange={changeSetting} />}
+            {activeSection === "filters" && <FiltersSection settingsData={settingsData} onChange={changeSetting} />}
+            {activeSection === "overlay" && <OverlaySection settingsData={settingsData} onChange={changeSetting} />}
+            {activeSection === "developer" && <DeveloperSection settingsData={settingsData} onChange={changeSetting} />}
           </div>
         </div>
       </div>
@@ -1,5 +1,5 @@
 import "../../assets/styles/dialogs/UserDialog.scss";
-import { useCallback, useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { userKickTalkBadges } from "../../../../../utils/kickTalkBadges";
 import clsx from "clsx";
 import Message from "../Messages/Message";
@@ -11,6 +11,20 @@ import UnbanIcon from "../../assets/icons/circle-slash.svg?asset";
 import Check from "../../assets/icons/check-bold.svg?asset";
 import { KickBadges, KickTalkBadges, StvBadges } from "../Cosmetics/Badges";
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "../Shared/Tooltip";
+import ColorPicker from "../Shared/ColorPicker";
+import { chatroomErrorHandler } from "../../utils/chatErrors";
+import { isBroadcaster } from "../../utils/chatCommands";
+
+const roleActions = [
+  { type: "moderator", label: "Moderator", grant: "getModerateUser", revoke: "getUnmoderateUser" },
+  { type: "vip", label: "VIP", grant: "getVipUser", revoke: "getUnvipUser" },
+  { type: "og", label: "OG", grant: "getOGUser", revoke: "getUnogUser" },
+];
+
+const hexToRgba = (hex) => {
+  const [r, g, b] = (hex?.match(/^#([0-9a-f]{6})$/i)?.[1] || "ffffff").match(/.{2}/g).map((part) => parseInt(part, 16));
+  return { r, g, b, a: 1 };
+};
 
 // TODO: Add Kick Talk Badges to User Dialog
 // TODO: Add Paints to User Dialog
@@ -26,7 +40,14 @@ const User = () => {
   const [dialogUserStyle, setDialogUserStyle] = useState(null);
   const [isUserSilenced, setIsUserSilenced] = useState(false);
   const [settings, setSettings] = useState({});
+  const [userBadges, setUserBadges] = useState([]);
+  const [pendingRole, setPendingRole] = useState(null);
+  const [roleError, setRoleError] = useState(null);
+  const [hasOlderLogs, setHasOlderLogs] = useState(false);
+  const [isLoadingOlderLogs, setIsLoadingOlderLogs] = useState(false);
+  const [isColorPickerOpen, setIsColorPickerOpen] = useState(false);
   const dialogLogsRef = useRef(null);
+  const restoreScrollRef = useRef(null);
 
   const kickUsername = localStorage.getItem("kickUsername");
 
@@ -68,12 +89,15 @@ const User = () => {
         chatroom: currentChatroom,
       });
       setDialogUserStyle(userStyle);
+      setUserBadges(sender?.identity?.badges || []);
+      setRoleError(null);
       setSevenTVEmotes(sevenTVEmotes || currentChatroom?.channel7TVEmotes || []);
       setSubscriberBadges(currentChatroom?.streamerData?.subscriber_badges || []);
 
       const messages = await window.app.logs.get({ chatroomId: chatroomId, userId: sender.id });
 
       setUserLogs(messages);
+      setHasOlderLogs(settings?.chatArchive?.enabled !== false);
 
       // Fetch User Profile in Channel
       if (!fetchedUser) {
@@ -81,6 +105,11 @@ const User = () => {
         setUserProfile(user);
       } else {
         setUserProfile(fetchedUser);
+
+        // Users opened from /user have no chat identity, fall back to their channel badges
+        if (!sender?.identity?.badges) {
+          setUserBadges(fetchedUser?.badges || []);
+        }
       }
 
       // Silenced User Data
@@ -112,19 +141,57 @@ const User = () => {
   useEffect(() => {
     const dataCleanup = window.app.userDialog.onData(loadData);
     const updateCleanup = window.app.logs.onUpdate(updateData);
+    const settingsCleanup = window.app.store.onUpdate((data) => setSettings((prev) => ({ ...prev, ...data })));
 
     return () => {
       dataCleanup();
       updateCleanup();
+      settingsCleanup();
     };
   }, []);
 
   useEffect(() => {
-    if (dialogLogsRef.current) {
-      dialogLogsRef.current.scrollTop = dialogLogsRef.current.scrollHeight;
+    if (!dialogLogsRef.current) return;
+
+    // Keep the view where it was after prepending older messages
+    if (restoreScrollRef.current !== null) {
+      dialogLogsRef.current.scrollTop = dialogLogsRef.current.scrollHeight - restoreScrollRef.current;
+      restoreScrollRef.current = null;
+      return;
     }
+
+    dialogLogsRef.current.scrollTop = dialogLogsRef.current.scrollHeight;
   }, [userLogs, dialogData]);
 
+  const loadOlderLogs = useCallback(async () => {
+    if (!dialogData?.sender?.id || isLoadingOlderLogs) return;
+
+    setIsLoadingOlderLogs(true);
+
+    try {
+      const { messages, hasMore } = await window.app.chatArchive.search({
+        chatroomId: dialogData.chatroomId,
+        userId: dialogData.sender.id,
+        before: userLogs[0] ? { createdAt: userLogs[0].created_at, id: userLogs[0].id } : null,
+        limit: 50,
+      });
+
+      if (dialogLogsRef.current) {
+        restoreScrollRef.current = dialogLogsRef.current.scrollHeight - dialogLogsRef.current.scrollTop;
+      }
+
+      setUserLogs((prevLogs) => {
+        const existingIds = new Set(prevLogs.map((msg) => msg.id));
+        return [...messages.filter((msg) => !existingIds.has(msg.id)), ...prevLogs];
+      });
+      setHasOlderLogs(hasMore);
+    } catch (error) {
+      console.error("[User Dialog]: Error loading older messages:", error);
+    } finally {
+      setIsLoadingOlderLogs(false);
+    }
+  }, [dialogData, userLogs, isLoadingOlderLogs]);
+
   const silenceUser = useCallback(async () => {
     if (!dialogData?.sender?.id) return;
 
@@ -150,6 +217,45 @@ const User = () => {
     setSilencedUsers(currentSilencedUsers);
   }, [dialogData?.sender?.id]);
 
+  const chatterMetadata = settings?.chatterMetadata?.[dialogData?.sender?.id];
+
+  const initialChatterColor = useMemo(
+    () => chatterMetadata?.color || hexToRgba(dialogData?.sender?.identity?.color),
+    [chatterMetadata?.color, dialogData?.sender?.identity?.color],
+  );
+
+  // Empty fields are dropped, and chatters with nothing left are removed entirely
+  const updateChatterMetadata = async (changes) => {
+    const userId = dialogData?.sender?.id;
+    if (!userId) return;
+
+    try {
+      const currentMetadata = (await window.app.store.get("chatterMetadata")) || {};
+      const entry = { ...currentMetadata[userId], ...changes };
+
+      Object.keys(changes).forEach((key) => {
+        if (!entry[key]) delete entry[key];
+      });
+
+      const updatedMetadata = { ...currentMetadata };
+      if (entry.nickname || entry.note || entry.color) {
+        updatedMetadata[userId] = { ...entry, username: dialogData.sender.username };
+      } else {
+        delete updatedMetadata[userId];
+      }
+
+      setSettings((prev) => ({ ...prev, chatterMetadata: updatedMetadata }));
+      await window.app.store.set("chatterMetadata", updatedMetadata);
+    } catch (error) {
+      console.error("[User Dialog]: Error saving chatter metadata:", error);
+    }
+  };
+
+  const handleChatterTextBlur = (key, e) => {
+    const value = e.target.value.trim();
+    if (value !== (chatterMetadata?.[key] || "")) updateChatterMetadata({ [key]: value });
+  };
+
   const handlePinToggle = async () => {
     await window.app.userDialog.pin(!isDialogPinned);
     setIsDialogPinned(!isDialogPinned);
@@ -164,7 +270,34 @@ const User = () => {
     await window.app.modActions.getTimeoutUser(dialogData?.chatroom?.username, dialogData?.sender?.username, duration);
   };
 
-  const userBadges = dialogData?.sender?.identity?.badges || [];
+  const handleRoleToggle = async (role) => {
+    const hasRole = userBadges.some((badge) => badge.type === role.type);
+
+    setPendingRole(role.type);
+    setRoleError(null);
+
+    try {
+      await window.app.kickChannelActions[hasRole ? role.revoke : role.grant](
+        dialogData?.chatroom?.username,
+        dialogData?.sender?.username,
+      );
+
+      setUserBadges((prev) =>
+        hasRole
+          ? prev.filter((badge) => badge.type !== role.type)
+          : [...prev, { type: role.type, text: role.label, active: true }],
+      );
+    } catch (error) {
+      console.error(`[User Dialog]: Failed to update ${role.label} role:`, error);
+      setRoleError(chatroomErrorHandler(error, `Unable to update ${role.label} role for user.`));
+    } finally {
+      setPendingRole(null);
+    }
+  };
+
+  const canManageRoles =
+    isBroadcaster(dialogData?.userChatroomInfo) &&
+    dialogData?.sender?.username?.toLowerCase() !== dialogData?.chatroom?.username?.toLowerCase();
 
   return (
     <TooltipProvider>
@@ -176,7 +309,10 @@ const User = () => {
             </div>
             <div className="dialogHeaderUserInfo">
               <div className="dialogHeaderUserInfoProfile">
-                <h1>{dialogData?.sender?.username || "N/A"}</h1>
+                <h1>
+                  {dialogData?.sender?.username || "N/A"}
+                  {chatterMetadata?.nickname && <span className="dialogHeaderNickname"> ({chatterMetadata.nickname})</span>}
+                </h1>
                 {(userBadges?.length > 0 || dialogData?.userStyle?.badge) && (
                   <div className="dialogHeaderUserBadges">
                     {dialogData?.userStyle?.badge && (
@@ -246,6 +382,69 @@ const User = () => {
               </button>
             </div>
 
+            <div className="dialogHeaderChatterInfo">
+              <div className="dialogHeaderChatterInfoRow">
+                <input
+                  key={`nickname-${dialogData?.sender?.id}-${chatterMetadata?.nickname}`}
+                  className="dialogHeaderChatterInput"
+                  type="text"
+                  placeholder="Nickname..."
+                  maxLength={25}
+                  defaultValue={chatterMetadata?.nickname || ""}
+                  disabled={!dialogData?.sender?.id}
+                  onBlur={(e) => handleChatterTextBlur("nickname", e)}
+                  onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                />
+                <ColorPicker
+                  initialColor={initialChatterColor}
+                  isColorPickerOpen={isColorPickerOpen}
+                  setIsColorPickerOpen={setIsColorPickerOpen}
+                  handleColorChange={(color) => updateChatterMetadata({ color })}
+                  disabled={!dialogData?.sender?.id}
+                />
+                <button
+                  className="dialogHeaderChatterReset"
+                  disabled={!chatterMetadata?.color}
+                  onClick={() => updateChatterMetadata({ color: null })}>
+                  Reset Color
+                </button>
+              </div>
+              <textarea
+                key={`note-${dialogData?.sender?.id}-${chatterMetadata?.note}`}
+                className="dialogHeaderChatterInput"
+                placeholder="Note, only visible to you..."
+                maxLength={200}
+                rows={2}
+                defaultValue={chatterMetadata?.note || ""}
+                disabled={!dialogData?.sender?.id}
+                onBlur={(e) => handleChatterTextBlur("note", e)}
+              />
+            </div>
+
+            {canManageRoles && (
+              <div className="dialogHeaderRoleActions">
+                <div className="dialogHeaderOptionsTop">
+                  {roleActions.map((role) => {
+                    const hasRole = userBadges.some((badge) => badge.type === role.type);
+
+                    return (
+                      <button
+                        key={role.type}
+                        className={clsx("dialogHeaderOptionsButton", hasRole && "active")}
+                        disabled={pendingRole === role.type}
+                        onClick={() => handleRoleToggle(role)}>
+                        <span>{role.label}</span>
+                        <div className="checkBox">
+                          <img src={Check} width={14} height={14} alt="Check" />
+                        </div>
+                      </button>
+                    );
+                  })}
+                </div>
+                {roleError && <span className="dialogHeaderRoleError">{roleError}</span>}
+              </div>
+            )}
+
             {canModerate && dialogData?.sender?.username !== dialogData?.chatroom?.username && (
               <div className="dialogHeaderModActions">
                 <Tooltip delayDuration={100}>
@@ -317,6 +516,11 @@ const User = () => {
 
         <div className="dialogLogs">
           <div className="dialogLogsContent" ref={dialogLogsRef}>
+            {hasOlderLogs && (
+              <button className="dialogLogsLoadMore" disabled={isLoadingOlderLogs} onClick={loadOlderLogs}>
+                {isLoadingOlderLogs ? "Loading..." : "Load older messages"}
+              </button>
+            )}
             {userLogs?.map((message, i) => {
               return (
                 <Message
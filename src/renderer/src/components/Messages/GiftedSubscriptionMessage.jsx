@@ -0,0 +1,18 @@
+const GiftedSubscriptionMessage = ({ message }) => {
+  const { gifterUsername, giftedUsernames, gifterTotal } = message;
+  const giftCount = giftedUsernames?.length || 0;
+
+  return (
+    <div className="chatEventMessage giftedSubscription">
+      <span className="chatEventLabel">Gifted Subs</span>
+      <span className="chatEventText">
+        <span className="chatEventUsername">{gifterUsername || "Anonymous"}</span> gifted {giftCount}{" "}
+        {giftCount === 1 ? "sub" : "subs"}
+        {gifterTotal > giftCount && <span className="chatEventDetail"> ({gifterTotal} in the channel)</span>}
+      </span>
+      {giftCount > 0 && <span className="chatEventRecipients">{giftedUsernames.join(", ")}</span>}
+    </div>
+  );
+};
+
+export default GiftedSubscriptionMessage;
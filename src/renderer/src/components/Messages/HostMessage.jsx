@@ -0,0 +1,16 @@
+const HostMessage = ({ message }) => {
+  const { hostUsername, viewers, hostMessage } = message;
+
+  return (
+    <div className="chatEventMessage host">
+      <span className="chatEventLabel">Raid</span>
+      <span className="chatEventText">
+        <span className="chatEventUsername">{hostUsername}</span> is raiding
+        {viewers > 0 && ` with ${viewers.toLocaleString()} ${viewers === 1 ? "viewer" : "viewers"}`}
+      </span>
+      {hostMessage && <span className="chatEventNote">{hostMessage}</span>}
+    </div>
+  );
+};
+
+export default HostMessage;
@@ -0,0 +1,19 @@
+const KicksGiftMessage = ({ message }) => {
+  const { senderUsername, senderColor, giftName, amount, giftMessage } = message;
+
+  return (
+    <div className="chatEventMessage kicksGift">
+      <span className="chatEventLabel">Kicks</span>
+      <span className="chatEventText">
+        <span className="chatEventUsername" style={{ color: senderColor }}>
+          {senderUsername || "Anonymous"}
+        </span>{" "}
+        sent {giftName || "a gift"}
+        {amount > 0 && <span className="chatEventDetail"> ({amount.toLocaleString()} Kicks)</span>}
+      </span>
+      {giftMessage && <span className="chatEventNote">{giftMessage}</span>}
+    </div>
+  );
+};
+
+export default KicksGiftMessage;
@@ -3,6 +3,10 @@ import { useCallback, useRef, useMemo, useState } from "react";
 import ModActionMessage from "./ModActionMessage";
 import RegularMessage from "./RegularMessage";
 import EmoteUpdateMessage from "./EmoteUpdateMessage";
+import SubscriptionMessage from "./SubscriptionMessage";
+import GiftedSubscriptionMessage from "./GiftedSubscriptionMessage";
+import HostMessage from "./HostMessage";
+import KicksGiftMessage from "./KicksGiftMessage";
 import clsx from "clsx";
 import { useShallow } from "zustand/shallow";
 import useCosmeticsStore from "../../providers/CosmeticsProvider";
@@ -19,6 +23,18 @@ import {
   ContextMenuSubTrigger,
   ContextMenuTrigger,
 } from "../Shared/ContextMenu";
+import { isSelfMention } from "../../utils/ChatUtils";
+
+// Messages generated from chatroom events rather than sent by a user
+const eventMessageTypes = [
+  "system",
+  "stvEmoteSetUpdate",
+  "mod_action",
+  "subscription",
+  "gifted_subscription",
+  "host",
+  "kicks_gift",
+];
 
 const Message = ({
   message,
@@ -227,8 +243,7 @@ const Message = ({
     return [];
   }, [message?.sender?.username, donators]);
 
-  const showContextMenu =
-    !message?.deleted && message?.type !== "system" && message?.type !== "stvEmoteSetUpdate" && message?.type !== "mod_action";
+  const showContextMenu = !message?.deleted && !eventMessageTypes.includes(message?.type);
 
   const handleOpenReplyThread = useCallback(
     async (chatStoreMessageThread) => {
@@ -258,24 +273,30 @@ const Message = ({
     [chatroomId, message, userChatroomInfo, chatroomName, allStvEmotes, subscriberBadges, settings, username],
   );
 
-  // [Highlights]: Handles highlighting message phrases
-  const shouldHighlightMessage = useMemo(() => {
-    if (!settings?.notifications?.background || !settings?.notifications?.phrases?.length || type === "dialog") {
-      return false;
+  // [Highlights]: Handles highlighting direct @mentions and message phrases
+  const highlightType = useMemo(() => {
+    if (!settings?.notifications?.background || type === "dialog") {
+      return null;
     }
 
     // Don't highlight your own messages (including replies)
     if (message?.sender?.slug === username) {
-      return false;
+      return null;
     }
 
     // Check for self-mention in replies
     if (message?.metadata?.original_sender?.id == userId && message?.sender?.id != userId) {
-      return true;
+      return "highlight";
+    }
+
+    if (isSelfMention(message?.content, username)) {
+      return "mention";
     }
 
     // Check for highlight phrases
-    return settings.notifications.phrases.some((phrase) => message?.content?.toLowerCase().includes(phrase.toLowerCase()));
+    return settings.notifications.phrases?.some((phrase) => message?.content?.toLowerCase().includes(phrase.toLowerCase()))
+      ? "highlight"
+      : null;
   }, [
     settings?.notifications?.background,
     settings?.notifications?.phrases,
@@ -296,10 +317,19 @@ const Message = ({
         message.deleted && "deleted",
         message.type === "stvEmoteSetUpdate" && "emoteSetUpdate",
         type === "dialog" && "dialogChatMessageItem",
-        shouldHighlightMessage && "highlighted",
+        highlightType && "highlighted",
+        highlightType === "mention" && "mentioned",
+        canModerate && message.automod && "automodFlagged",
       )}
+      title={canModerate && message.automod ? `Automod: ${message.automod.ruleName}` : undefined}
       style={{
-        backgroundColor: shouldHighlightMessage ? rgbaObjectToString(settings?.notifications?.backgroundRgba) : "transparent",
+        backgroundColor: highlightType
+          ? rgbaObjectToString(
+              highlightType === "mention"
+                ? settings?.notifications?.mentionBackgroundRgba || settings?.notifications?.backgroundRgba
+                : settings?.notifications?.backgroundRgba,
+            )
+          : "transparent",
       }}
       ref={messageRef}>
       {(message.type === "message" || type === "replyThread") && (
@@ -352,6 +382,14 @@ const Message = ({
 
       {message.type === "stvEmoteSetUpdate" && <EmoteUpdateMessage message={message} />}
 
+      {message.type === "subscription" && <SubscriptionMessage message={message} />}
+
+      {message.type === "gifted_subscription" && <GiftedSubscriptionMessage message={message} />}
+
+      {message.type === "host" && <HostMessage message={message} />}
+
+      {message.type === "kicks_gift" && <KicksGiftMessage message={message} />}
+
       {message.type === "mod_action" && (
         <ModActionMessage
           message={message}
@@ -3,6 +3,16 @@ import { Virtuoso } from "react-virtuoso";
 import useChatStore from "../../providers/ChatProvider";
 import Message from "./Message";
 import MouseScroll from "../../assets/icons/mouse-scroll-fill.svg?asset";
+import useShortcuts from "../../utils/useShortcuts";
+import { compileFilters, findMatchingFilter } from "../../utils/messageFilters";
+
+// Channel event message types and the chatroom setting that toggles each one
+const chatEventSettingKeys = {
+  subscription: "showSubscriptions",
+  gifted_subscription: "showGiftedSubscriptions",
+  host: "showHosts",
+  kicks_gift: "showKicksGifts",
+};
 
 const MessagesHandler = memo(
   ({
@@ -17,12 +27,18 @@ const MessagesHandler = memo(
     username,
     userId,
     donators,
+    isFocused = true,
   }) => {
     const virtuosoRef = useRef(null);
     const chatContainerRef = useRef(null);
     const [silencedUserIds, setSilencedUserIds] = useState(new Set());
     const [atBottom, setAtBottom] = useState(true);
     const [isPaused, setIsPaused] = useState(false);
+    const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+    const [revealedMessageIds, setRevealedMessageIds] = useState(new Set());
+    const focusedMessage = useChatStore((state) => state.focusedMessage);
+
+    const compiledFilters = useMemo(() => compileFilters(settings?.filters), [settings?.filters]);
 
     const filteredMessages = useMemo(() => {
       if (!messages?.length) return [];
@@ -31,10 +47,11 @@ const MessagesHandler = memo(
         if (message?.chatroom_id != chatroomId) return false;
         if (message?.type === "system" || message?.type === "mod_action") return true;
         if (message?.type !== "reply" && message?.type !== "message") return true;
+        if (findMatchingFilter(compiledFilters, message)?.action === "hide") return false;
 
         return message?.sender?.id && !silencedUserIds.has(message?.sender?.id);
       });
-    }, [messages, chatroomId, silencedUserIds]);
+    }, [messages, chatroomId, silencedUserIds, compiledFilters]);
 
     const handleScroll = useCallback(
       (e) => {
@@ -68,6 +85,51 @@ const MessagesHandler = memo(
       }
     };
 
+    // Pausing from the keyboard keeps the chat where it is until unpaused or scrolled to the bottom
+    useShortcuts(
+      settings?.shortcuts,
+      {
+        pauseChat: () => {
+          if (isPaused) return togglePause();
+
+          setIsPaused(true);
+          setAtBottom(false);
+          useChatStore.getState().handleChatroomPause(chatroomId, true);
+        },
+      },
+      isFocused,
+    );
+
+    // Scroll to a message requested from outside the chat, e.g. a clicked desktop notification
+    useEffect(() => {
+      if (focusedMessage?.chatroomId != chatroomId) return;
+
+      const index = filteredMessages.findIndex((message) => message.id === focusedMessage.messageId);
+      useChatStore.getState().setFocusedMessage(null);
+      if (index === -1) return;
+
+      setIsPaused(true);
+      useChatStore.getState().handleChatroomPause(chatroomId, true);
+
+      // Wait for a freshly mounted list to finish its initial scroll
+      setTimeout(() => {
+        virtuosoRef.current?.scrollToIndex({
+          index,
+          align: "center",
+          behavior: "instant",
+        });
+      }, 100);
+
+      setHighlightedMessageId(focusedMessage.messageId);
+    }, [focusedMessage, chatroomId]);
+
+    useEffect(() => {
+      if (!highlightedMessageId) return;
+
+      const timeout = setTimeout(() => setHighlightedMessageId(null), 2000);
+      return () => clearTimeout(timeout);
+    }, [highlightedMessageId]);
+
     const itemContent = useCallback(
       (index, message) => {
         // Hide mod actions if the setting is disabled
@@ -75,7 +137,23 @@ const MessagesHandler = memo(
           return false;
         }
 
-        return (
+        // Hide channel events the user has turned off
+        const eventSettingKey = chatEventSettingKeys[message?.type];
+        if (eventSettingKey && settings?.chatrooms?.[eventSettingKey] === false) {
+          return false;
+        }
+
+        const filterAction = revealedMessageIds.has(message?.id) ? null : findMatchingFilter(compiledFilters, message)?.action;
+
+        if (filterAction === "collapse") {
+          return (
+            <button className="collapsedMessage" onClick={() => setRevealedMessageIds((prev) => new Set(prev).add(message.id))}>
+              Message hidden — click to show
+            </button>
+          );
+        }
+
+        const messageItem = (
           <Message
             key={message?.id}
             data-message-id={message.id}
@@ -92,8 +170,28 @@ const MessagesHandler = memo(
             donators={donators}
           />
         );
+
+        if (message?.id === highlightedMessageId) {
+          return <div className="focusedMessage">{messageItem}</div>;
+        }
+
+        return filterAction === "dim" ? <div className="dimmedMessage">{messageItem}</div> : messageItem;
       },
-      [chatroomId, slug, subscriberBadges, allStvEmotes, kickTalkBadges, settings, userChatroomInfo, username, userId, donators],
+      [
+        chatroomId,
+        slug,
+        subscriberBadges,
+        allStvEmotes,
+        kickTalkBadges,
+        settings,
+        userChatroomInfo,
+        username,
+        userId,
+        donators,
+        highlightedMessageId,
+        compiledFilters,
+        revealedMessageIds,
+      ],
     );
 
     useEffect(() => {
@@ -1,7 +1,7 @@
 import { memo, useCallback, useMemo } from "react";
 import { MessageParser } from "../../utils/MessageParser";
 import { KickBadges, KickTalkBadges, StvBadges } from "../Cosmetics/Badges";
-import { getTimestampFormat } from "../../utils/ChatUtils";
+import { getTimestampFormat, rgbaToString } from "../../utils/ChatUtils";
 import CopyIcon from "../../assets/icons/copy-simple-fill.svg?asset";
 import ReplyIcon from "../../assets/icons/reply-fill.svg?asset";
 import Pin from "../../assets/icons/push-pin-fill.svg?asset";
@@ -59,7 +59,15 @@ const RegularMessage = memo(
       getPinMessage(chatroomId, data);
     }, [message?.id, message?.chatroom_id, message?.content, message?.sender, chatroomName, getPinMessage, chatroomId]);
 
+    const chatterMetadata = settings?.chatterMetadata?.[message.sender.id];
+    const customColor = chatterMetadata?.color;
+    const showPaint = userStyle?.paint && !customColor;
+
+    // A custom colour is set by the user, so it wins over both 7TV paints and the Kick colour
     const usernameStyle = useMemo(() => {
+      if (customColor) {
+        return { color: rgbaToString(customColor) };
+      }
       if (userStyle?.paint) {
         return {
           backgroundImage: userStyle.paint.backgroundImage,
@@ -67,7 +75,7 @@ const RegularMessage = memo(
         };
       }
       return { color: message.sender.identity?.color };
-    }, [userStyle?.paint, message.sender.identity?.color]);
+    }, [customColor, userStyle?.paint, message.sender.identity?.color]);
 
     const messageContent = useMemo(
       () => (
@@ -118,9 +126,14 @@ const RegularMessage = memo(
                 return handleOpenUserDialog(e);
               }
             }}
-            className={clsx("chatMessageUsername", userStyle?.paint && "chatMessageUsernamePaint")}
-            style={usernameStyle}>
-            <span>{message.sender.username}:&nbsp;</span>
+            className={clsx("chatMessageUsername", showPaint && "chatMessageUsernamePaint")}
+            style={usernameStyle}
+            title={chatterMetadata?.note || undefined}>
+            <span>
+              {message.sender.username}
+              {chatterMetadata?.nickname && <span className="chatMessageNickname"> ({chatterMetadata.nickname})</span>}
+              :&nbsp;
+            </span>
           </button>
         </div>
 
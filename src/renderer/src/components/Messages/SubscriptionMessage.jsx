@@ -0,0 +1,14 @@
+const SubscriptionMessage = ({ message }) => {
+  const { username, months } = message;
+
+  return (
+    <div className="chatEventMessage subscription">
+      <span className="chatEventLabel">Subscription</span>
+      <span className="chatEventText">
+        <span className="chatEventUsername">{username}</span> {months > 1 ? `subscribed for ${months} months` : "just subscribed"}
+      </span>
+    </div>
+  );
+};
+
+export default SubscriptionMessage;
@@ -5,8 +5,9 @@ import useChatStore from "../providers/ChatProvider";
 import Plus from "../assets/icons/plus-bold.svg?asset";
 import X from "../assets/icons/x-bold.svg?asset";
 import useClickOutside from "../utils/useClickOutside";
+import useShortcuts from "../utils/useShortcuts";
 import { useSettings } from "../providers/SettingsProvider";
-import { DragDropContext, Droppable } from "@hello-pangea/dnd";
+import { Droppable } from "@hello-pangea/dnd";
 import NotificationIcon from "../assets/icons/notification-bell.svg?asset";
 import MessageIcon from "../assets/icons/message-bubble.svg?asset";
 import ChatroomTab from "./Navbar/ChatroomTab";
@@ -17,7 +18,6 @@ const Navbar = ({ currentChatroomId, kickId, onSelectChatroom }) => {
   const addChatroom = useChatStore((state) => state.addChatroom);
   const removeChatroom = useChatStore((state) => state.removeChatroom);
   const renameChatroom = useChatStore((state) => state.renameChatroom);
-  const reorderChatrooms = useChatStore((state) => state.reorderChatrooms);
   const orderedChatrooms = useChatStore((state) => state.getOrderedChatrooms());
   const hasMentionsTab = useChatStore((state) => state.hasMentionsTab);
   const addMentionsTab = useChatStore((state) => state.addMentionsTab);
@@ -69,6 +69,13 @@ const Navbar = ({ currentChatroomId, kickId, onSelectChatroom }) => {
     const currentIndex = orderedChatrooms.findIndex((chatroom) => chatroom.id === chatroomId);
     await removeChatroom(chatroomId);
 
+    // Keep focus inside the split view when one of its panes was removed
+    const splitChatroomIds = useChatStore.getState().splitChatroomIds;
+    if (splitChatroomIds.length && chatroomId === currentChatroomId) {
+      onSelectChatroom(splitChatroomIds[0]);
+      return;
+    }
+
     // Get the remaining chatrooms after removal
     const remainingChatrooms = orderedChatrooms.filter((chatroom) => chatroom.id !== chatroomId);
 
@@ -83,22 +90,6 @@ const Navbar = ({ currentChatroomId, kickId, onSelectChatroom }) => {
     }
   };
 
-  // Drag and drop chatrooms
-  const handleDragEnd = (result) => {
-    if (!result.destination) return;
-
-    const { source, destination } = result;
-
-    if (source.index === destination.index) return;
-
-    const reordered = Array.from(orderedChatrooms);
-    const [removed] = reordered.splice(source.index, 1);
-    reordered.splice(destination.index, 0, removed);
-
-    // Update state
-    reorderChatrooms(reordered);
-  };
-
   // Select first chatroom on mount if no chatroom is currently selected
   useEffect(() => {
     if (orderedChatrooms.length > 0 && !currentChatroomId) {
@@ -152,18 +143,16 @@ const Navbar = ({ currentChatroomId, kickId, onSelectChatroom }) => {
     }
   };
 
-  // Handle new chatroom key press (ctrl + t) and close dialog (escape)
-  const handleNewChatroomKeyPress = useCallback((e) => {
-    if ((e.ctrlKey || e.metaKey) && (e.key.toLowerCase() === "t" || e.key.toLowerCase() === "j")) {
-      e.preventDefault();
-
-      setShowNavbarDialog(true);
+  const handleOpenNewChatroom = useCallback(() => {
+    setShowNavbarDialog(true);
 
-      setTimeout(() => {
-        inputRef.current?.focus();
-      }, 0);
-    }
+    setTimeout(() => {
+      inputRef.current?.focus();
+    }, 0);
+  }, []);
 
+  // Close the add chatroom dialog with escape
+  const handleCloseDialogKeyPress = useCallback((e) => {
     if (e.key === "Escape") {
       setActiveSection("chatroom");
       setShowNavbarDialog(false);
@@ -171,11 +160,33 @@ const Navbar = ({ currentChatroomId, kickId, onSelectChatroom }) => {
   }, []);
 
   useEffect(() => {
-    window.addEventListener("keydown", handleNewChatroomKeyPress);
+    window.addEventListener("keydown", handleCloseDialogKeyPress);
     return () => {
-      window.removeEventListener("keydown", handleNewChatroomKeyPress);
+      window.removeEventListener("keydown", handleCloseDialogKeyPress);
     };
-  }, [handleNewChatroomKeyPress]);
+  }, [handleCloseDialogKeyPress]);
+
+  // Step through the tabs in navbar order, mentions tab last
+  const handleSwitchTab = (step) => {
+    const tabIds = [...orderedChatrooms.map((chatroom) => chatroom.id), ...(hasMentionsTab ? ["mentions"] : [])];
+    if (!tabIds.length) return;
+
+    const currentIndex = tabIds.indexOf(currentChatroomId);
+    onSelectChatroom(tabIds[(currentIndex + step + tabIds.length) % tabIds.length]);
+  };
+
+  useShortcuts(settings?.shortcuts, {
+    newChatroom: handleOpenNewChatroom,
+    nextTab: () => handleSwitchTab(1),
+    previousTab: () => handleSwitchTab(-1),
+    mentions: handleAddMentions,
+    ...Object.fromEntries(
+      Array.from({ length: 9 }, (_, index) => [
+        `tab${index + 1}`,
+        () => orderedChatrooms[index] && onSelectChatroom(orderedChatrooms[index].id),
+      ]),
+    ),
+  });
 
   // Rename Chatroom
   const handleRename = ({ chatroomId, currentDisplayName }) => {
@@ -197,60 +208,58 @@ const Navbar = ({ currentChatroomId, kickId, onSelectChatroom }) => {
   return (
     <>
       <div className={clsx("navbarContainer", settings?.general?.wrapChatroomsList && "wrapChatroomList")} ref={chatroomListRef}>
-        <DragDropContext onDragEnd={handleDragEnd}>
-          <Droppable droppableId="chatrooms" direction="horizontal">
-            {(provided) => (
-              <div className="chatroomsList" {...provided.droppableProps} ref={provided.innerRef}>
-                {orderedChatrooms.map((chatroom, index) => (
-                  <ChatroomTab
-                    key={chatroom.id}
-                    chatroom={chatroom}
-                    index={index}
-                    currentChatroomId={currentChatroomId}
-                    onSelectChatroom={onSelectChatroom}
-                    onRemoveChatroom={handleRemoveChatroom}
-                    onRename={handleRename}
-                    editingChatroomId={editingChatroomId}
-                    editingName={editingName}
-                    setEditingName={setEditingName}
-                    onRenameSubmit={handleRenameSubmit}
-                    setEditingChatroomId={setEditingChatroomId}
-                    renameInputRef={renameInputRef}
-                    settings={settings}
-                  />
-                ))}
-                {provided.placeholder}
-                {orderedChatrooms.length > 0 && <span className="chatroomsSeparator" />}
-                {hasMentionsTab && (
-                  <MentionsTab
-                    currentChatroomId={currentChatroomId}
-                    onSelectChatroom={onSelectChatroom}
-                    onRemoveMentionsTab={handleRemoveMentionsTab}
-                  />
-                )}
-                {settings?.general?.wrapChatroomsList && (
-                  <div className="navbarAddChatroomContainer">
-                    <button
-                      className="navbarAddChatroomButton"
-                      onClick={() => {
-                        setActiveSection("chatroom");
-                        setShowNavbarDialog(!showNavbarDialog);
-                        if (!showNavbarDialog) {
-                          setTimeout(() => {
-                            inputRef.current?.focus();
-                          }, 0);
-                        }
-                      }}
-                      disabled={isConnecting}>
-                      <span>Add</span>
-                      <img src={Plus} width={16} height={16} alt="Add chatroom" />
-                    </button>
-                  </div>
-                )}
-              </div>
-            )}
-          </Droppable>
-        </DragDropContext>
+        <Droppable droppableId="chatrooms" direction="horizontal">
+          {(provided) => (
+            <div className="chatroomsList" {...provided.droppableProps} ref={provided.innerRef}>
+              {orderedChatrooms.map((chatroom, index) => (
+                <ChatroomTab
+                  key={chatroom.id}
+                  chatroom={chatroom}
+                  index={index}
+                  currentChatroomId={currentChatroomId}
+                  onSelectChatroom={onSelectChatroom}
+                  onRemoveChatroom={handleRemoveChatroom}
+                  onRename={handleRename}
+                  editingChatroomId={editingChatroomId}
+                  editingName={editingName}
+                  setEditingName={setEditingName}
+                  onRenameSubmit={handleRenameSubmit}
+                  setEditingChatroomId={setEditingChatroomId}
+                  renameInputRef={renameInputRef}
+                  settings={settings}
+                />
+              ))}
+              {provided.placeholder}
+              {orderedChatrooms.length > 0 && <span className="chatroomsSeparator" />}
+              {hasMentionsTab && (
+                <MentionsTab
+                  currentChatroomId={currentChatroomId}
+                  onSelectChatroom={onSelectChatroom}
+                  onRemoveMentionsTab={handleRemoveMentionsTab}
+                />
+              )}
+              {settings?.general?.wrapChatroomsList && (
+                <div className="navbarAddChatroomContainer">
+                  <button
+                    className="navbarAddChatroomButton"
+                    onClick={() => {
+                      setActiveSection("chatroom");
+                      setShowNavbarDialog(!showNavbarDialog);
+                      if (!showNavbarDialog) {
+                        setTimeout(() => {
+                          inputRef.current?.focus();
+                        }, 0);
+                      }
+                    }}
+                    disabled={isConnecting}>
+                    <span>Add</span>
+                    <img src={Plus} width={16} height={16} alt="Add chatroom" />
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </Droppable>
 
         <div className={clsx("navbarDialog", showNavbarDialog && "open")}>
           <div className="navbarDialogBody" ref={addChatroomDialogRef}>
@@ -34,6 +34,16 @@ const ChatroomTab = memo(
       return chatroomMessages.filter((message) => !message.isRead && message.type !== "system").length;
     }, [chatroomMessages]);
 
+    const isInSplitView = useChatStore((state) => state.splitChatroomIds.includes(chatroom.id));
+    const addSplitChatroom = useChatStore((state) => state.addSplitChatroom);
+    const removeSplitChatroom = useChatStore((state) => state.removeSplitChatroom);
+    const isPoppedOut = useChatStore((state) => state.popoutChatroomIds.includes(chatroom.id));
+    const popOutChatroom = useChatStore((state) => state.popOutChatroom);
+
+    const unreadMentionCount = useChatStore(
+      (state) => (state.mentions[chatroom.id] || []).filter((mention) => !mention.isRead && mention.type === "mention").length,
+    );
+
     return (
       <Draggable key={chatroom.id} draggableId={`item-${chatroom.id}`} index={index}>
         {(provided, snapshot) => (
@@ -61,6 +71,8 @@ const ChatroomTab = memo(
                     "chatroomStreamer",
                     chatroom.id === currentChatroomId && "chatroomStreamerActive",
                     chatroom?.isStreamerLive && "chatroomStreamerLive",
+                    isInSplitView && "chatroomStreamerSplit",
+                    isPoppedOut && "chatroomStreamerPoppedOut",
                     snapshot.isDragging && "dragging",
                     unreadCount > 0 && chatroom.id !== currentChatroomId && "hasUnread",
                   )}>
@@ -92,7 +104,13 @@ const ChatroomTab = memo(
                     ) : (
                       <>
                         <span>{chatroom.displayName || chatroom.username}</span>
-                        <span className={clsx("unreadCountIndicator", unreadCount > 0 && "hasUnread")} />
+                        {unreadMentionCount > 0 && chatroom.id !== currentChatroomId ? (
+                          <span className="unreadMentionBadge" title={`${unreadMentionCount} unread mentions`}>
+                            @{unreadMentionCount > 99 ? "99+" : unreadMentionCount}
+                          </span>
+                        ) : (
+                          <span className={clsx("unreadCountIndicator", unreadCount > 0 && "hasUnread")} />
+                        )}
                       </>
                     )}
                   </div>
@@ -115,6 +133,16 @@ const ChatroomTab = memo(
                   Open Player in Browser
                 </ContextMenuItem>
                 <ContextMenuSeparator />
+                {isInSplitView ? (
+                  <ContextMenuItem onSelect={() => removeSplitChatroom(chatroom.id)}>Remove from Split View</ContextMenuItem>
+                ) : (
+                  <ContextMenuItem onSelect={() => !addSplitChatroom(chatroom.id) && onSelectChatroom(chatroom.id)}>
+                    Open in Split View
+                  </ContextMenuItem>
+                )}
+                <ContextMenuItem onSelect={() => popOutChatroom(chatroom.id)}>
+                  {isPoppedOut ? "Focus Pop-out" : "Pop Out"}
+                </ContextMenuItem>
                 <ContextMenuItem
                   onSelect={() =>
                     onRename({ chatroomId: chatroom.id, currentDisplayName: chatroom.displayName || chatroom.username })
@@ -2,7 +2,15 @@ import { useState, useEffect } from "react";
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "./Dropdown";
 import caretDownIcon from "../../assets/icons/caret-down-fill.svg?asset";
 import playIcon from "../../assets/icons/play-fill.svg?asset";
-const NotificationFilePicker = ({ getOptions, onChange, settingsData, disabled }) => {
+// fileKey/nameKey pick which notification sound setting this picker edits
+const NotificationFilePicker = ({
+  getOptions,
+  onChange,
+  settingsData,
+  disabled,
+  fileKey = "soundFile",
+  nameKey = "soundFileName",
+}) => {
   const [options, setOptions] = useState([]);
   const [name, setName] = useState("default");
 
@@ -15,10 +23,10 @@ const NotificationFilePicker = ({ getOptions, onChange, settingsData, disabled }
   }, [getOptions]);
 
   useEffect(() => {
-    if (settingsData?.notifications?.soundFileName) {
-      setName(settingsData.notifications.soundFileName);
-    } else if (settingsData?.notifications?.soundFile) {
-      const filename = settingsData.notifications.soundFile.split(/[/\\]/).pop();
+    if (settingsData?.notifications?.[nameKey]) {
+      setName(settingsData.notifications[nameKey]);
+    } else if (settingsData?.notifications?.[fileKey]) {
+      const filename = settingsData.notifications[fileKey].split(/[/\\]/).pop();
       setName(filename.split(".")[0].replace(/_/g, " "));
     } else {
       setName("default");
@@ -29,8 +37,8 @@ const NotificationFilePicker = ({ getOptions, onChange, settingsData, disabled }
     setName(opt.name);
     onChange("notifications", {
       ...settingsData?.notifications,
-      soundFile: opt.value,
-      soundFileName: opt.name,
+      [fileKey]: opt.value,
+      [nameKey]: opt.name,
     });
   };
 
@@ -47,7 +55,7 @@ const NotificationFilePicker = ({ getOptions, onChange, settingsData, disabled }
         className="testSoundButton"
         onClick={() => {
           window.app.notificationSounds
-            .getSoundUrl(settingsData?.notifications?.soundFile)
+            .getSoundUrl(settingsData?.notifications?.[fileKey])
             .then((soundUrl) => {
               const audio = new Audio(soundUrl);
               audio.volume = settingsData?.notifications?.volume || 0.1;
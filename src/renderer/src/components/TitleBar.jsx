@@ -8,6 +8,8 @@ import GearIcon from "../assets/icons/gear-fill.svg?asset";
 import "../assets/styles/components/TitleBar.scss";
 import clsx from "clsx";
 import Updater from "./Updater";
+import ConnectionStatus from "./ConnectionStatus";
+import AccountSwitcher from "./AccountSwitcher";
 
 const TitleBar = () => {
   const [userData, setUserData] = useState(null);
@@ -49,21 +51,24 @@ const TitleBar = () => {
     <div className="titleBar">
       <div className="titleBarLeft">
         <span>KickTalk {appInfo.appVersion}</span>
+        <ConnectionStatus />
       </div>
 
       <div className={clsx("titleBarSettings", settingsModalOpen && "open")}>
         {userData?.id ? (
-          <button
-            className="titleBarSettingsBtn"
-            onClick={() =>
-              window.app.settingsDialog.open({
-                userData,
-              })
-            }>
-            <span className="titleBarUsername">{userData?.username || "Loading..."}</span>
+          <div className="titleBarLoginBtn">
+            <AccountSwitcher username={userData?.username} />
             <div className="titleBarDivider" />
-            <img className="titleBarSettingsIcon" src={GearIcon} width={16} height={16} alt="Settings" />
-          </button>
+            <button
+              className="titleBarSettingsBtn"
+              onClick={() =>
+                window.app.settingsDialog.open({
+                  userData,
+                })
+              }>
+              <img src={GearIcon} width={16} height={16} alt="Settings" />
+            </button>
+          </div>
         ) : (
           <div className="titleBarLoginBtn">
             <button className="titleBarSignInBtn" onClick={handleAuthBtn}>
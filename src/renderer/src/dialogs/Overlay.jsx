@@ -0,0 +1,12 @@
+import "../assets/styles/main.scss";
+
+import React from "react";
+import ReactDOM from "react-dom/client";
+import ErrorBoundary from "../components/ErrorBoundary";
+import OverlayPage from "../pages/OverlayPage";
+
+ReactDOM.createRoot(document.getElementById("root")).render(
+  <ErrorBoundary>
+    <OverlayPage />
+  </ErrorBoundary>,
+);
@@ -0,0 +1,16 @@
+import "../assets/styles/main.scss";
+import "../../../../utils/themeUtils";
+
+import React from "react";
+import ReactDOM from "react-dom/client";
+import ErrorBoundary from "../components/ErrorBoundary";
+import SettingsProvider from "../providers/SettingsProvider";
+import PopoutPage from "../pages/PopoutPage";
+
+ReactDOM.createRoot(document.getElementById("root")).render(
+  <ErrorBoundary>
+    <SettingsProvider>
+      <PopoutPage />
+    </SettingsProvider>
+  </ErrorBoundary>,
+);
@@ -1,8 +1,11 @@
 import "../assets/styles/pages/ChatPage.scss";
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
+import clsx from "clsx";
+import { DragDropContext, Droppable } from "@hello-pangea/dnd";
 import { useSettings } from "../providers/SettingsProvider";
 import useChatStore from "../providers/ChatProvider";
 import Chat from "../components/Chat";
+import SplitView from "../components/Chat/SplitView";
 import Navbar from "../components/Navbar";
 import TitleBar from "../components/TitleBar";
 import Mentions from "../components/Dialogs/Mentions";
@@ -10,42 +13,161 @@ import Mentions from "../components/Dialogs/Mentions";
 const ChatPage = () => {
   const { settings, updateSettings } = useSettings();
   const setCurrentChatroom = useChatStore((state) => state.setCurrentChatroom);
+  const setFocusedMessage = useChatStore((state) => state.setFocusedMessage);
+  const reorderChatrooms = useChatStore((state) => state.reorderChatrooms);
+  const activateChatroom = useChatStore((state) => state.activateChatroom);
+  const addSplitChatroom = useChatStore((state) => state.addSplitChatroom);
+  const replaceSplitChatroom = useChatStore((state) => state.replaceSplitChatroom);
+  const splitChatroomIds = useChatStore((state) => state.splitChatroomIds);
+  const canAddSplitChatroom = useChatStore((state) => state.canAddSplitChatroom());
 
-  const [activeChatroomId, setActiveChatroomId] = useState(null);
+  // Restore focus to the first pane when the saved split view is loaded
+  const [activeChatroomId, setActiveChatroomId] = useState(() => useChatStore.getState().splitChatroomIds[0] || null);
+  const [isDraggingTab, setIsDraggingTab] = useState(false);
+  const previousSplitChatroomIds = useRef(splitChatroomIds);
   const kickUsername = localStorage.getItem("kickUsername");
   const kickId = localStorage.getItem("kickId");
 
+  const isSplitView = splitChatroomIds.length > 0;
+
   useEffect(() => {
     setCurrentChatroom(activeChatroomId);
   }, [activeChatroomId, setCurrentChatroom]);
 
+  // Every pane is on screen, so each one loads its deferred history and emotes
+  useEffect(() => {
+    splitChatroomIds.forEach((chatroomId) => activateChatroom(chatroomId));
+  }, [splitChatroomIds, activateChatroom]);
+
+  // Move focus to a remaining pane when the focused one is closed
+  useEffect(() => {
+    const previousIds = previousSplitChatroomIds.current;
+    previousSplitChatroomIds.current = splitChatroomIds;
+
+    if (!previousIds.includes(activeChatroomId) || splitChatroomIds.includes(activeChatroomId)) return;
+
+    setActiveChatroomId(splitChatroomIds[0] || previousIds.find((chatroomId) => chatroomId !== activeChatroomId) || null);
+  }, [splitChatroomIds]);
+
+  // In split view, picking a tab that isn't on screen swaps it into the focused pane
+  const handleSelectChatroom = useCallback(
+    (chatroomId) => {
+      const { splitChatroomIds } = useChatStore.getState();
+
+      if (splitChatroomIds.length && chatroomId && chatroomId !== "mentions" && !splitChatroomIds.includes(chatroomId)) {
+        replaceSplitChatroom(
+          splitChatroomIds.includes(activeChatroomId) ? activeChatroomId : splitChatroomIds[splitChatroomIds.length - 1],
+          chatroomId,
+        );
+      }
+
+      setActiveChatroomId(chatroomId);
+    },
+    [activeChatroomId, replaceSplitChatroom],
+  );
+
+  // Tabs are reordered within the navbar, or dropped on the chat to open them in split view
+  const handleDragEnd = (result) => {
+    setIsDraggingTab(false);
+
+    const { source, destination } = result;
+    if (!destination) return;
+
+    const orderedChatrooms = useChatStore.getState().getOrderedChatrooms();
+
+    if (destination.droppableId === "splitView") {
+      const chatroom = orderedChatrooms[source.index];
+      if (chatroom && addSplitChatroom(chatroom.id)) setActiveChatroomId(chatroom.id);
+      return;
+    }
+
+    if (source.index === destination.index) return;
+
+    const reordered = Array.from(orderedChatrooms);
+    const [removed] = reordered.splice(source.index, 1);
+    reordered.splice(destination.index, 0, removed);
+
+    // Update state
+    reorderChatrooms(reordered);
+  };
+
+  // Clicking a desktop notification opens its chatroom and jumps to the message
+  useEffect(() => {
+    const cleanup = window.app.notifications.onClick(({ chatroomId, messageId }) => {
+      if (!chatroomId) return;
+
+      handleSelectChatroom(chatroomId);
+      setFocusedMessage(chatroomId, messageId);
+    });
+
+    return () => cleanup();
+  }, [setFocusedMessage, handleSelectChatroom]);
+
+  // Picking a chatroom from the tray menu opens it
+  useEffect(() => {
+    const cleanup = window.app.tray.onSelectChatroom(({ chatroomId }) => {
+      if (chatroomId) handleSelectChatroom(chatroomId);
+    });
+
+    return () => cleanup();
+  }, [handleSelectChatroom]);
+
   return (
     <div className="chatPageContainer">
       <TitleBar />
-      <div className="chatWrapper">
-        <div className="chatNavigation">
-          <Navbar currentChatroomId={activeChatroomId} kickId={kickId} onSelectChatroom={setActiveChatroomId} />
-        </div>
+      <DragDropContext onDragStart={() => setIsDraggingTab(true)} onDragEnd={handleDragEnd}>
+        <div className="chatWrapper">
+          <div className="chatNavigation">
+            <Navbar currentChatroomId={activeChatroomId} kickId={kickId} onSelectChatroom={handleSelectChatroom} />
+          </div>
+
+          <div className="chatContent">
+            {activeChatroomId === "mentions" ? (
+              <Mentions setActiveChatroom={handleSelectChatroom} chatroomId={activeChatroomId} />
+            ) : isSplitView ? (
+              <SplitView
+                chatroomIds={splitChatroomIds}
+                activeChatroomId={activeChatroomId}
+                onFocusChatroom={setActiveChatroomId}
+                kickUsername={kickUsername}
+                kickId={kickId}
+                settings={settings}
+                updateSettings={updateSettings}
+              />
+            ) : activeChatroomId ? (
+              <Chat
+                chatroomId={activeChatroomId}
+                kickUsername={kickUsername}
+                kickId={kickId}
+                settings={settings}
+                updateSettings={updateSettings}
+              />
+            ) : (
+              <div className="chatroomsEmptyState">
+                <h1>No Chatrooms</h1>
+                <p>Add a chatroom by using "CTRL"+"t" or clicking Add button</p>
+              </div>
+            )}
 
-        <div className="chatContent">
-          {activeChatroomId && activeChatroomId !== "mentions" ? (
-            <Chat
-              chatroomId={activeChatroomId}
-              kickUsername={kickUsername}
-              kickId={kickId}
-              settings={settings}
-              updateSettings={updateSettings}
-            />
-          ) : activeChatroomId === "mentions" ? (
-            <Mentions setActiveChatroom={setActiveChatroomId} chatroomId={activeChatroomId} />
-          ) : (
-            <div className="chatroomsEmptyState">
-              <h1>No Chatrooms</h1>
-              <p>Add a chatroom by using "CTRL"+"t" or clicking Add button</p>
-            </div>
-          )}
+            {/* Drop a tab on the side of the chat to open it in split view */}
+            <Droppable droppableId="splitView" isDropDisabled={!canAddSplitChatroom || activeChatroomId === "mentions"}>
+              {(provided, snapshot) => (
+                <div
+                  className={clsx(
+                    "chatSplitDropZone",
+                    isDraggingTab && canAddSplitChatroom && activeChatroomId !== "mentions" && "visible",
+                    snapshot.isDraggingOver && "over",
+                  )}
+                  {...provided.droppableProps}
+                  ref={provided.innerRef}>
+                  <span>Drop to split view</span>
+                  <div className="chatSplitDropZonePlaceholder">{provided.placeholder}</div>
+                </div>
+              )}
+            </Droppable>
+          </div>
         </div>
-      </div>
+      </DragDropContext>
     </div>
   );
 };
@@ -0,0 +1,157 @@
+import "../assets/styles/components/Chat/Message.scss";
+import "../assets/styles/pages/OverlayPage.scss";
+import { memo, useEffect, useMemo, useState } from "react";
+import clsx from "clsx";
+import { MessageParser } from "../utils/MessageParser";
+import { KickBadges, KickTalkBadges, StvBadges } from "../components/Cosmetics/Badges";
+import { userKickTalkBadges } from "../../../../utils/kickTalkBadges";
+
+// The overlay runs inside a streaming app's browser source, so it only talks to the local overlay server
+const MAX_OVERLAY_MESSAGES = 50;
+const RECONNECT_DELAY = 3000;
+const KNOWN_BOTS = ["botrix", "kickbot", "fossabot", "nightbot", "streamelements", "moobot", "sery_bot"];
+
+const searchParams = new URLSearchParams(window.location.search);
+const serverHost = searchParams.get("server") || window.location.host;
+const channelsParam = searchParams
+  .get("channels")
+  ?.split(",")
+  .map((channel) => channel.trim().toLowerCase())
+  .filter(Boolean);
+
+const isBotMessage = (message) => {
+  const username = message?.sender?.username?.toLowerCase();
+  return KNOWN_BOTS.includes(username) || message?.sender?.identity?.badges?.some((badge) => badge.type === "bot");
+};
+
+const OverlayMessage = memo(({ message, chatroom, settings }) => {
+  const { userStyle, sender } = message;
+
+  const kickTalkBadges = useMemo(() => {
+    const username = sender?.username?.toLowerCase();
+    const badges = userKickTalkBadges?.find((badge) => badge.username.toLowerCase() === username)?.badges || [];
+
+    return message.isDonator ? [...badges, { type: "Donator", title: "KickTalk Donator" }] : badges;
+  }, [sender?.username, message.isDonator]);
+
+  const usernameStyle =
+    settings.showPaints && userStyle?.paint
+      ? { backgroundImage: userStyle.paint.backgroundImage, filter: userStyle.paint.shadows }
+      : { color: sender?.identity?.color };
+
+  return (
+    <div
+      className={clsx("overlayMessage", settings.fadeOutSeconds > 0 && "fading")}
+      style={settings.fadeOutSeconds > 0 ? { animationDelay: `${settings.fadeOutSeconds}s` } : undefined}>
+      <div className="chatMessageBadges">
+        {settings.showKickTalkBadges && kickTalkBadges.length > 0 && <KickTalkBadges badges={kickTalkBadges} />}
+        {settings.showStvBadges && userStyle?.badge && <StvBadges badge={userStyle.badge} />}
+        {settings.showKickBadges && (
+          <KickBadges badges={sender?.identity?.badges} subscriberBadges={chatroom?.subscriberBadges} />
+        )}
+      </div>
+
+      <span
+        className={clsx("overlayMessageUsername", settings.showPaints && userStyle?.paint && "chatMessageUsernamePaint")}
+        style={usernameStyle}>
+        {sender?.username}:&nbsp;
+      </span>
+
+      <span className="overlayMessageContent">
+        <MessageParser
+          type="minified"
+          message={message}
+          chatroomId={message.chatroom_id}
+          sevenTVEmotes={chatroom?.sevenTVEmotes}
+          sevenTVSettings={{ emotes: settings.showStvEmotes }}
+          subscriberBadges={chatroom?.subscriberBadges}
+        />
+      </span>
+    </div>
+  );
+});
+
+const OverlayPage = () => {
+  const [settings, setSettings] = useState(null);
+  const [chatrooms, setChatrooms] = useState({});
+  const [messages, setMessages] = useState([]);
+
+  useEffect(() => {
+    let socket = null;
+    let reconnectTimeout = null;
+    let closed = false;
+
+    const handleEvent = (event) => {
+      switch (event.type) {
+        case "settings":
+          setSettings(event.settings);
+          break;
+        case "chatroom":
+          setChatrooms((prev) => ({ ...prev, [event.channel]: event }));
+          break;
+        case "message":
+          setMessages((prev) => [...prev, { ...event.message, channel: event.channel }].slice(-MAX_OVERLAY_MESSAGES));
+          break;
+        case "delete":
+          setMessages((prev) => prev.filter((message) => message.id !== event.messageId));
+          break;
+        case "ban":
+          setMessages((prev) => prev.filter((message) => message.sender?.id !== event.userId));
+          break;
+      }
+    };
+
+    const connect = () => {
+      socket = new WebSocket(`ws://${serverHost}/ws`);
+
+      socket.onmessage = (e) => {
+        try {
+          handleEvent(JSON.parse(e.data));
+        } catch (error) {
+          console.error("[Overlay]: Failed to handle event:", error);
+        }
+      };
+
+      socket.onclose = () => {
+        if (closed) return;
+        reconnectTimeout = setTimeout(connect, RECONNECT_DELAY);
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimeout);
+      socket?.close();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (settings?.fontSize) document.documentElement.style.setProperty("--chat-message-font-size", `${settings.fontSize}px`);
+  }, [settings?.fontSize]);
+
+  const visibleMessages = useMemo(() => {
+    if (!settings) return [];
+
+    const channels = (settings.chatrooms || []).map((channel) => channel.toLowerCase());
+
+    return messages.filter((message) => {
+      if (!channels.includes(message.channel)) return false;
+      if (channelsParam?.length && !channelsParam.includes(message.channel)) return false;
+      if (settings.hideBots && isBotMessage(message)) return false;
+      if (settings.hideCommands && message.content?.trim().startsWith("!")) return false;
+      return true;
+    });
+  }, [messages, settings]);
+
+  return (
+    <div className="overlayMessages">
+      {visibleMessages.map((message) => (
+        <OverlayMessage key={message.id} message={message} chatroom={chatrooms[message.channel]} settings={settings} />
+      ))}
+    </div>
+  );
+};
+
+export default OverlayPage;
@@ -0,0 +1,50 @@
+import "../assets/styles/pages/ChatPage.scss";
+import { useEffect } from "react";
+import { useSettings } from "../providers/SettingsProvider";
+import useChatStore from "../providers/ChatProvider";
+import Chat from "../components/Chat";
+import X from "../assets/icons/x-bold.svg?asset";
+
+const PopoutPage = () => {
+  const { settings, updateSettings } = useSettings();
+  const chatroomId = useChatStore((state) => state.currentChatroomId);
+  const chatroom = useChatStore((state) => state.chatrooms.find((room) => room.id === chatroomId));
+
+  const kickUsername = localStorage.getItem("kickUsername");
+  const kickId = localStorage.getItem("kickId");
+  const chatroomName = chatroom?.displayName || chatroom?.username;
+
+  useEffect(() => {
+    if (chatroomName) document.title = `KickTalk - ${chatroomName}`;
+  }, [chatroomName]);
+
+  return (
+    <div className="chatPageContainer">
+      <div className="popoutTitleBar">
+        <span>{chatroomName || "Connecting..."}</span>
+        <button className="popoutCloseBtn" onClick={() => window.app.popoutWindow.close()}>
+          <img src={X} width={14} height={14} alt="Close" />
+        </button>
+      </div>
+
+      <div className="chatContent">
+        {chatroom ? (
+          <Chat
+            chatroomId={chatroomId}
+            kickUsername={kickUsername}
+            kickId={kickId}
+            settings={settings}
+            updateSettings={updateSettings}
+          />
+        ) : (
+          <div className="chatroomsEmptyState">
+            <h1>Connecting...</h1>
+            <p>Waiting for the main window to share this chatroom</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PopoutPage;
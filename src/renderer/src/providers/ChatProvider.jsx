@@ -8,12 +8,180 @@ import ConnectionManager from "../../../../utils/services/connectionManager";
 import useCosmeticsStore from "./CosmeticsProvider";
 import { sendUserPresence } from "../../../../utils/services/seventv/stvAPI";
 import { getKickTalkDonators } from "../../../../utils/services/kick/kickAPI";
+import { isSelfMention } from "../utils/ChatUtils";
+import { canModerate } from "../utils/chatCommands";
+import { chatModeOptions, getChatModeState } from "../utils/chatModes";
+import { compileFilters, findMatchingFilter } from "../utils/messageFilters";
+import {
+  automodActions,
+  defaultTriggerOptions,
+  formatAutomodRule,
+  getAutomodRules,
+  matchesAutomodRule,
+  normalizeMessageContent,
+} from "../utils/automod";
 import dayjs from "dayjs";
 
 let stvPresenceUpdates = new Map();
 let storeStvId = null;
 const PRESENCE_UPDATE_INTERVAL = 30 * 1000;
 
+// Chatrooms that aren't on screen keep a smaller message window
+const BACKGROUND_MESSAGE_LIMIT = 50;
+
+// Chatrooms that have loaded their deferred history and emotes this session
+const activatedChatrooms = new Set();
+
+// Split view shows between two and four chatrooms side by side
+const MAX_SPLIT_PANES = 4;
+
+const getEqualPaneSizes = (count) => Array.from({ length: count }, () => 100 / count);
+
+// Store actions a pop-out window sends back to the main window, which owns the chatroom state
+const POPOUT_ACTIONS = [
+  "addMessage",
+  "markChatroomMessagesAsRead",
+  "refresh7TVEmotes",
+  "refreshKickEmotes",
+  "handlePollUpdate",
+  "handlePollDelete",
+  "handlePredictionUpdate",
+  "handlePredictionDelete",
+  "resolveAutomodReview",
+  "undoAutomodAction",
+  "clearAutomodLog",
+  "setChatroomSendAccount",
+];
+
+// Batch state changes for pop-out windows instead of sending one per message
+const POPOUT_SYNC_INTERVAL = 100;
+
+// Channel slugs picked in the stream overlay settings, empty while the overlay is off
+let overlayChannels = new Set();
+
+// Automod settings, kept in sync with the store by the main window
+let automodSettings = null;
+
+// Socket recording and replay settings, kept in sync with the store by the main window
+let developerSettings = null;
+
+// Local message filters, kept in sync with the store by the main window
+let compiledFilters = [];
+
+// Silenced user ids, read once and again whenever the list is written
+let silencedUserIds = null;
+
+const loadSilencedUserIds = () => {
+  try {
+    const silencedUsers = JSON.parse(localStorage.getItem("silencedUsers") || "{}");
+    silencedUserIds = new Set(silencedUsers?.data?.map((user) => user.id) || []);
+  } catch (error) {
+    console.error("[ChatProvider]: Error loading silenced users:", error);
+    silencedUserIds = new Set();
+  }
+};
+
+// Fired by the user dialog when silencing or unsilencing, and by the preload after fetching the list
+window.addEventListener("storage", (e) => {
+  if (e.key === "silencedUsers" || e.key === null) loadSilencedUserIds();
+});
+
+// Messages the chat never shows, from silenced users or caught by a hide filter, must not notify either
+const isHiddenMessage = (chatroomId, message) => {
+  if (findMatchingFilter(compiledFilters, { ...message, chatroom_id: chatroomId })?.action === "hide") return true;
+
+  if (!silencedUserIds) loadSilencedUserIds();
+  return silencedUserIds.has(message?.sender?.id);
+};
+
+const recordSocketFrame = (event) => {
+  if (developerSettings?.recordSockets) window.app.socketRecorder.record(event.detail);
+};
+
+// Each chatter's recent messages per chatroom, for the repeated message trigger
+const automodHistory = new Map();
+const AUTOMOD_HISTORY_LIMIT = 20;
+const AUTOMOD_HISTORY_WINDOW = 10 * 60 * 1000;
+
+// A burst of spam should only time a chatter out once
+const automodTimeouts = new Map();
+const AUTOMOD_TIMEOUT_COOLDOWN = 10 * 1000;
+
+const AUTOMOD_LOG_LIMIT = 200;
+const automodActionPriority = ["highlight", "review", "delete", "timeout"];
+
+// Account creation dates for the new account trigger, the channel's chatroom is created with the account
+const accountCreatedAtCache = new Map();
+const ACCOUNT_CACHE_LIMIT = 1000;
+
+// Each lookup is a Kick request, so busy rooms only run a few at a time and skip the rest once the queue is full
+const accountLookupQueue = [];
+const ACCOUNT_LOOKUP_CONCURRENCY = 2;
+const ACCOUNT_LOOKUP_QUEUE_LIMIT = 50;
+let activeAccountLookups = 0;
+
+const processAccountLookups = async () => {
+  if (activeAccountLookups >= ACCOUNT_LOOKUP_CONCURRENCY || !accountLookupQueue.length) return;
+
+  activeAccountLookups++;
+  const { sender, resolve } = accountLookupQueue.shift();
+
+  try {
+    const channel = await window.app.kick.getChannelInfo(sender.slug || sender.username);
+    resolve(channel?.chatroom?.created_at || null);
+  } catch (error) {
+    console.warn(`[Automod]: Failed to look up account age for ${sender.username}:`, error.message);
+
+    // Failed lookups aren't cached so the chatter's next message tries again
+    accountCreatedAtCache.delete(sender.id);
+    resolve(null);
+  } finally {
+    activeAccountLookups--;
+    processAccountLookups();
+  }
+};
+
+const getAccountCreatedAt = (sender) => {
+  if (accountCreatedAtCache.has(sender.id)) return accountCreatedAtCache.get(sender.id);
+  if (accountLookupQueue.length >= ACCOUNT_LOOKUP_QUEUE_LIMIT) return Promise.resolve(null);
+
+  const request = new Promise((resolve) => {
+    accountLookupQueue.push({ sender, resolve });
+    processAccountLookups();
+  });
+
+  accountCreatedAtCache.set(sender.id, request);
+  if (accountCreatedAtCache.size > ACCOUNT_CACHE_LIMIT) {
+    accountCreatedAtCache.delete(accountCreatedAtCache.keys().next().value);
+  }
+
+  return request;
+};
+
+const emoteNameCache = new WeakMap();
+
+const getEmoteNames = (emoteSets) => {
+  if (!emoteSets) return null;
+  if (!emoteNameCache.has(emoteSets)) {
+    emoteNameCache.set(emoteSets, new Set(emoteSets.flatMap((set) => set?.emotes || []).map((emote) => emote.name)));
+  }
+
+  return emoteNameCache.get(emoteSets);
+};
+
+// Live messages carry created_at, system lines only a timestamp
+const getMessageTime = (message) => message?.created_at || message?.timestamp;
+
+// How many of the target's recent messages are kept with each moderation log entry
+const MOD_LOG_MESSAGE_LIMIT = 5;
+
+// Desktop notification toggle and title for each mention type
+const mentionNotifications = {
+  reply: { desktopKey: "desktopReplies", getTitle: (sender, chatroom) => `${sender} replied to you in ${chatroom}` },
+  mention: { desktopKey: "desktopMentions", getTitle: (sender, chatroom) => `${sender} mentioned you in ${chatroom}` },
+  highlight: { desktopKey: "desktopHighlights", getTitle: (sender, chatroom) => `${sender} in ${chatroom}` },
+};
+
 // Global connection manager instance
 let connectionManager = null;
 let initializationInProgress = false;
@@ -25,9 +193,14 @@ const getInitialState = () => {
   const savedChatrooms = JSON.parse(localStorage.getItem("chatrooms")) || [];
   const savedMentionsTab = localStorage.getItem("hasMentionsTab") === "true";
   const savedPersonalEmoteSets = JSON.parse(localStorage.getItem("stvPersonalEmoteSets")) || [];
+  const savedSplitView = JSON.parse(localStorage.getItem("splitView")) || {};
+
+  // Drop panes for chatrooms that were removed since the layout was saved
+  const splitChatroomIds = (savedSplitView.chatroomIds || []).filter((id) => savedChatrooms.some((room) => room.id === id));
+  const hasSplitView = splitChatroomIds.length >= 2;
 
   const chatrooms = savedChatrooms.map((room) => {
-    const { pinDetails = null, pollDetails = null, chatters = [], ...rest } = room;
+    const { pinDetails = null, pollDetails = null, predictionDetails = null, chatters = [], ...rest } = room;
     return rest;
   });
 
@@ -41,7 +214,17 @@ const getInitialState = () => {
     isChatroomPaused: {}, // Store for all Chatroom Pauses
     mentions: {}, // Store for all Mentions
     currentChatroomId: null, // Track the currently active chatroom
+    focusedMessage: null, // Message to scroll to, e.g. after clicking a desktop notification
     hasMentionsTab: savedMentionsTab, // Track if mentions tab is enabled
+    splitChatroomIds: hasSplitView ? splitChatroomIds : [], // Chatrooms shown side by side in split view
+    splitPaneSizes:
+      hasSplitView && savedSplitView.paneSizes?.length === splitChatroomIds.length
+        ? savedSplitView.paneSizes
+        : getEqualPaneSizes(hasSplitView ? splitChatroomIds.length : 0), // Pane widths in percent
+    popoutChatroomIds: [], // Chatrooms open in their own window
+    automodQueue: {}, // Messages flagged by automod rules for review, per chatroom
+    automodLog: JSON.parse(localStorage.getItem("automodLog")) || [], // Actions taken by automod and from its review queue
+    connectionHealth: { kick: null, stv: null }, // Shared socket states for the status indicator
   };
 };
 
@@ -65,6 +248,17 @@ const useChatStore = create((set, get) => ({
     }
   },
 
+  // Reconnect the shared sockets now, or start them again if they never came up
+  reconnectNow: () => {
+    if (connectionManager) {
+      connectionManager.reconnect();
+      set({ connectionHealth: connectionManager.getConnectionHealth() });
+      return;
+    }
+
+    get().initializeConnections();
+  },
+
   // Get connection manager status for debugging
   getConnectionStatus: () => {
     if (connectionManager) {
@@ -91,14 +285,13 @@ const useChatStore = create((set, get) => ({
   },
 
   // Handles Sending Presence Updates to 7TV for a chatroom
-  sendPresenceUpdate: (stvId, userId) => {
+  sendPresenceUpdate: async (stvId, userId) => {
     if (!stvId) {
       console.log("[7tv Presence]: No STV ID provided, skipping presence update");
       return;
     }
 
-    const authTokens = window.app.auth.getToken();
-    if (!authTokens?.token || !authTokens?.session) {
+    if (!(await window.app.auth.hasToken())) {
       console.log("[7tv Presence]: No auth tokens available, skipping presence update");
       return;
     }
@@ -131,8 +324,9 @@ const useChatStore = create((set, get) => ({
     try {
       const message = content.trim();
       console.info("Sending message to chatroom:", chatroomId);
+      const sendAccountId = get().chatrooms.find((room) => room.id === chatroomId)?.sendAccountId;
 
-      const response = await window.app.kick.sendMessage(chatroomId, message);
+      const response = await window.app.kick.sendMessage(chatroomId, message, sendAccountId);
 
       if (response?.data?.status?.code === 401) {
         get().addMessage(chatroomId, {
@@ -165,8 +359,9 @@ const useChatStore = create((set, get) => ({
     try {
       const message = content.trim();
       console.info("Sending reply to chatroom:", chatroomId);
+      const sendAccountId = get().chatrooms.find((room) => room.id === chatroomId)?.sendAccountId;
 
-      const response = await window.app.kick.sendReply(chatroomId, message, metadata);
+      const response = await window.app.kick.sendReply(chatroomId, message, metadata, sendAccountId);
 
       if (response?.data?.status?.code === 401) {
         get().addMessage(chatroomId, {
@@ -264,9 +459,8 @@ const useChatStore = create((set, get) => ({
     stvSocket.addEventListener("open", () => {
       console.log("7TV WebSocket connected for chatroom:", chatroom.id);
 
-      setTimeout(() => {
-        const authTokens = window.app.auth.getToken();
-        if (storeStvId && authTokens?.token && authTokens?.session) {
+      setTimeout(async () => {
+        if (storeStvId && (await window.app.auth.hasToken())) {
           sendUserPresence(storeStvId, chatroom.streamerData.user_id);
           stvPresenceUpdates.set(chatroom.streamerData.user_id, Date.now());
         } else {
@@ -316,9 +510,11 @@ const useChatStore = create((set, get) => ({
           get().handleStreamStatus(chatroom.id, parsedEvent, false);
           break;
         case "App\\Events\\PinnedMessageCreatedEvent":
+          get().recordPinAction(chatroom.id, "pin", parsedEvent);
           get().handlePinnedMessageCreated(chatroom.id, parsedEvent);
           break;
         case "App\\Events\\PinnedMessageDeletedEvent":
+          get().recordPinAction(chatroom.id, "unpin");
           get().handlePinnedMessageDeleted(chatroom.id);
           break;
         case "App\\Events\\PollUpdateEvent":
@@ -328,6 +524,22 @@ const useChatStore = create((set, get) => ({
         case "App\\Events\\PollDeleteEvent":
           get().handlePollDelete(chatroom.id);
           break;
+        case "App\\Events\\SubscriptionEvent":
+          get().handleSubscription(chatroom.id, parsedEvent);
+          break;
+        case "App\\Events\\GiftedSubscriptionsEvent":
+          get().handleGiftedSubscriptions(chatroom.id, parsedEvent);
+          break;
+        case "App\\Events\\StreamHostEvent":
+          get().handleStreamHost(chatroom.id, parsedEvent);
+          break;
+        case "KicksGifted":
+          get().handleKicksGifted(chatroom.id, parsedEvent);
+          break;
+        case "PredictionCreated":
+        case "PredictionUpdated":
+          get().handlePredictionUpdate(chatroom.id, parsedEvent?.prediction);
+          break;
       }
     });
 
@@ -426,30 +638,13 @@ const useChatStore = create((set, get) => ({
 
           break;
         case "App\\Events\\MessageDeletedEvent":
-          get().handleMessageDelete(chatroom.id, parsedEvent.message.id);
+          get().handleMessageDelete(chatroom.id, parsedEvent.message.id, parsedEvent);
           break;
         case "App\\Events\\UserBannedEvent":
           get().handleUserBanned(chatroom.id, parsedEvent);
-          get().addMessage(chatroom.id, {
-            id: crypto.randomUUID(),
-            type: "mod_action",
-            modAction: parsedEvent?.permanent ? "banned" : "ban_temporary",
-            modActionDetails: parsedEvent,
-            ...parsedEvent,
-            timestamp: new Date().toISOString(),
-          });
-
           break;
         case "App\\Events\\UserUnbannedEvent":
           get().handleUserUnbanned(chatroom.id, parsedEvent);
-          get().addMessage(chatroom.id, {
-            id: crypto.randomUUID(),
-            type: "mod_action",
-            modAction: parsedEvent?.permanent ? "unbanned" : "removed_timeout",
-            modActionDetails: parsedEvent,
-            ...parsedEvent,
-            timestamp: new Date().toISOString(),
-          });
           break;
       }
     });
@@ -617,24 +812,56 @@ const useChatStore = create((set, get) => ({
     fetchInitialMessages();
 
     const fetchInitialPollInfo = async () => {
-      const response = await window.app.kick.getInitialPollInfo(chatroom?.streamerData?.slug);
+      try {
+        const response = await window.app.kick.getInitialPollInfo(chatroom?.streamerData?.slug);
 
-      if (!response) {
-        console.log("[Initial Poll Info]: No response received, skipping update");
-        return;
-      }
+        if (!response) {
+          console.log("[Initial Poll Info]: No response received, skipping update");
+          return;
+        }
 
-      if (response.data?.status?.code === 404) {
-        get().handlePollDelete(chatroom.id);
-      }
+        if (response.data?.status?.code === 404) {
+          get().handlePollDelete(chatroom.id);
+        }
 
-      if (response.data?.status?.code === 200) {
-        get().handlePollUpdate(chatroom.id, response.data?.data?.poll);
+        if (response.data?.status?.code === 200) {
+          get().handlePollUpdate(chatroom.id, response.data?.data?.poll);
+        }
+      } catch (error) {
+        // Kick responds with 404 when there is no active poll
+        if (error?.response?.status === 404) {
+          get().handlePollDelete(chatroom.id);
+          return;
+        }
+
+        console.error("[Initial Poll Info]: Error fetching poll:", error);
       }
     };
 
     fetchInitialPollInfo();
 
+    const fetchInitialPredictionInfo = async () => {
+      try {
+        const response = await window.app.kick.getInitialPredictionInfo(chatroom?.streamerData?.slug);
+        const prediction = response?.data?.data?.prediction;
+
+        if (prediction) {
+          get().handlePredictionUpdate(chatroom.id, prediction);
+        } else {
+          get().handlePredictionDelete(chatroom.id);
+        }
+      } catch (error) {
+        if (error?.response?.status === 404) {
+          get().handlePredictionDelete(chatroom.id);
+          return;
+        }
+
+        console.error("[Initial Prediction Info]: Error fetching prediction:", error);
+      }
+    };
+
+    fetchInitialPredictionInfo();
+
     set((state) => ({
       connections: {
         ...state.connections,
@@ -688,6 +915,10 @@ const useChatStore = create((set, get) => ({
       // Create new connection manager
       connectionManager = new ConnectionManager();
 
+      // Replaying a recording swaps Kick and 7TV for the local replay server
+      const replayUrls = await window.app.socketReplay.getUrls();
+      if (replayUrls) connectionManager.setSocketUrls(replayUrls);
+
       // Set up event handlers for the shared connections
       const eventHandlers = {
         // KickPusher event handlers
@@ -721,7 +952,7 @@ const useChatStore = create((set, get) => ({
         },
         onKickSubscriptionSuccess: (event) => {
           try {
-            const { chatroomId } = event.detail;
+            const { chatroomId, reconnected, disconnectedAt } = event.detail;
             if (chatroomId) {
               console.log(`[ChatProvider] Subscription successful for chatroom: ${chatroomId}`);
               // Use setTimeout to prevent immediate state update loops
@@ -733,12 +964,19 @@ const useChatStore = create((set, get) => ({
                   chatroomNumber: chatroomId,
                   timestamp: new Date().toISOString(),
                 });
+
+                // Whatever was said while the socket was down never arrived, fetch it from history
+                if (reconnected) get().backfillChatroomMessages(chatroomId, disconnectedAt);
               }, 0);
             }
           } catch (error) {
             console.error("[ChatProvider] Error handling kick subscription success:", error);
           }
         },
+        onKickStatus: (event) => {
+          set((state) => ({ connectionHealth: { ...state.connectionHealth, kick: event.detail } }));
+        },
+        onKickFrame: recordSocketFrame,
         // 7TV event handlers
         onStvMessage: (event) => {
           try {
@@ -767,6 +1005,10 @@ const useChatStore = create((set, get) => ({
             console.error("[ChatProvider] Error handling 7TV open:", error);
           }
         },
+        onStvStatus: (event) => {
+          set((state) => ({ connectionHealth: { ...state.connectionHealth, stv: event.detail } }));
+        },
+        onStvFrame: recordSocketFrame,
         onStvConnection: () => {
           try {
             console.log("[ChatProvider] 7TV shared connection established");
@@ -785,6 +1027,10 @@ const useChatStore = create((set, get) => ({
           handlePinnedMessageDeleted: get().handlePinnedMessageDeleted,
           addInitialChatroomMessages: get().addInitialChatroomMessages,
           handleStreamStatus: get().handleStreamStatus,
+          handlePollUpdate: get().handlePollUpdate,
+          handlePollDelete: get().handlePollDelete,
+          handlePredictionUpdate: get().handlePredictionUpdate,
+          handlePredictionDelete: get().handlePredictionDelete,
         };
 
         // Initialize connections with the new manager
@@ -924,15 +1170,15 @@ const useChatStore = create((set, get) => ({
         break;
 
       case "App\\Events\\MessageDeletedEvent":
-        get().handleMessageDelete(chatroomId, parsedEvent.message.id);
+        get().handleMessageDelete(chatroomId, parsedEvent.message.id, parsedEvent);
         break;
 
       case "App\\Events\\UserBannedEvent":
-        get().handleUserBanned(chatroomId, parsedEvent.user, parsedEvent.banned_by, parsedEvent.permanent);
+        get().handleUserBanned(chatroomId, parsedEvent);
         break;
 
       case "App\\Events\\UserUnbannedEvent":
-        get().handleUserUnbanned(chatroomId, parsedEvent.user, parsedEvent.unbanned_by);
+        get().handleUserUnbanned(chatroomId, parsedEvent);
         break;
     }
   },
@@ -956,9 +1202,11 @@ const useChatStore = create((set, get) => ({
         get().handleStreamStatus(chatroomId, parsedEvent, false);
         break;
       case "App\\Events\\PinnedMessageCreatedEvent":
+        get().recordPinAction(chatroomId, "pin", parsedEvent);
         get().handlePinnedMessageCreated(chatroomId, parsedEvent);
         break;
       case "App\\Events\\PinnedMessageDeletedEvent":
+        get().recordPinAction(chatroomId, "unpin");
         get().handlePinnedMessageDeleted(chatroomId);
         break;
       case "App\\Events\\PollUpdateEvent":
@@ -968,6 +1216,22 @@ const useChatStore = create((set, get) => ({
       case "App\\Events\\PollDeleteEvent":
         get().handlePollDelete(chatroomId);
         break;
+      case "App\\Events\\SubscriptionEvent":
+        get().handleSubscription(chatroomId, parsedEvent);
+        break;
+      case "App\\Events\\GiftedSubscriptionsEvent":
+        get().handleGiftedSubscriptions(chatroomId, parsedEvent);
+        break;
+      case "App\\Events\\StreamHostEvent":
+        get().handleStreamHost(chatroomId, parsedEvent);
+        break;
+      case "KicksGifted":
+        get().handleKicksGifted(chatroomId, parsedEvent);
+        break;
+      case "PredictionCreated":
+      case "PredictionUpdated":
+        get().handlePredictionUpdate(chatroomId, parsedEvent?.prediction);
+        break;
     }
   },
 
@@ -1015,44 +1279,77 @@ const useChatStore = create((set, get) => ({
       if (message.soundPlayed) return;
 
       const notificationSettings = await window.app.store.get("notifications");
-      if (!notificationSettings?.enabled || !notificationSettings?.sound || !notificationSettings?.phrases?.length) return;
+      if (!notificationSettings?.enabled) return;
 
       const userId = localStorage.getItem("kickId");
 
       // Skip own messages
       if (message?.sender?.id == userId) return;
 
-      // Only play sound for recent messages (within last 5 seconds)
+      // Only notify for recent messages (within last 5 seconds)
       const messageTime = new Date(message.created_at || message.timestamp).getTime();
       if (Date.now() - messageTime > 5000) return;
 
-      // Check if it's a reply to user's message first
-      if (message?.metadata?.original_sender?.id == userId && message?.sender?.id != userId) {
-        get().playNotificationSound(chatroomId, message, notificationSettings);
-        get().addMention(chatroomId, message, "reply");
-        return;
+      // Replies to the user's messages first, then direct @mentions, then highlight phrases
+      let mentionType = null;
+      if (message?.metadata?.original_sender?.id == userId) {
+        mentionType = "reply";
+      } else if (isSelfMention(message.content, localStorage.getItem("kickUsername"))) {
+        mentionType = "mention";
+      } else if (notificationSettings.phrases?.some((phrase) => message.content?.toLowerCase().includes(phrase.toLowerCase()))) {
+        mentionType = "highlight";
       }
 
-      // Otherwise check for highlight phrases
-      const hasHighlightPhrase = notificationSettings.phrases.some((phrase) =>
-        message.content?.toLowerCase().includes(phrase.toLowerCase()),
-      );
+      if (!mentionType) return;
 
-      if (hasHighlightPhrase) {
-        get().playNotificationSound(chatroomId, message, notificationSettings);
-        get().addMention(chatroomId, message, "highlight");
+      get().addMention(chatroomId, message, mentionType);
+
+      // Do not disturb still collects mentions, it only silences them
+      if (notificationSettings.doNotDisturb) return;
+
+      if (notificationSettings.sound) {
+        const soundFile = mentionType === "mention" ? notificationSettings.mentionSoundFile : notificationSettings.soundFile;
+        get().playNotificationSound(chatroomId, message, notificationSettings, soundFile);
+      }
+
+      const { desktopKey, getTitle } = mentionNotifications[mentionType];
+      if (notificationSettings.desktop && notificationSettings[desktopKey]) {
+        get().showDesktopNotification({
+          chatroomId,
+          messageId: message.id,
+          title: getTitle(message.sender?.username || "Someone", get().getChatroomDisplayName(chatroomId)),
+          body: message.content?.replace(/\[emote:\d+:([^\]]+)\]/g, "$1"),
+        });
       }
     } catch (error) {
       console.error("[Notifications]: Error handling notification:", error);
     }
   },
 
+  getChatroomDisplayName: (chatroomId) => {
+    const chatroom = get().chatrooms.find((room) => room.id === chatroomId);
+    return chatroom?.streamerData?.user?.username || chatroom?.displayName || chatroom?.username || "chat";
+  },
+
+  // Native notifications are only shown by the main process while the window is unfocused
+  showDesktopNotification: async ({ chatroomId, messageId = null, title, body }) => {
+    try {
+      await window.app.notifications.show({ chatroomId, messageId, title, body });
+    } catch (error) {
+      console.error("[Notifications]: Error showing desktop notification:", error);
+    }
+  },
+
+  setFocusedMessage: (chatroomId, messageId) => {
+    set({ focusedMessage: messageId ? { chatroomId, messageId } : null });
+  },
+
   // Helper function to play notification sound
-  playNotificationSound: async (chatroomId, message, settings) => {
+  playNotificationSound: async (chatroomId, message, settings, soundFile = settings?.soundFile) => {
     try {
       console.log("[Notifications]: Playing notification sound");
 
-      const soundUrl = await window.app.notificationSounds.getSoundUrl(settings?.soundFile);
+      const soundUrl = await window.app.notificationSounds.getSoundUrl(soundFile || settings?.soundFile);
       const audio = new Audio(soundUrl);
       audio.volume = settings?.volume || 0.1;
       await audio.play();
@@ -1063,11 +1360,16 @@ const useChatStore = create((set, get) => ({
   },
 
   addMessage: (chatroomId, message) => {
+    // History and reconnect backfill resend messages we already have, skip them before any notifications
+    if (message?.id && get().messages[chatroomId]?.some((msg) => msg.id === message.id)) {
+      console.log(`[addMessage] Duplicate message ${message.id}, skipping`);
+      return;
+    }
+
     set((state) => {
       const messages = state.messages[chatroomId] || [];
 
-      const currentChatroomId = get().currentChatroomId;
-      const isRead = message?.is_old || chatroomId === currentChatroomId;
+      const isRead = message?.is_old || !get().isBackgroundChatroom(chatroomId);
 
       const newMessage = {
         ...message,
@@ -1076,15 +1378,24 @@ const useChatStore = create((set, get) => ({
         isRead: isRead,
       };
 
-      if (messages.some((msg) => msg.id === newMessage.id)) {
-        console.log(`[addMessage] Duplicate message ${newMessage.id}, skipping`);
-        return state;
-      }
-
       let updatedMessages = message?.is_old ? [newMessage, ...messages] : [...messages, newMessage];
 
-      // Keep a fixed window of messages based on pause state
-      if (state.isChatroomPaused?.[chatroomId] && updatedMessages.length > 600) {
+      // Messages recovered after a reconnect go back where they were sent, before anything received since
+      if (message?.is_backfill) {
+        const sentAt = new Date(getMessageTime(message)).getTime();
+        const insertIndex = messages.findIndex((msg) => new Date(getMessageTime(msg)).getTime() > sentAt);
+        updatedMessages =
+          insertIndex === -1
+            ? [...messages, newMessage]
+            : [...messages.slice(0, insertIndex), newMessage, ...messages.slice(insertIndex)];
+      }
+
+      // Keep a fixed window of messages based on visibility and pause state
+      if (get().isBackgroundChatroom(chatroomId)) {
+        if (updatedMessages.length > BACKGROUND_MESSAGE_LIMIT) {
+          updatedMessages = updatedMessages.slice(-BACKGROUND_MESSAGE_LIMIT);
+        }
+      } else if (state.isChatroomPaused?.[chatroomId] && updatedMessages.length > 600) {
         updatedMessages = updatedMessages.slice(-300);
       } else if (!state.isChatroomPaused?.[chatroomId] && updatedMessages.length > 200) {
         updatedMessages = updatedMessages.slice(-200);
@@ -1099,7 +1410,23 @@ const useChatStore = create((set, get) => ({
     });
 
     // Handle Playing Notification Sounds
-    get().handleNotification(chatroomId, message);
+    if (!isHiddenMessage(chatroomId, message)) get().handleNotification(chatroomId, message);
+
+    get().runAutomod(chatroomId, message);
+
+    // The stream overlay only shows live chat, with the cosmetics known for the sender right now
+    if (!message?.is_old && (message?.type === "message" || message?.type === "reply") && message?.sender?.username) {
+      const username = message.sender.username.toLowerCase();
+
+      get().sendOverlayEvent(chatroomId, {
+        type: "message",
+        message: {
+          ...message,
+          userStyle: useCosmeticsStore.getState().getUserStyle(username),
+          isDonator: get().donators?.some((donator) => donator.message?.toLowerCase() === username),
+        },
+      });
+    }
   },
 
   addChatter: (chatroomId, chatter) => {
@@ -1155,10 +1482,6 @@ const useChatStore = create((set, get) => ({
         return { error: "DUPLICATE", message: `Chatroom "${username}" is already added` };
       }
 
-      if (savedChatrooms.length >= 5) {
-        return { error: "LIMIT_REACHED", message: "Maximum of 5 chatrooms allowed" };
-      }
-
       const response = await queueChannelFetch(username);
       if (!response?.user) return response;
 
@@ -1199,6 +1522,13 @@ const useChatStore = create((set, get) => ({
       connectionManager.removeChatroom(chatroomId);
     }
 
+    activatedChatrooms.delete(chatroomId);
+    get().removeSplitChatroom(chatroomId);
+
+    if (get().popoutChatroomIds.includes(chatroomId)) {
+      window.app.popoutWindow.close(chatroomId);
+    }
+
     // Clean up any individual connections in state (works for both pooled and individual modes)
     const { connections } = get();
     const connection = connections[chatroomId];
@@ -1274,6 +1604,13 @@ const useChatStore = create((set, get) => ({
   },
 
   handleUserBanned: (chatroomId, event) => {
+    get().recordModAction(chatroomId, {
+      action: event?.permanent ? "ban" : "timeout",
+      moderator: event?.banned_by?.username,
+      target: event?.user,
+      duration: event?.permanent ? null : event?.duration,
+    });
+
     set((state) => {
       const messages = state.messages[chatroomId];
       if (!messages) return state;
@@ -1298,9 +1635,26 @@ const useChatStore = create((set, get) => ({
         },
       };
     });
+
+    get().addMessage(chatroomId, {
+      id: crypto.randomUUID(),
+      type: "mod_action",
+      modAction: event?.permanent ? "banned" : "ban_temporary",
+      modActionDetails: event,
+      ...event,
+      timestamp: new Date().toISOString(),
+    });
+
+    get().sendOverlayEvent(chatroomId, { type: "ban", userId: event?.user?.id });
   },
 
   handleUserUnbanned: (chatroomId, event) => {
+    get().recordModAction(chatroomId, {
+      action: event?.permanent ? "unban" : "remove_timeout",
+      moderator: event?.unbanned_by?.username,
+      target: event?.user,
+    });
+
     set((state) => {
       const messages = state.messages[chatroomId];
       if (!messages) return state;
@@ -1320,6 +1674,15 @@ const useChatStore = create((set, get) => ({
         },
       };
     });
+
+    get().addMessage(chatroomId, {
+      id: crypto.randomUUID(),
+      type: "mod_action",
+      modAction: event?.permanent ? "unbanned" : "removed_timeout",
+      modActionDetails: event,
+      ...event,
+      timestamp: new Date().toISOString(),
+    });
   },
 
   // handleUpdatePlaySound: (chatroomId, messageId) => {
@@ -1336,7 +1699,15 @@ const useChatStore = create((set, get) => ({
   //   });
   // },
 
-  handleMessageDelete: (chatroomId, messageId) => {
+  handleMessageDelete: (chatroomId, messageId, event) => {
+    const deletedMessage = get().messages[chatroomId]?.find((message) => message.id === messageId);
+    get().recordModAction(chatroomId, {
+      action: "delete",
+      moderator: event?.aiModerated ? "AI Moderation" : null,
+      target: deletedMessage?.sender,
+      details: deletedMessage?.content,
+    });
+
     set((state) => {
       const messages = state.messages[chatroomId];
       if (!messages) return state;
@@ -1360,6 +1731,8 @@ const useChatStore = create((set, get) => ({
     // Update persistent logs with deleted status
     window.app.logs.updateDeleted(chatroomId, messageId);
     window.app.replyLogs.updateDeleted(chatroomId, messageId);
+
+    get().sendOverlayEvent(chatroomId, { type: "delete", messageId });
   },
 
   getDeleteMessage: async (chatroomId, messageId) => {
@@ -1422,10 +1795,19 @@ const useChatStore = create((set, get) => ({
     set((state) => {
       const currentPoll = state.chatrooms.find((room) => room.id === chatroomId)?.pollDetails;
 
+      // Polls have no id, a different title or set of options means a new poll replaced the old one
+      const isSamePoll =
+        currentPoll?.title === poll.title &&
+        (!poll.options ||
+          currentPoll?.options?.map((option) => option.label).join() === poll.options.map((option) => option.label).join());
+
+      // Remaining is relative to when the update was sent, keep an absolute end time for countdowns
+      const endsAt = typeof poll.remaining === "number" ? Date.now() + poll.remaining * 1000 : currentPoll?.endsAt;
+
       return {
         chatrooms: state.chatrooms.map((room) => {
           if (room.id === chatroomId) {
-            return { ...room, pollDetails: currentPoll ? { ...currentPoll, ...poll } : poll };
+            return { ...room, pollDetails: isSamePoll ? { ...currentPoll, ...poll, endsAt } : { ...poll, endsAt } };
           }
           return room;
         }),
@@ -1460,8 +1842,88 @@ const useChatStore = create((set, get) => ({
     }));
   },
 
+  handlePredictionUpdate: (chatroomId, prediction) => {
+    if (!prediction?.id) return null;
+
+    set((state) => ({
+      chatrooms: state.chatrooms.map((room) => {
+        if (room.id !== chatroomId) return room;
+
+        // Keep the user's own wager, socket updates only carry the totals
+        const currentPrediction = room.predictionDetails;
+        const isSamePrediction = currentPrediction?.id === prediction.id;
+
+        return {
+          ...room,
+          predictionDetails: isSamePrediction ? { ...currentPrediction, ...prediction } : prediction,
+        };
+      }),
+    }));
+  },
+
+  handlePredictionDelete: (chatroomId) => {
+    set((state) => ({
+      chatrooms: state.chatrooms.map((room) => {
+        if (room.id === chatroomId) {
+          return { ...room, predictionDetails: null };
+        }
+        return room;
+      }),
+    }));
+  },
+
+  handleSubscription: (chatroomId, event) => {
+    get().addMessage(chatroomId, {
+      id: crypto.randomUUID(),
+      type: "subscription",
+      username: event?.username,
+      months: event?.months,
+      timestamp: new Date().toISOString(),
+    });
+  },
+
+  handleGiftedSubscriptions: (chatroomId, event) => {
+    get().addMessage(chatroomId, {
+      id: crypto.randomUUID(),
+      type: "gifted_subscription",
+      gifterUsername: event?.gifter_username,
+      giftedUsernames: event?.gifted_usernames || [],
+      gifterTotal: event?.gifter_total,
+      timestamp: new Date().toISOString(),
+    });
+  },
+
+  handleStreamHost: (chatroomId, event) => {
+    get().addMessage(chatroomId, {
+      id: crypto.randomUUID(),
+      type: "host",
+      hostUsername: event?.host_username,
+      viewers: event?.number_viewers,
+      hostMessage: event?.optional_message,
+      timestamp: new Date().toISOString(),
+    });
+  },
+
+  handleKicksGifted: (chatroomId, event) => {
+    get().addMessage(chatroomId, {
+      id: crypto.randomUUID(),
+      type: "kicks_gift",
+      senderUsername: event?.sender?.username,
+      senderColor: event?.sender?.username_color,
+      giftName: event?.gift?.name,
+      amount: event?.gift?.amount,
+      giftMessage: event?.message,
+      timestamp: new Date().toISOString(),
+    });
+  },
+
   handleStreamStatus: (chatroomId, event, isLive) => {
     const currentChatroom = get().chatrooms.find((room) => room.id === chatroomId);
+
+    // LivestreamUpdated also reports live, only notify when the stream goes from offline to live
+    if (isLive && !currentChatroom?.isStreamerLive) {
+      get().handleStreamerLiveNotification(chatroomId, event);
+    }
     const updatedChatroom = {
       ...currentChatroom,
       isStreamerLive: isLive,
@@ -1486,7 +1948,39 @@ const useChatStore = create((set, get) => ({
     localStorage.setItem("chatrooms", JSON.stringify(updatedChatrooms));
   },
 
+  handleStreamerLiveNotification: async (chatroomId, event) => {
+    const notificationSettings = await window.app.store.get("notifications");
+    if (
+      !notificationSettings?.enabled ||
+      notificationSettings?.doNotDisturb ||
+      !notificationSettings?.desktop ||
+      !notificationSettings?.desktopStreamerLive
+    )
+      return;
+
+    get().showDesktopNotification({
+      chatroomId,
+      title: `${get().getChatroomDisplayName(chatroomId)} is live`,
+      body: event?.livestream?.session_title || "",
+    });
+  },
+
   handleChatroomUpdated: (chatroomId, event) => {
+    const chatroom = get().chatrooms.find((room) => room.id === chatroomId);
+
+    // Log each mode that was switched or had its duration changed
+    chatModeOptions.forEach((mode) => {
+      const previous = getChatModeState(mode, chatroom?.chatroomInfo, chatroom?.initialChatroomInfo);
+      const next = getChatModeState(mode, event);
+      if (!previous || (previous.enabled === next.enabled && (!next.enabled || previous.duration === next.duration))) return;
+
+      get().recordModAction(chatroomId, {
+        action: "mode",
+        duration: next.enabled ? next.duration : null,
+        details: `${mode.label} ${next.enabled ? "enabled" : "disabled"}${next.enabled && next.duration ? ` (${next.duration}${mode.shortUnit})` : ""}`,
+      });
+    });
+
     set((state) => ({
       chatrooms: state.chatrooms.map((room) => {
         if (room.id === chatroomId) {
@@ -1514,6 +2008,63 @@ const useChatStore = create((set, get) => ({
     });
   },
 
+  // Merge recent history into a chatroom after a reconnect and mark how much was recovered
+  backfillChatroomMessages: async (chatroomId, disconnectedAt) => {
+    const chatroom = get().chatrooms.find((room) => String(room.id) === String(chatroomId));
+    if (!chatroom || connectionManager?.hasDeferredHistory(chatroom.id)) return;
+
+    let recoveredMessages = [];
+    let possibleGap = false;
+
+    try {
+      const response = await window.app.kick.getInitialChatroomMessages(chatroom.streamerData.id);
+      const history = response?.data?.data?.messages;
+      if (!history) throw new Error("No messages received");
+
+      const knownIds = new Set((get().messages[chatroom.id] || []).map((message) => message.id));
+      recoveredMessages = [...history].reverse().filter((message) => !knownIds.has(message.id));
+
+      // History only holds the latest messages, if none of it overlaps with what we had and it starts after the drop, more is missing
+      const oldestMessage = history[history.length - 1];
+      possibleGap =
+        history.length > 0 &&
+        recoveredMessages.length === history.length &&
+        (!disconnectedAt || new Date(oldestMessage?.created_at) > new Date(disconnectedAt));
+    } catch (error) {
+      console.error(`[ChatProvider] Failed to backfill chatroom ${chatroom.id}:`, error);
+      possibleGap = true;
+    }
+
+    recoveredMessages.forEach((message) => {
+      message.is_old = true;
+      message.is_backfill = true;
+      message.metadata = typeof message.metadata === "string" ? JSON.parse(message.metadata) : message.metadata;
+
+      get().addChatter(chatroom.id, message?.sender);
+      window.app.logs.add({
+        chatroomId: chatroom.id,
+        userId: message?.sender?.id,
+        message: message,
+      });
+
+      get().addMessage(chatroom.id, message);
+    });
+
+    const recoveredCount = recoveredMessages.length;
+    const lastRecovered = recoveredMessages[recoveredCount - 1];
+
+    // Sits right after the recovered messages, so anything below it arrived live
+    get().addMessage(chatroom.id, {
+      id: crypto.randomUUID(),
+      type: "system",
+      content: `Reconnected — ${recoveredCount} message${recoveredCount === 1 ? "" : "s"} recovered${possibleGap ? ", some messages may be missing" : ""}`,
+      timestamp: lastRecovered?.created_at || new Date().toISOString(),
+      is_backfill: !!lastRecovered,
+    });
+
+    console.log(`[ChatProvider] Recovered ${recoveredCount} messages for chatroom ${chatroom.id} after reconnecting`);
+  },
+
   handleChatroomPause: (chatroomId, isPaused) => {
     set((state) => ({
       isChatroomPaused: { ...state.isChatroomPaused, [chatroomId]: isPaused },
@@ -1857,6 +2408,19 @@ const useChatStore = create((set, get) => ({
     }
   },
 
+  // Account that sends messages in the chatroom, null sends as the active account
+  setChatroomSendAccount: (chatroomId, accountId) => {
+    const savedChatrooms = JSON.parse(localStorage.getItem("chatrooms")) || [];
+    localStorage.setItem(
+      "chatrooms",
+      JSON.stringify(savedChatrooms.map((room) => (room.id === chatroomId ? { ...room, sendAccountId: accountId } : room))),
+    );
+
+    set((state) => ({
+      chatrooms: state.chatrooms.map((room) => (room.id === chatroomId ? { ...room, sendAccountId: accountId } : room)),
+    }));
+  },
+
   renameChatroom: (chatroomId, newDisplayName) => {
     // Update localStorage
     const savedChatrooms = JSON.parse(localStorage.getItem("chatrooms")) || [];
@@ -1911,9 +2475,9 @@ const useChatStore = create((set, get) => ({
           streamerUsername: chatroom?.streamerData?.user?.username,
         };
       })(),
-      type, // reply highlight or regular message highlight
+      type, // reply, direct @mention or highlight phrase
       timestamp: new Date().toISOString(),
-      isRead: false,
+      isRead: !get().isBackgroundChatroom(chatroomId),
     };
 
     set((state) => {
@@ -2051,6 +2615,427 @@ const useChatStore = create((set, get) => ({
   // Set the current active chatroom
   setCurrentChatroom: (chatroomId) => {
     set({ currentChatroomId: chatroomId });
+    get().activateChatroom(chatroomId);
+
+    // Opening a chatroom clears its unread mention badge
+    if (get().getChatroomUnreadMentionCount(chatroomId) > 0) {
+      get().markChatroomMentionsAsRead(chatroomId);
+    }
+  },
+
+  // [Low Memory Mode]: Chatrooms that aren't on screen
+  isBackgroundChatroom: (chatroomId) =>
+    chatroomId != get().currentChatroomId &&
+    !get().splitChatroomIds.some((id) => id == chatroomId) &&
+    !get().popoutChatroomIds.some((id) => id == chatroomId),
+
+  // Load what background chatrooms skip on startup: their initial messages and emotes
+  activateChatroom: async (chatroomId) => {
+    const chatroom = get().chatrooms.find((room) => room.id === chatroomId);
+    if (!chatroom || activatedChatrooms.has(chatroomId)) return;
+
+    activatedChatrooms.add(chatroomId);
+
+    // Individually connected chatrooms already fetched everything in connectToChatroom
+    if (!connectionManager || get().connections[chatroomId]?.kickPusher) return;
+
+    try {
+      await connectionManager.loadChatroomHistory(chatroom);
+      await get().loadChatroomEmotes(chatroomId);
+    } catch (error) {
+      console.error(`[Low Memory Mode]: Error activating chatroom ${chatroomId}:`, error);
+      activatedChatrooms.delete(chatroomId);
+    }
+  },
+
+  loadChatroomEmotes: async (chatroomId) => {
+    const chatroom = get().chatrooms.find((room) => room.id === chatroomId);
+    if (!chatroom) return;
+
+    const channel7TVEmotes = await window.app.stv.getChannelEmotes(chatroom.streamerData.user_id);
+    const sevenTVEmoteNames = new Set();
+
+    if (channel7TVEmotes) {
+      // Remove duplicate emotes across all sets
+      channel7TVEmotes.forEach((set) => {
+        set.emotes = set.emotes.filter((emote) => {
+          if (sevenTVEmoteNames.has(emote.name)) return false;
+          sevenTVEmoteNames.add(emote.name);
+          return true;
+        });
+      });
+
+      const savedChatrooms = JSON.parse(localStorage.getItem("chatrooms")) || [];
+      localStorage.setItem(
+        "chatrooms",
+        JSON.stringify(savedChatrooms.map((room) => (room.id === chatroomId ? { ...room, channel7TVEmotes } : room))),
+      );
+    }
+
+    const kickEmotes = await connectionManager.fetchChatroomEmotes(chatroom);
+
+    // 7TV emotes take priority over Kick emotes with the same name
+    const emotes = Array.isArray(kickEmotes)
+      ? kickEmotes.map((set) => ({ ...set, emotes: set.emotes.filter((emote) => !sevenTVEmoteNames.has(emote.name)) }))
+      : kickEmotes;
+
+    set((state) => ({
+      chatrooms: state.chatrooms.map((room) => {
+        if (room.id !== chatroomId) return room;
+        return {
+          ...room,
+          ...(channel7TVEmotes && { channel7TVEmotes }),
+          ...(emotes && { emotes }),
+        };
+      }),
+    }));
+  },
+
+  // Trim background chatrooms back to their low memory window
+  performPeriodicCleanup: () => {
+    set((state) => {
+      const messages = { ...state.messages };
+      let trimmed = 0;
+
+      state.chatrooms.forEach((room) => {
+        const roomMessages = messages[room.id];
+        if (!get().isBackgroundChatroom(room.id) || !(roomMessages?.length > BACKGROUND_MESSAGE_LIMIT)) return;
+
+        trimmed += roomMessages.length - BACKGROUND_MESSAGE_LIMIT;
+        messages[room.id] = roomMessages.slice(-BACKGROUND_MESSAGE_LIMIT);
+      });
+
+      if (!trimmed) return state;
+
+      console.log(`[Low Memory Mode]: Trimmed ${trimmed} messages from background chatrooms`);
+      return { messages };
+    });
+  },
+
+  // Split View Management
+  setSplitView: (chatroomIds, paneSizes = getEqualPaneSizes(chatroomIds.length)) => {
+    // A single pane is just the normal chat view
+    const splitView = chatroomIds.length >= 2 ? { chatroomIds, paneSizes } : { chatroomIds: [], paneSizes: [] };
+
+    set({ splitChatroomIds: splitView.chatroomIds, splitPaneSizes: splitView.paneSizes });
+    localStorage.setItem("splitView", JSON.stringify(splitView));
+  },
+
+  // Adds a pane next to the current chatroom, returns false when the chatroom can't be split
+  addSplitChatroom: (chatroomId) => {
+    const { splitChatroomIds, currentChatroomId, chatrooms } = get();
+    if (!chatrooms.some((room) => room.id === chatroomId) || splitChatroomIds.includes(chatroomId)) return false;
+
+    const paneIds = splitChatroomIds.length
+      ? splitChatroomIds
+      : chatrooms.some((room) => room.id === currentChatroomId) && currentChatroomId !== chatroomId
+        ? [currentChatroomId]
+        : [];
+
+    if (!paneIds.length || paneIds.length >= MAX_SPLIT_PANES) return false;
+
+    get().setSplitView([...paneIds, chatroomId]);
+    return true;
+  },
+
+  removeSplitChatroom: (chatroomId) => {
+    const { splitChatroomIds } = get();
+    if (!splitChatroomIds.includes(chatroomId)) return;
+
+    get().setSplitView(splitChatroomIds.filter((id) => id !== chatroomId));
+  },
+
+  // Swap the chatroom in one pane for another, keeping the pane sizes
+  replaceSplitChatroom: (chatroomId, newChatroomId) => {
+    const { splitChatroomIds, splitPaneSizes } = get();
+    if (!splitChatroomIds.includes(chatroomId) || splitChatroomIds.includes(newChatroomId)) return;
+
+    get().setSplitView(
+      splitChatroomIds.map((id) => (id === chatroomId ? newChatroomId : id)),
+      splitPaneSizes,
+    );
+  },
+
+  setSplitPaneSizes: (paneSizes) => {
+    get().setSplitView(get().splitChatroomIds, paneSizes);
+  },
+
+  canAddSplitChatroom: () => get().splitChatroomIds.length < MAX_SPLIT_PANES,
+
+  // Pop-out Windows
+  popOutChatroom: (chatroomId) => {
+    const chatroom = get().chatrooms.find((room) => room.id === chatroomId);
+    if (!chatroom) return;
+
+    window.app.popoutWindow.open({ chatroomId, slug: chatroom.slug });
+    get().activateChatroom(chatroomId);
+
+    if (!get().popoutChatroomIds.includes(chatroomId)) {
+      set((state) => ({ popoutChatroomIds: [...state.popoutChatroomIds, chatroomId] }));
+    }
+  },
+
+  handlePopoutClosed: (chatroomId) => {
+    set((state) => ({ popoutChatroomIds: state.popoutChatroomIds.filter((id) => id !== chatroomId) }));
+  },
+
+  // Everything a pop-out window needs to render one chatroom
+  getPopoutSnapshot: (chatroomId) => {
+    const state = get();
+
+    return {
+      chatroomId,
+      chatroom: state.chatrooms.find((room) => room.id === chatroomId),
+      messages: state.messages[chatroomId],
+      chatters: state.chatters[chatroomId],
+      personalEmoteSets: state.personalEmoteSets,
+      donators: state.donators,
+      automodQueue: state.automodQueue[chatroomId],
+      automodLog: state.automodLog,
+    };
+  },
+
+  // Automod
+  runAutomod: async (chatroomId, message) => {
+    if (!automodSettings?.enabled || message?.is_old) return;
+    if ((message?.type !== "message" && message?.type !== "reply") || !message?.sender?.id) return;
+
+    const chatroom = get().chatrooms.find((room) => room.id === chatroomId);
+    if (!canModerate(chatroom?.userChatroomInfo)) return;
+
+    // Never act on the user or on the channel's other moderators
+    const { sender } = message;
+    if (sender.id == localStorage.getItem("kickId")) return;
+    if (sender.identity?.badges?.some((badge) => badge.type === "broadcaster" || badge.type === "moderator")) return;
+
+    const now = Date.now();
+    const historyKey = `${chatroomId}:${sender.id}`;
+    const history = (automodHistory.get(historyKey) || []).filter((entry) => now - entry.time < AUTOMOD_HISTORY_WINDOW);
+    automodHistory.set(
+      historyKey,
+      [...history, { content: normalizeMessageContent(message.content), time: now }].slice(-AUTOMOD_HISTORY_LIMIT),
+    );
+
+    const rules = getAutomodRules(automodSettings, chatroomId);
+    if (!rules.length) return;
+
+    const matchRules = (rulesToMatch, context) =>
+      rulesToMatch.filter((rule) => {
+        const windowSeconds = rule.options?.windowSeconds ?? defaultTriggerOptions.repeated.windowSeconds;
+        const recentContents = history.filter((entry) => now - entry.time <= windowSeconds * 1000).map((entry) => entry.content);
+
+        return matchesAutomodRule(rule, message, { ...context, recentContents });
+      });
+
+    // Account age needs a Kick request, so it's only looked up for messages no other rule caught
+    const matchedRules = matchRules(
+      rules.filter((rule) => rule.trigger !== "newAccount"),
+      { emoteNames: getEmoteNames(chatroom.channel7TVEmotes) },
+    );
+
+    const accountRules = rules.filter((rule) => rule.trigger === "newAccount");
+    if (!matchedRules.length && accountRules.length) {
+      matchedRules.push(...matchRules(accountRules, { accountCreatedAt: await getAccountCreatedAt(sender) }));
+    }
+
+    if (!matchedRules.length) return;
+
+    // Rules that act on their own only do so once confirmed in settings, until then they ask for review
+    const getRuleAction = (rule) => (automodActions[rule.action]?.automatic && !rule.confirmed ? "review" : rule.action);
+    const rule = matchedRules.reduce((strongest, current) =>
+      automodActionPriority.indexOf(getRuleAction(current)) > automodActionPriority.indexOf(getRuleAction(strongest))
+        ? current
+        : strongest,
+    );
+
+    const action = getRuleAction(rule);
+    const ruleName = rule.name || formatAutomodRule(rule);
+
+    get().flagAutomodMessage(chatroomId, message.id, { ruleName, action });
+
+    if (action === "review") {
+      set((state) => ({
+        automodQueue: {
+          ...state.automodQueue,
+          [chatroomId]: [
+            ...(state.automodQueue[chatroomId] || []),
+            { id: message.id, message, ruleName, timeoutMinutes: rule.timeoutMinutes || 10 },
+          ],
+        },
+      }));
+      return;
+    }
+
+    if (action === "timeout") {
+      if (now - (automodTimeouts.get(historyKey) || 0) < AUTOMOD_TIMEOUT_COOLDOWN) return;
+      automodTimeouts.set(historyKey, now);
+    }
+
+    if (action === "delete" || action === "timeout") {
+      await get().runAutomodAction(chatroomId, message, action, { ruleName, automatic: true, duration: rule.timeoutMinutes });
+    }
+  },
+
+  flagAutomodMessage: (chatroomId, messageId, automod) => {
+    set((state) => ({
+      messages: {
+        ...state.messages,
+        [chatroomId]: (state.messages[chatroomId] || []).map((msg) => (msg.id === messageId ? { ...msg, automod } : msg)),
+      },
+    }));
+  },
+
+  // Delete, timeout or ban the sender of a message and log the result
+  runAutomodAction: async (chatroomId, message, action, { ruleName, automatic = false, duration } = {}) => {
+    const chatroom = get().chatrooms.find((room) => room.id === chatroomId);
+    const username = message?.sender?.username;
+
+    const entry = {
+      id: `${action}-${message?.id}-${Date.now()}`,
+      chatroomId,
+      channelName: chatroom?.slug,
+      action,
+      automatic,
+      ruleName,
+      duration: action === "timeout" ? duration : null,
+      userId: message?.sender?.id,
+      username,
+      messageId: message?.id,
+      content: message?.content,
+      created_at: new Date().toISOString(),
+      status: "done",
+    };
+
+    try {
+      if (action === "delete") {
+        await window.app.modActions.getDeleteMessage(chatroomId, message.id);
+      } else if (action === "timeout") {
+        await window.app.modActions.getTimeoutUser(chatroom?.slug, username, duration);
+      } else if (action === "ban") {
+        await window.app.modActions.getBanUser(chatroom?.slug, username);
+      }
+    } catch (error) {
+      console.error(`[Automod]: Failed to ${action} ${username}:`, error);
+      entry.status = "failed";
+      entry.error = chatroomErrorHandler(error, `Failed to ${action} ${username}.`);
+    }
+
+    get().addAutomodLogEntry(entry);
+    return entry.status === "done";
+  },
+
+  addAutomodLogEntry: (entry) => {
+    set((state) => {
+      const automodLog = [entry, ...state.automodLog].slice(0, AUTOMOD_LOG_LIMIT);
+      localStorage.setItem("automodLog", JSON.stringify(automodLog));
+      return { automodLog };
+    });
+  },
+
+  updateAutomodLogEntry: (entryId, changes) => {
+    set((state) => {
+      const automodLog = state.automodLog.map((entry) => (entry.id === entryId ? { ...entry, ...changes } : entry));
+      localStorage.setItem("automodLog", JSON.stringify(automodLog));
+      return { automodLog };
+    });
+  },
+
+  // Approving leaves the message alone, anything else acts on it from the review queue
+  resolveAutomodReview: async (chatroomId, itemId, action) => {
+    const item = get().automodQueue[chatroomId]?.find((queued) => queued.id === itemId);
+    if (!item) return;
+
+    set((state) => ({
+      automodQueue: {
+        ...state.automodQueue,
+        [chatroomId]: state.automodQueue[chatroomId].filter((queued) => queued.id !== itemId),
+      },
+    }));
+
+    if (action === "approve") {
+      get().flagAutomodMessage(chatroomId, item.message.id, null);
+      return;
+    }
+
+    await get().runAutomodAction(chatroomId, item.message, action, {
+      ruleName: item.ruleName,
+      duration: item.timeoutMinutes,
+    });
+  },
+
+  // Timeouts and bans can be lifted, Kick has no way to restore a deleted message
+  undoAutomodAction: async (entryId) => {
+    const entry = get().automodLog.find((logEntry) => logEntry.id === entryId);
+    if (!entry || entry.status !== "done" || (entry.action !== "timeout" && entry.action !== "ban")) return;
+
+    try {
+      await window.app.modActions.getUnbanUser(entry.channelName, entry.username);
+      get().updateAutomodLogEntry(entryId, { status: "undone" });
+    } catch (error) {
+      console.error(`[Automod]: Failed to undo ${entry.action} for ${entry.username}:`, error);
+      get().updateAutomodLogEntry(entryId, { error: chatroomErrorHandler(error, `Failed to unban ${entry.username}.`) });
+    }
+  },
+
+  clearAutomodLog: (chatroomId) => {
+    set((state) => {
+      const automodLog = state.automodLog.filter((entry) => entry.chatroomId !== chatroomId);
+      localStorage.setItem("automodLog", JSON.stringify(automodLog));
+      return { automodLog };
+    });
+  },
+
+  // Moderation Log
+  recordModAction: (chatroomId, { action, moderator = null, target = null, duration = null, details = null }) => {
+    const chatroom = get().chatrooms.find((room) => room.id === chatroomId);
+
+    // Only rooms the user moderates are logged, the log is for reviewing their team's actions
+    if (!canModerate(chatroom?.userChatroomInfo)) return;
+
+    // Keep what the target said before the action, so it can be reviewed after chat has moved on
+    const messages = target?.id
+      ? (get().messages[chatroomId] || [])
+          .filter((message) => message?.sender?.id === target.id && (message.type === "message" || message.type === "reply"))
+          .slice(-MOD_LOG_MESSAGE_LIMIT)
+          .map((message) => ({ id: message.id, content: message.content, created_at: message.created_at }))
+      : [];
+
+    window.app.modLog.add({
+      id: crypto.randomUUID(),
+      chatroomId,
+      channelName: chatroom?.slug,
+      action,
+      moderator,
+      target: target ? { id: target.id, username: target.username } : null,
+      duration,
+      details,
+      messages,
+      created_at: new Date().toISOString(),
+    });
+  },
+
+  recordPinAction: (chatroomId, action, event) => {
+    const pinDetails = action === "pin" ? event : get().chatrooms.find((room) => room.id === chatroomId)?.pinDetails;
+    const pinnedBy = event?.pinned_by || event?.pinnedBy;
+
+    get().recordModAction(chatroomId, {
+      action,
+      moderator: pinnedBy?.username || pinnedBy?.message?.sender?.username,
+      target: pinDetails?.message?.sender,
+      details: pinDetails?.message?.content,
+    });
+  },
+
+  // Stream Overlay
+  sendOverlayEvent: (chatroomId, event) => {
+    if (!overlayChannels.size) return;
+
+    const channel = get()
+      .chatrooms.find((room) => room.id === chatroomId)
+      ?.slug?.toLowerCase();
+    if (!channel || !overlayChannels.has(channel)) return;
+
+    window.app.overlay.broadcast({ ...event, channel });
   },
 
   // Mentions Tab Management
@@ -2073,18 +3058,17 @@ if (window.location.pathname === "/" || window.location.pathname.endsWith("index
   // Initialize presence updates when the store is created
   let presenceUpdatesInterval = null;
 
-  const initializePresenceUpdates = () => {
+  const initializePresenceUpdates = async () => {
     if (presenceUpdatesInterval) {
       clearInterval(presenceUpdatesInterval);
     }
 
     if (!storeStvId) {
       console.log("[7tv Presence]: No 7TV ID found, skipping presence update checks");
-      setTimeout(() => {
+      setTimeout(async () => {
         storeStvId = localStorage.getItem("stvId");
-        const authTokens = window.app.auth.getToken();
 
-        if (storeStvId && authTokens?.token && authTokens?.session) {
+        if (storeStvId && (await window.app.auth.hasToken())) {
           initializePresenceUpdates();
         } else {
           console.log("[7tv Presence]: No STV ID or auth tokens found after delay");
@@ -2095,8 +3079,7 @@ if (window.location.pathname === "/" || window.location.pathname.endsWith("index
     }
 
     // Check for auth tokens before starting presence updates
-    const authTokens = window.app.auth.getToken();
-    if (!authTokens?.token || !authTokens?.session) {
+    if (!(await window.app.auth.hasToken())) {
       console.log("[7tv Presence]: No auth tokens available, skipping presence update initialization");
       return;
     }
@@ -2139,6 +3122,142 @@ if (window.location.pathname === "/" || window.location.pathname.endsWith("index
 
   initializeDonationBadges();
 
+  // Keep popped out chatroom windows in sync, sending only what changed since the last sync
+  const lastPopoutSnapshots = new Map();
+  let popoutSyncTimeout = null;
+
+  const syncPopoutWindows = () => {
+    popoutSyncTimeout = null;
+    const state = useChatStore.getState();
+
+    state.popoutChatroomIds.forEach((chatroomId) => {
+      const snapshot = state.getPopoutSnapshot(chatroomId);
+      const lastSnapshot = lastPopoutSnapshots.get(chatroomId);
+      if (!lastSnapshot) return;
+
+      const changes = Object.fromEntries(Object.entries(snapshot).filter(([key, value]) => value !== lastSnapshot[key]));
+      if (!Object.keys(changes).length) return;
+
+      lastPopoutSnapshots.set(chatroomId, snapshot);
+      window.app.popoutWindow.sync(chatroomId, { ...changes, chatroomId });
+    });
+  };
+
+  useChatStore.subscribe((state) => {
+    if (popoutSyncTimeout || !state.popoutChatroomIds.length) return;
+    popoutSyncTimeout = setTimeout(syncPopoutWindows, POPOUT_SYNC_INTERVAL);
+  });
+
+  window.app.popoutWindow.onReady(({ chatroomId }) => {
+    const snapshot = useChatStore.getState().getPopoutSnapshot(chatroomId);
+
+    lastPopoutSnapshots.set(chatroomId, snapshot);
+    window.app.popoutWindow.sync(chatroomId, snapshot);
+  });
+
+  window.app.popoutWindow.onAction(({ chatroomId, action, args }) => {
+    if (!POPOUT_ACTIONS.includes(action) || !useChatStore.getState().popoutChatroomIds.includes(chatroomId)) return;
+    useChatStore.getState()[action](...args);
+  });
+
+  window.app.popoutWindow.onClosed(({ chatroomId }) => {
+    lastPopoutSnapshots.delete(chatroomId);
+    useChatStore.getState().handlePopoutClosed(chatroomId);
+  });
+
+  // Send each overlay channel's emotes and subscriber badges whenever they change
+  const lastOverlayChatrooms = new Map();
+
+  const syncOverlayChatrooms = () => {
+    if (!overlayChannels.size) return;
+    const { chatrooms, personalEmoteSets, sendOverlayEvent } = useChatStore.getState();
+
+    chatrooms.forEach((chatroom) => {
+      const subscriberBadges = chatroom.streamerData?.subscriber_badges;
+      const last = lastOverlayChatrooms.get(chatroom.id);
+
+      if (
+        last?.channel7TVEmotes === chatroom.channel7TVEmotes &&
+        last?.personalEmoteSets === personalEmoteSets &&
+        last?.subscriberBadges === subscriberBadges
+      ) {
+        return;
+      }
+
+      lastOverlayChatrooms.set(chatroom.id, { channel7TVEmotes: chatroom.channel7TVEmotes, personalEmoteSets, subscriberBadges });
+      sendOverlayEvent(chatroom.id, {
+        type: "chatroom",
+        sevenTVEmotes: [...(personalEmoteSets || []), ...(chatroom.channel7TVEmotes || [])],
+        subscriberBadges: subscriberBadges || [],
+      });
+    });
+  };
+
+  const applyOverlaySettings = (overlay) => {
+    overlayChannels = new Set(overlay?.enabled ? (overlay.chatrooms || []).map((slug) => slug.toLowerCase()) : []);
+    lastOverlayChatrooms.clear();
+    syncOverlayChatrooms();
+  };
+
+  // Starting or stopping a replay reconnects every chatroom to the right server
+  const applyDeveloperSettings = (developer) => {
+    const replayChanged =
+      developerSettings &&
+      (developer?.replayEnabled !== developerSettings.replayEnabled || developer?.replayFile !== developerSettings.replayFile);
+
+    developerSettings = developer;
+    if (replayChanged) useChatStore.getState().initializeConnections();
+  };
+
+  window.app.store.get("overlay").then(applyOverlaySettings);
+  window.app.store.get("automod").then((automod) => (automodSettings = automod));
+  window.app.store.get("developer").then(applyDeveloperSettings);
+  window.app.store.get("filters").then((filters) => (compiledFilters = compileFilters(filters)));
+  window.app.store.onUpdate((data) => {
+    if (data.overlay) applyOverlaySettings(data.overlay);
+    if (data.automod) automodSettings = data.automod;
+    if (data.developer) applyDeveloperSettings(data.developer);
+    if (data.filters) compiledFilters = compileFilters(data.filters);
+  });
+
+  // Sockets drop quietly during sleep or a network change, reconnect instead of waiting out the backoff
+  window.app.connection.onResume(() => useChatStore.getState().reconnectNow());
+  window.addEventListener("online", () => useChatStore.getState().reconnectNow());
+
+  useChatStore.subscribe((state, prevState) => {
+    if (state.chatrooms !== prevState.chatrooms || state.personalEmoteSets !== prevState.personalEmoteSets) {
+      syncOverlayChatrooms();
+    }
+  });
+
+  // Keep the tray menu's chatroom list and unread mention count current
+  let lastTrayData = null;
+
+  const syncTray = () => {
+    const { getOrderedChatrooms, getUnreadMentionCount } = useChatStore.getState();
+    const data = {
+      chatrooms: getOrderedChatrooms().map((chatroom) => ({
+        id: chatroom.id,
+        name: chatroom.displayName || chatroom.username,
+        isLive: !!chatroom.isStreamerLive,
+      })),
+      unreadMentions: getUnreadMentionCount(),
+    };
+
+    const serialized = JSON.stringify(data);
+    if (serialized === lastTrayData) return;
+
+    lastTrayData = serialized;
+    window.app.tray.update(data);
+  };
+
+  syncTray();
+  useChatStore.subscribe((state, prevState) => {
+    if (state.chatrooms !== prevState.chatrooms || state.mentions !== prevState.mentions) syncTray();
+  });
+
+  window.app.tray.onMarkMentionsRead(() => useChatStore.getState().markAllMentionsAsRead());
+
   // Initialize periodic cleanup interval for memory management
   if (!memoryCleanupInterval) {
     memoryCleanupInterval = setInterval(
@@ -2166,6 +3285,28 @@ if (window.location.pathname === "/" || window.location.pathname.endsWith("index
       clearInterval(memoryCleanupInterval);
     }
   });
+} else if (window.location.pathname.endsWith("popout.html")) {
+  // Pop-outs don't connect themselves, they mirror the main window and send their store actions back to it
+  useChatStore.setState(
+    Object.fromEntries(POPOUT_ACTIONS.map((action) => [action, (...args) => window.app.popoutWindow.runAction(action, args)])),
+  );
+
+  window.app.popoutWindow.onData(
+    ({ chatroomId, chatroom, messages, chatters, personalEmoteSets, donators, automodQueue, automodLog }) => {
+      useChatStore.setState((state) => ({
+        currentChatroomId: chatroomId,
+        ...(chatroom && { chatrooms: [chatroom] }),
+        ...(messages && { messages: { ...state.messages, [chatroomId]: messages } }),
+        ...(chatters && { chatters: { ...state.chatters, [chatroomId]: chatters } }),
+        ...(personalEmoteSets && { personalEmoteSets }),
+        ...(donators && { donators }),
+        ...(automodQueue && { automodQueue: { [chatroomId]: automodQueue } }),
+        ...(automodLog && { automodLog }),
+      }));
+    },
+  );
+
+  window.app.popoutWindow.ready();
 }
 
 // Expose debug functions globally in development
@@ -7,7 +7,7 @@ const SettingsProvider = ({ children }) => {
   const [settings, setSettings] = useState({});
 
   const handleThemeChange = async (newTheme) => {
-    const themeData = { current: newTheme };
+    const themeData = { ...settings?.customTheme, current: newTheme };
     setSettings((prev) => ({ ...prev, customTheme: themeData }));
     applyTheme(themeData);
     await window.app.store.set("customTheme", themeData);
@@ -35,7 +35,8 @@ const SettingsProvider = ({ children }) => {
         const newSettings = { ...prev };
 
         Object.entries(data).forEach(([key, value]) => {
-          if (typeof value === "object" && value !== null) {
+          // Chatters are removed from chatterMetadata, so merging would bring them back
+          if (typeof value === "object" && value !== null && key !== "chatterMetadata") {
             newSettings[key] = {
               ...newSettings[key],
               ...value,
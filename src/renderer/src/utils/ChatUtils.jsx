@@ -1,8 +1,24 @@
 import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc";
+import { mentionRegex } from "../../../../utils/constants";
 
 dayjs.extend(utc);
 
+// Slugs use "-" where usernames use "_"
+const normalizeUsername = (username) => username?.replaceAll("-", "_").toLowerCase();
+
+// Whether the message content contains a direct "@username" mention
+export const isSelfMention = (content, username) => {
+  if (!content || !username) return false;
+
+  const transformedUsername = normalizeUsername(username);
+  for (const match of content.matchAll(mentionRegex)) {
+    if (normalizeUsername(match.groups?.username) === transformedUsername) return true;
+  }
+
+  return false;
+};
+
 export const rgbaToString = (rgba) => {
   if (typeof rgba === "string") return rgba;
   return `rgba(${rgba.r}, ${rgba.g}, ${rgba.b}, ${rgba.a})`;
@@ -0,0 +1,152 @@
+// Local automod rules for chatrooms the user moderates, checked by the main window as messages arrive
+
+export const automodTriggers = {
+  regex: { label: "Regex", description: "Message matches a regular expression" },
+  caps: { label: "Caps", description: "Too much of the message is in capital letters" },
+  emoteSpam: { label: "Emote Spam", description: "Message has too many emotes" },
+  repeated: { label: "Repeated Messages", description: "User sends the same message again and again" },
+  links: { label: "Links", description: "Message links to one of the listed domains, or any link when empty" },
+  newAccount: { label: "New Account", description: "Account was created recently" },
+};
+
+export const automodActions = {
+  highlight: { label: "Highlight" },
+  review: { label: "Send to Review" },
+  delete: { label: "Delete Message", automatic: true },
+  timeout: { label: "Timeout User", automatic: true },
+};
+
+export const defaultTriggerOptions = {
+  regex: { pattern: "" },
+  caps: { minLength: 12, percent: 70 },
+  emoteSpam: { maxEmotes: 8 },
+  repeated: { count: 3, windowSeconds: 60 },
+  links: { domains: [] },
+  newAccount: { maxAgeDays: 7 },
+};
+
+const KICK_EMOTE_REGEX = /\[emote:\d+:[^\]]+\]/g;
+const LINK_REGEX = /(?:https?:\/\/)?(?:www\.)?((?:[a-z0-9-]+\.)+[a-z]{2,})(?:[/?#]\S*)?/gi;
+
+// Returns why a rule can't be used, e.g. an invalid regex
+export const getAutomodRuleError = (rule) => {
+  if (!automodTriggers[rule?.trigger]) return "Unknown trigger";
+  if (!automodActions[rule?.action]) return "Unknown action";
+
+  if (rule.trigger === "regex") {
+    if (!rule.options?.pattern?.trim()) return "Pattern is empty";
+
+    try {
+      new RegExp(rule.options.pattern);
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  if (rule.action === "timeout" && !(rule.timeoutMinutes >= 1 && rule.timeoutMinutes <= 10080)) {
+    return "Timeout must be between 1 and 10080 minutes";
+  }
+
+  return null;
+};
+
+// Enabled, valid rules that apply to the chatroom
+export const getAutomodRules = (automod, chatroomId) => {
+  if (!automod?.enabled || !automod?.rules?.length) return [];
+
+  return automod.rules.filter(
+    (rule) =>
+      rule.enabled !== false &&
+      (!rule.chatroomId || String(rule.chatroomId) === String(chatroomId)) &&
+      !getAutomodRuleError(rule),
+  );
+};
+
+export const normalizeMessageContent = (content) => content?.replace(KICK_EMOTE_REGEX, "").trim().toLowerCase() || "";
+
+const countEmotes = (content, emoteNames) => {
+  const kickEmotes = content.match(KICK_EMOTE_REGEX)?.length || 0;
+  if (!emoteNames?.size) return kickEmotes;
+
+  return (
+    kickEmotes +
+    content
+      .replace(KICK_EMOTE_REGEX, "")
+      .split(/\s+/)
+      .filter((word) => emoteNames.has(word)).length
+  );
+};
+
+const getCapsPercent = (content) => {
+  const letters = content.replace(KICK_EMOTE_REGEX, "").match(/\p{L}/gu) || [];
+  if (!letters.length) return { letters: 0, percent: 0 };
+
+  const capitals = letters.filter((letter) => /\p{Lu}/u.test(letter)).length;
+  return { letters: letters.length, percent: (capitals / letters.length) * 100 };
+};
+
+const getLinkDomains = (content) => [...content.matchAll(LINK_REGEX)].map((match) => match[1].toLowerCase());
+
+/**
+ * Check a message against one rule.
+ * Context: recentContents (the sender's earlier normalized messages inside the rule's window),
+ * emoteNames (7TV emote names in the chatroom) and accountCreatedAt.
+ */
+export const matchesAutomodRule = (rule, message, context = {}) => {
+  const content = message?.content || "";
+  const options = { ...defaultTriggerOptions[rule.trigger], ...rule.options };
+
+  switch (rule.trigger) {
+    case "regex":
+      return new RegExp(options.pattern, "i").test(content);
+    case "caps": {
+      const { letters, percent } = getCapsPercent(content);
+      return letters >= options.minLength && percent >= options.percent;
+    }
+    case "emoteSpam":
+      return countEmotes(content, context.emoteNames) > options.maxEmotes;
+    case "repeated": {
+      const normalized = normalizeMessageContent(content);
+      if (!normalized) return false;
+
+      const repeats = (context.recentContents || []).filter((previous) => previous === normalized).length;
+      return repeats + 1 >= options.count;
+    }
+    case "links": {
+      const domains = getLinkDomains(content);
+      if (!domains.length) return false;
+      if (!options.domains?.length) return true;
+
+      return domains.some((domain) =>
+        options.domains.some((blocked) => domain === blocked.toLowerCase() || domain.endsWith(`.${blocked.toLowerCase()}`)),
+      );
+    }
+    case "newAccount": {
+      if (!context.accountCreatedAt) return false;
+      return Date.now() - new Date(context.accountCreatedAt).getTime() < options.maxAgeDays * 24 * 60 * 60 * 1000;
+    }
+    default:
+      return false;
+  }
+};
+
+export const formatAutomodRule = (rule) => {
+  const options = { ...defaultTriggerOptions[rule.trigger], ...rule.options };
+
+  switch (rule.trigger) {
+    case "regex":
+      return `Regex /${options.pattern}/`;
+    case "caps":
+      return `${options.percent}%+ caps in ${options.minLength}+ letters`;
+    case "emoteSpam":
+      return `More than ${options.maxEmotes} emotes`;
+    case "repeated":
+      return `Same message ${options.count} times in ${options.windowSeconds}s`;
+    case "links":
+      return options.domains?.length ? `Links to ${options.domains.join(", ")}` : "Any link";
+    case "newAccount":
+      return `Account younger than ${options.maxAgeDays} days`;
+    default:
+      return rule.trigger;
+  }
+};
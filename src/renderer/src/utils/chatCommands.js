@@ -0,0 +1,301 @@
+import { chatroomErrorHandler } from "./chatErrors";
+
+// Kick caps timeouts at 7 days
+const MAX_TIMEOUT_MINUTES = 10080;
+const MAX_SLOWMODE_SECONDS = 300;
+
+const durationUnits = {
+  m: 1,
+  h: 60,
+  d: 1440,
+};
+
+// Parse "10", "10m", "2h" or "1d" into minutes
+export const parseTimeoutDuration = (input) => {
+  const match = input?.toLowerCase().match(/^(\d+)([mhd])?$/);
+  if (!match) return null;
+
+  const minutes = parseInt(match[1], 10) * durationUnits[match[2] || "m"];
+  if (minutes < 1 || minutes > MAX_TIMEOUT_MINUTES) return null;
+
+  return minutes;
+};
+
+const stripMention = (username) => (username?.startsWith("@") ? username.slice(1) : username);
+
+export const canModerate = (userChatroomInfo) =>
+  userChatroomInfo?.is_broadcaster || userChatroomInfo?.is_moderator || userChatroomInfo?.is_super_admin;
+
+export const isBroadcaster = (userChatroomInfo) => userChatroomInfo?.is_broadcaster || userChatroomInfo?.is_super_admin;
+
+const hasPermission = (permission, userChatroomInfo) => {
+  switch (permission) {
+    case "broadcaster":
+      return isBroadcaster(userChatroomInfo);
+    case "moderator":
+      return canModerate(userChatroomInfo);
+    default:
+      return true;
+  }
+};
+
+const permissionErrors = {
+  broadcaster: "Only the broadcaster can use this command.",
+  moderator: "You must be a moderator to use this command.",
+};
+
+// [Command Registry]
+export const chatCommands = [
+  {
+    name: "user",
+    usage: "/user <username>",
+    description: "Open a user's card",
+    minArgs: 1,
+    execute: async ({ args, openUserDialog }) => {
+      const username = stripMention(args[0]);
+      const opened = await openUserDialog(username);
+      if (!opened) throw new Error(`User ${username} was not found.`);
+
+      return true;
+    },
+  },
+  {
+    name: "ban",
+    usage: "/ban <username>",
+    description: "Permanently ban a user",
+    permission: "moderator",
+    minArgs: 1,
+    execute: async ({ channelName, args }) => {
+      const username = stripMention(args[0]);
+      await window.app.modActions.getBanUser(channelName, username);
+      return `Banned ${username}.`;
+    },
+  },
+  {
+    name: "unban",
+    usage: "/unban <username>",
+    description: "Remove a ban or timeout",
+    permission: "moderator",
+    minArgs: 1,
+    execute: async ({ channelName, args }) => {
+      const username = stripMention(args[0]);
+      await window.app.modActions.getUnbanUser(channelName, username);
+      return `Unbanned ${username}.`;
+    },
+  },
+  {
+    name: "timeout",
+    usage: "/timeout <username> <duration>",
+    description: "Timeout a user, e.g. 10m, 2h or 1d",
+    permission: "moderator",
+    minArgs: 2,
+    execute: async ({ channelName, args }) => {
+      const username = stripMention(args[0]);
+      const duration = parseTimeoutDuration(args[1]);
+      if (!duration) throw new Error("Duration must be between 1 minute and 7 days, e.g. 10m, 2h or 1d.");
+
+      await window.app.modActions.getTimeoutUser(channelName, username, duration);
+      return `Timed out ${username} for ${args[1]}.`;
+    },
+  },
+  {
+    name: "slow",
+    usage: "/slow <seconds>",
+    description: "Enable slow mode",
+    permission: "moderator",
+    minArgs: 1,
+    execute: async ({ channelName, args }) => {
+      const seconds = parseInt(args[0], 10);
+      if (!/^\d+$/.test(args[0]) || seconds < 1 || seconds > MAX_SLOWMODE_SECONDS) {
+        throw new Error(`Slow mode must be between 1 and ${MAX_SLOWMODE_SECONDS} seconds.`);
+      }
+
+      await window.app.kickChannelActions.getUpdateSlowmode(channelName, { slow_mode: true, message_interval: seconds });
+      return `Slow mode enabled (${seconds}s).`;
+    },
+  },
+  {
+    name: "slowoff",
+    usage: "/slowoff",
+    description: "Disable slow mode",
+    permission: "moderator",
+    execute: async ({ channelName }) => {
+      await window.app.kickChannelActions.getUpdateSlowmode(channelName, { slow_mode: false });
+      return "Slow mode disabled.";
+    },
+  },
+  {
+    name: "clear",
+    usage: "/clear",
+    description: "Clear the chatroom",
+    permission: "moderator",
+    execute: async ({ channelName }) => {
+      await window.app.kickChannelActions.getClearChatroom(channelName);
+      return "Chatroom cleared.";
+    },
+  },
+  {
+    name: "pin",
+    usage: "/pin <username>",
+    description: "Pin a user's latest message, or the message being replied to",
+    permission: "moderator",
+    execute: async ({ args, chatroomId, channelName, replyInputData, messages, getPinMessage }) => {
+      const username = stripMention(args[0])?.toLowerCase();
+
+      const message = replyInputData?.id
+        ? replyInputData
+        : username
+          ? messages?.findLast((msg) => msg?.type !== "system" && msg?.sender?.username?.toLowerCase() === username)
+          : null;
+
+      if (!message) {
+        throw new Error(username ? `No recent message from ${username} to pin.` : "Usage: /pin <username>");
+      }
+
+      const pinned = await getPinMessage(chatroomId, {
+        chatroom_id: chatroomId,
+        content: message.content,
+        id: message.id,
+        sender: message.sender,
+        chatroomName: channelName,
+      });
+
+      // getPinMessage reports its own errors
+      return pinned ? `Pinned message from ${message.sender?.username}.` : false;
+    },
+  },
+  {
+    name: "title",
+    usage: "/title <title>",
+    description: "Change the stream title",
+    permission: "broadcaster",
+    minArgs: 1,
+    execute: async ({ channelName, args }) => {
+      const title = args.join(" ");
+      await window.app.kickChannelActions.getUpdateTitle(channelName, title);
+      return `Title updated to "${title}".`;
+    },
+  },
+  {
+    name: "mod",
+    usage: "/mod <username>",
+    description: "Make a user a moderator",
+    permission: "broadcaster",
+    minArgs: 1,
+    execute: async ({ channelName, args }) => {
+      const username = stripMention(args[0]);
+      await window.app.kickChannelActions.getModerateUser(channelName, username);
+      return `Added ${username} as a moderator.`;
+    },
+  },
+  {
+    name: "unmod",
+    usage: "/unmod <username>",
+    description: "Remove a moderator",
+    permission: "broadcaster",
+    minArgs: 1,
+    execute: async ({ channelName, args }) => {
+      const username = stripMention(args[0]);
+      await window.app.kickChannelActions.getUnmoderateUser(channelName, username);
+      return `Removed ${username} as a moderator.`;
+    },
+  },
+  {
+    name: "vip",
+    usage: "/vip <username>",
+    description: "Make a user a VIP",
+    permission: "broadcaster",
+    minArgs: 1,
+    execute: async ({ channelName, args }) => {
+      const username = stripMention(args[0]);
+      await window.app.kickChannelActions.getVipUser(channelName, username);
+      return `Added ${username} as a VIP.`;
+    },
+  },
+  {
+    name: "unvip",
+    usage: "/unvip <username>",
+    description: "Remove a VIP",
+    permission: "broadcaster",
+    minArgs: 1,
+    execute: async ({ channelName, args }) => {
+      const username = stripMention(args[0]);
+      await window.app.kickChannelActions.getUnvipUser(channelName, username);
+      return `Removed ${username} as a VIP.`;
+    },
+  },
+  {
+    name: "og",
+    usage: "/og <username>",
+    description: "Make a user an OG",
+    permission: "broadcaster",
+    minArgs: 1,
+    execute: async ({ channelName, args }) => {
+      const username = stripMention(args[0]);
+      await window.app.kickChannelActions.getOGUser(channelName, username);
+      return `Added ${username} as an OG.`;
+    },
+  },
+  {
+    name: "unog",
+    usage: "/unog <username>",
+    description: "Remove an OG",
+    permission: "broadcaster",
+    minArgs: 1,
+    execute: async ({ channelName, args }) => {
+      const username = stripMention(args[0]);
+      await window.app.kickChannelActions.getUnogUser(channelName, username);
+      return `Removed ${username} as an OG.`;
+    },
+  },
+];
+
+// Commands the user is allowed to run, filtered by the typed prefix
+export const searchChatCommands = (query, userChatroomInfo) => {
+  const transformedQuery = query?.toLowerCase() || "";
+
+  return chatCommands.filter(
+    (command) => command.name.startsWith(transformedQuery) && hasPermission(command.permission, userChatroomInfo),
+  );
+};
+
+/**
+ * Runs a "/command" typed in the chat input.
+ * Commands return a feedback string, true for a silent success or false when they already reported a failure.
+ */
+export const runChatCommand = async (content, context) => {
+  const [rawName, ...args] = content.slice(1).trim().split(/\s+/).filter(Boolean);
+  const name = rawName?.toLowerCase();
+  const command = chatCommands.find((cmd) => cmd.name === name);
+
+  if (!command) {
+    context.addSystemMessage(`Unknown command: /${rawName || ""}`);
+    return false;
+  }
+
+  if (!hasPermission(command.permission, context.userChatroomInfo)) {
+    context.addSystemMessage(permissionErrors[command.permission]);
+    return false;
+  }
+
+  if (args.length < (command.minArgs || 0)) {
+    context.addSystemMessage(`Usage: ${command.usage}`);
+    return false;
+  }
+
+  try {
+    const result = await command.execute({ ...context, content, args });
+    if (typeof result === "string") context.addSystemMessage(result);
+
+    return result !== false;
+  } catch (error) {
+    console.error(`[Chat Commands]: /${command.name} failed:`, error);
+
+    // Validation errors thrown by the commands themselves have no response attached
+    const errMsg =
+      error?.response || error?.code ? chatroomErrorHandler(error, `Failed to run /${command.name}.`) : error.message;
+    context.addSystemMessage(errMsg);
+
+    return false;
+  }
+};
@@ -1,6 +1,6 @@
 import { CHAT_ERROR_CODES } from "../../../../utils/constants";
 
-export const chatroomErrorHandler = (error) => {
+export const chatroomErrorHandler = (error, fallback = "An error occurred while sending your message.") => {
   const errorCode = error?.response?.data?.status?.message || error?.code;
-  return CHAT_ERROR_CODES[errorCode] || "An error occurred while sending your message.";
+  return CHAT_ERROR_CODES[errorCode] || fallback;
 };
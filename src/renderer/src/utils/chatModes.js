@@ -0,0 +1,51 @@
+// Chatroom modes a moderator can switch, shared by the mod panel and the moderation log
+// Live ChatroomUpdatedEvent nests each mode, the initial channel info keeps them flat on the chatroom
+export const chatModeOptions = [
+  {
+    key: "slow_mode",
+    label: "Slow Mode",
+    unit: "seconds",
+    shortUnit: "s",
+    durationKey: "message_interval",
+    eventDurationKey: "message_interval",
+    defaultDuration: 5,
+    min: 1,
+    max: 300,
+  },
+  {
+    key: "followers_mode",
+    label: "Followers Only",
+    unit: "minutes",
+    shortUnit: "m",
+    durationKey: "following_min_duration",
+    eventDurationKey: "min_duration",
+    defaultDuration: 10,
+    min: 0,
+    max: 129600,
+  },
+  {
+    key: "account_age",
+    label: "Account Age",
+    unit: "minutes",
+    shortUnit: "m",
+    durationKey: "account_age_min_duration",
+    eventDurationKey: "min_duration",
+    defaultDuration: 1440,
+    min: 1,
+    max: 129600,
+  },
+  { key: "subscribers_mode", label: "Subscribers Only" },
+  { key: "emotes_mode", label: "Emote Only" },
+];
+
+// Null until either the live event or the initial channel info has arrived
+export const getChatModeState = (mode, chatroomInfo, initialChatroomInfo) => {
+  if (chatroomInfo) {
+    return { enabled: !!chatroomInfo[mode.key]?.enabled, duration: chatroomInfo[mode.key]?.[mode.eventDurationKey] ?? null };
+  }
+
+  const initialChatroom = initialChatroomInfo?.chatroom;
+  if (!initialChatroom) return null;
+
+  return { enabled: !!initialChatroom[mode.key], duration: initialChatroom[mode.durationKey] ?? null };
+};
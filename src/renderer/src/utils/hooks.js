@@ -69,3 +69,15 @@ export const useDebounceValue = (initialValue, delay, options) => {
   }
   return [debouncedValue, updateDebouncedValue];
 };
+
+// Signed in Kick accounts, kept in sync with the main process
+export const useAccounts = () => {
+  const [accounts, setAccounts] = useState([]);
+
+  useEffect(() => {
+    window.app.accounts.list().then(setAccounts);
+    return window.app.accounts.onUpdate(setAccounts);
+  }, []);
+
+  return accounts;
+};
@@ -0,0 +1,95 @@
+// Local filters for hiding chat messages, matched in the app without touching Kick's silenced users
+
+export const filterTypes = {
+  user: { label: "User", placeholder: "Username..." },
+  word: { label: "Word", placeholder: "Exact word or phrase..." },
+  wildcard: { label: "Wildcard", placeholder: "e.g. buy*followers" },
+  regex: { label: "Regex", placeholder: "Regular expression..." },
+};
+
+export const filterActions = {
+  hide: { label: "Hide", priority: 3 },
+  collapse: { label: "Collapse", priority: 2 },
+  dim: { label: "Dim", priority: 1 },
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Words and wildcards must not start or end inside another word
+const wrapWord = (source) => `(?<![\\w])${source}(?![\\w])`;
+
+const buildPattern = ({ type, pattern }) => {
+  const trimmed = pattern?.trim();
+  if (!trimmed) return null;
+
+  switch (type) {
+    case "user":
+      return trimmed.replace(/^@/, "").toLowerCase();
+    case "word":
+      return new RegExp(wrapWord(escapeRegex(trimmed)), "i");
+    case "wildcard":
+      return new RegExp(wrapWord(escapeRegex(trimmed).replace(/\\\*/g, ".*").replace(/\\\?/g, ".")), "i");
+    case "regex":
+      return new RegExp(trimmed, "i");
+    default:
+      return null;
+  }
+};
+
+// Returns why a filter can't be used, e.g. an invalid regex
+export const getFilterError = (filter) => {
+  if (!filter?.pattern?.trim()) return "Pattern is empty";
+
+  try {
+    buildPattern(filter);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Build every usable filter once so messages are only tested against ready patterns
+export const compileFilters = (filters) => {
+  if (!filters?.enabled || !filters?.rules?.length) return [];
+
+  return filters.rules.flatMap((rule) => {
+    if (rule.enabled === false) return [];
+
+    try {
+      const pattern = buildPattern(rule);
+      return pattern ? [{ rule, pattern }] : [];
+    } catch (error) {
+      console.warn(`[Filters]: Skipping invalid filter "${rule.pattern}":`, error.message);
+      return [];
+    }
+  });
+};
+
+const matchesFilter = ({ rule, pattern }, message) => {
+  if (rule.chatroomId && String(rule.chatroomId) !== String(message?.chatroom_id)) return false;
+
+  if (rule.type === "user") {
+    return message?.sender?.username?.toLowerCase() === pattern;
+  }
+
+  return !!message?.content && pattern.test(message.content);
+};
+
+// Returns the matching filter with the strongest action, or null
+export const findMatchingFilter = (compiledFilters, message) => {
+  if (!compiledFilters?.length) return null;
+  if (message?.type !== "message" && message?.type !== "reply") return null;
+
+  let match = null;
+
+  for (const compiled of compiledFilters) {
+    if (!matchesFilter(compiled, message)) continue;
+    if (compiled.rule.action === "hide") return compiled.rule;
+
+    if (!match || filterActions[compiled.rule.action]?.priority > filterActions[match.action]?.priority) {
+      match = compiled.rule;
+    }
+  }
+
+  return match;
+};
@@ -0,0 +1,31 @@
+import { useEffect, useMemo, useRef } from "react";
+import { getShortcutBindings, getShortcutKeys, findShortcutAction } from "../../../../utils/shortcuts";
+
+// Runs handlers[action] when the keys bound to that action in the shortcut settings are pressed
+const useShortcuts = (shortcuts, handlers, enabled = true) => {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  const bindings = useMemo(() => getShortcutBindings(shortcuts), [shortcuts]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (e) => {
+      const action = findShortcutAction(bindings, getShortcutKeys(e));
+      const handler = action && handlersRef.current[action];
+      if (!handler) return;
+
+      e.preventDefault();
+      handler(e);
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [bindings, enabled]);
+};
+
+export default useShortcuts;
@@ -0,0 +1,52 @@
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { afterAll, afterEach, describe, expect, it, vi } from "vitest";
+import { archiveMessage, clearArchive, markArchivedMessageDeleted, searchArchive } from "../src/main/utils/chatArchive";
+
+const userDataDir = mkdtempSync(join(tmpdir(), "kicktalk-archive-"));
+
+vi.mock("electron", () => ({ app: { getPath: () => userDataDir } }));
+vi.mock("../utils/config", () => ({ default: { get: () => undefined } }));
+
+const CHATROOM_ID = 1001;
+const sender = { id: 501, username: "archiveviewer" };
+
+const createMessage = (id, createdAt, content = id) => ({ id, type: "message", content, created_at: createdAt, sender });
+
+describe("chat archive", () => {
+  afterEach(() => clearArchive());
+  afterAll(() => rmSync(userDataDir, { recursive: true, force: true }));
+
+  it("marks messages deleted on a later day in a user's history", async () => {
+    archiveMessage(CHATROOM_ID, createMessage("old-message", "2020-01-01T12:00:00Z"));
+
+    // Someone else chatting today leaves today's user index without the sender
+    archiveMessage(CHATROOM_ID, {
+      ...createMessage("other-message", new Date().toISOString()),
+      sender: { id: 502, username: "other" },
+    });
+    markArchivedMessageDeleted(CHATROOM_ID, "old-message");
+
+    const { messages } = await searchArchive({ chatroomId: CHATROOM_ID, userId: sender.id });
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].deleted).toBe(true);
+  });
+
+  it("pages through messages sent at the same time without skipping any", async () => {
+    const createdAt = "2020-01-01T12:00:00Z";
+    ["a", "b", "c", "d", "e"].forEach((id) => archiveMessage(CHATROOM_ID, createMessage(id, createdAt)));
+
+    const seenIds = [];
+    let before = null;
+
+    do {
+      const page = await searchArchive({ chatroomId: CHATROOM_ID, before, limit: 2 });
+      seenIds.push(...page.messages.map((message) => message.id));
+      before = page.hasMore ? page.cursor : null;
+    } while (before);
+
+    expect(seenIds.sort()).toEqual(["a", "b", "c", "d", "e"]);
+  });
+});
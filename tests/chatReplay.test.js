@@ -0,0 +1,97 @@
+import { tmpdir } from "os";
+import { join } from "path";
+import WebSocket from "ws";
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import { startReplayServer, stopReplayServer, getReplayUrls, getReplayResponse } from "../src/main/utils/socketReplay";
+
+vi.mock("electron", () => ({ app: { getPath: () => tmpdir() } }));
+
+// KickTalk's own API, not part of a Kick or 7TV recording
+vi.mock("../utils/services/kick/kickAPI", () => ({ getKickTalkDonators: async () => [] }));
+
+const RECORDING = join(__dirname, "fixtures/chatroomRecording.jsonl");
+const CHATROOM_ID = 1001;
+
+const chatroom = {
+  id: CHATROOM_ID,
+  username: "replaytester",
+  displayName: "replaytester",
+  streamerData: { id: 2002, user_id: 3003, slug: "replaytester", user: { username: "replaytester" }, livestream: null },
+};
+
+// Same contract as the preload's withReplay and the main process' kick:authRequest while replaying
+const replayed =
+  (request) =>
+  async (...args) => {
+    const { response, error } = getReplayResponse(request, args);
+    if (error) throw error;
+    return response;
+  };
+
+// Every other window.app call resolves to nothing, like a signed out app with default settings
+const createAppApi = (overrides) =>
+  new Proxy(overrides, {
+    get: (namespaces, namespace) =>
+      (namespaces[namespace] ??= new Proxy({}, { get: (methods, method) => (methods[method] ??= vi.fn(async () => null)) })),
+  });
+
+describe("replaying a recording through ChatProvider", () => {
+  let useChatStore;
+
+  beforeAll(async () => {
+    await startReplayServer({ filePath: RECORDING });
+
+    globalThis.WebSocket = WebSocket;
+    localStorage.setItem("chatrooms", JSON.stringify([chatroom]));
+
+    window.app = createAppApi({
+      socketReplay: { getUrls: async () => getReplayUrls() },
+      kick: new Proxy(
+        {},
+        {
+          get: (methods, method) => (methods[method] ??= replayed(method === "getEmotes" ? "getKickEmotes" : method)),
+        },
+      ),
+      stv: { getChannelEmotes: replayed("getChannelEmotes") },
+    });
+
+    ({ default: useChatStore } = await import("../src/renderer/src/providers/ChatProvider"));
+    useChatStore.getState().initializeConnections();
+  });
+
+  afterAll(() => {
+    useChatStore?.getState().removeChatroom(CHATROOM_ID);
+    stopReplayServer();
+  });
+
+  it("loads history and stream status from recorded REST responses", async () => {
+    await vi.waitFor(
+      () => {
+        const messages = useChatStore.getState().messages[CHATROOM_ID] || [];
+        expect(messages.find((message) => message.id === "msg-history-1")?.content).toBe("said before the recording started");
+      },
+      { timeout: 5000 },
+    );
+
+    await vi.waitFor(() => {
+      const replayedChatroom = useChatStore.getState().chatrooms.find((room) => room.id === CHATROOM_ID);
+      expect(replayedChatroom.isStreamerLive).toBe(true);
+      expect(replayedChatroom.streamerData.livestream.session_title).toBe("Replayed stream");
+    });
+  });
+
+  it("handles recorded socket messages and deletions", async () => {
+    await vi.waitFor(
+      () => {
+        const messages = useChatStore.getState().messages[CHATROOM_ID] || [];
+        expect(messages.find((message) => message.id === "msg-live-1")?.content).toBe("hello from the replay");
+        expect(messages.find((message) => message.id === "msg-history-1")?.deleted).toBe(true);
+      },
+      { timeout: 5000 },
+    );
+  });
+
+  it("fails requests the recording doesn't hold instead of going online", () => {
+    expect(getReplayResponse("getChannelInfo", ["someoneelse"]).error.code).toBe("ERR_NOT_RECORDED");
+  });
+});
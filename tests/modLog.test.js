@@ -0,0 +1,39 @@
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { afterAll, afterEach, describe, expect, it, vi } from "vitest";
+import { addModLogEntry, clearModLog, pruneModLog, searchModLog } from "../src/main/utils/modLog";
+
+const userDataDir = mkdtempSync(join(tmpdir(), "kicktalk-modlog-"));
+
+vi.mock("electron", () => ({ app: { getPath: () => userDataDir } }));
+vi.mock("../utils/config", () => ({ default: { get: () => undefined } }));
+
+const CHATROOM_ID = 1001;
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe("moderation log", () => {
+  afterEach(() => clearModLog(CHATROOM_ID));
+  afterAll(() => rmSync(userDataDir, { recursive: true, force: true }));
+
+  it("prunes entries older than the retention days", async () => {
+    addModLogEntry({ id: "old", chatroomId: CHATROOM_ID, action: "ban", created_at: daysAgo(40) });
+    addModLogEntry({ id: "recent", chatroomId: CHATROOM_ID, action: "timeout", created_at: daysAgo(2) });
+
+    await pruneModLog(30);
+
+    const entries = await searchModLog({ chatroomId: CHATROOM_ID });
+    expect(entries.map((entry) => entry.id)).toEqual(["recent"]);
+  });
+
+  it("keeps entries added while pruning", async () => {
+    addModLogEntry({ id: "old", chatroomId: CHATROOM_ID, action: "ban", created_at: daysAgo(40) });
+    const pruning = pruneModLog(30);
+    addModLogEntry({ id: "new", chatroomId: CHATROOM_ID, action: "ban" });
+    await pruning;
+
+    const entries = await searchModLog({ chatroomId: CHATROOM_ID });
+    expect(entries.map((entry) => entry.id)).toEqual(["new"]);
+  });
+});
@@ -29,6 +29,14 @@ const schema = {
         enum: ["disabled", "h:mm", "hh:mm", "h:mm a", "hh:mm a", "h:mm:ss", "hh:mm:ss", "h:mm:ss a", "hh:mm:ss a"],
         default: "disabled",
       },
+      minimizeToTray: {
+        type: "boolean",
+        default: false,
+      },
+      closeToTray: {
+        type: "boolean",
+        default: false,
+      },
     },
     default: {
       alwaysOnTop: false,
@@ -36,6 +44,8 @@ const schema = {
       wrapChatroomsList: false,
       showTabImages: true,
       timestampFormat: "disabled",
+      minimizeToTray: false,
+      closeToTray: false,
     },
   },
   chatrooms: {
@@ -59,12 +69,32 @@ const schema = {
         type: "boolean",
         default: true,
       },
+      showSubscriptions: {
+        type: "boolean",
+        default: true,
+      },
+      showGiftedSubscriptions: {
+        type: "boolean",
+        default: true,
+      },
+      showHosts: {
+        type: "boolean",
+        default: true,
+      },
+      showKicksGifts: {
+        type: "boolean",
+        default: true,
+      },
     },
     default: {
       showModActions: true,
       batchingInterval: 0,
       batching: false,
       showInfoBar: true,
+      showSubscriptions: true,
+      showGiftedSubscriptions: true,
+      showHosts: true,
+      showKicksGifts: true,
     },
   },
   notifications: {
@@ -113,6 +143,47 @@ const schema = {
         type: "array",
         default: [],
       },
+      desktop: {
+        type: "boolean",
+        default: true,
+      },
+      desktopReplies: {
+        type: "boolean",
+        default: true,
+      },
+      desktopMentions: {
+        type: "boolean",
+        default: true,
+      },
+      mentionBackgroundRgba: {
+        type: "object",
+        default: {
+          r: 0,
+          g: 92,
+          b: 160,
+          a: 1,
+        },
+      },
+      mentionSoundFile: {
+        type: "string",
+        default: "../resources/sounds/default.wav",
+      },
+      mentionSoundFileName: {
+        type: "string",
+        default: "default",
+      },
+      desktopHighlights: {
+        type: "boolean",
+        default: true,
+      },
+      desktopStreamerLive: {
+        type: "boolean",
+        default: true,
+      },
+      doNotDisturb: {
+        type: "boolean",
+        default: false,
+      },
     },
     default: {
       enabled: true,
@@ -120,6 +191,31 @@ const schema = {
       volume: 0.2,
       soundFile: "../resources/sounds/default.wav",
       soundFileName: "default",
+      desktop: true,
+      desktopReplies: true,
+      desktopMentions: true,
+      desktopHighlights: true,
+      desktopStreamerLive: true,
+      doNotDisturb: false,
+    },
+  },
+  chatArchive: {
+    type: "object",
+    properties: {
+      enabled: {
+        type: "boolean",
+        default: true,
+      },
+      retentionDays: {
+        type: "number",
+        default: 30,
+        minimum: 1,
+        maximum: 365,
+      },
+    },
+    default: {
+      enabled: true,
+      retentionDays: 30,
     },
   },
   moderation: {
@@ -129,11 +225,57 @@ const schema = {
         type: "boolean",
         default: true,
       },
+      modLogRetentionDays: {
+        type: "number",
+        default: 90,
+        minimum: 1,
+        maximum: 365,
+      },
     },
     default: {
       quickModTools: true,
+      modLogRetentionDays: 90,
+    },
+  },
+  automod: {
+    type: "object",
+    properties: {
+      enabled: {
+        type: "boolean",
+        default: false,
+      },
+      rules: {
+        type: "array",
+        default: [],
+      },
+    },
+    default: {
+      enabled: false,
+      rules: [],
+    },
+  },
+  filters: {
+    type: "object",
+    properties: {
+      enabled: {
+        type: "boolean",
+        default: true,
+      },
+      rules: {
+        type: "array",
+        default: [],
+      },
+    },
+    default: {
+      enabled: true,
+      rules: [],
     },
   },
+  // Local nickname, note and name colour for chatters, keyed by user id
+  chatterMetadata: {
+    type: "object",
+    default: {},
+  },
   sevenTV: {
     type: "object",
     properties: {
@@ -161,17 +303,146 @@ const schema = {
       badges: true,
     },
   },
+  overlay: {
+    type: "object",
+    properties: {
+      enabled: {
+        type: "boolean",
+        default: false,
+      },
+      port: {
+        type: "number",
+        default: 4690,
+        minimum: 1024,
+        maximum: 65535,
+      },
+      chatrooms: {
+        type: "array",
+        default: [],
+      },
+      fadeOutSeconds: {
+        type: "number",
+        default: 30,
+        minimum: 0,
+        maximum: 600,
+      },
+      fontSize: {
+        type: "number",
+        default: 20,
+        minimum: 10,
+        maximum: 48,
+      },
+      hideBots: {
+        type: "boolean",
+        default: true,
+      },
+      hideCommands: {
+        type: "boolean",
+        default: true,
+      },
+      showStvEmotes: {
+        type: "boolean",
+        default: true,
+      },
+      showPaints: {
+        type: "boolean",
+        default: true,
+      },
+      showKickBadges: {
+        type: "boolean",
+        default: true,
+      },
+      showStvBadges: {
+        type: "boolean",
+        default: true,
+      },
+      showKickTalkBadges: {
+        type: "boolean",
+        default: true,
+      },
+    },
+    default: {
+      enabled: false,
+      port: 4690,
+      chatrooms: [],
+      fadeOutSeconds: 30,
+      fontSize: 20,
+      hideBots: true,
+      hideCommands: true,
+      showStvEmotes: true,
+      showPaints: true,
+      showKickBadges: true,
+      showStvBadges: true,
+      showKickTalkBadges: true,
+    },
+  },
+  // Recording and replay tools, only shown in development builds unless showSettings is set in config.json
+  developer: {
+    type: "object",
+    properties: {
+      showSettings: {
+        type: "boolean",
+        default: false,
+      },
+      recordSockets: {
+        type: "boolean",
+        default: false,
+      },
+      replayEnabled: {
+        type: "boolean",
+        default: false,
+      },
+      replayFile: {
+        type: ["string", "null"],
+        default: null,
+      },
+      replaySpeed: {
+        type: "number",
+        default: 1,
+        minimum: 0.25,
+        maximum: 20,
+      },
+    },
+    default: {
+      showSettings: false,
+      recordSockets: false,
+      replayEnabled: false,
+      replayFile: null,
+      replaySpeed: 1,
+    },
+  },
+  shortcuts: {
+    type: "object",
+    properties: {
+      bindings: {
+        type: "object",
+        default: {},
+      },
+      globalEnabled: {
+        type: "boolean",
+        default: false,
+      },
+    },
+    default: {
+      bindings: {},
+      globalEnabled: false,
+    },
+  },
   customTheme: {
     type: "object",
     properties: {
       current: {
         type: "string",
-        enum: ["default", "dark", "blue", "purple", "red"],
         default: "default",
       },
+      themes: {
+        type: "array",
+        default: [],
+      },
     },
     default: {
       current: "default",
+      themes: [],
     },
   },
   theme: {
@@ -201,6 +472,10 @@ const schema = {
     },
     default: { x: undefined, y: undefined, width: 480, height: 900 },
   },
+  popoutWindowStates: {
+    type: "object",
+    default: {},
+  },
 };
 
 const store = new Store({
@@ -5,6 +5,11 @@ export const kickEmoteInputRegex = /(?:^|\s)(:(?<emoteCase1>\w{3,}):)|(?:^|\s)(?
 export const mentionRegex = /(?:^|\s)(@(?<username>[a-zA-Z0-9_]{3,})[,.]?)(?=\s|$)/g;
 export const kickClipRegex = /^https?:\/\/(www\.)?kick\.com\/.*\/clips\/.*/i;
 
+// Set RENDERER_VITE_KICK_PUSHER_URL (e.g. ws://localhost:6001 for scripts/mockKickSocket.mjs) to use a local socket server
+export const KICK_PUSHER_URL =
+  import.meta.env?.RENDERER_VITE_KICK_PUSHER_URL ||
+  "wss://ws-us2.pusher.com/app/32cbd69e4b950bf97679?protocol=7&client=js&version=8.4.0-rc2&flash=false";
+
 const kickTalkCDN = "https://cdn.kicktalk.app";
 
 export const kickBadgeMap = {
@@ -8,6 +8,8 @@ class ConnectionManager {
     this.initializationInProgress = false;
     this.emoteCache = new Map(); // Cache for global/common emotes
     this.globalStvEmotesCache = null; // Cache for global 7TV emotes
+    this.deferredHistory = new Set(); // Chatrooms whose initial messages wait until they are opened
+    this.requestedHistory = new Set(); // Chatrooms opened before their batch was initialized
 
     // Callbacks to avoid circular imports
     this.storeCallbacks = null;
@@ -15,8 +17,10 @@ class ConnectionManager {
     // Connection configuration
     this.config = {
       staggerDelay: 200, // ms between batches
+      minStaggerDelay: 50, // ms between batches with many chatrooms
       batchSize: 3, // chatrooms per batch
-      maxConcurrentEmoteFetches: 5,
+      maxBatches: 8, // batches grow instead of adding more delays past this
+      eagerHistoryCount: 5, // chatrooms that fetch their initial messages on startup
     };
   }
 
@@ -38,11 +42,9 @@ class ConnectionManager {
       await this.startSharedConnections();
 
       // Initialize chatrooms in staggered batches
+      // Emotes are fetched by the store when a chatroom is first opened
       await this.initializeChatroomsInBatches(chatrooms);
 
-      // Batch fetch emotes
-      await this.batchFetchEmotes(chatrooms);
-
       console.log("[ConnectionManager] Initialization completed successfully");
     } catch (error) {
       console.error("[ConnectionManager] Error during initialization:", error);
@@ -66,6 +68,12 @@ class ConnectionManager {
     if (handlers.onKickSubscriptionSuccess) {
       this.kickPusher.addEventListener("subscription_success", handlers.onKickSubscriptionSuccess);
     }
+    if (handlers.onKickStatus) {
+      this.kickPusher.addEventListener("status", handlers.onKickStatus);
+    }
+    if (handlers.onKickFrame) {
+      this.kickPusher.addEventListener("frame", handlers.onKickFrame);
+    }
 
     // Set up 7TV event handlers
     if (handlers.onStvMessage) {
@@ -77,6 +85,12 @@ class ConnectionManager {
     if (handlers.onStvConnection) {
       this.stvWebSocket.addEventListener("connection", handlers.onStvConnection);
     }
+    if (handlers.onStvStatus) {
+      this.stvWebSocket.addEventListener("status", handlers.onStvStatus);
+    }
+    if (handlers.onStvFrame) {
+      this.stvWebSocket.addEventListener("frame", handlers.onStvFrame);
+    }
   }
 
   async startSharedConnections() {
@@ -114,33 +128,47 @@ class ConnectionManager {
     console.log("[ConnectionManager] Shared connections established");
   }
 
+  // Larger batches and shorter delays as the chatroom count grows, so startup time stays flat
+  getBatchPlan(chatroomCount) {
+    const batchSize = Math.max(this.config.batchSize, Math.ceil(chatroomCount / this.config.maxBatches));
+    const staggerDelay = Math.max(
+      this.config.minStaggerDelay,
+      Math.round((this.config.staggerDelay * this.config.batchSize) / batchSize),
+    );
+
+    return { batchSize, staggerDelay };
+  }
+
   async initializeChatroomsInBatches(chatrooms) {
-    console.log(`[ConnectionManager] Initializing ${chatrooms.length} chatrooms in batches of ${this.config.batchSize}`);
+    const { batchSize, staggerDelay } = this.getBatchPlan(chatrooms.length);
+    console.log(`[ConnectionManager] Initializing ${chatrooms.length} chatrooms in batches of ${batchSize}`);
 
     // Sort chatrooms by priority (you can customize this logic)
     const prioritizedChatrooms = this.prioritizeChatrooms(chatrooms);
 
     // Split into batches
-    const batches = this.chunkArray(prioritizedChatrooms, this.config.batchSize);
+    const batches = this.chunkArray(prioritizedChatrooms, batchSize);
 
     for (let i = 0; i < batches.length; i++) {
       const batch = batches[i];
       console.log(`[ConnectionManager] Processing batch ${i + 1}/${batches.length} (${batch.length} chatrooms)`);
 
-      // Process batch in parallel
-      const batchPromises = batch.map((chatroom) => this.addChatroom(chatroom));
+      // Process batch in parallel, only the highest priority chatrooms fetch their history up front
+      const batchPromises = batch.map((chatroom, j) =>
+        this.addChatroom(chatroom, { deferHistory: i * batchSize + j >= this.config.eagerHistoryCount }),
+      );
       await Promise.allSettled(batchPromises);
 
       // Add delay between batches (except for the last one)
       if (i < batches.length - 1) {
-        await this.delay(this.config.staggerDelay);
+        await this.delay(staggerDelay);
       }
     }
 
     console.log("[ConnectionManager] All chatrooms initialized");
   }
 
-  async addChatroom(chatroom) {
+  async addChatroom(chatroom, { deferHistory = false } = {}) {
     try {
       // Add to KickPusher
       this.kickPusher.addChatroom(chatroom.id, chatroom.streamerData.id, chatroom);
@@ -151,8 +179,14 @@ class ConnectionManager {
 
       this.stvWebSocket.addChatroom(chatroom.id, chatroom.streamerData.user_id, stvId, stvEmoteSetId);
 
-      // Fetch initial messages for this chatroom
-      await this.fetchInitialMessages(chatroom);
+      // Fetch initial messages for this chatroom, idle chatrooms wait until they are opened
+      if (deferHistory && !this.requestedHistory.has(chatroom.id)) {
+        this.deferredHistory.add(chatroom.id);
+      } else {
+        await this.fetchInitialMessages(chatroom);
+        await this.fetchInitialPollInfo(chatroom);
+        await this.fetchInitialPredictionInfo(chatroom);
+      }
 
       // Fetch initial chatroom info (including livestream status)
       await this.fetchInitialChatroomInfo(chatroom);
@@ -166,27 +200,28 @@ class ConnectionManager {
   async removeChatroom(chatroomId) {
     this.kickPusher.removeChatroom(chatroomId);
     this.stvWebSocket.removeChatroom(chatroomId);
+    this.deferredHistory.delete(chatroomId);
+    this.requestedHistory.delete(chatroomId);
     console.log(`[ConnectionManager] Removed chatroom ${chatroomId}`);
   }
 
-  async batchFetchEmotes(chatrooms) {
-    console.log("[ConnectionManager] Starting batch emote fetching...");
-
-    // Fetch global 7TV emotes first (cached)
-    await this.fetchGlobalStvEmotes();
-
-    // Batch fetch channel-specific emotes
-    const emoteFetchPromises = chatrooms.map((chatroom) => this.fetchChatroomEmotes(chatroom));
-
-    // Process in batches to avoid overwhelming the APIs
-    const emoteBatches = this.chunkArray(emoteFetchPromises, this.config.maxConcurrentEmoteFetches);
+  // Chatrooms still waiting for their initial messages have nothing to backfill
+  hasDeferredHistory(chatroomId) {
+    return this.deferredHistory.has(chatroomId);
+  }
 
-    for (const batch of emoteBatches) {
-      await Promise.allSettled(batch);
-      await this.delay(100); // Small delay between batches
+  // Fetch the initial messages a chatroom skipped during startup
+  async loadChatroomHistory(chatroom) {
+    if (!this.deferredHistory.has(chatroom.id)) {
+      // Not initialized yet, make sure its batch fetches the history
+      this.requestedHistory.add(chatroom.id);
+      return;
     }
 
-    console.log("[ConnectionManager] Batch emote fetching completed");
+    this.deferredHistory.delete(chatroom.id);
+    await this.fetchInitialMessages(chatroom);
+    await this.fetchInitialPollInfo(chatroom);
+    await this.fetchInitialPredictionInfo(chatroom);
   }
 
   async fetchGlobalStvEmotes() {
@@ -233,13 +268,13 @@ class ConnectionManager {
 
   prioritizeChatrooms(chatrooms) {
     // Sort chatrooms by priority - you can customize this logic
-    return chatrooms.sort((a, b) => {
+    return [...chatrooms].sort((a, b) => {
       // Prioritize live streamers
       if (a.isStreamerLive && !b.isStreamerLive) return -1;
       if (!a.isStreamerLive && b.isStreamerLive) return 1;
 
-      // Then by last activity or other criteria
-      return 0;
+      // Then by tab order, the first tab is opened on startup
+      return (a.order || 0) - (b.order || 0);
     });
   }
 
@@ -272,6 +307,7 @@ class ConnectionManager {
         size: this.emoteCache.size,
         globalCached: !!this.globalStvEmotesCache,
       },
+      deferredHistory: this.deferredHistory.size,
     };
   }
 
@@ -307,6 +343,54 @@ class ConnectionManager {
     }
   }
 
+  // Fetch the poll running in a chatroom, if any
+  async fetchInitialPollInfo(chatroom) {
+    try {
+      const response = await window.app.kick.getInitialPollInfo(chatroom.streamerData.slug);
+
+      if (!response?.data || !this.storeCallbacks) {
+        return;
+      }
+
+      if (response.data?.status?.code === 200 && response.data?.data?.poll) {
+        this.storeCallbacks.handlePollUpdate?.(chatroom.id, response.data.data.poll);
+      } else {
+        this.storeCallbacks.handlePollDelete?.(chatroom.id);
+      }
+    } catch (error) {
+      // Kick responds with 404 when there is no active poll
+      if (error?.response?.status === 404) {
+        this.storeCallbacks?.handlePollDelete?.(chatroom.id);
+        return;
+      }
+
+      console.error(`[ConnectionManager] Error fetching poll info for chatroom ${chatroom.id}:`, error);
+    }
+  }
+
+  // Fetch the latest prediction in a chatroom, if any
+  async fetchInitialPredictionInfo(chatroom) {
+    try {
+      const response = await window.app.kick.getInitialPredictionInfo(chatroom.streamerData.slug);
+      const prediction = response?.data?.data?.prediction;
+
+      if (!this.storeCallbacks) return;
+
+      if (prediction) {
+        this.storeCallbacks.handlePredictionUpdate?.(chatroom.id, prediction);
+      } else {
+        this.storeCallbacks.handlePredictionDelete?.(chatroom.id);
+      }
+    } catch (error) {
+      if (error?.response?.status === 404) {
+        this.storeCallbacks?.handlePredictionDelete?.(chatroom.id);
+        return;
+      }
+
+      console.error(`[ConnectionManager] Error fetching prediction info for chatroom ${chatroom.id}:`, error);
+    }
+  }
+
   // Fetch initial chatroom info (including livestream status)
   async fetchInitialChatroomInfo(chatroom) {
     try {
@@ -327,12 +411,33 @@ class ConnectionManager {
     }
   }
 
+  // Connect the shared sockets somewhere else, like a local server replaying a recording
+  setSocketUrls({ kick, stv } = {}) {
+    if (kick) this.kickPusher.url = kick;
+    if (stv) this.stvWebSocket.url = stv;
+  }
+
+  // Reconnect both sockets without waiting for their backoff
+  reconnect() {
+    this.kickPusher.reconnectNow();
+    this.stvWebSocket.reconnectNow();
+  }
+
+  getConnectionHealth() {
+    return {
+      kick: this.kickPusher.getStatus(),
+      stv: this.stvWebSocket.getStatus(),
+    };
+  }
+
   // Cleanup method
   cleanup() {
     console.log("[ConnectionManager] Cleaning up connections...");
     this.kickPusher.close();
     this.stvWebSocket.close();
     this.emoteCache.clear();
+    this.deferredHistory.clear();
+    this.requestedHistory.clear();
     this.globalStvEmotesCache = null;
     this.initializationInProgress = false;
   }
@@ -138,9 +138,20 @@ const getUnmoderateUser = async (channelName, username, sessionCookie, kickSessi
 
 const getVipUser = async (channelName, username, sessionCookie, kickSession) => {
   try {
-    const response = await axios.post(`${APIUrl}/api/internal/v1/channels/${channelName}/community/vip`, {
-      username,
-    });
+    const response = await axios.post(
+      `${APIUrl}/api/internal/v1/channels/${channelName}/community/vip`,
+      {
+        username,
+      },
+      {
+        headers: {
+          Accept: "*/*",
+          Authorization: `Bearer ${sessionCookie}`,
+          "X-XSRF-TOKEN": kickSession,
+        },
+        Cookie: `kick_session=${kickSession}, session_token=${sessionCookie}, x-xsrf-token=${sessionCookie}, XSRF-TOKEN=${kickSession}`,
+      },
+    );
 
     return response.data;
   } catch (error) {
@@ -183,9 +194,20 @@ const getUnvipUser = async (channelName, username, sessionCookie, kickSession) =
 
 const getOGUser = async (channelName, username, sessionCookie, kickSession) => {
   try {
-    const response = await axios.post(`${APIUrl}/api/internal/v1/channels/${channelName}/community/ogs`, {
-      username,
-    });
+    const response = await axios.post(
+      `${APIUrl}/api/internal/v1/channels/${channelName}/community/ogs`,
+      {
+        username,
+      },
+      {
+        headers: {
+          Accept: "*/*",
+          Authorization: `Bearer ${sessionCookie}`,
+          "X-XSRF-TOKEN": kickSession,
+        },
+        Cookie: `kick_session=${kickSession}, session_token=${sessionCookie}, x-xsrf-token=${sessionCookie}, XSRF-TOKEN=${kickSession}`,
+      },
+    );
 
     return response.data;
   } catch (error) {
@@ -319,6 +341,32 @@ const getUpdateSlowmode = async (channelName, slowmodeOptions, sessionCookie, ki
   }
 };
 
+// Followers, subscribers, emote only, account age and slow mode all live on the chatroom settings
+const getUpdateChatModes = async (channelName, chatModeOptions, sessionCookie, kickSession) => {
+  try {
+    const response = await axios.post(`${APIUrl}/api/v2/channels/${channelName}/chatroom`, chatModeOptions, {
+      headers: {
+        Accept: "*/*",
+        Authorization: `Bearer ${sessionCookie}`,
+        "X-XSRF-TOKEN": kickSession,
+      },
+      Cookie: `kick_session=${kickSession}, session_token=${sessionCookie}, x-xsrf-token=${sessionCookie}, XSRF-TOKEN=${kickSession}`,
+    });
+
+    return response.data;
+  } catch (error) {
+    if (channelName.includes("_")) {
+      const transformedChannelName = channelName.replaceAll("_", "-");
+
+      if (transformedChannelName !== channelName) {
+        return await getUpdateChatModes(transformedChannelName, chatModeOptions, sessionCookie, kickSession);
+      }
+    }
+
+    throw error;
+  }
+};
+
 /**
  *
  * [MOD ACTIONS]
@@ -554,6 +602,144 @@ const getSubmitPollVote = async (channelName, optionId, sessionCookie, kickSessi
   }
 };
 
+const getInitialPredictionInfo = async (channelName, sessionCookie, kickSession) => {
+  try {
+    const response = await axios.get(`${APIUrl}/api/v2/channels/${channelName}/predictions/latest`, {
+      headers: {
+        Accept: "*/*",
+        Authorization: `Bearer ${sessionCookie}`,
+        "X-XSRF-TOKEN": kickSession,
+      },
+    });
+
+    return response;
+  } catch (error) {
+    if (channelName.includes("_")) {
+      const transformedChannelName = channelName.replaceAll("_", "-");
+
+      if (transformedChannelName !== channelName) {
+        return await getInitialPredictionInfo(transformedChannelName, sessionCookie, kickSession);
+      }
+    }
+
+    throw error;
+  }
+};
+
+// Wagers are paid in channel points
+const getSubmitPredictionVote = async (channelName, predictionId, outcomeId, amount, sessionCookie, kickSession) => {
+  try {
+    const response = await axios.post(
+      `${APIUrl}/api/v2/channels/${channelName}/predictions/${predictionId}/vote`,
+      {
+        outcome_id: outcomeId,
+        amount,
+      },
+      {
+        headers: {
+          Accept: "*/*",
+          Authorization: `Bearer ${sessionCookie}`,
+          "X-XSRF-TOKEN": kickSession,
+        },
+        Cookie: `kick_session=${kickSession}, session_token=${sessionCookie}, x-xsrf-token=${sessionCookie}, XSRF-TOKEN=${kickSession}`,
+      },
+    );
+
+    return response.data;
+  } catch (error) {
+    if (channelName.includes("_")) {
+      const transformedChannelName = channelName.replaceAll("_", "-");
+
+      if (transformedChannelName !== channelName) {
+        return await getSubmitPredictionVote(transformedChannelName, predictionId, outcomeId, amount, sessionCookie, kickSession);
+      }
+    }
+
+    throw error;
+  }
+};
+
+// Lock, resolve ({ state: "RESOLVED", winning_outcome_id }) or cancel a prediction
+const getUpdatePrediction = async (channelName, predictionId, predictionOptions, sessionCookie, kickSession) => {
+  try {
+    const response = await axios.patch(
+      `${APIUrl}/api/v2/channels/${channelName}/predictions/${predictionId}`,
+      predictionOptions,
+      {
+        headers: {
+          Accept: "*/*",
+          Authorization: `Bearer ${sessionCookie}`,
+          "X-XSRF-TOKEN": kickSession,
+        },
+        Cookie: `kick_session=${kickSession}, session_token=${sessionCookie}, x-xsrf-token=${sessionCookie}, XSRF-TOKEN=${kickSession}`,
+      },
+    );
+
+    return response.data;
+  } catch (error) {
+    if (channelName.includes("_")) {
+      const transformedChannelName = channelName.replaceAll("_", "-");
+
+      if (transformedChannelName !== channelName) {
+        return await getUpdatePrediction(transformedChannelName, predictionId, predictionOptions, sessionCookie, kickSession);
+      }
+    }
+
+    throw error;
+  }
+};
+
+// Duration and result display duration are in seconds, Kick only accepts its preset values
+const getCreatePoll = async (channelName, pollOptions, sessionCookie, kickSession) => {
+  try {
+    const response = await axios.post(`${APIUrl}/api/v2/channels/${channelName}/polls`, pollOptions, {
+      headers: {
+        Accept: "*/*",
+        Authorization: `Bearer ${sessionCookie}`,
+        "X-XSRF-TOKEN": kickSession,
+      },
+      Cookie: `kick_session=${kickSession}, session_token=${sessionCookie}, x-xsrf-token=${sessionCookie}, XSRF-TOKEN=${kickSession}`,
+    });
+
+    return response.data;
+  } catch (error) {
+    if (channelName.includes("_")) {
+      const transformedChannelName = channelName.replaceAll("_", "-");
+
+      if (transformedChannelName !== channelName) {
+        return await getCreatePoll(transformedChannelName, pollOptions, sessionCookie, kickSession);
+      }
+    }
+
+    throw error;
+  }
+};
+
+const getDeletePoll = async (channelName, sessionCookie, kickSession) => {
+  try {
+    const response = await axios.delete(`${APIUrl}/api/v2/channels/${channelName}/polls`, {
+      headers: {
+        Accept: "*/*",
+        Authorization: `Bearer ${sessionCookie}`,
+        "X-XSRF-TOKEN": kickSession,
+      },
+      Cookie: `kick_session=${kickSession}, session_token=${sessionCookie}, x-xsrf-token=${sessionCookie}, XSRF-TOKEN=${kickSession}`,
+    });
+
+    return response.data;
+  } catch (error) {
+    if (channelName.includes("_")) {
+      const transformedChannelName = channelName.replaceAll("_", "-");
+
+      if (transformedChannelName !== channelName) {
+        return await getDeletePoll(transformedChannelName, sessionCookie, kickSession);
+      }
+    }
+
+    throw error;
+  }
+};
+
 const getUserKickId = async (sessionCookie, kickSession) => {
   const response = await axios.get(`${APIUrl}/api/v1/user`, {
     headers: {
@@ -960,12 +1146,18 @@ export {
   getUnpinMessage,
   getInitialPollInfo,
   getSubmitPollVote,
+  getInitialPredictionInfo,
+  getSubmitPredictionVote,
   getChatroomViewers,
 
   // Channel Commands
   getUpdateTitle,
   getClearChatroom,
   getUpdateSlowmode,
+  getUpdateChatModes,
+  getCreatePoll,
+  getDeletePoll,
+  getUpdatePrediction,
 
   // Broadcaster Actions
   getModerateUser,
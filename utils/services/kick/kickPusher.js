@@ -1,3 +1,5 @@
+import { KICK_PUSHER_URL } from "../../constants";
+
 class KickPusher extends EventTarget {
   constructor(chatroomNumber, streamerId) {
     super();
@@ -15,9 +17,7 @@ class KickPusher extends EventTarget {
       return;
     }
     console.log(`Connecting to chatroom: ${this.chatroomNumber} and streamerId: ${this.streamerId}`);
-    this.chat = new WebSocket(
-      "wss://ws-us2.pusher.com/app/32cbd69e4b950bf97679?protocol=7&client=js&version=8.4.0-rc2&flash=false",
-    );
+    this.chat = new WebSocket(KICK_PUSHER_URL);
 
     this.dispatchEvent(
       new CustomEvent("connection", {
@@ -40,6 +40,7 @@ class KickPusher extends EventTarget {
             `chatrooms.${this.chatroomNumber}`,
             `chatrooms.${this.chatroomNumber}.v2`,
             `chatroom_${this.chatroomNumber}`,
+            `predictions-channel-${this.streamerId}`,
           ];
 
           channelsToSubscribe.forEach((channel) => {
@@ -191,7 +192,13 @@ class KickPusher extends EventTarget {
           jsonData.event === `App\\Events\\PinnedMessageDeletedEvent` ||
           jsonData.event === `App\\Events\\ChatroomUpdatedEvent` ||
           jsonData.event === `App\\Events\\PollUpdateEvent` ||
-          jsonData.event === `App\\Events\\PollDeleteEvent`
+          jsonData.event === `App\\Events\\PollDeleteEvent` ||
+          jsonData.event === `App\\Events\\SubscriptionEvent` ||
+          jsonData.event === `App\\Events\\GiftedSubscriptionsEvent` ||
+          jsonData.event === `App\\Events\\StreamHostEvent` ||
+          jsonData.event === `KicksGifted` ||
+          jsonData.event === `PredictionCreated` ||
+          jsonData.event === `PredictionUpdated`
         ) {
           if (jsonData.event === `App\\Events\\PinnedMessageCreatedEvent`) {
             console.log("[KickPusher] Pin created event received before dispatching");
@@ -218,6 +225,7 @@ class KickPusher extends EventTarget {
           `chatrooms.${this.chatroomNumber}`,
           `chatrooms.${this.chatroomNumber}.v2`,
           `chatroom_${this.chatroomNumber}`,
+          `predictions-channel-${this.streamerId}`,
         ];
 
         channelsToUnsubscribe.forEach((channel) => {
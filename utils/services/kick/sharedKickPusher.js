@@ -1,3 +1,5 @@
+import { KICK_PUSHER_URL } from "../../constants";
+
 class SharedKickPusher extends EventTarget {
   constructor() {
     super();
@@ -11,6 +13,14 @@ class SharedKickPusher extends EventTarget {
     this.connectionState = 'disconnected'; // disconnected, connecting, connected
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
+    this.joinedChatrooms = new Set(); // Chatrooms subscribed at least once, to tell a re-subscription from the first join
+    this.disconnectedAt = null; // When the last established connection dropped
+    this.activeChatrooms = new Set(); // Chatrooms whose chat channel is subscribed on the current connection
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+    this.immediateReconnect = false;
+    this.failed = false; // Gave up after maxReconnectAttempts
+    this.url = KICK_PUSHER_URL; // Pointed at a local replay server when replaying a recording
   }
 
   addChatroom(chatroomId, streamerId, chatroomData) {
@@ -24,6 +34,7 @@ class SharedKickPusher extends EventTarget {
         `chatrooms.${chatroomId}`,
         `chatrooms.${chatroomId}.v2`,
         `chatroom_${chatroomId}`,
+        `predictions-channel-${streamerId}`,
       ],
     });
 
@@ -31,6 +42,8 @@ class SharedKickPusher extends EventTarget {
     if (this.connectionState === 'connected') {
       this.subscribeToChatroomChannels(chatroomId);
     }
+
+    this.emitStatus();
   }
 
   removeChatroom(chatroomId) {
@@ -39,6 +52,8 @@ class SharedKickPusher extends EventTarget {
       this.unsubscribeFromChatroomChannels(chatroomId);
     }
     this.chatrooms.delete(chatroomId);
+    this.joinedChatrooms.delete(String(chatroomId));
+    this.activeChatrooms.delete(String(chatroomId));
 
     // If no more chatrooms, close the connection
     if (this.chatrooms.size === 0) {
@@ -58,11 +73,10 @@ class SharedKickPusher extends EventTarget {
     }
 
     this.connectionState = 'connecting';
+    this.emitStatus();
     console.log(`[SharedKickPusher] Connecting to Kick WebSocket for ${this.chatrooms.size} chatrooms`);
 
-    this.chat = new WebSocket(
-      "wss://ws-us2.pusher.com/app/32cbd69e4b950bf97679?protocol=7&client=js&version=8.4.0-rc2&flash=false",
-    );
+    this.chat = new WebSocket(this.url);
 
     this.dispatchEvent(
       new CustomEvent("connection", {
@@ -77,6 +91,7 @@ class SharedKickPusher extends EventTarget {
     this.chat.addEventListener("open", () => {
       console.log("[SharedKickPusher] Connected to Kick WebSocket");
       this.reconnectAttempts = 0;
+      this.emitFrame("open");
       
       // Wait for connection_established event before subscribing
     });
@@ -89,25 +104,40 @@ class SharedKickPusher extends EventTarget {
 
     this.chat.addEventListener("close", () => {
       console.log("[SharedKickPusher] Connection closed");
+      if (this.socketId) this.disconnectedAt = new Date().toISOString();
       this.connectionState = 'disconnected';
       this.socketId = null;
       this.userEventsSubscribed = false;
       this.subscribedChannels.clear();
+      this.activeChatrooms.clear();
 
       this.dispatchEvent(new Event("close"));
 
-      if (this.shouldReconnect && this.reconnectAttempts < this.maxReconnectAttempts) {
+      if (this.immediateReconnect) {
+        this.immediateReconnect = false;
+        this.connect();
+      } else if (this.shouldReconnect && this.reconnectAttempts < this.maxReconnectAttempts) {
         this.reconnectAttempts++;
-        setTimeout(() => {
+        const delay = this.reconnectDelay * this.reconnectAttempts;
+        this.nextReconnectAt = Date.now() + delay;
+
+        this.reconnectTimer = setTimeout(() => {
+          this.reconnectTimer = null;
+          this.nextReconnectAt = null;
           console.log(`[SharedKickPusher] Attempting to reconnect (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
           this.connect();
-        }, this.reconnectDelay * this.reconnectAttempts);
+        }, delay);
       } else {
+        if (this.shouldReconnect) this.failed = true;
         console.log("[SharedKickPusher] Not reconnecting - connection was closed intentionally or max attempts reached");
       }
+
+      this.emitStatus();
     });
 
     this.chat.addEventListener("message", async (event) => {
+      this.emitFrame("message", event.data);
+
       try {
         const dataString = event.data;
         const jsonData = JSON.parse(dataString);
@@ -115,6 +145,7 @@ class SharedKickPusher extends EventTarget {
         // Handle connection established
         if (jsonData.event === "pusher:connection_established") {
           this.connectionState = 'connected';
+          this.failed = false;
           this.socketId = JSON.parse(jsonData.data).socket_id;
           console.log(`[SharedKickPusher] Connection established: socket ID - ${this.socketId}`);
 
@@ -134,14 +165,22 @@ class SharedKickPusher extends EventTarget {
 
         // Handle subscription success
         if (jsonData.event === "pusher_internal:subscription_succeeded") {
+          // Every chatroom subscribes to several channels, only report the chat channel
           const chatroomId = this.extractChatroomIdFromChannel(jsonData.channel);
-          if (chatroomId) {
+          if (chatroomId && jsonData.channel === `chatrooms.${chatroomId}.v2`) {
             console.log(`[SharedKickPusher] Subscription successful for chatroom: ${chatroomId}`);
+            const reconnected = this.joinedChatrooms.has(chatroomId);
+            this.joinedChatrooms.add(chatroomId);
+            this.activeChatrooms.add(chatroomId);
+            this.emitStatus();
+
             this.dispatchEvent(
               new CustomEvent("subscription_success", {
                 detail: {
                   chatroomId,
                   channel: jsonData.channel,
+                  reconnected,
+                  disconnectedAt: reconnected ? this.disconnectedAt : null,
                 },
               }),
             );
@@ -179,7 +218,13 @@ class SharedKickPusher extends EventTarget {
           jsonData.event === `App\\Events\\PinnedMessageDeletedEvent` ||
           jsonData.event === `App\\Events\\ChatroomUpdatedEvent` ||
           jsonData.event === `App\\Events\\PollUpdateEvent` ||
-          jsonData.event === `App\\Events\\PollDeleteEvent`
+          jsonData.event === `App\\Events\\PollDeleteEvent` ||
+          jsonData.event === `App\\Events\\SubscriptionEvent` ||
+          jsonData.event === `App\\Events\\GiftedSubscriptionsEvent` ||
+          jsonData.event === `App\\Events\\StreamHostEvent` ||
+          jsonData.event === `KicksGifted` ||
+          jsonData.event === `PredictionCreated` ||
+          jsonData.event === `PredictionUpdated`
         ) {
           const chatroomId = this.extractChatroomIdFromChannel(jsonData.channel);
           if (chatroomId) {
@@ -322,15 +367,50 @@ class SharedKickPusher extends EventTarget {
   }
 
   extractChatroomIdFromChannel(channel) {
-    // Extract chatroom ID from channel names like "chatrooms.12345.v2"
-    const match = channel.match(/chatrooms\.(\d+)(?:\.v2)?$/);
-    return match ? match[1] : null;
+    // Extract chatroom ID from channel names like "chatrooms.12345.v2" or "chatroom_12345"
+    const chatroomMatch = channel.match(/^(?:chatrooms\.(\d+)(?:\.v2)?|chatroom_(\d+))$/);
+    if (chatroomMatch) return chatroomMatch[1] || chatroomMatch[2];
+
+    // Channel and prediction events like "channel.67890" are keyed by the streamer, map them back to their chatroom
+    const streamerMatch = channel.match(/^(?:channel[._]|predictions-channel-)(\d+)$/);
+    if (!streamerMatch) return null;
+
+    for (const chatroom of this.chatrooms.values()) {
+      if (String(chatroom.streamerId) === streamerMatch[1]) return String(chatroom.chatroomId);
+    }
+
+    return null;
+  }
+
+  // Skip the backoff and reconnect straight away, an open connection is dropped and made again
+  reconnectNow() {
+    if (!this.chatrooms.size) return;
+
+    console.log("[SharedKickPusher] Reconnecting now");
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+    this.reconnectAttempts = 0;
+    this.failed = false;
+    this.shouldReconnect = true;
+
+    if (this.chat && (this.chat.readyState === WebSocket.OPEN || this.chat.readyState === WebSocket.CONNECTING)) {
+      this.immediateReconnect = true;
+      this.chat.close();
+      return;
+    }
+
+    this.connectionState = 'disconnected';
+    this.connect();
   }
 
   close() {
     console.log("[SharedKickPusher] Closing shared connection");
     this.shouldReconnect = false;
     this.connectionState = 'disconnected';
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
 
     if (this.chat && this.chat.readyState === WebSocket.OPEN) {
       try {
@@ -362,6 +442,35 @@ class SharedKickPusher extends EventTarget {
     return this.connectionState;
   }
 
+  // Connection health for the status indicator, with each chatroom's chat subscription
+  getStatus() {
+    let state = this.connectionState;
+    if (this.failed) state = 'failed';
+    else if (this.reconnectTimer) state = 'reconnecting';
+
+    return {
+      state,
+      attempt: this.reconnectAttempts,
+      maxAttempts: this.maxReconnectAttempts,
+      nextReconnectAt: this.nextReconnectAt,
+      chatrooms: Object.fromEntries(
+        Array.from(this.chatrooms.keys()).map((chatroomId) => [
+          chatroomId,
+          this.activeChatrooms.has(String(chatroomId)) ? 'subscribed' : 'pending',
+        ]),
+      ),
+    };
+  }
+
+  emitStatus() {
+    this.dispatchEvent(new CustomEvent("status", { detail: this.getStatus() }));
+  }
+
+  // Raw socket traffic, for recording sessions to replay later
+  emitFrame(type, data) {
+    this.dispatchEvent(new CustomEvent("frame", { detail: { source: "kick", type, data } }));
+  }
+
   // Get number of subscribed channels
   getSubscribedChannelCount() {
     return this.subscribedChannels.size;
@@ -0,0 +1,10 @@
+// Axios responses and errors hold sockets and functions, only what callers read crosses IPC or goes in a recording
+
+export const toSerializableResponse = (response) =>
+  response?.config && response?.headers ? { data: response.data, status: response.status } : response;
+
+export const toSerializableError = (error) => ({
+  code: error?.code,
+  message: error?.message,
+  response: error?.response && { status: error.response.status, data: error.response.data },
+});
@@ -160,6 +160,10 @@ class SharedStvWebSocket extends EventTarget {
     this.chatrooms = new Map(); // Map of chatroomId -> channel data
     this.subscribedEvents = new Set(); // Track subscribed events
     this.userEventSubscribed = false; // Track global user events
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+    this.immediateReconnect = false;
+    this.url = "wss://events.7tv.io/v3?app=kicktalk&version=420.69"; // Pointed at a local replay server when replaying a recording
   }
 
   addChatroom(chatroomId, channelKickID, stvId = "0", stvEmoteSetId = "0") {
@@ -200,9 +204,10 @@ class SharedStvWebSocket extends EventTarget {
     }
 
     this.connectionState = 'connecting';
+    this.emitStatus();
     console.log(`[Shared7TV]: Connecting to WebSocket for ${this.chatrooms.size} chatrooms (attempt ${this.reconnectAttempts + 1})`);
 
-    this.chat = new WebSocket("wss://events.7tv.io/v3?app=kicktalk&version=420.69");
+    this.chat = new WebSocket(this.url);
 
     this.chat.onerror = (event) => {
       console.log(`[Shared7TV]: WebSocket error:`, event);
@@ -215,6 +220,13 @@ class SharedStvWebSocket extends EventTarget {
       this.connectionState = 'disconnected';
       this.subscribedEvents.clear();
       this.userEventSubscribed = false;
+
+      if (this.immediateReconnect) {
+        this.immediateReconnect = false;
+        this.connect();
+        return;
+      }
+
       this.handleReconnection();
     };
 
@@ -222,6 +234,7 @@ class SharedStvWebSocket extends EventTarget {
       console.log(`[Shared7TV]: Connection opened successfully`);
       this.connectionState = 'connected';
       this.reconnectAttempts = 0;
+      this.emitFrame("open");
 
       await this.delay(1000);
 
@@ -230,6 +243,7 @@ class SharedStvWebSocket extends EventTarget {
 
       // Setup message handler
       this.setupMessageHandler();
+      this.emitStatus();
 
       // Dispatch connection event
       this.dispatchEvent(
@@ -252,6 +266,7 @@ class SharedStvWebSocket extends EventTarget {
   handleReconnection() {
     if (!this.shouldReconnect) {
       console.log(`[Shared7TV]: Reconnection disabled`);
+      this.emitStatus();
       return;
     }
 
@@ -262,9 +277,35 @@ class SharedStvWebSocket extends EventTarget {
 
     console.log(`[Shared7TV]: Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts + 1})`);
 
-    setTimeout(() => {
+    this.nextReconnectAt = Date.now() + delay;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.nextReconnectAt = null;
       this.connect();
     }, delay);
+
+    this.emitStatus();
+  }
+
+  // Skip the backoff and reconnect straight away, an open connection is dropped and made again
+  reconnectNow() {
+    if (!this.chatrooms.size) return;
+
+    console.log(`[Shared7TV]: Reconnecting now`);
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+    this.reconnectAttempts = 0;
+    this.shouldReconnect = true;
+
+    if (this.chat && (this.chat.readyState === WebSocket.OPEN || this.chat.readyState === WebSocket.CONNECTING)) {
+      this.immediateReconnect = true;
+      this.chat.close();
+      return;
+    }
+
+    this.connectionState = 'disconnected';
+    this.connect();
   }
 
   async subscribeToAllEvents() {
@@ -435,6 +476,8 @@ class SharedStvWebSocket extends EventTarget {
 
   setupMessageHandler() {
     this.chat.onmessage = (event) => {
+      this.emitFrame("message", event.data);
+
       try {
         const msg = JSON.parse(event.data);
 
@@ -535,6 +578,9 @@ class SharedStvWebSocket extends EventTarget {
     console.log(`[Shared7TV]: Closing shared connection`);
     this.shouldReconnect = false;
     this.connectionState = 'disconnected';
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
 
     if (this.chat) {
       try {
@@ -559,6 +605,25 @@ class SharedStvWebSocket extends EventTarget {
     return this.connectionState;
   }
 
+  // Connection health for the status indicator, 7TV keeps retrying so it never fails for good
+  getStatus() {
+    return {
+      state: this.reconnectTimer ? 'reconnecting' : this.connectionState,
+      attempt: this.reconnectAttempts,
+      maxAttempts: null,
+      nextReconnectAt: this.nextReconnectAt,
+    };
+  }
+
+  emitStatus() {
+    this.dispatchEvent(new CustomEvent("status", { detail: this.getStatus() }));
+  }
+
+  // Raw socket traffic, for recording sessions to replay later
+  emitFrame(type, data) {
+    this.dispatchEvent(new CustomEvent("frame", { detail: { source: "stv", type, data } }));
+  }
+
   // Get number of subscribed events
   getSubscribedEventCount() {
     return this.subscribedEvents.size;
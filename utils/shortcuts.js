@@ -0,0 +1,60 @@
+// Every rebindable shortcut with its default keys, some keep the alternatives they had before. "Ctrl" means Cmd on macOS.
+// Shortcuts run in the app window unless they are global, which work system-wide while enabled
+export const shortcutActions = {
+  nextTab: { label: "Next Chatroom", group: "Tabs", keys: ["Ctrl+Tab"] },
+  previousTab: { label: "Previous Chatroom", group: "Tabs", keys: ["Ctrl+Shift+Tab"] },
+  ...Object.fromEntries(
+    Array.from({ length: 9 }, (_, index) => [
+      `tab${index + 1}`,
+      { label: `Chatroom ${index + 1}`, group: "Tabs", keys: [`Ctrl+${index + 1}`] },
+    ]),
+  ),
+  mentions: { label: "Open Mentions", group: "Tabs", keys: ["Alt+M"] },
+  newChatroom: { label: "Add Chatroom", group: "Tabs", keys: ["Ctrl+T", "Ctrl+J"] },
+
+  focusInput: { label: "Focus Chat Input", group: "Chat", keys: ["Ctrl+L"] },
+  pauseChat: { label: "Pause Chat", group: "Chat", keys: ["Ctrl+P"] },
+  search: { label: "Search Chat", group: "Chat", keys: ["Ctrl+F"] },
+  refreshEmotes: { label: "Refresh Emotes", group: "Chat", keys: ["F5"] },
+
+  zoomIn: { label: "Zoom In", group: "Window", keys: ["Ctrl+=", "Ctrl+Plus", "Ctrl+Shift+Plus"] },
+  zoomOut: { label: "Zoom Out", group: "Window", keys: ["Ctrl+-"] },
+  zoomReset: { label: "Reset Zoom", group: "Window", keys: ["Ctrl+0"] },
+  toggleWindow: { label: "Show/Hide KickTalk", group: "Window", keys: ["Ctrl+Shift+K"], global: true },
+};
+
+// Saved bindings only hold what the user changed, an empty string unbinds a shortcut
+export const getShortcutBindings = (shortcuts) =>
+  Object.fromEntries(
+    Object.entries(shortcutActions).map(([action, { keys }]) => {
+      const binding = shortcuts?.bindings?.[action];
+      return [action, binding === undefined ? keys : [binding].filter(Boolean)];
+    }),
+  );
+
+const keyNames = { " ": "Space", "+": "Plus", ArrowUp: "Up", ArrowDown: "Down", ArrowLeft: "Left", ArrowRight: "Right" };
+const modifierKeys = ["Control", "Shift", "Alt", "Meta"];
+
+// Turns a DOM keyboard event or an Electron input event into keys such as "Ctrl+Shift+1"
+export const getShortcutKeys = (input) => {
+  if (!input?.key || modifierKeys.includes(input.key)) return null;
+
+  const ctrl = input.ctrlKey ?? input.control;
+  const meta = input.metaKey ?? input.meta;
+  const alt = input.altKey ?? input.alt;
+  const shift = input.shiftKey ?? input.shift;
+
+  // Use the physical key for letters and digits so Shift and Alt don't change what was pressed
+  const code = input.code || "";
+  const key = /^(Key|Digit)/.test(code)
+    ? code.replace(/^(Key|Digit)/, "")
+    : keyNames[input.key] || (input.key.length === 1 ? input.key.toUpperCase() : input.key);
+
+  return [ctrl || meta ? "Ctrl" : null, alt ? "Alt" : null, shift ? "Shift" : null, key].filter(Boolean).join("+");
+};
+
+export const findShortcutAction = (bindings, keys) =>
+  keys ? Object.keys(bindings).find((action) => bindings[action].includes(keys)) || null : null;
+
+// Electron accelerators use CommandOrControl for Ctrl/Cmd
+export const toAccelerator = (keys) => keys?.replace(/^Ctrl(?=\+|$)/, "CommandOrControl");
@@ -1,11 +1,27 @@
+export const builtInThemes = ["default", "dark", "blue", "purple", "red"];
+
+// Variables set by the last applied custom theme, cleared before the next one is applied
+let appliedThemeVariables = [];
+
+export const getCustomTheme = (customTheme) => customTheme?.themes?.find((theme) => theme.id === customTheme?.current) || null;
+
 export const applyTheme = (customTheme) => {
-  const themeValue = customTheme.current;
+  const customThemeData = getCustomTheme(customTheme);
+  const themeValue = customThemeData ? customThemeData.base : customTheme?.current;
 
   if (themeValue && themeValue !== "default") {
     document.documentElement.setAttribute("data-theme", themeValue);
   } else {
     document.documentElement.removeAttribute("data-theme");
   }
+
+  // Custom themes start from a built-in theme and override its variables inline
+  appliedThemeVariables.forEach((name) => document.documentElement.style.removeProperty(name));
+  appliedThemeVariables = Object.keys(customThemeData?.variables || {});
+
+  Object.entries(customThemeData?.variables || {}).forEach(([name, value]) => {
+    document.documentElement.style.setProperty(name, value);
+  });
 };
 
 export const initTheme = async () => {
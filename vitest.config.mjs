@@ -0,0 +1,10 @@
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  test: {
+    include: ["tests/**/*.test.js"],
+    environment: "jsdom",
+    // Anywhere but the main window's path, so ChatProvider doesn't start connecting on import
+    environmentOptions: { jsdom: { url: "http://localhost/tests" } },
+  },
+});